@@ -0,0 +1,140 @@
+// __tests__/archive.test.js
+
+import { gzipSync, deflateRawSync, crc32 } from 'zlib';
+
+import { isGzip, isZip, gunzip, listZipEntries, expandArchive, createZip } from '../docs/app/archive.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Build a minimal zip archive (stored or deflated entries, no data descriptors).
+ * @param {Array<{ name: string, content: string|Uint8Array, deflate?: boolean }>} files
+ * @returns {Uint8Array}
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content, deflate }) => {
+    const nameBytes = encoder.encode(name);
+    const raw = typeof content === 'string' ? encoder.encode(content) : content;
+    const data = deflate ? new Uint8Array(deflateRawSync(raw)) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+const TTL = '@prefix ex: <http://example.org/> .\nex:a ex:b ex:c .\n';
+
+describe('archive helpers', () => {
+  test('recognise gzip and zip by magic number', () => {
+    expect(isGzip(new Uint8Array(gzipSync(TTL)))).toBe(true);
+    expect(isZip(makeZip([{ name: 'a.ttl', content: TTL }]))).toBe(true);
+    expect(isGzip(encoder.encode(TTL))).toBe(false);
+    expect(isZip(encoder.encode(TTL))).toBe(false);
+  });
+
+  test('gunzip restores the original bytes', async () => {
+    expect(decoder.decode(await gunzip(new Uint8Array(gzipSync(TTL))))).toBe(TTL);
+  });
+
+  test('listZipEntries reads the central directory', () => {
+    const zip = makeZip([{ name: 'dir/', content: '' }, { name: 'dir/a.ttl', content: TTL, deflate: true }]);
+    const entries = listZipEntries(zip);
+    expect(entries.map(e => [e.name, e.method, e.isDirectory])).toEqual([
+      ['dir/', 0, true],
+      ['dir/a.ttl', 8, false]
+    ]);
+    expect(() => listZipEntries(encoder.encode('not a zip at all, just some text'))).toThrow(/Zip error/);
+  });
+});
+
+describe('expandArchive', () => {
+  test('returns plain files unchanged', async () => {
+    const bytes = encoder.encode(TTL);
+    expect(await expandArchive('a.ttl', bytes)).toEqual([{ name: 'a.ttl', bytes }]);
+  });
+
+  test('decompresses gzip and drops the .gz suffix', async () => {
+    const [entry] = await expandArchive('go.obo.gz', new Uint8Array(gzipSync(TTL)));
+    expect(entry.name).toBe('go.obo');
+    expect(decoder.decode(entry.bytes)).toBe(TTL);
+  });
+
+  test('unpacks zip entries, nested archives included, skipping folders and __MACOSX', async () => {
+    const inner = makeZip([{ name: 'b.nt', content: '<http://a> <http://b> <http://c> .\n' }]);
+    const outer = makeZip([
+      { name: 'bundle/', content: '' },
+      { name: 'bundle/a.ttl', content: TTL, deflate: true },
+      { name: 'bundle/README.md', content: '# readme' },
+      { name: '__MACOSX/bundle/._a.ttl', content: 'junk' },
+      { name: 'bundle/c.ttl.gz', content: new Uint8Array(gzipSync(TTL)) }
+    ]);
+    const expanded = await expandArchive('release.zip', outer);
+    expect(expanded.map(e => e.name)).toEqual([
+      'release.zip/bundle/a.ttl',
+      'release.zip/bundle/README.md',
+      'release.zip/bundle/c.ttl'
+    ]);
+    expect(decoder.decode(expanded[0].bytes)).toBe(TTL);
+
+    const nested = await expandArchive('outer.zip', makeZip([{ name: 'inner.zip', content: inner }]));
+    expect(nested.map(e => e.name)).toEqual(['outer.zip/inner.zip/b.nt']);
+  });
+});
+
+describe('createZip', () => {
+  test('packs deflated entries that unpack to the same bytes, with their checksums', async () => {
+    const zip = await createZip([
+      { name: 'a.ttl', content: TTL },
+      { name: 'dir/ü.bin', content: new Uint8Array([0, 1, 2, 255]) }
+    ]);
+    const entries = listZipEntries(zip);
+    expect(entries.map(e => [e.name, e.method, e.size])).toEqual([['a.ttl', 8, TTL.length], ['dir/ü.bin', 8, 4]]);
+
+    const expanded = await expandArchive('out.zip', zip);
+    expect(decoder.decode(expanded[0].bytes)).toBe(TTL);
+    expect(Array.from(expanded[1].bytes)).toEqual([0, 1, 2, 255]);
+
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    expect(view.getUint32(14, true)).toBe(crc32(TTL));
+  });
+
+  test('an empty archive is still a zip', async () => {
+    const zip = await createZip([]);
+    expect(isZip(zip)).toBe(true);
+    expect(listZipEntries(zip)).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+// __tests__/benchmarks/table-model.bench.js
+// Table model construction on large synthetic ontologies. Not part of `npm test`;
+// run with `npm run bench` (BENCH_ELEMENTS sets the larger size, default 30000).
+
+import { buildElementTableModel, extractOntologyMetadata, NS } from '../../docs/app/core.js';
+import { Store, DataFactory } from 'n3';
+import { jest } from '@jest/globals';
+
+const { namedNode, literal, blankNode, quad } = DataFactory;
+
+const LARGE = Number(process.env.BENCH_ELEMENTS) || 30000;
+const SMALL = Math.max(1000, Math.round(LARGE / 3));
+
+const rdfType = namedNode(NS.rdf + 'type');
+const owlClass = namedNode(NS.owl + 'Class');
+const label = namedNode(NS.rdfs + 'label');
+const subClassOf = namedNode(NS.rdfs + 'subClassOf');
+const definition = namedNode(NS.obo + 'IAO_0000115');
+const altLabel = namedNode(NS.skos + 'altLabel');
+const citation = namedNode(NS.dcterms + 'bibliographicCitation');
+const comment = namedNode(NS.rdfs + 'comment');
+const someValuesFrom = namedNode(NS.owl + 'someValuesFrom');
+
+/**
+ * Build a store shaped like a typical OBO-style ontology: each class has labels in two
+ * languages, a definition, synonyms, a parent, a restriction on a blank node and a
+ * comment that no column uses. About 12 quads per class, plus one non-element subject
+ * for every ten classes.
+ * @param {number} count
+ * @returns {Store}
+ */
+function syntheticOntology(count) {
+  const store = new Store();
+  const ex = i => namedNode(`http://example.org/onto/C${i}`);
+
+  store.addQuad(quad(namedNode('http://example.org/onto'), rdfType, namedNode(NS.owl + 'Ontology')));
+  store.addQuad(quad(namedNode('http://example.org/onto'), label, literal('Synthetic ontology', 'en')));
+
+  for (let i = 0; i < count; i++) {
+    const c = ex(i);
+    const restriction = blankNode(`r${i}`);
+    store.addQuads([
+      quad(c, rdfType, owlClass),
+      quad(c, label, literal(`class ${i}`, 'en')),
+      quad(c, label, literal(`classe ${i}`, 'fr')),
+      quad(c, definition, literal(`A synthetic class number ${i}.`)),
+      quad(c, altLabel, literal(`C-${i}`)),
+      quad(c, altLabel, literal(`cls ${i}`)),
+      quad(c, subClassOf, ex(Math.floor(i / 2))),
+      quad(c, subClassOf, restriction),
+      quad(restriction, someValuesFrom, ex((i * 7) % count)),
+      quad(c, citation, literal(`PMID:${100000 + i}`)),
+      quad(c, comment, literal(`Unused comment ${i}`))
+    ]);
+    if (i % 10 === 0) {
+      store.addQuad(quad(namedNode(`http://example.org/data/d${i}`), label, literal(`datum ${i}`)));
+    }
+  }
+  return store;
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { ms: performance.now() - start, result };
+}
+
+describe('table model benchmark', () => {
+  const quiet = () => {};
+  let infoSpy;
+
+  beforeAll(() => {
+    infoSpy = jest.spyOn(console, 'info').mockImplementation(quiet);
+  });
+
+  afterAll(() => {
+    infoSpy.mockRestore();
+  });
+
+  test(`buildElementTableModel scales linearly (${SMALL} and ${LARGE} classes)`, () => {
+    const results = [SMALL, LARGE].map(count => {
+      const store = syntheticOntology(count);
+      buildElementTableModel(syntheticOntology(200)); // warm up
+      const meta = time(() => extractOntologyMetadata(store));
+      const table = time(() => buildElementTableModel(store));
+
+      expect(meta.result.ontologyName).toBe('Synthetic ontology');
+      expect(table.result.rows).toHaveLength(count);
+
+      const perElementUs = (table.ms * 1000) / count;
+      console.log(
+        `${count} classes, ${store.size} quads: table ${table.ms.toFixed(0)} ms ` +
+        `(${perElementUs.toFixed(1)} µs per class), metadata ${meta.ms.toFixed(1)} ms`
+      );
+      return { count, ms: table.ms };
+    });
+
+    // Per-element cost must not grow with ontology size (it did when every helper scanned
+    // the whole store). Allow generous noise for shared CI machines.
+    const [small, large] = results;
+    const ratio = (large.ms / large.count) / (small.ms / small.count);
+    expect(ratio).toBeLessThan(3);
+  });
+});
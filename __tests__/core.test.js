@@ -2,15 +2,55 @@
 
 import {
   detectRdfFormatFromFilename,
+  hasRdfFileExtension,
+  detectRdfFormat,
+  sniffRdfFormatFromContent,
+  parseRdfTextToStore,
+  parseRdfStreamToStore,
+  isStreamableFormat,
+  isQuadUsedByTable,
   toPascalCase,
   pickBestLiteral,
+  parseLanguagePreferences,
+  DEFAULT_LANGUAGE_PREFERENCES,
+  listTableIris,
+  getIriLabels,
+  formatIri,
+  applyIriDisplay,
+  renderClassExpression,
+  formatManchesterIris,
+  buildHierarchy,
+  withHierarchyAncestors,
+  computeFacets,
+  filterRowsByFacets,
+  iriToCurie,
+  curieToIri,
+  describeEntity,
+  mergePrefixes,
+  parsePrefixDeclarations,
+  formatPrefixDeclarations,
+  PREFIX_CATALOG,
   buildElementTableModel,
   filterAndSortRows,
+  parseRowQuery,
+  computeRowWindow,
+  resolveOntologyImports,
+  buildClosureTableModel,
+  describeParseError,
+  getQuadsForSubject,
+  getLiteralArrayForPredicates,
+  setTraceLogging,
+  DEFAULT_COLUMN_PROFILE,
+  ALL_PROPERTIES_PROFILE,
+  normalizeColumnProfile,
+  parseColumnProfile,
+  columnProfileToJson,
   NS,
   extractOntologyMetadata
 } from '../docs/app/core.js';
 
 import { Store, DataFactory } from 'n3';
+import { jest } from '@jest/globals';
 
 const { namedNode, literal, quad } = DataFactory;
 
@@ -23,11 +63,177 @@ describe('detectRdfFormatFromFilename', () => {
     expect(detectRdfFormatFromFilename('data.nt')).toBe('application/n-triples');
   });
 
+  test('detects owl and rdf as application/rdf+xml', () => {
+    expect(detectRdfFormatFromFilename('bfo.owl')).toBe('application/rdf+xml');
+    expect(detectRdfFormatFromFilename('vocab.RDF')).toBe('application/rdf+xml');
+  });
+
+  test('detects owx as application/owl+xml', () => {
+    expect(detectRdfFormatFromFilename('ont.owx')).toBe('application/owl+xml');
+  });
+
+  test('detects jsonld and json as application/ld+json', () => {
+    expect(detectRdfFormatFromFilename('vocab.jsonld')).toBe('application/ld+json');
+    expect(detectRdfFormatFromFilename('vocab.json')).toBe('application/ld+json');
+  });
+
+  test('detects ofn and omn as OWL Functional and Manchester Syntax', () => {
+    expect(detectRdfFormatFromFilename('ont.ofn')).toBe('text/owl-functional');
+    expect(detectRdfFormatFromFilename('ont.omn')).toBe('text/owl-manchester');
+  });
+
+  test('detects obo as OBO', () => {
+    expect(detectRdfFormatFromFilename('go.obo')).toBe('text/obo');
+  });
+
   test('falls back to turtle for unknown extension', () => {
     expect(detectRdfFormatFromFilename('weird.ext')).toBe('text/turtle');
   });
 });
 
+test('hasRdfFileExtension accepts parser extensions only', () => {
+  expect(hasRdfFileExtension('bundle/go.obo')).toBe(true);
+  expect(hasRdfFileExtension('ont.TTL')).toBe(true);
+  expect(hasRdfFileExtension('README.md')).toBe(false);
+  expect(hasRdfFileExtension('notes.txt')).toBe(false);
+});
+
+describe('sniffRdfFormatFromContent', () => {
+  test('recognises XML syntaxes by prolog and root element', () => {
+    expect(sniffRdfFormatFromContent('<?xml version="1.0"?>\n<rdf:RDF xmlns:rdf="x"/>'))
+      .toBe('application/rdf+xml');
+    expect(sniffRdfFormatFromContent(`<?xml version="1.0"?>\n<Ontology xmlns="${NS.owl}"/>`))
+      .toBe('application/owl+xml');
+    expect(sniffRdfFormatFromContent(`<owl:Ontology xmlns:owl="${NS.owl}" rdf:about="http://x"/>`))
+      .toBe('application/rdf+xml');
+    expect(sniffRdfFormatFromContent('<Ontology xmlns="http://other.org/ns#"/>')).toBe('application/rdf+xml');
+    expect(sniffRdfFormatFromContent(`<Ontology\n    xmlns='${NS.owl}'\n    ontologyIRI="http://x">`))
+      .toBe('application/owl+xml');
+  });
+
+  test('recognises JSON-LD, OWL Functional and Manchester Syntax', () => {
+    expect(sniffRdfFormatFromContent('{\n  "@context": {}\n}')).toBe('application/ld+json');
+    expect(sniffRdfFormatFromContent('Prefix(:=<http://x#>)\nOntology(<http://x>)'))
+      .toBe('text/owl-functional');
+    expect(sniffRdfFormatFromContent('Prefix: : <http://x#>\nOntology: <http://x>'))
+      .toBe('text/owl-manchester');
+  });
+
+  test('recognises OBO by header tags or a leading stanza', () => {
+    expect(sniffRdfFormatFromContent('format-version: 1.4\nontology: go')).toBe('text/obo');
+    expect(sniffRdfFormatFromContent('[Term]\nid: GO:0008150')).toBe('text/obo');
+  });
+
+  test('recognises Turtle directives after comments', () => {
+    expect(sniffRdfFormatFromContent('# header\n@prefix ex: <http://ex/> .')).toBe('text/turtle');
+    expect(sniffRdfFormatFromContent('PREFIX ex: <http://ex/>\nex:a ex:b ex:c .')).toBe('text/turtle');
+  });
+
+  test('tells N-Triples from N-Quads by line shape', () => {
+    expect(sniffRdfFormatFromContent('<http://a> <http://b> "c"@en .')).toBe('application/n-triples');
+    expect(sniffRdfFormatFromContent('<http://a> <http://b> <http://c> <http://g> .'))
+      .toBe('application/n-quads');
+  });
+
+  test('does not mistake an IRI for an XML tag or a TriG block for JSON', () => {
+    expect(sniffRdfFormatFromContent('<http://a> a <http://b> ; <http://x> [ ] .')).toBe('text/turtle');
+    expect(sniffRdfFormatFromContent('{ <http://a> <http://b> <http://c> . }')).toBe('application/trig');
+  });
+
+  test('returns null for unrecognisable text', () => {
+    expect(sniffRdfFormatFromContent('hello world')).toBeNull();
+  });
+});
+
+describe('detectRdfFormat', () => {
+  test('content wins over a misleading extension', () => {
+    expect(detectRdfFormat('ontology.owl', '@prefix ex: <http://ex/> .'))
+      .toEqual({ format: 'text/turtle', detectedBy: 'content' });
+    expect(detectRdfFormat('notes.txt', '<?xml version="1.0"?><rdf:RDF xmlns:rdf="x"/>'))
+      .toEqual({ format: 'application/rdf+xml', detectedBy: 'content' });
+  });
+
+  test('an extension naming a superset syntax is kept', () => {
+    expect(detectRdfFormat('data.trig', '@prefix ex: <http://ex/> .').format).toBe('application/trig');
+    expect(detectRdfFormat('data.ttl', '<http://a> <http://b> <http://c> .').format).toBe('text/turtle');
+  });
+
+  test('graph-like text in literals and comments does not make Turtle TriG', () => {
+    const turtle = [
+      '@prefix ex: <http://ex.org/> .',
+      '# GRAPH ex:g { }',
+      'ex:a ex:note "a graph of nodes" ;',
+      '  ex:comment """first line',
+      '{ not a graph block }',
+      'GRAPH ex:g {""" .'
+    ].join('\n');
+    expect(detectRdfFormat('a.ttl', turtle)).toEqual({ format: 'text/turtle', detectedBy: 'content' });
+    expect(detectRdfFormat('a.ttl', '@prefix ex: <http://ex.org/> .\nGRAPH ex:g { ex:a ex:b ex:c . }'))
+      .toEqual({ format: 'application/trig', detectedBy: 'content' });
+  });
+
+  test('Manchester frames and OBO header tags are not taken for Turtle prefixed names', () => {
+    expect(detectRdfFormat('a.omn', 'Class: <http://ex.org/A>\n    SubClassOf: <http://ex.org/B>'))
+      .toEqual({ format: 'text/owl-manchester', detectedBy: 'content' });
+    expect(detectRdfFormat('a.obo', 'subsetdef: goslim "GO slim"\nformat-version: 1.4'))
+      .toEqual({ format: 'text/obo', detectedBy: 'content' });
+    expect(detectRdfFormat('a.obo', 'synonymtypedef: systematic "Systematic"'))
+      .toEqual({ format: 'text/obo', detectedBy: 'content' });
+  });
+
+  test('a Turtle guess from the first token alone loses to a non-Turtle extension', () => {
+    expect(detectRdfFormat('a.omn', 'HasKey: <http://ex.org/p>')).toEqual({ format: 'text/owl-manchester', detectedBy: 'extension' });
+    expect(detectRdfFormat('a.obo', 'custom-tag: value')).toEqual({ format: 'text/obo', detectedBy: 'extension' });
+    expect(detectRdfFormat('notes.txt', 'ex:a ex:b ex:c .')).toEqual({ format: 'text/turtle', detectedBy: 'content' });
+    expect(detectRdfFormat('a.owl', '<http://ex.org/a> a <http://ex.org/C> ; <http://ex.org/p> [ ] .'))
+      .toEqual({ format: 'text/turtle', detectedBy: 'content' });
+  });
+
+  test('falls back to the extension, then Turtle', () => {
+    expect(detectRdfFormat('data.nt', '')).toEqual({ format: 'application/n-triples', detectedBy: 'extension' });
+    expect(detectRdfFormat('README', '')).toEqual({ format: 'text/turtle', detectedBy: 'default' });
+  });
+});
+
+describe('parseRdfTextToStore (XML syntaxes)', () => {
+  const rdfXml = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="${NS.rdf}" xmlns:rdfs="${NS.rdfs}" xmlns:owl="${NS.owl}"
+         xml:base="http://example.org/ont">
+  <owl:Ontology rdf:about="http://example.org/ont">
+    <rdfs:label>Example</rdfs:label>
+  </owl:Ontology>
+  <owl:Class rdf:about="#A">
+    <rdfs:label xml:lang="en">A</rdfs:label>
+  </owl:Class>
+</rdf:RDF>`;
+
+  const owlXml = `<?xml version="1.0"?>
+<Ontology xmlns="${NS.owl}" ontologyIRI="http://example.org/ont">
+  <Declaration><Class IRI="http://example.org/ont#A"/></Declaration>
+  <AnnotationAssertion>
+    <AnnotationProperty IRI="${NS.rdfs}label"/>
+    <IRI>http://example.org/ont#A</IRI>
+    <Literal>A</Literal>
+  </AnnotationAssertion>
+</Ontology>`;
+
+  test('RDF/XML feeds metadata and table extraction', async () => {
+    const store = await parseRdfTextToStore(rdfXml, 'application/rdf+xml');
+    expect(extractOntologyMetadata(store).ontologyName).toBe('Example');
+
+    const model = buildElementTableModel(store);
+    expect(model.rows).toHaveLength(1);
+    expect(model.rows[0].iri).toBe('http://example.org/ont#A');
+    expect(model.rows[0].label).toBe('A');
+  });
+
+  test('OWL/XML in a .owl file is recognised by its root element', async () => {
+    const store = await parseRdfTextToStore(owlXml, detectRdfFormatFromFilename('ont.owl'));
+    expect(extractOntologyMetadata(store).ontologyIri).toBe('http://example.org/ont');
+    expect(buildElementTableModel(store).rows[0].label).toBe('A');
+  });
+});
+
 describe('toPascalCase', () => {
   test('converts simple phrase', () => {
     expect(toPascalCase('example ontology name')).toBe('ExampleOntologyName');
@@ -63,6 +269,26 @@ describe('pickBestLiteral', () => {
     const result = pickBestLiteral([fr, es]);
     expect(result.value).toBe('Français');
   });
+
+  test('follows a ranked language list, matching subtags', () => {
+    const literals = [literal('Plain'), literal('Colour', 'en-GB'), literal('Couleur', 'fr')];
+    expect(pickBestLiteral(literals, ['fr', 'en', '*']).value).toBe('Couleur');
+    expect(pickBestLiteral(literals, ['de', 'en']).value).toBe('Colour');
+    expect(pickBestLiteral(literals, ['de', '*']).value).toBe('Plain');
+    expect(pickBestLiteral(literals, ['de'])).toBeNull();
+  });
+});
+
+describe('parseLanguagePreferences', () => {
+  test('reads a ranked list of tags', () => {
+    expect(parseLanguagePreferences('fr, EN-gb *')).toEqual(['fr', 'en-gb', '*']);
+    expect(parseLanguagePreferences('fr, fr')).toEqual(['fr']);
+    expect(parseLanguagePreferences('  ')).toEqual(DEFAULT_LANGUAGE_PREFERENCES);
+  });
+
+  test('rejects entries that are not language tags', () => {
+    expect(() => parseLanguagePreferences('fr, english!')).toThrow('"english!" is not a language tag');
+  });
 });
 
 test('extractOntologyMetadata reads owl:versionIRI as an IRI', () => {
@@ -88,6 +314,232 @@ test('extractOntologyMetadata accepts owl:versionIRI as a plain literal', () =>
   expect(meta.versionIri).toBe('https://example.org/ont/1.0.0');
 });
 
+describe('parse errors and lenient mode', () => {
+  const broken = `@prefix ex: <http://example.org/> .
+ex:a ex:p "one" .
+ex:b ex:p oops:missing .
+@prefix ex2: <http://example.org/2/> .
+ex:c ex:p [ ex:q "nested . dot" ] ;
+     ex:r ex2:d .
+ex:e ex:p "x" "y" .
+`;
+
+  test('strict parsing throws the first error', async () => {
+    await expect(parseRdfTextToStore(broken, 'text/turtle')).rejects.toThrow(/on line 3/);
+  });
+
+  test('lenient parsing keeps good statements and reports dropped ones', async () => {
+    const dropped = [];
+    const store = await parseRdfTextToStore(broken, 'text/turtle', {
+      lenient: true,
+      onDropped: err => dropped.push(err)
+    });
+
+    expect(dropped.map(e => e.line)).toEqual([3, 7]);
+    expect(store.getQuads(null, namedNode('http://example.org/p'), null, null)).toHaveLength(2);
+    // the prefix declared after the error is still honoured
+    expect(store.getQuads(null, namedNode('http://example.org/r'), null, null)[0].object.value)
+      .toBe('http://example.org/2/d');
+  });
+
+  test('lenient parsing recovers after an unterminated string', async () => {
+    const dropped = [];
+    const store = await parseRdfTextToStore(`@prefix ex: <http://example.org/> .
+ex:a ex:b ex:c .
+ex:d ex:e "unterminated
+ex:f ex:g ex:h .
+ex:i ex:j ex:k .
+ex:l ex:m oops:missing .
+`, 'text/turtle', { lenient: true, onDropped: err => dropped.push(err) });
+
+    expect(dropped.map(e => e.line)).toEqual([3, 6]);
+    expect(store.getQuads(null, namedNode('http://example.org/g'), null, null)).toHaveLength(1);
+    expect(store.size).toBe(3);
+  });
+
+  test('lenient N-Triples drops bad lines', async () => {
+    const dropped = [];
+    const store = await parseRdfTextToStore(
+      '<http://a> <http://b> <http://c> .\nnot a triple\n<http://a> <http://b> "d" .\n',
+      'application/n-triples',
+      { lenient: true, onDropped: err => dropped.push(err) }
+    );
+    expect(store.size).toBe(2);
+    expect(dropped[0].line).toBe(2);
+  });
+
+  test('describeParseError reports the line, column and offending source line', () => {
+    const err = new Error('Bad thing on line 2, column 5.');
+    err.line = 2;
+    err.column = 5;
+    expect(describeParseError(err, 'first\nsecond line\nthird')).toEqual({
+      message: 'Bad thing on line 2, column 5.',
+      line: 2,
+      column: 5,
+      snippet: 'second line',
+      snippetColumn: 5
+    });
+  });
+
+  test('describeParseError reads the line of N3 parser errors', async () => {
+    const err = await parseRdfTextToStore(broken, 'text/turtle').catch(e => e);
+    const described = describeParseError(err, broken);
+    expect(described.line).toBe(3);
+    expect(described.snippet).toBe('ex:b ex:p oops:missing .');
+  });
+});
+
+describe('owl:imports closure', () => {
+  const ttl = (iri, extra = '') => `
+@prefix owl: <${NS.owl}> .
+@prefix rdfs: <${NS.rdfs}> .
+<${iri}> a owl:Ontology ${extra} .
+`;
+
+  test('extractOntologyMetadata lists owl:imports', async () => {
+    const store = await parseRdfTextToStore(
+      ttl('http://ex.org/a', '; owl:imports <http://ex.org/b>, <http://ex.org/c>'), 'text/turtle');
+    expect(extractOntologyMetadata(store).imports).toEqual(['http://ex.org/b', 'http://ex.org/c']);
+  });
+
+  test('resolveOntologyImports matches by ontology or version IRI and flags the rest', () => {
+    const result = resolveOntologyImports([
+      { ontologyIri: 'http://ex.org/a', ontologyName: 'A', imports: ['http://ex.org/b/1.0', 'http://ex.org/missing'] },
+      { ontologyIri: 'http://ex.org/b', versionIri: 'http://ex.org/b/1.0', ontologyName: 'B', imports: ['http://ex.org/c'] },
+      { ontologyIri: 'http://ex.org/c', ontologyName: 'C', imports: ['http://ex.org/a', 'http://ex.org/gone'] }
+    ]);
+
+    expect(result[0].closure).toEqual([1, 2]);
+    expect(result[0].unresolved).toEqual(['http://ex.org/missing', 'http://ex.org/gone']);
+    expect(result[1].closure).toEqual([2, 0]);
+
+    const [b, missing] = result[0].tree;
+    expect(b).toMatchObject({ index: 1, name: 'B', unresolved: false });
+    expect(missing).toMatchObject({ index: null, unresolved: true, children: [] });
+
+    // A → B → C → A stops at the cycle
+    const cToA = b.children[0].children[0];
+    expect(cToA).toMatchObject({ index: 0, cycle: true, children: [] });
+  });
+
+  test('buildClosureTableModel merges stores and records the source ontology', async () => {
+    const a = await parseRdfTextToStore(`${ttl('http://ex.org/a', '; owl:imports <http://ex.org/b>')}
+<http://ex.org/A> a owl:Class ; rdfs:subClassOf <http://ex.org/B> .`, 'text/turtle');
+    const b = await parseRdfTextToStore(`${ttl('http://ex.org/b')}
+<http://ex.org/B> a owl:Class ; rdfs:label "B" .`, 'text/turtle');
+
+    const model = await buildClosureTableModel([{ store: a, name: 'A' }, { store: b, name: 'B' }]);
+    expect(model.keys.slice(0, 2)).toEqual(['iri', 'sourceOntology']);
+    expect(model.headers[1]).toBe('source ontology');
+
+    const byIri = Object.fromEntries(model.rows.map(r => [r.iri, r]));
+    expect(byIri['http://ex.org/A'].sourceOntology).toBe('A');
+    expect(byIri['http://ex.org/B']).toMatchObject({ sourceOntology: 'B', label: 'B' });
+  });
+});
+
+describe('progress reporting', () => {
+  const manyClasses = n => '@prefix owl: <http://www.w3.org/2002/07/owl#> .\n' +
+    Array.from({ length: n }, (_, i) => `<http://ex.org/C${i}> a owl:Class .`).join('\n');
+
+  test('Turtle parsing reports characters and quads as it goes', async () => {
+    const text = manyClasses(3000); // a bit over 100k characters, so several chunks
+    const updates = [];
+    const store = await parseRdfTextToStore(text, 'text/turtle', { onProgress: p => updates.push(p) });
+
+    expect(store.size).toBe(3000);
+    expect(updates.length).toBeGreaterThan(2);
+    expect(updates.every(p => p.total === text.length)).toBe(true);
+    expect(updates[0].parsed).toBeLessThan(text.length);
+    expect(updates[updates.length - 1]).toEqual({ parsed: text.length, total: text.length, quads: 3000 });
+  });
+
+  test('chunked parsing still throws the first error', async () => {
+    const text = `${manyClasses(2000)}\n<http://ex.org/bad> a .`;
+    await expect(parseRdfTextToStore(text, 'text/turtle', { onProgress: () => {} }))
+      .rejects.toThrow(/on line 2002/);
+  });
+
+  test('buildElementTableModel reports rows built', async () => {
+    const store = await parseRdfTextToStore(manyClasses(600), 'text/turtle');
+    const updates = [];
+    const model = buildElementTableModel(store, { onProgress: p => updates.push(p) });
+
+    expect(model.rows).toHaveLength(600);
+    expect(updates.map(p => p.rows)).toEqual([0, 250, 500, 600]);
+    expect(updates.every(p => p.totalRows === 600)).toBe(true);
+  });
+});
+
+describe('streaming parse', () => {
+  const streamOf = (text, size) => new ReadableStream({
+    start(controller) {
+      for (let at = 0; at < text.length; at += size) controller.enqueue(text.slice(at, at + size));
+      controller.close();
+    }
+  });
+
+  const ntriples = `<http://ex.org/A> <${NS.rdf}type> <${NS.owl}Class> .
+<http://ex.org/A> <${NS.rdfs}label> "A label"@en .
+<http://ex.org/A> <${NS.rdfs}comment> "not a table column" .
+_:b0 <${NS.rdfs}label> "blank" .
+<http://ex.org/B> <${NS.rdf}type> <${NS.owl}Class> .
+<http://ex.org/B> <${NS.rdfs}subClassOf> <http://ex.org/A> .
+`;
+
+  test('parses chunks that split tokens and keeps only filtered quads', async () => {
+    const progress = [];
+    const { store, quadCount } = await parseRdfStreamToStore(streamOf(ntriples, 7), 'application/n-triples', {
+      filter: isQuadUsedByTable,
+      onProgress: p => progress.push(p)
+    });
+
+    expect(quadCount).toBe(6);
+    expect(store.size).toBe(4);
+    expect(progress[progress.length - 1]).toEqual({ quads: 6, kept: 4 });
+    expect(buildElementTableModel(store).rows).toEqual([
+      expect.objectContaining({ iri: 'http://ex.org/A', label: 'A label' }),
+      expect.objectContaining({ iri: 'http://ex.org/B', subClassOf: 'http://ex.org/A' })
+    ]);
+  });
+
+  test('throws the parser error and rejects formats it cannot stream', async () => {
+    await expect(parseRdfStreamToStore(streamOf('<http://ex.org/A> <http://ex.org/p> .', 5), 'text/turtle'))
+      .rejects.toThrow(/on line 1/);
+    expect(isStreamableFormat('application/rdf+xml')).toBe(false);
+    await expect(parseRdfStreamToStore(streamOf('<rdf:RDF/>', 5), 'application/rdf+xml'))
+      .rejects.toThrow('Streaming is not supported for RDF/XML');
+  });
+});
+
+describe('per-element helpers', () => {
+  const store = new Store([
+    quad(namedNode('http://ex.org/A'), namedNode(NS.rdfs + 'label'), literal('A')),
+    quad(namedNode('http://ex.org/A'), namedNode(NS.skos + 'altLabel'), literal('a')),
+    quad(namedNode('http://ex.org/B'), namedNode(NS.skos + 'altLabel'), literal('b'))
+  ]);
+
+  test('getQuadsForSubject only returns the subject\'s quads', () => {
+    expect(getQuadsForSubject(store, 'http://ex.org/A').map(q => q.object.value)).toEqual(['A', 'a']);
+    expect(getQuadsForSubject(store, 'http://ex.org/missing')).toEqual([]);
+  });
+
+  test('only log when trace logging is on', () => {
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+    try {
+      expect(getLiteralArrayForPredicates(store, 'http://ex.org/B', [NS.skos + 'altLabel'])).toEqual(['b']);
+      expect(info).not.toHaveBeenCalled();
+
+      setTraceLogging(true);
+      getLiteralArrayForPredicates(store, 'http://ex.org/B', [NS.skos + 'altLabel']);
+      expect(info).toHaveBeenCalledWith('[getLiteralArrayForPredicates] start', { subjectIri: 'http://ex.org/B' });
+    } finally {
+      setTraceLogging(false);
+      info.mockRestore();
+    }
+  });
+});
+
 describe('buildElementTableModel (fixed columns)', () => {
   test('builds model with fixed headers and mapped data', () => {
     const store = new Store();
@@ -195,4 +647,716 @@ describe('filterAndSortRows', () => {
     const sortedDesc = filterAndSortRows(model, '', 1, 'desc');
     expect(sortedDesc.map(r => r.label)).toEqual(['Zebra', 'Banana', 'Apple']);
   });
-});
\ No newline at end of file
+
+  describe('sorting', () => {
+    const model = {
+      headers: ['iri', 'type', 'count'],
+      keys: ['iri', 'type', 'count'],
+      rows: [
+        { iri: 'obo:ont00000010', type: 'b', count: '10' },
+        { iri: 'obo:ont00000002', type: '', count: '9' },
+        { iri: 'obo:ont00000001', type: 'a', count: '' },
+        { iri: 'obo:ont00000003', type: 'b', count: '-1.5' }
+      ]
+    };
+    const iris = (sort, options) => filterAndSortRows(model, '', sort, 'asc', {}, options).map(r => r.iri.slice(-2));
+
+    test('natural order for IDs, numbers by value, empty cells last either way', () => {
+      expect(iris([{ key: 'iri', direction: 'asc' }])).toEqual(['01', '02', '03', '10']);
+      expect(iris([{ key: 'count', direction: 'asc' }])).toEqual(['03', '02', '10', '01']);
+      expect(iris([{ key: 'count', direction: 'desc' }])).toEqual(['10', '02', '03', '01']);
+      expect(iris([{ key: 'type', direction: 'desc' }])).toEqual(['10', '03', '01', '02']);
+    });
+
+    test('sort keys apply in priority order; unknown keys are skipped', () => {
+      expect(iris([{ key: 'type', direction: 'asc' }, { key: 'iri', direction: 'desc' }])).toEqual(['01', '10', '03', '02']);
+      expect(iris([{ key: 'missing', direction: 'asc' }, { key: 'count' }])).toEqual(['03', '02', '10', '01']);
+      expect(iris([])).toEqual(['10', '02', '01', '03']);
+    });
+
+    test('collates with the chosen locale, falling back for unknown ones', () => {
+      const words = { headers: ['iri'], keys: ['iri'], rows: [{ iri: 'ära' }, { iri: 'zebra' }, { iri: 'apa' }] };
+      const sorted = locale => filterAndSortRows(words, '', [{ key: 'iri' }], 'asc', {}, { locale }).map(r => r.iri);
+      expect(sorted('sv')).toEqual(['apa', 'zebra', 'ära']);
+      expect(sorted('de')).toEqual(['apa', 'ära', 'zebra']);
+      expect(sorted('not a tag')).toHaveLength(3);
+    });
+  });
+});
+
+describe('table queries', () => {
+  const model = {
+    headers: ['iri', 'label', 'type', 'definition'],
+    keys: ['iri', 'label', 'type', 'definition'],
+    rows: [
+      { iri: 'http://ex.org/Car', label: 'motor vehicle', type: 'owl:Class', definition: 'A vehicle with a motor.' },
+      { iri: 'http://ex.org/Bike', label: 'bicycle', type: 'owl:Class', definition: '' },
+      { iri: 'http://ex.org/drives', label: 'drives', type: 'owl:ObjectProperty', definition: 'Operates a Vehicle.' },
+      { iri: 'http://ex.org/Truck', label: 'truck', type: 'owl:Class', definition: '' }
+    ]
+  };
+  const labels = (query, columnQueries) => filterAndSortRows(model, query, null, 'asc', columnQueries).map(r => r.label);
+
+  test('fielded terms, missing values and quoted phrases', () => {
+    expect(labels('label:vehicle')).toEqual(['motor vehicle']);
+    expect(labels('type:owl:ObjectProperty')).toEqual(['drives']);
+    expect(labels('-definition:*')).toEqual(['bicycle', 'truck']);
+    expect(labels('definition:*')).toEqual(['motor vehicle', 'drives']);
+    expect(labels('"motor vehicle"')).toEqual(['motor vehicle']);
+    expect(labels('LABEL:"motor v"')).toEqual(['motor vehicle']);
+    expect(labels('owl:Class')).toEqual(['motor vehicle', 'bicycle', 'truck']);
+  });
+
+  test('regular expressions are case-sensitive unless flagged', () => {
+    expect(labels('definition:/Vehicle/')).toEqual(['drives']);
+    expect(labels('definition:/vehicle/i')).toEqual(['motor vehicle', 'drives']);
+    expect(labels('/^b/')).toEqual(['bicycle']);
+  });
+
+  test('NOT binds tighter than AND, and AND than OR', () => {
+    expect(labels('vehicle type:owl:Class')).toEqual(['motor vehicle']);
+    expect(labels('bicycle OR truck AND -definition:*')).toEqual(['bicycle', 'truck']);
+    expect(labels('(bicycle OR motor) AND NOT definition:*')).toEqual(['bicycle']);
+    expect(labels('NOT NOT drives')).toEqual(['drives']);
+    expect(parseRowQuery('a OR b c', model)).toEqual({
+      type: 'or',
+      children: [
+        { type: 'term', field: null, match: 'text', value: 'a' },
+        { type: 'and', children: [
+          { type: 'term', field: null, match: 'text', value: 'b' },
+          { type: 'term', field: null, match: 'text', value: 'c' }
+        ] }
+      ]
+    });
+    expect(parseRowQuery('  ', model)).toBeNull();
+  });
+
+  test('per-column queries apply to their column and combine with the main query', () => {
+    expect(labels('', { definition: 'vehicle' })).toEqual(['motor vehicle', 'drives']);
+    expect(labels('', { definition: '-*' })).toEqual(['bicycle', 'truck']);
+    expect(labels('type:owl:Class', { label: 'b OR t', definition: '-*' })).toEqual(['bicycle', 'truck']);
+  });
+
+  test.each([
+    ['"open', /unterminated quote/],
+    ['/open', /unterminated regular expression/],
+    ['/(/', /invalid regular expression/],
+    ['(a OR b', /missing "\)"/],
+    ['a)', /unmatched "\)"/],
+    ['a OR', /ends too early/],
+    ['OR a', /unexpected OR/]
+  ])('malformed query %s is rejected', (query, message) => {
+    expect(() => parseRowQuery(query, model)).toThrow(message);
+    expect(() => filterAndSortRows(model, query, null)).toThrow(/^Query error: /);
+  });
+});
+
+describe('computeRowWindow', () => {
+  test('renders the rows in view plus overscan, with spacers for the rest', () => {
+    const view = { rowCount: 50000, rowHeight: 20, viewportHeight: 400, overscan: 5 };
+    expect(computeRowWindow({ ...view, scrollTop: 0 })).toEqual({ start: 0, end: 25, before: 0, after: 49975 * 20 });
+    expect(computeRowWindow({ ...view, scrollTop: 20000 })).toEqual({ start: 995, end: 1025, before: 995 * 20, after: 48975 * 20 });
+  });
+
+  test('clamps to the rows there are', () => {
+    expect(computeRowWindow({ rowCount: 8, rowHeight: 20, scrollTop: -40, viewportHeight: 400 }))
+      .toEqual({ start: 0, end: 8, before: 0, after: 0 });
+    expect(computeRowWindow({ rowCount: 8, rowHeight: 20, scrollTop: 5000, viewportHeight: 400 }))
+      .toEqual({ start: 8, end: 8, before: 160, after: 0 });
+    expect(computeRowWindow({ rowCount: 0, rowHeight: 0, scrollTop: 0, viewportHeight: 400 }))
+      .toEqual({ start: 0, end: 0, before: 0, after: 0 });
+  });
+});
+
+describe('column profiles', () => {
+  const EX = 'http://ex.org/';
+  const store = new Store([
+    quad(namedNode(EX + 'A'), namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')),
+    quad(namedNode(EX + 'A'), namedNode(EX + 'name'), literal('Nom', 'fr')),
+    quad(namedNode(EX + 'A'), namedNode(EX + 'name'), literal('Name', 'en')),
+    quad(namedNode(EX + 'A'), namedNode(EX + 'note'), literal('one')),
+    quad(namedNode(EX + 'A'), namedNode(EX + 'note'), literal('two')),
+    quad(namedNode(EX + 'A'), namedNode(EX + 'see'), namedNode(EX + 'B')),
+    quad(namedNode(EX + 'A'), namedNode(EX + 'see'), literal('page 3'))
+  ]);
+
+  test('the default profile reproduces the built-in columns and survives a JSON round trip', () => {
+    expect(DEFAULT_COLUMN_PROFILE.columns.map(c => c.key)).toEqual([
+      'label', 'type', 'definition', 'preferredLabel', 'alternativeLabel', 'acronym',
+      'subClassOf', 'equivalentClass', 'subPropertyOf', 'definitionSource', 'isCuratedIn'
+    ]);
+    expect(parseColumnProfile(columnProfileToJson(DEFAULT_COLUMN_PROFILE))).toEqual(DEFAULT_COLUMN_PROFILE);
+  });
+
+  test('normalizes CURIEs and fills in defaults', () => {
+    const profile = normalizeColumnProfile({
+      prefixes: { ex: EX },
+      columns: [{ key: 'name', predicates: ['ex:name', 'rdfs:label', 'urn:x:y', 'http://ex.org/other'] }]
+    });
+    expect(profile).toEqual({
+      name: 'Custom',
+      columns: [{
+        key: 'name',
+        header: 'name',
+        predicates: [EX + 'name', NS.rdfs + 'label', 'urn:x:y', 'http://ex.org/other'],
+        mode: 'any',
+        separator: '; '
+      }]
+    });
+  });
+
+  test.each([
+    ['[]', /expected a JSON object/],
+    ['{"columns": []}', /"columns" must be a non-empty array/],
+    ['{"columns": [{"key": "iri", "predicates": ["rdfs:label"]}]}', /column 1: "iri" is reserved/],
+    ['{"columns": [{"key": "a", "predicates": ["rdfs:label"]}, {"key": "a", "predicates": ["rdfs:label"]}]}', /column 2: duplicate key "a"/],
+    ['{"columns": [{"key": "a", "predicates": []}]}', /"predicates" must be a non-empty array/],
+    ['{"columns": [{"key": "a", "predicates": [":x"]}]}', /no default prefix/],
+    ['{"columns": [{"key": "a", "predicates": ["rdfs:label"], "mode": "first"}]}', /"mode" must be one of single, all, iris, any/],
+    ['{"columns": [', /not valid JSON/]
+  ])('rejects %s', (text, message) => {
+    expect(() => parseColumnProfile(text)).toThrow(message);
+  });
+
+  test('buildElementTableModel fills columns by value mode and separator', () => {
+    const profile = normalizeColumnProfile({
+      name: 'Team',
+      columns: [
+        { key: 'name', header: 'Name', predicates: [EX + 'name'], mode: 'single' },
+        { key: 'notes', header: 'Notes', predicates: [EX + 'note'], mode: 'all', separator: ' | ' },
+        { key: 'seeIri', header: 'See (IRI)', predicates: [EX + 'see'], mode: 'iris' },
+        { key: 'see', header: 'See', predicates: [EX + 'see'], mode: 'any', separator: ', ' },
+        { key: 'unused', header: 'Unused', predicates: [EX + 'nothing'] }
+      ]
+    });
+
+    const model = buildElementTableModel(store, { profile });
+    expect(model.headers).toEqual(['iri', 'Name', 'Notes', 'See (IRI)', 'See']);
+    expect(model.rows).toEqual([{
+      iri: EX + 'A',
+      name: 'Name',
+      notes: 'one | two',
+      seeIri: EX + 'B',
+      see: `${EX}B, page 3`
+    }]);
+  });
+
+  test('isQuadUsedByTable follows the profile', () => {
+    const profile = normalizeColumnProfile({ columns: [{ key: 'notes', predicates: [EX + 'note'] }] });
+    const note = quad(namedNode(EX + 'A'), namedNode(EX + 'note'), literal('one'));
+    expect(isQuadUsedByTable(note)).toBe(false);
+    expect(isQuadUsedByTable(note, profile)).toBe(true);
+  });
+});
+
+describe('languages', () => {
+  const EX = 'http://ex.org/';
+  const t = (s, p, o) => quad(namedNode(s), namedNode(p), o);
+  const store = new Store([
+    t(EX + 'ont', NS.rdf + 'type', namedNode(NS.owl + 'Ontology')),
+    t(EX + 'ont', NS.rdfs + 'label', literal('Colours', 'en')),
+    t(EX + 'ont', NS.rdfs + 'label', literal('Couleurs', 'fr')),
+    t(EX + 'A', NS.rdf + 'type', namedNode(NS.owl + 'Class')),
+    t(EX + 'A', NS.rdfs + 'label', literal('red', 'en')),
+    t(EX + 'A', NS.rdfs + 'label', literal('rouge', 'fr')),
+    t(EX + 'A', NS.obo + 'IAO_0000115', literal('a colour', 'en')),
+    t(EX + 'B', NS.rdf + 'type', namedNode(NS.owl + 'Class')),
+    t(EX + 'B', NS.rdfs + 'label', literal('blue', 'en')),
+    t(EX + 'B', NS.rdfs + 'label', literal('blau', 'de')),
+    t(EX + 'B', NS.rdfs + 'label', literal('bleu', 'fr-CA'))
+  ]);
+
+  test('rank the literals of the card and the table', () => {
+    expect(extractOntologyMetadata(store, { languages: ['fr', '*'] }).ontologyName).toBe('Couleurs');
+    expect(extractOntologyMetadata(store).ontologyName).toBe('Colours');
+
+    const model = buildElementTableModel(store, { languages: ['fr', '*'] });
+    expect(model.rows.map(r => r.label)).toEqual(['rouge', 'bleu']);
+    expect(model.rows.map(r => r.definition)).toEqual(['a colour', '']);
+  });
+
+  test('split single-value columns per language, named languages first and kept when empty', () => {
+    const model = buildElementTableModel(store, { languages: ['fr', 'es', '*'], splitLanguages: true });
+
+    expect(model.keys).toEqual([
+      'iri',
+      'label', 'label@fr', 'label@es', 'label@de', 'label@en', 'label@fr-ca',
+      'type',
+      'definition', 'definition@fr', 'definition@es', 'definition@en'
+    ]);
+    expect(model.headers[2]).toBe('label@fr');
+    expect(model.rows[1]).toMatchObject({ label: 'bleu', 'label@fr': '', 'label@fr-ca': 'bleu', 'label@de': 'blau' });
+    expect(model.rows[0]).toMatchObject({ 'definition@en': 'a colour', 'definition@fr': '' });
+  });
+});
+
+describe('IRI display', () => {
+  const BFO = NS.obo + 'BFO_0000001';
+  const EX = 'http://ex.org/';
+  const t = (s, p, o) => quad(namedNode(s), namedNode(p), o);
+  const ontology = new Store([
+    t(EX + 'A', NS.rdf + 'type', namedNode(NS.owl + 'Class')),
+    t(EX + 'A', NS.rdfs + 'subClassOf', namedNode(BFO)),
+    t(EX + 'A', NS.rdfs + 'subClassOf', namedNode(EX + 'B'))
+  ]);
+  const bfo = new Store([
+    t(BFO, NS.rdfs + 'label', literal('entity', 'en')),
+    t(BFO, NS.rdfs + 'label', literal('entité', 'fr'))
+  ]);
+
+  test('tables list their IRI columns and the IRIs in them', () => {
+    const model = buildElementTableModel(ontology);
+    expect(model.iriColumns).toEqual({ type: '; ', subClassOf: '; ' });
+    expect(listTableIris(model)).toEqual([NS.owl + 'Class', BFO, EX + 'B', EX + 'A']);
+  });
+
+  test('labels are looked up across stores in the preferred language', () => {
+    const iris = [BFO, EX + 'B'];
+    expect(getIriLabels([ontology, bfo], iris)).toEqual({ [BFO]: 'entity' });
+    expect(getIriLabels([ontology, bfo], iris, ['fr', '*'])).toEqual({ [BFO]: 'entité' });
+  });
+
+  test('IRIs show as label with local name, CURIE or full IRI', () => {
+    const labels = { [BFO]: 'entity' };
+    expect(formatIri(BFO, 'label', labels)).toBe('entity (BFO_0000001)');
+    expect(formatIri(BFO, 'curie', labels)).toBe('BFO:0000001');
+    expect(formatIri(BFO, 'iri', labels)).toBe(BFO);
+    expect(formatIri(NS.owl + 'Class', 'label', labels)).toBe('owl:Class');
+  });
+
+  test('applyIriDisplay formats only IRI columns and keeps row order', () => {
+    const model = buildElementTableModel(ontology);
+    const shown = applyIriDisplay(model, 'label', getIriLabels([bfo], listTableIris(model)));
+
+    expect(shown.rows[0]).toEqual({
+      iri: EX + 'A',
+      type: 'owl:Class',
+      subClassOf: `entity (BFO_0000001); ${EX}B`
+    });
+    expect(model.rows[0].subClassOf).toBe(`${BFO}; ${EX}B`);
+    expect(applyIriDisplay(model, 'iri')).toBe(model);
+  });
+});
+
+describe('class expressions', () => {
+  const TTL = `
+    @prefix : <http://ex.org/> .
+    @prefix owl: <http://www.w3.org/2002/07/owl#> .
+    @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+    @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+    :Parent a owl:Class ;
+      rdfs:subClassOf :Person ,
+        [ a owl:Restriction ; owl:onProperty :hasChild ; owl:someValuesFrom :Person ] ,
+        [ a owl:Restriction ; owl:onProperty [ owl:inverseOf :hasParent ] ; owl:minCardinality "1"^^xsd:nonNegativeInteger ] ;
+      owl:equivalentClass [ owl:intersectionOf ( :Person
+        [ owl:unionOf ( :Mother :Father ) ]
+        [ owl:complementOf [ a owl:Restriction ; owl:onProperty :hasChild ; owl:allValuesFrom :Robot ] ] ) ] .
+    :Color a owl:Class ; owl:equivalentClass [ owl:oneOf ( :Red :Green ) ] .
+    :Pair a owl:Class ; rdfs:subClassOf [ a owl:Restriction ; owl:onProperty :hasPart ;
+      owl:qualifiedCardinality "2"^^xsd:nonNegativeInteger ; owl:onClass :Thing ] .
+    :Named a owl:Class ; rdfs:subClassOf [ a owl:Restriction ; owl:onProperty :name ; owl:hasValue "Bob \\"B\\"" ] .
+    :Person rdfs:label "person"@en .
+    :Mother rdfs:label "mother of"@en .
+  `;
+  const EX = 'http://ex.org/';
+  let store;
+  beforeAll(async () => {
+    store = await parseRdfTextToStore(TTL, 'text/turtle');
+  });
+  const row = (model, iri) => model.rows.find(r => r.iri === EX + iri);
+
+  test('render restrictions, boolean classes and enumerations in Manchester syntax', () => {
+    const model = buildElementTableModel(store);
+    expect(model.keys).toContain('equivalentClass');
+    expect(row(model, 'Parent').subClassOf).toBe(
+      `${EX}Person; <${EX}hasChild> some <${EX}Person>; inverse <${EX}hasParent> min 1`
+    );
+    expect(row(model, 'Parent').equivalentClass).toBe(
+      `<${EX}Person> and (<${EX}Mother> or <${EX}Father>) and (not (<${EX}hasChild> only <${EX}Robot>))`
+    );
+    expect(row(model, 'Color').equivalentClass).toBe(`{<${EX}Red>, <${EX}Green>}`);
+    expect(row(model, 'Pair').subClassOf).toBe(`<${EX}hasPart> exactly 2 <${EX}Thing>`);
+    expect(row(model, 'Named').subClassOf).toBe(`<${EX}name> value "Bob \\"B\\""`);
+  });
+
+  test('blank nodes that are not class expressions render as null', () => {
+    const other = new Store([quad(DataFactory.blankNode('b'), namedNode(EX + 'p'), namedNode(EX + 'q'))]);
+    expect(renderClassExpression(other, DataFactory.blankNode('b'))).toBeNull();
+  });
+
+  test('names in expressions follow the IRI display', () => {
+    const model = buildElementTableModel(store);
+    const labels = getIriLabels([store], listTableIris(model));
+    expect(listTableIris(model)).toEqual(expect.arrayContaining([EX + 'hasChild', EX + 'Robot', EX + 'Mother']));
+
+    const prefixes = { ...PREFIX_CATALOG, ex: EX };
+    const shown = applyIriDisplay(model, 'label', labels, prefixes);
+    expect(row(shown, 'Parent').equivalentClass).toBe(
+      "person and ('mother of' or ex:Father) and (not (ex:hasChild only ex:Robot))"
+    );
+    expect(formatManchesterIris(`<${EX}p> value "<${EX}q>"`, 'curie', {}, prefixes)).toBe(`ex:p value "<${EX}q>"`);
+    expect(applyIriDisplay(model, 'iri')).toBe(model);
+  });
+
+  test('streaming keeps the quads of class expressions', () => {
+    const kept = store.getQuads(null, null, null, null).filter(q => isQuadUsedByTable(q));
+    const model = buildElementTableModel(new Store(kept));
+    expect(row(model, 'Parent').equivalentClass).toBe(row(buildElementTableModel(store), 'Parent').equivalentClass);
+  });
+});
+
+describe('hierarchy', () => {
+  const TTL = `
+    @prefix : <http://ex.org/> .
+    @prefix owl: <http://www.w3.org/2002/07/owl#> .
+    @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+    :Animal a owl:Class ; rdfs:subClassOf owl:Thing .
+    :Pet a owl:Class .
+    :Dog a owl:Class ; rdfs:subClassOf :Animal, :Pet, [ owl:unionOf ( :Animal :Pet ) ] .
+    :Puppy a owl:Class ; rdfs:subClassOf :Dog .
+    :Yin a owl:Class ; rdfs:subClassOf :Yang .
+    :Yang a owl:Class ; rdfs:subClassOf :Yin .
+    :hasPart a owl:ObjectProperty .
+    :hasLeg a owl:ObjectProperty ; rdfs:subPropertyOf :hasPart .
+  `;
+  const EX = 'http://ex.org/';
+  let store;
+  beforeAll(async () => {
+    store = await parseRdfTextToStore(TTL, 'text/turtle');
+  });
+
+  test('builds class and property trees with several parents, and roots for cycles', () => {
+    const { classes, properties } = buildHierarchy(store);
+    expect(classes.roots).toEqual([EX + 'Animal', EX + 'Pet', EX + 'Yin']);
+    expect(classes.parents[EX + 'Dog']).toEqual([EX + 'Animal', EX + 'Pet']);
+    expect(classes.children[EX + 'Pet']).toEqual([EX + 'Dog']);
+    expect(classes.children[EX + 'Yin']).toEqual([EX + 'Yang']);
+    expect(classes.parents[NS.owl + 'Thing']).toBeUndefined();
+    expect(properties).toEqual({
+      roots: [EX + 'hasPart'],
+      parents: { [EX + 'hasPart']: [], [EX + 'hasLeg']: [EX + 'hasPart'] },
+      children: { [EX + 'hasPart']: [EX + 'hasLeg'], [EX + 'hasLeg']: [] }
+    });
+  });
+
+  test('table models carry the hierarchy, also when streamed', () => {
+    const model = buildElementTableModel(store);
+    expect(model.hierarchy).toEqual(buildHierarchy(store));
+
+    const profile = normalizeColumnProfile({ name: 'Labels', columns: [{ key: 'label', predicates: ['rdfs:label'] }] });
+    const kept = new Store(store.getQuads(null, null, null, null).filter(q => isQuadUsedByTable(q, profile)));
+    expect(buildElementTableModel(kept, { profile }).hierarchy).toEqual(model.hierarchy);
+  });
+
+  test('filtering keeps the ancestors of matching nodes', () => {
+    const { classes } = buildHierarchy(store);
+    expect(withHierarchyAncestors(classes, [EX + 'Puppy', EX + 'Unknown'])).toEqual(
+      new Set([EX + 'Puppy', EX + 'Dog', EX + 'Animal', EX + 'Pet'])
+    );
+    expect(withHierarchyAncestors(classes, [EX + 'Yang'])).toEqual(new Set([EX + 'Yang', EX + 'Yin']));
+  });
+});
+
+describe('facets', () => {
+  const TTL = `
+    @prefix : <http://ex.org/> .
+    @prefix other: <http://other.org/ns#> .
+    @prefix owl: <http://www.w3.org/2002/07/owl#> .
+    @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+    @prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+    :Animal a owl:Class ; rdfs:label "animal" ; rdfs:isDefinedBy :core .
+    :Dog a owl:Class ; rdfs:subClassOf :Animal ; skos:definition "A dog." ; rdfs:isDefinedBy :core .
+    :Cat a owl:Class ; rdfs:subClassOf :Animal ; owl:deprecated true .
+    other:Rock a owl:Class ; rdfs:label "rock" .
+    :hasPart a owl:ObjectProperty ; rdfs:isDefinedBy :extra .
+  `;
+  const EX = 'http://ex.org/';
+  let model;
+  beforeAll(async () => {
+    model = buildElementTableModel(await parseRdfTextToStore(TTL, 'text/turtle'));
+  });
+  const valuesOf = (facets, key) => facets.find(f => f.key === key)?.values;
+
+  test('counts types, top-level ancestors, curation, namespaces and flags', () => {
+    const facets = computeFacets(model, model.rows);
+    expect(valuesOf(facets, 'type')).toEqual([
+      { value: NS.owl + 'Class', count: 4 },
+      { value: NS.owl + 'ObjectProperty', count: 1 }
+    ]);
+    expect(valuesOf(facets, 'ancestor')).toEqual([
+      { value: EX + 'Animal', count: 3 },
+      { value: EX + 'hasPart', count: 1 },
+      { value: 'http://other.org/ns#Rock', count: 1 }
+    ]);
+    expect(valuesOf(facets, 'curatedIn')).toEqual([
+      { value: '', count: 2 },
+      { value: EX + 'core', count: 2 },
+      { value: EX + 'extra', count: 1 }
+    ]);
+    expect(valuesOf(facets, 'namespace')).toEqual([
+      { value: EX, count: 4 },
+      { value: 'http://other.org/ns#', count: 1 }
+    ]);
+    expect(valuesOf(facets, 'definition')).toEqual([{ value: 'no', count: 4 }, { value: 'yes', count: 1 }]);
+    expect(valuesOf(facets, 'deprecated')).toEqual([{ value: 'no', count: 4 }, { value: 'yes', count: 1 }]);
+  });
+
+  test('selections match any value within a facet and every facet', () => {
+    const iris = selection => filterRowsByFacets(model, model.rows, selection).map(r => r.iri).sort();
+    expect(iris({ curatedIn: [EX + 'core', EX + 'extra'] })).toEqual([EX + 'Animal', EX + 'Dog', EX + 'hasPart']);
+    expect(iris({ curatedIn: [EX + 'core'], definition: ['no'] })).toEqual([EX + 'Animal']);
+    expect(iris({ curatedIn: [''] })).toEqual([EX + 'Cat', 'http://other.org/ns#Rock']);
+    expect(filterRowsByFacets(model, model.rows, { type: [] })).toBe(model.rows);
+  });
+
+  test('a facet counts without its own selection, and lists selected values with no rows', () => {
+    const selection = { deprecated: ['yes'], namespace: ['http://nowhere.org/'] };
+    const facets = computeFacets(model, model.rows, selection);
+    expect(valuesOf(facets, 'deprecated')).toEqual([{ value: 'yes', count: 0 }]);
+    expect(valuesOf(facets, 'namespace')).toEqual([
+      { value: EX, count: 1 },
+      { value: 'http://nowhere.org/', count: 0 }
+    ]);
+  });
+
+  test('facet values survive streaming with a narrow profile', async () => {
+    const store = await parseRdfTextToStore(TTL, 'text/turtle');
+    const profile = normalizeColumnProfile({ name: 'Labels', columns: [{ key: 'label', predicates: ['rdfs:label'] }] });
+    const kept = new Store(store.getQuads(null, null, null, null).filter(q => isQuadUsedByTable(q, profile)));
+    expect(buildElementTableModel(kept, { profile }).facets).toEqual(model.facets);
+  });
+});
+
+describe('entity details', () => {
+  const TTL = `
+    @prefix : <http://ex.org/> .
+    @prefix owl: <http://www.w3.org/2002/07/owl#> .
+    @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+    @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+    :Cell a owl:Class ; rdfs:label "cell"@en, "cellule"@fr ; rdfs:comment "plain" ;
+      :weight "2"^^xsd:integer ;
+      rdfs:subClassOf [ a owl:Restriction ; owl:onProperty :partOf ; owl:someValuesFrom :Tissue ] ;
+      :note [ :text "reified" ] .
+    :Neuron a owl:Class ; rdfs:subClassOf :Cell .
+    :Organ a owl:Class ; rdfs:subClassOf [ a owl:Restriction ; owl:onProperty :hasPart ; owl:someValuesFrom :Cell ] .
+    :Group a owl:Class ; owl:equivalentClass [ owl:unionOf ( :Cell :Tissue ) ] .
+    :hasPart a owl:ObjectProperty ; rdfs:domain [ owl:unionOf ( :Cell :Organ ) ] ; rdfs:range :Cell .
+    :Thing :about :Cell .
+  `;
+  const EX = 'http://ex.org/';
+  let store;
+  beforeAll(async () => {
+    store = await parseRdfTextToStore(TTL, 'text/turtle');
+  });
+
+  test('groups the triples by predicate with languages, datatypes and expressions', () => {
+    const { groups, labels } = describeEntity([store], EX + 'Cell', ['fr', '*']);
+    const values = predicate => groups.find(g => g.predicate === predicate).values;
+
+    expect(groups.slice(0, 2).map(g => g.predicate)).toEqual([NS.rdf + 'type', NS.rdfs + 'label']);
+    expect(values(NS.rdfs + 'label')).toEqual([
+      { termType: 'Literal', value: 'cell', language: 'en', datatype: '' },
+      { termType: 'Literal', value: 'cellule', language: 'fr', datatype: '' }
+    ]);
+    expect(values(NS.rdfs + 'comment')).toEqual([{ termType: 'Literal', value: 'plain', language: '', datatype: '' }]);
+    expect(values(EX + 'weight')[0].datatype).toBe('http://www.w3.org/2001/XMLSchema#integer');
+    expect(values(NS.rdfs + 'subClassOf')).toEqual([
+      { termType: 'BlankNode', value: `<${EX}partOf> some <${EX}Tissue>` }
+    ]);
+    expect(values(EX + 'note')).toEqual([{
+      termType: 'BlankNode',
+      value: '',
+      groups: [{ predicate: EX + 'text', values: [{ termType: 'Literal', value: 'reified', language: '', datatype: '' }] }]
+    }]);
+    expect(labels[EX + 'Cell']).toBe('cellule');
+  });
+
+  test('lists incoming references with the role the entity plays', () => {
+    const { incoming } = describeEntity([store, store], EX + 'Cell');
+    expect(incoming).toEqual(expect.arrayContaining([
+      { subject: EX + 'Neuron', predicate: NS.rdfs + 'subClassOf', role: 'parent' },
+      { subject: EX + 'Organ', predicate: NS.rdfs + 'subClassOf', role: 'filler' },
+      { subject: EX + 'Group', predicate: NS.owl + 'equivalentClass', role: 'expression' },
+      { subject: EX + 'hasPart', predicate: NS.rdfs + 'domain', role: 'domain' },
+      { subject: EX + 'hasPart', predicate: NS.rdfs + 'range', role: 'range' },
+      { subject: EX + 'Thing', predicate: EX + 'about', role: 'reference' }
+    ]));
+    expect(incoming).toHaveLength(6);
+  });
+
+  test('IRIs unknown to the files have no triples', () => {
+    expect(describeEntity([store], EX + 'Nothing')).toEqual({ iri: EX + 'Nothing', groups: [], incoming: [], labels: {} });
+  });
+
+  test('curieToIri expands CURIEs and accepts IRIs', () => {
+    const prefixes = { ...PREFIX_CATALOG, ex: EX, '': EX };
+    expect(curieToIri(' ex:Cell ', prefixes)).toBe(EX + 'Cell');
+    expect(curieToIri(':Cell', prefixes)).toBe(EX + 'Cell');
+    expect(curieToIri(`<${EX}Cell>`, prefixes)).toBe(EX + 'Cell');
+    expect(curieToIri('http://ex.org/Cell', prefixes)).toBe(EX + 'Cell');
+    expect(curieToIri('urn:isbn:123', prefixes)).toBe('urn:isbn:123');
+    expect(curieToIri('Cell', prefixes)).toBeNull();
+    expect(curieToIri('', prefixes)).toBeNull();
+  });
+});
+
+describe('prefixes', () => {
+  const prefixesOf = async (text, format, options = {}) => {
+    const prefixes = {};
+    await parseRdfTextToStore(text, format, { ...options, onPrefix: (p, ns) => { prefixes[p] = ns; } });
+    return prefixes;
+  };
+
+  test.each([
+    ['text/turtle', '@prefix ex: <http://ex.org/> .\nex:A a ex:B .'],
+    ['application/rdf+xml', '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:ex="http://ex.org/"><rdf:Description rdf:about="http://ex.org/A"/></rdf:RDF>'],
+    ['application/ld+json', '{ "@context": { "ex": "http://ex.org/", "name": "http://ex.org/name" }, "@id": "ex:A", "name": "A" }'],
+    ['text/owl-functional', 'Prefix(ex:=<http://ex.org/>)\nOntology(<http://ex.org/o>)'],
+    ['text/owl-manchester', 'Prefix: ex: <http://ex.org/>\nOntology: <http://ex.org/o>'],
+    ['text/obo', 'format-version: 1.4\nidspace: ex http://ex.org/\n\n[Term]\nid: ex:1\n']
+  ])('are reported while parsing %s', async (format, text) => {
+    expect(await prefixesOf(text, format)).toMatchObject({ ex: 'http://ex.org/' });
+  });
+
+  test('are reported by the progress, lenient and streaming Turtle paths', async () => {
+    const text = '@prefix ex: <http://ex.org/> .\nex:A a ex:B .';
+    expect(await prefixesOf(text, 'text/turtle', { onProgress: () => {} })).toEqual({ ex: 'http://ex.org/' });
+    expect(await prefixesOf(`${text}\nex:C ex:broken .`, 'text/turtle', { lenient: true })).toEqual({ ex: 'http://ex.org/' });
+
+    const prefixes = {};
+    await parseRdfStreamToStore(new Blob([text]).stream().pipeThrough(new TextDecoderStream()), 'text/turtle', {
+      onPrefix: (p, ns) => { prefixes[p] = ns; }
+    });
+    expect(prefixes).toEqual({ ex: 'http://ex.org/' });
+  });
+
+  test('iriToCurie picks the longest namespace', () => {
+    expect(iriToCurie(NS.obo + 'BFO_0000001')).toBe('BFO:0000001');
+    expect(iriToCurie(NS.obo + 'CL_0000000')).toBe('obo:CL_0000000');
+    expect(iriToCurie('http://ex.org/A', { ex: 'http://ex.org/' })).toBe('ex:A');
+    expect(iriToCurie('http://other.org/A')).toBe('http://other.org/A');
+  });
+
+  test("mergePrefixes keeps a file's default prefix to itself", () => {
+    const a = { name: 'a.ttl', prefixes: { '': 'http://a.org/', ex: 'http://ex.org/' } };
+    const b = { name: 'b.ttl', prefixes: { '': 'http://b.org/' } };
+
+    const both = mergePrefixes({ files: [a, b] });
+    expect(both.conflicts).toEqual([]);
+    expect(both.prefixes).not.toHaveProperty('');
+    expect(both.prefixes.ex).toBe('http://ex.org/');
+    expect(mergePrefixes({ files: [a] }).prefixes['']).toBe('http://a.org/');
+    expect(mergePrefixes({ files: [a, b], user: { '': 'http://mine.org/' } }).prefixes['']).toBe('http://mine.org/');
+  });
+
+  test('mergePrefixes layers user over files over catalog and flags file conflicts', () => {
+    const { prefixes, conflicts } = mergePrefixes({
+      files: [
+        { name: 'a.ttl', prefixes: { ex: 'http://ex.org/', schema: 'http://schema.org/' } },
+        { name: 'b.ttl', prefixes: { ex: 'http://example.com/', foo: 'http://foo.org/' } },
+        { name: 'c.ttl', prefixes: { ex: 'http://ex.org/' } }
+      ],
+      user: { foo: 'http://bar.org/' }
+    });
+
+    expect(prefixes).toMatchObject({
+      owl: PREFIX_CATALOG.owl,
+      schema: 'http://schema.org/',
+      ex: 'http://ex.org/',
+      foo: 'http://bar.org/'
+    });
+    expect(conflicts).toEqual([{
+      prefix: 'ex',
+      bindings: [
+        { namespace: 'http://ex.org/', files: ['a.ttl', 'c.ttl'] },
+        { namespace: 'http://example.com/', files: ['b.ttl'] }
+      ]
+    }]);
+  });
+
+  test('user prefixes are read from Turtle, SPARQL or plain lines', () => {
+    const prefixes = parsePrefixDeclarations([
+      '# ours',
+      '@prefix ex: <http://ex.org/> .',
+      'PREFIX foo: <http://foo.org/>',
+      'bar: http://bar.org/#',
+      ': <http://default.org/>'
+    ].join('\n'));
+
+    expect(prefixes).toEqual({ ex: 'http://ex.org/', foo: 'http://foo.org/', bar: 'http://bar.org/#', '': 'http://default.org/' });
+    expect(parsePrefixDeclarations(formatPrefixDeclarations(prefixes))).toEqual(prefixes);
+    expect(() => parsePrefixDeclarations('ex: <http://ex.org/> .\nnonsense')).toThrow('line 2 is not a prefix declaration');
+  });
+
+  test('discovered column headers use the given prefixes', () => {
+    const store = new Store([
+      quad(namedNode('http://ex.org/A'), namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')),
+      quad(namedNode('http://ex.org/A'), namedNode('http://ex.org/note'), literal('n'))
+    ]);
+    const model = buildElementTableModel(store, {
+      profile: ALL_PROPERTIES_PROFILE,
+      prefixes: { ...PREFIX_CATALOG, ex: 'http://ex.org/' }
+    });
+    expect(model.headers).toContain('ex:note');
+  });
+});
+
+describe('all properties mode', () => {
+  const EX = 'http://ex.org/';
+  const t = (s, p, o) => quad(namedNode(s), namedNode(p), o);
+  const store = new Store([
+    t(EX + 'A', NS.rdf + 'type', namedNode(NS.owl + 'Class')),
+    t(EX + 'B', NS.rdf + 'type', namedNode(NS.owl + 'Class')),
+    t(EX + 'A', NS.obo + 'IAO_0000115', literal('def A')),
+    t(EX + 'B', NS.obo + 'IAO_0000115', literal('def B')),
+    t(EX + 'A', EX + 'note', literal('n1')),
+    t(EX + 'A', EX + 'note', literal('n2')),
+    t(EX + 'A', EX + 'remark', literal('r')),
+    t(EX + 'B', EX + 'blankOnly', DataFactory.blankNode('x')),
+    // property labels; two share "comment"
+    t(EX + 'note', NS.rdfs + 'label', literal('comment', 'en')),
+    t(EX + 'remark', NS.rdfs + 'label', literal('comment'))
+  ]);
+
+  test('makes one column per used predicate, most used first, with label or CURIE headers', () => {
+    const model = buildElementTableModel(store, { profile: ALL_PROPERTIES_PROFILE });
+
+    expect(model.headers).toEqual([
+      'iri',
+      'IAO:0000115',
+      'rdf:type',
+      `comment (${EX}note)`,
+      `comment (${EX}remark)`
+    ]);
+    expect(model.keys).toEqual(['iri', NS.obo + 'IAO_0000115', NS.rdf + 'type', EX + 'note', EX + 'remark']);
+    expect(model.rows[0]).toEqual({
+      iri: EX + 'A',
+      [NS.obo + 'IAO_0000115']: 'def A',
+      [NS.rdf + 'type']: NS.owl + 'Class',
+      [EX + 'note']: 'n1; n2',
+      [EX + 'remark']: 'r'
+    });
+  });
+
+  test('profiles can add discovered columns after their own', () => {
+    const profile = normalizeColumnProfile({
+      name: 'Definitions and the rest',
+      discover: true,
+      separator: ' / ',
+      columns: [{ key: 'definition', predicates: ['obo:IAO_0000115'], mode: 'single' }]
+    });
+    expect(parseColumnProfile(columnProfileToJson(profile))).toEqual(profile);
+
+    const model = buildElementTableModel(store, { profile });
+    expect(model.keys.slice(0, 3)).toEqual(['iri', 'definition', NS.rdf + 'type']);
+    expect(model.keys).not.toContain(NS.obo + 'IAO_0000115');
+    expect(model.rows[0][EX + 'note']).toBe('n1 / n2');
+  });
+
+  test('discovering profiles need no columns and keep every quad when streaming', () => {
+    expect(normalizeColumnProfile({ name: 'Everything', discover: true }))
+      .toEqual({ name: 'Everything', discover: true, separator: '; ', columns: [] });
+    expect(() => normalizeColumnProfile({ discover: 'yes' })).toThrow('"discover" must be true or false');
+    expect(isQuadUsedByTable(t(EX + 'A', EX + 'anything', literal('x')), ALL_PROPERTIES_PROFILE)).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+// __tests__/jsonld-parser.test.js
+
+import { parseJsonLdToQuads, isJsonLdContextDocument } from '../docs/app/jsonld-parser.js';
+import { parseRdfTextToStore, buildElementTableModel, extractOntologyMetadata, NS } from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+function parse(doc, options) {
+  return parseJsonLdToQuads(JSON.stringify(doc), DataFactory, options);
+}
+
+function find(quads, s, p) {
+  return quads.filter(q =>
+    (s == null || q.subject.value === s) &&
+    (p == null || q.predicate.value === p)
+  );
+}
+
+const context = {
+  rdfs: NS.rdfs,
+  owl: NS.owl,
+  ex: 'http://example.org/',
+  label: { '@id': 'rdfs:label', '@language': 'en' },
+  subClassOf: { '@id': 'rdfs:subClassOf', '@type': '@id' },
+  id: '@id',
+  type: '@type'
+};
+
+describe('parseJsonLdToQuads', () => {
+  test('expands an inline context with aliases, typed terms and default language', () => {
+    const quads = parse({
+      '@context': context,
+      '@graph': [
+        { id: 'ex:A', type: 'owl:Class', label: 'Class A', subClassOf: 'ex:B' }
+      ]
+    });
+
+    const A = 'http://example.org/A';
+    expect(find(quads, A, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Class');
+    expect(find(quads, A, NS.rdfs + 'label')[0].object.language).toBe('en');
+    expect(find(quads, A, NS.rdfs + 'subClassOf')[0].object.termType).toBe('NamedNode');
+  });
+
+  test('handles embedded contexts, @vocab, language maps and lists', () => {
+    const quads = parse({
+      '@context': { '@vocab': 'http://example.org/vocab#' },
+      '@id': 'http://example.org/x',
+      name: { '@value': 'X', '@language': 'fr' },
+      nested: {
+        '@context': { 'titles': { '@id': 'http://purl.org/dc/terms/title', '@container': '@language' } },
+        titles: { en: 'Hello', de: 'Hallo' }
+      },
+      steps: { '@list': [1, 2.5] }
+    });
+
+    const nested = find(quads, 'http://example.org/x', 'http://example.org/vocab#nested')[0].object;
+    const titles = find(quads, nested.value, 'http://purl.org/dc/terms/title').map(q => q.object.language);
+    expect(titles.sort()).toEqual(['de', 'en']);
+
+    const head = find(quads, 'http://example.org/x', 'http://example.org/vocab#steps')[0].object;
+    const first = find(quads, head.value, NS.rdf + 'first')[0].object;
+    expect(first.value).toBe('1');
+    expect(first.datatype.value).toBe('http://www.w3.org/2001/XMLSchema#integer');
+  });
+
+  test('defines compact IRI terms from their prefix, also when @id repeats the term', () => {
+    for (const definition of [{ '@type': '@id' }, { '@id': 'rdfs:subClassOf', '@type': '@id' }]) {
+      const quads = parse({
+        '@context': { rdfs: NS.rdfs, 'rdfs:subClassOf': definition },
+        '@id': 'http://example.org/Dog',
+        'rdfs:subClassOf': 'http://example.org/Animal'
+      });
+      expect(quads).toHaveLength(1);
+      expect(quads[0].predicate.value).toBe(NS.rdfs + 'subClassOf');
+      expect(quads[0].object.termType).toBe('NamedNode');
+      expect(quads[0].object.value).toBe('http://example.org/Animal');
+    }
+  });
+
+  test('resolves remote contexts only from locally supplied documents', () => {
+    const doc = { '@context': 'https://example.org/contexts/ont.jsonld', id: 'ex:A', label: 'A' };
+
+    expect(() => parse(doc)).toThrow(/not available offline/);
+
+    const byUrl = parse(doc, { contexts: { 'https://example.org/contexts/ont.jsonld': { '@context': context } } });
+    expect(find(byUrl, 'http://example.org/A', NS.rdfs + 'label')).toHaveLength(1);
+
+    const byFileName = parse(doc, { contexts: { 'ont.jsonld': { '@context': context } } });
+    expect(find(byFileName, 'http://example.org/A', NS.rdfs + 'label')).toHaveLength(1);
+  });
+
+  test('reports syntax errors with a line number', () => {
+    expect.assertions(2);
+    try {
+      parseJsonLdToQuads('{\n  "@id": "x",\n  oops\n}', DataFactory);
+    } catch (err) {
+      expect(err.message).toMatch(/JSON-LD syntax error/);
+      expect(err.line).toBe(3);
+    }
+  });
+});
+
+test('isJsonLdContextDocument recognises context-only documents', () => {
+  expect(isJsonLdContextDocument({ '@context': {} })).toBe(true);
+  expect(isJsonLdContextDocument({ '@context': {}, '@id': 'x' })).toBe(false);
+  expect(isJsonLdContextDocument(null)).toBe(false);
+});
+
+test('JSON-LD feeds metadata and table extraction through parseRdfTextToStore', async () => {
+  const text = JSON.stringify({
+    '@context': context,
+    '@graph': [
+      { id: 'http://example.org/ont', type: 'owl:Ontology', label: 'Example' },
+      { id: 'ex:A', type: 'owl:Class', label: 'A' }
+    ]
+  });
+
+  const store = await parseRdfTextToStore(text, 'application/ld+json');
+  expect(extractOntologyMetadata(store).ontologyName).toBe('Example');
+  expect(buildElementTableModel(store).rows.map(r => r.label)).toEqual(['A']);
+});
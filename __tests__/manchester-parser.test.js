@@ -0,0 +1,133 @@
+// __tests__/manchester-parser.test.js
+
+import { parseManchesterToQuads } from '../docs/app/manchester-parser.js';
+import { parseRdfTextToStore, buildElementTableModel, extractOntologyMetadata, NS } from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+function parse(text) {
+  return parseManchesterToQuads(text, DataFactory);
+}
+
+function find(quads, s, p) {
+  return quads.filter(q =>
+    (s == null || q.subject.value === s) &&
+    (p == null || q.predicate.value === p)
+  );
+}
+
+const ONT = 'http://example.org/ont';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const sample = `Prefix: : <${ONT}#>
+Prefix: obo: <${NS.obo}>
+
+Ontology: <${ONT}> <${ONT}/1.0>
+Import: <http://example.org/other>
+Annotations: rdfs:label "Example Ontology"@en
+
+ObjectProperty: obo:BFO_0000050
+    SubPropertyOf: :overlaps
+    Characteristics: Transitive
+
+DataProperty: :weight
+    Range: xsd:decimal[>= 0.0]
+
+Class: :A
+    Annotations:
+        rdfs:label "A"@en,
+        obo:IAO_0000115 "An A is a thing."
+    SubClassOf:
+        Annotations: rdfs:comment "asserted by curator"
+        :B,
+        obo:BFO_0000050 some (:C or :D),
+        :weight some xsd:decimal,
+        not (:E)
+    EquivalentTo: :B and obo:BFO_0000050 min 2 :C
+
+Individual: :a
+    Types: :A
+    Facts: obo:BFO_0000050 :b, :weight 4.5
+
+DisjointClasses: :A, :E
+`;
+
+describe('parseManchesterToQuads', () => {
+  test('maps the ontology header, imports and annotations', () => {
+    const quads = parse(sample);
+
+    expect(find(quads, ONT, NS.owl + 'versionIRI')[0].object.value).toBe(`${ONT}/1.0`);
+    expect(find(quads, ONT, NS.owl + 'imports')[0].object.value).toBe('http://example.org/other');
+    expect(find(quads, ONT, NS.rdfs + 'label')[0].object.language).toBe('en');
+  });
+
+  test('maps frames, annotation assertions and property axioms', () => {
+    const quads = parse(sample);
+    const A = `${ONT}#A`;
+    const partOf = NS.obo + 'BFO_0000050';
+
+    expect(find(quads, A, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Class');
+    expect(find(quads, A, NS.obo + 'IAO_0000115')[0].object.value).toBe('An A is a thing.');
+    expect(find(quads, partOf, NS.rdfs + 'subPropertyOf')[0].object.value).toBe(`${ONT}#overlaps`);
+    expect(find(quads, partOf, NS.rdf + 'type').map(q => q.object.value))
+      .toEqual(expect.arrayContaining([NS.owl + 'ObjectProperty', NS.owl + 'TransitiveProperty']));
+    expect(find(quads, `${ONT}#a`, `${ONT}#weight`)[0].object.datatype.value).toBe(XSD + 'decimal');
+  });
+
+  test('maps class expressions, telling object and data restrictions apart', () => {
+    const quads = parse(sample);
+    const supers = find(quads, `${ONT}#A`, NS.rdfs + 'subClassOf').map(q => q.object);
+
+    expect(supers.map(s => s.value)).toContain(`${ONT}#B`);
+    expect(supers.filter(s => s.termType === 'BlankNode')).toHaveLength(3);
+
+    const restrictions = supers.filter(s => find(quads, s.value, NS.owl + 'someValuesFrom').length);
+    const objectSome = restrictions.find(r => find(quads, r.value, NS.owl + 'onProperty')[0].object.value === NS.obo + 'BFO_0000050');
+    const union = find(quads, objectSome.value, NS.owl + 'someValuesFrom')[0].object;
+    expect(find(quads, union.value, NS.owl + 'unionOf')).toHaveLength(1);
+
+    const dataSome = restrictions.find(r => r !== objectSome);
+    expect(find(quads, dataSome.value, NS.owl + 'someValuesFrom')[0].object.value).toBe(XSD + 'decimal');
+
+    expect(find(quads, null, NS.owl + 'complementOf')[0].object.value).toBe(`${ONT}#E`);
+    expect(find(quads, `${ONT}#A`, NS.owl + 'equivalentClass')).toHaveLength(1);
+    expect(find(quads, `${ONT}#A`, NS.owl + 'disjointWith')[0].object.value).toBe(`${ONT}#E`);
+  });
+
+  test('reifies annotated axioms as owl:Axiom', () => {
+    const quads = parse(sample);
+    const axiom = find(quads, null, NS.owl + 'annotatedSource')[0].subject;
+    expect(find(quads, axiom.value, NS.owl + 'annotatedTarget')[0].object.value).toBe(`${ONT}#B`);
+    expect(find(quads, axiom.value, NS.rdfs + 'comment')[0].object.value).toBe('asserted by curator');
+  });
+
+  test('reports syntax errors with their line', () => {
+    expect(() => parse(`Ontology: <${ONT}>\nClass: <${ONT}#A>\n    SubClassOf: <${ONT}#B> and\n`)).toThrow(/Manchester Syntax error: .* on line 4/);
+    expect(() => parse(`Ontology: <${ONT}>\n\nClass: nope:A\n`)).toThrow(/Unknown prefix "nope:" on line 3/);
+    expect(() => parse(`Ontology: <${ONT}>\nClass: <${ONT}#A>\n    Types: <${ONT}#B>\n`)).toThrow(/Unexpected section "Types:" in Class frame on line 3/);
+  });
+});
+
+test('lenient mode skips the rest of a broken frame', () => {
+  const dropped = [];
+  const quads = parseManchesterToQuads(`Ontology: <${ONT}>
+Class: <${ONT}#A>
+    SubClassOf: <${ONT}#B> and
+Class: <${ONT}#C>
+    SubClassOf: <${ONT}#D>
+`, DataFactory, { onDropped: err => dropped.push(err) });
+
+  expect(dropped).toHaveLength(1);
+  expect(dropped[0].line).toBe(4);
+  expect(find(quads, `${ONT}#A`, NS.rdf + 'type')).toHaveLength(1);
+  expect(find(quads, `${ONT}#C`, NS.rdfs + 'subClassOf')[0].object.value).toBe(`${ONT}#D`);
+});
+
+test('Manchester Syntax feeds metadata and table extraction through parseRdfTextToStore', async () => {
+  const store = await parseRdfTextToStore(sample, 'text/owl-manchester');
+  expect(extractOntologyMetadata(store).ontologyName).toBe('Example Ontology');
+
+  const row = buildElementTableModel(store).rows.find(r => r.iri === `${ONT}#A`);
+  expect(row.label).toBe('A');
+  expect(row.definition).toBe('An A is a thing.');
+});
@@ -0,0 +1,147 @@
+// __tests__/obo-parser.test.js
+
+import { parseOboToQuads } from '../docs/app/obo-parser.js';
+import { parseRdfTextToStore, buildElementTableModel, extractOntologyMetadata, NS } from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+function parse(text) {
+  return parseOboToQuads(text, DataFactory);
+}
+
+function find(quads, s, p) {
+  return quads.filter(q =>
+    (s == null || q.subject.value === s) &&
+    (p == null || q.predicate.value === p)
+  );
+}
+
+const OIO = 'http://www.geneontology.org/formats/oboInOwl#';
+const GO = id => `${NS.obo}GO_${id}`;
+
+const sample = `format-version: 1.4
+data-version: 2024-01-01
+ontology: go
+default-namespace: gene_ontology
+synonymtypedef: systematic_synonym "Systematic synonym" EXACT
+property_value: http://purl.org/dc/elements/1.1/title "Gene Ontology" xsd:string
+
+[Term]
+id: GO:0008150
+name: biological_process
+namespace: biological_process
+def: "A biological process is the execution of a genetically-encoded biological module." [GOC:pdt, PMID:123 "a paper, with comma"]
+synonym: "physiological process" EXACT [GOC:go]
+synonym: "bp" RELATED systematic_synonym []
+xref: Wikipedia:Biological_process ! a comment
+
+[Term]
+id: GO:0009987
+name: cellular process
+is_a: GO:0008150 ! biological_process
+relationship: part_of GO:0008150 {source="x"}
+
+[Term]
+id: GO:0000001
+name: obsolete thing
+is_obsolete: true
+replaced_by: GO:0009987
+
+[Typedef]
+id: part_of
+name: part of
+xref: BFO:0000050
+is_transitive: true
+`;
+
+describe('parseOboToQuads', () => {
+  test('maps the header to ontology annotations', () => {
+    const quads = parse(sample);
+    const ONT = `${NS.obo}go.owl`;
+
+    expect(find(quads, ONT, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Ontology');
+    expect(find(quads, ONT, NS.owl + 'versionIRI')[0].object.value).toBe(`${NS.obo}go/2024-01-01/go.owl`);
+    expect(find(quads, ONT, OIO + 'hasOBOFormatVersion')[0].object.value).toBe('1.4');
+    expect(find(quads, ONT, NS.dc + 'title')[0].object.value).toBe('Gene Ontology');
+  });
+
+  test('maps terms to classes with labels, definitions, synonyms and namespace', () => {
+    const quads = parse(sample);
+    const bp = GO('0008150');
+
+    expect(find(quads, bp, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Class');
+    expect(find(quads, bp, NS.rdfs + 'label')[0].object.value).toBe('biological_process');
+    expect(find(quads, bp, OIO + 'id')[0].object.value).toBe('GO:0008150');
+    expect(find(quads, bp, OIO + 'hasOBONamespace')[0].object.value).toBe('biological_process');
+    expect(find(quads, bp, OIO + 'hasDbXref')[0].object.value).toBe('Wikipedia:Biological_process');
+    expect(find(quads, bp, NS.obo + 'IAO_0000115')[0].object.value).toMatch(/^A biological process/);
+    expect(find(quads, bp, NS.obo + 'IAO_0000119').map(q => q.object.value)).toEqual(['GOC:pdt', 'PMID:123']);
+    expect(find(quads, bp, OIO + 'hasExactSynonym')[0].object.value).toBe('physiological process');
+    expect(find(quads, bp, OIO + 'hasRelatedSynonym')[0].object.value).toBe('bp');
+  });
+
+  test('keeps def and synonym xrefs as axiom annotations', () => {
+    const quads = parse(sample);
+    const axioms = find(quads, null, NS.owl + 'annotatedProperty');
+    const defAxiom = axioms.find(q => q.object.value === NS.obo + 'IAO_0000115').subject;
+    expect(find(quads, defAxiom.value, OIO + 'hasDbXref').map(q => q.object.value).sort())
+      .toEqual(['GOC:pdt', 'PMID:123']);
+
+    const typed = axioms.find(q => find(quads, q.subject.value, OIO + 'hasSynonymType').length).subject;
+    expect(find(quads, typed.value, OIO + 'hasSynonymType')[0].object.value).toBe(`${NS.obo}go#systematic_synonym`);
+  });
+
+  test('maps is_a, relationship, obsolescence and typedef shorthands', () => {
+    const quads = parse(sample);
+    const cp = GO('0009987');
+    const partOf = `${NS.obo}BFO_0000050`;
+
+    const supers = find(quads, cp, NS.rdfs + 'subClassOf').map(q => q.object);
+    expect(supers.map(s => s.value)).toContain(GO('0008150'));
+    const some = supers.find(s => s.termType === 'BlankNode');
+    expect(find(quads, some.value, NS.owl + 'onProperty')[0].object.value).toBe(partOf);
+
+    expect(find(quads, GO('0000001'), NS.owl + 'deprecated')[0].object.value).toBe('true');
+    expect(find(quads, GO('0000001'), NS.obo + 'IAO_0100001')[0].object.value).toBe(cp);
+
+    expect(find(quads, partOf, NS.rdf + 'type').map(q => q.object.value))
+      .toEqual(expect.arrayContaining([NS.owl + 'ObjectProperty', NS.owl + 'TransitiveProperty']));
+    expect(find(quads, partOf, OIO + 'shorthand')[0].object.value).toBe('part_of');
+  });
+
+  test('reports malformed clauses with their line', () => {
+    expect(() => parse('format-version: 1.4\n\n[Term]\nid: X:1\nthis line has no tag\n')).toThrow(/OBO error: .* on line 5/);
+    expect(() => parse('[Term]\nid: X:1\ndef: "unterminated\n')).toThrow(/Unterminated quoted string on line 3/);
+    expect(() => parse('[Term]\nname: nameless\n')).toThrow(/\[Term\] stanza has no id on line 1/);
+  });
+});
+
+test('lenient mode drops malformed lines, clauses and stanzas', () => {
+  const dropped = [];
+  const quads = parseOboToQuads(`[Term]
+id: X:1
+this line has no tag
+def: "unterminated
+name: one
+
+[Term]
+name: nameless
+
+[Term]
+id: X:2
+`, DataFactory, { onDropped: err => dropped.push(err) });
+
+  expect(dropped.map(e => e.line)).toEqual([3, 4, 7]);
+  expect(find(quads, `${NS.obo}X_1`, NS.rdfs + 'label')[0].object.value).toBe('one');
+  expect(find(quads, `${NS.obo}X_2`, NS.rdf + 'type')).toHaveLength(1);
+});
+
+test('OBO feeds metadata and table extraction through parseRdfTextToStore', async () => {
+  const store = await parseRdfTextToStore(sample, 'text/obo');
+  expect(extractOntologyMetadata(store).ontologyIri).toBe(`${NS.obo}go.owl`);
+
+  const row = buildElementTableModel(store).rows.find(r => r.iri === GO('0008150'));
+  expect(row.label).toBe('biological_process');
+  expect(row.definition).toMatch(/^A biological process/);
+  expect(row.definitionSource).toBe('GOC:pdt; PMID:123');
+});
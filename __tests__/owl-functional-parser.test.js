@@ -0,0 +1,106 @@
+// __tests__/owl-functional-parser.test.js
+
+import { parseOwlFunctionalToQuads } from '../docs/app/owl-functional-parser.js';
+import { parseRdfTextToStore, buildElementTableModel, extractOntologyMetadata, NS } from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+function parse(text) {
+  return parseOwlFunctionalToQuads(text, DataFactory);
+}
+
+function find(quads, s, p) {
+  return quads.filter(q =>
+    (s == null || q.subject.value === s) &&
+    (p == null || q.predicate.value === p)
+  );
+}
+
+const ONT = 'http://example.org/ont';
+
+const sample = `Prefix(:=<${ONT}#>)
+Prefix(obo:=<${NS.obo}>)
+Prefix(rdfs:=<${NS.rdfs}>)
+
+# A comment line
+Ontology(<${ONT}> <${ONT}/1.0>
+  Import(<http://example.org/other>)
+  Annotation(rdfs:label "Example Ontology"@en)
+
+  Declaration(Class(:A))
+  Declaration(ObjectProperty(obo:BFO_0000050))
+  Declaration(DataProperty(:weight))
+
+  AnnotationAssertion(obo:IAO_0000115 :A "An A is a thing.")
+  AnnotationAssertion(rdfs:label :A "A"@en)
+  SubClassOf(Annotation(rdfs:comment "asserted by curator") :A :B)
+  SubClassOf(:A ObjectSomeValuesFrom(obo:BFO_0000050 :C))
+  SubClassOf(:A DataMinCardinality(1 :weight xsd:decimal))
+  SubObjectPropertyOf(obo:BFO_0000050 :overlaps)
+)`;
+
+describe('parseOwlFunctionalToQuads', () => {
+  test('maps the ontology header, imports and annotations', () => {
+    const quads = parse(sample);
+
+    expect(find(quads, ONT, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Ontology');
+    expect(find(quads, ONT, NS.owl + 'versionIRI')[0].object.value).toBe(`${ONT}/1.0`);
+    expect(find(quads, ONT, NS.owl + 'imports')[0].object.value).toBe('http://example.org/other');
+    expect(find(quads, ONT, NS.rdfs + 'label')[0].object.language).toBe('en');
+  });
+
+  test('maps declarations, annotation assertions and class axioms', () => {
+    const quads = parse(sample);
+    const A = `${ONT}#A`;
+
+    expect(find(quads, A, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Class');
+    expect(find(quads, A, NS.obo + 'IAO_0000115')[0].object.value).toBe('An A is a thing.');
+
+    const supers = find(quads, A, NS.rdfs + 'subClassOf').map(q => q.object);
+    expect(supers.map(s => s.value)).toContain(`${ONT}#B`);
+
+    const some = supers.find(s => find(quads, s.value, NS.owl + 'someValuesFrom').length);
+    expect(find(quads, some.value, NS.owl + 'onProperty')[0].object.value).toBe(NS.obo + 'BFO_0000050');
+
+    const min = supers.find(s => find(quads, s.value, NS.owl + 'minQualifiedCardinality').length);
+    expect(find(quads, min.value, NS.owl + 'onDataRange')[0].object.value).toBe('http://www.w3.org/2001/XMLSchema#decimal');
+
+    expect(find(quads, NS.obo + 'BFO_0000050', NS.rdfs + 'subPropertyOf')[0].object.value)
+      .toBe(`${ONT}#overlaps`);
+  });
+
+  test('reifies annotated axioms as owl:Axiom', () => {
+    const quads = parse(sample);
+    const axiom = find(quads, null, NS.owl + 'annotatedSource')[0].subject;
+    expect(find(quads, axiom.value, NS.rdfs + 'comment')[0].object.value).toBe('asserted by curator');
+  });
+
+  test('reports syntax errors and unsupported axioms with their line', () => {
+    expect(() => parse(`Ontology(<${ONT}>\n  Declaration(Class(<${ONT}#A>)\n`)).toThrow(/OWL Functional Syntax error: .* on line 3/);
+    expect(() => parse(`Ontology(<${ONT}>\n  Declaration(Class(nope:A))\n)`)).toThrow(/Unknown prefix "nope:" on line 2/);
+    expect(() => parse(`Ontology(<${ONT}>\n\n  NotAnAxiom(<${ONT}#A>)\n)`)).toThrow(/Unsupported OWL axiom: NotAnAxiom on line 3/);
+  });
+});
+
+test('lenient mode skips malformed and unsupported axioms', () => {
+  const dropped = [];
+  const quads = parseOwlFunctionalToQuads(`Ontology(<${ONT}>
+  Declaration(Class(<${ONT}#A>))
+  SubClassOf(<${ONT}#A> nope:B)
+  NotAnAxiom(<${ONT}#A>)
+  Declaration(Class(<${ONT}#C>))
+)`, DataFactory, { onDropped: err => dropped.push(err) });
+
+  expect(dropped.map(e => e.line)).toEqual([3, 4]);
+  expect(find(quads, `${ONT}#C`, NS.rdf + 'type')).toHaveLength(1);
+  expect(find(quads, `${ONT}#A`, NS.rdfs + 'subClassOf')).toHaveLength(0);
+});
+
+test('OWL Functional Syntax feeds metadata and table extraction through parseRdfTextToStore', async () => {
+  const store = await parseRdfTextToStore(sample, 'text/owl-functional');
+  expect(extractOntologyMetadata(store).ontologyName).toBe('Example Ontology');
+
+  const row = buildElementTableModel(store).rows.find(r => r.iri === `${ONT}#A`);
+  expect(row.label).toBe('A');
+  expect(row.definition).toBe('An A is a thing.');
+});
@@ -0,0 +1,113 @@
+// __tests__/owlxml-parser.test.js
+
+import { parseXmlDocument } from '../docs/app/xml-parser.js';
+import { owlXmlDocumentToQuads } from '../docs/app/owlxml-parser.js';
+import { NS } from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+function parse(xml) {
+  return owlXmlDocumentToQuads(parseXmlDocument(xml), DataFactory);
+}
+
+function find(quads, s, p) {
+  return quads.filter(q =>
+    (s == null || q.subject.value === s) &&
+    (p == null || q.predicate.value === p)
+  );
+}
+
+const ONT = 'http://example.org/ont';
+
+const sample = `<?xml version="1.0"?>
+<Ontology xmlns="http://www.w3.org/2002/07/owl#"
+     xml:base="${ONT}"
+     xmlns:xml="http://www.w3.org/XML/1998/namespace"
+     ontologyIRI="${ONT}"
+     versionIRI="${ONT}/1.0">
+    <Prefix name="obo" IRI="${NS.obo}"/>
+    <Prefix name="rdfs" IRI="${NS.rdfs}"/>
+    <Annotation>
+        <AnnotationProperty abbreviatedIRI="rdfs:label"/>
+        <Literal xml:lang="en">Example Ontology</Literal>
+    </Annotation>
+    <Declaration>
+        <Class IRI="#A"/>
+    </Declaration>
+    <Declaration>
+        <ObjectProperty abbreviatedIRI="obo:BFO_0000050"/>
+    </Declaration>
+    <SubClassOf>
+        <Annotation>
+            <AnnotationProperty abbreviatedIRI="rdfs:comment"/>
+            <Literal>asserted by curator</Literal>
+        </Annotation>
+        <Class IRI="#A"/>
+        <Class IRI="#B"/>
+    </SubClassOf>
+    <SubClassOf>
+        <Class IRI="#A"/>
+        <ObjectSomeValuesFrom>
+            <ObjectProperty abbreviatedIRI="obo:BFO_0000050"/>
+            <Class IRI="#C"/>
+        </ObjectSomeValuesFrom>
+    </SubClassOf>
+    <SubClassOf>
+        <Class IRI="#A"/>
+        <ObjectMinCardinality cardinality="2">
+            <ObjectProperty abbreviatedIRI="obo:BFO_0000050"/>
+        </ObjectMinCardinality>
+    </SubClassOf>
+    <AnnotationAssertion>
+        <AnnotationProperty abbreviatedIRI="obo:IAO_0000115"/>
+        <IRI>#A</IRI>
+        <Literal>An A is a thing.</Literal>
+    </AnnotationAssertion>
+</Ontology>`;
+
+describe('owlXmlDocumentToQuads', () => {
+  test('maps ontology header, declarations and annotation assertions', () => {
+    const quads = parse(sample);
+    const A = `${ONT}#A`;
+
+    expect(find(quads, ONT, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Ontology');
+    expect(find(quads, ONT, NS.owl + 'versionIRI')[0].object.value).toBe(`${ONT}/1.0`);
+    expect(find(quads, ONT, NS.rdfs + 'label')[0].object.language).toBe('en');
+
+    expect(find(quads, A, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Class');
+    expect(find(quads, NS.obo + 'BFO_0000050', NS.rdf + 'type')[0].object.value)
+      .toBe(NS.owl + 'ObjectProperty');
+    expect(find(quads, A, NS.obo + 'IAO_0000115')[0].object.value).toBe('An A is a thing.');
+  });
+
+  test('maps SubClassOf with named and anonymous superclasses', () => {
+    const quads = parse(sample);
+    const supers = find(quads, `${ONT}#A`, NS.rdfs + 'subClassOf').map(q => q.object);
+
+    expect(supers.map(s => s.value)).toContain(`${ONT}#B`);
+
+    const restrictions = supers.filter(s => s.termType === 'BlankNode');
+    expect(restrictions).toHaveLength(2);
+
+    const some = restrictions.find(r => find(quads, r.value, NS.owl + 'someValuesFrom').length);
+    expect(find(quads, some.value, NS.owl + 'onProperty')[0].object.value).toBe(NS.obo + 'BFO_0000050');
+    expect(find(quads, some.value, NS.owl + 'someValuesFrom')[0].object.value).toBe(`${ONT}#C`);
+
+    const min = restrictions.find(r => find(quads, r.value, NS.owl + 'minCardinality').length);
+    expect(find(quads, min.value, NS.owl + 'minCardinality')[0].object.value).toBe('2');
+  });
+
+  test('reifies annotated axioms as owl:Axiom', () => {
+    const quads = parse(sample);
+    const axiom = find(quads, null, NS.owl + 'annotatedSource')[0].subject;
+    expect(find(quads, axiom.value, NS.owl + 'annotatedTarget')[0].object.value).toBe(`${ONT}#B`);
+    expect(find(quads, axiom.value, NS.rdfs + 'comment')[0].object.value).toBe('asserted by curator');
+  });
+
+  test('reports the line of an unsupported axiom', () => {
+    const xml = `<Ontology xmlns="http://www.w3.org/2002/07/owl#" ontologyIRI="${ONT}">
+    <NotAnAxiom/>
+</Ontology>`;
+    expect(() => parse(xml)).toThrow(/Unsupported OWL axiom: NotAnAxiom on line 2/);
+  });
+});
@@ -0,0 +1,169 @@
+// __tests__/parse-worker.test.js
+
+import { gzipSync } from 'zlib';
+import { handleParseMessage } from '../docs/app/parse-worker.js';
+
+const ttl = (iri, extra = '') => `@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+<${iri}> a owl:Ontology${extra} .`;
+
+async function send(message) {
+  const posted = [];
+  await handleParseMessage(message, m => posted.push(m));
+  return posted;
+}
+
+describe('handleParseMessage', () => {
+  afterEach(() => send({ type: 'clear' }));
+
+  test('parse posts progress through each stage, then the result', async () => {
+    const text = `${ttl('http://ex.org/a')}
+<http://ex.org/A> a owl:Class ; rdfs:label "A" .`;
+    const posted = await send({ type: 'parse', id: 1, name: 'a.ttl', text, format: 'text/turtle', byteSize: 200 });
+
+    const progress = posted.filter(m => m.type === 'progress');
+    expect(progress.map(m => m.stage)).toEqual(['parse', 'metadata', 'table']);
+    expect(progress.every(m => m.id === 1 && m.totalBytes === 200)).toBe(true);
+
+    const result = posted[posted.length - 1];
+    expect(result).toMatchObject({
+      type: 'result',
+      id: 1,
+      quadCount: 3,
+      dropped: [],
+      prefixes: { owl: 'http://www.w3.org/2002/07/owl#', rdfs: 'http://www.w3.org/2000/01/rdf-schema#' }
+    });
+    expect(result.meta.ontologyIri).toBe('http://ex.org/a');
+    expect(result.tableModel.rows.map(r => r.iri)).toEqual(['http://ex.org/A']);
+  });
+
+  test('parse failures are posted as described errors', async () => {
+    const text = `${ttl('http://ex.org/a')}
+<http://ex.org/A> a .`;
+    const posted = await send({ type: 'parse', id: 2, name: 'a.ttl', text, format: 'text/turtle' });
+
+    const last = posted[posted.length - 1];
+    expect(last).toMatchObject({ type: 'error', id: 2 });
+    expect(last.error.line).toBe(4);
+    expect(last.error.snippet).toBe('<http://ex.org/A> a .');
+  });
+
+  test('lenient parses report dropped statements', async () => {
+    const text = `${ttl('http://ex.org/a')}
+<http://ex.org/A> a .
+<http://ex.org/B> a owl:Class .`;
+    const posted = await send({
+      type: 'parse', id: 3, name: 'a.ttl', text, format: 'text/turtle', options: { lenient: true }
+    });
+
+    const result = posted[posted.length - 1];
+    expect(result.type).toBe('result');
+    expect(result.dropped).toHaveLength(1);
+    expect(result.tableModel.rows.map(r => r.iri)).toEqual(['http://ex.org/B']);
+  });
+
+  test('closure tables are built from stores kept by earlier parses', async () => {
+    await send({
+      type: 'parse', id: 4, name: 'A', format: 'text/turtle',
+      text: `${ttl('http://ex.org/a', '; owl:imports <http://ex.org/b>')}\n<http://ex.org/A> a owl:Class .`
+    });
+    const stored = await send({
+      type: 'parse', id: 5, name: 'B', format: 'text/turtle', storeOnly: true,
+      text: `${ttl('http://ex.org/b')}\n<http://ex.org/B> a owl:Class .`
+    });
+    expect(stored[stored.length - 1]).toEqual({ type: 'result', id: 5, quadCount: 2 });
+
+    const posted = await send({ type: 'closure', id: 6, members: [{ id: 4, name: 'A' }, { id: 5, name: 'B' }] });
+    const { tableModel } = posted[posted.length - 1];
+    expect(tableModel.rows.map(r => [r.iri, r.sourceOntology])).toEqual([
+      ['http://ex.org/A', 'A'],
+      ['http://ex.org/B', 'B']
+    ]);
+  });
+
+  test('closure requests fail once the stores are cleared', async () => {
+    await send({ type: 'parse', id: 7, name: 'A', format: 'text/turtle', text: ttl('http://ex.org/a') });
+    await send({ type: 'clear' });
+
+    const posted = await send({ type: 'closure', id: 8, members: [{ id: 7, name: 'A' }] });
+    expect(posted).toEqual([
+      expect.objectContaining({ type: 'error', id: 8, error: expect.objectContaining({ message: 'No parsed ontology for A.' }) })
+    ]);
+  });
+
+  test('files sent as blobs are streamed, gzipped or not', async () => {
+    const text = `${ttl('http://ex.org/a')}
+<http://ex.org/A> a owl:Class ; rdfs:label "A" ; rdfs:comment "dropped when streaming" .`;
+
+    for (const [id, file, gzip] of [
+      [9, new Blob([text]), false],
+      [10, new Blob([gzipSync(Buffer.from(text))]), true]
+    ]) {
+      const posted = await send({ type: 'parse', id, name: 'a.ttl', file, gzip, format: 'text/turtle' });
+      const progress = posted.filter(m => m.type === 'progress');
+      expect(progress[0].totalBytes).toBe(file.size);
+
+      const result = posted[posted.length - 1];
+      expect(result).toMatchObject({ type: 'result', id, quadCount: 4, streamed: true });
+      expect(result.tableModel.rows).toEqual([expect.objectContaining({ iri: 'http://ex.org/A', label: 'A' })]);
+    }
+  });
+
+  test('tables can be rebuilt from a kept store with another profile', async () => {
+    await send({
+      type: 'parse', id: 11, name: 'A', format: 'text/turtle',
+      text: `${ttl('http://ex.org/a')}\n<http://ex.org/A> a owl:Class ; rdfs:label "A" ; rdfs:comment "note" .`
+    });
+    const profile = { name: 'Notes', columns: [{ key: 'note', header: 'note', predicates: ['http://www.w3.org/2000/01/rdf-schema#comment'], mode: 'all', separator: '; ' }] };
+
+    const posted = await send({ type: 'table', id: 12, storeId: 11, profile });
+    expect(posted[posted.length - 1]).toEqual({
+      type: 'result',
+      id: 12,
+      meta: expect.objectContaining({ ontologyIri: 'http://ex.org/a' }),
+      tableModel: { headers: ['iri', 'note'], keys: ['iri', 'note'], rows: [{ iri: 'http://ex.org/A', note: 'note' }], iriColumns: {}, hierarchy: expect.any(Object), facets: expect.any(Object) }
+    });
+  });
+
+  test('tables and metadata can be rebuilt with other languages', async () => {
+    await send({
+      type: 'parse', id: 13, name: 'A', format: 'text/turtle',
+      text: `${ttl('http://ex.org/a', ' ; rdfs:label "Ontology"@en, "Ontologie"@fr')}
+<http://ex.org/A> a owl:Class ; rdfs:label "A"@en, "A-fr"@fr .`
+    });
+
+    const posted = await send({ type: 'table', id: 14, storeId: 13, languages: ['fr', '*'], splitLanguages: true });
+    const { meta, tableModel } = posted[posted.length - 1];
+    expect(meta.ontologyName).toBe('Ontologie');
+    expect(tableModel.keys).toEqual(['iri', 'label', 'label@fr', 'label@en', 'type']);
+    expect(tableModel.rows[0]).toMatchObject({ label: 'A-fr', 'label@fr': 'A-fr', 'label@en': 'A' });
+  });
+
+  test('labels are looked up in every parsed store', async () => {
+    await send({ type: 'parse', id: 15, name: 'A', format: 'text/turtle', text: `${ttl('http://ex.org/a')}
+<http://ex.org/A> a owl:Class ; rdfs:subClassOf <http://ex.org/B> .` });
+    await send({ type: 'parse', id: 16, name: 'B', format: 'text/turtle', text: `${ttl('http://ex.org/b')}
+<http://ex.org/B> a owl:Class ; rdfs:label "bee" .` });
+
+    const posted = await send({ type: 'labels', id: 17, iris: ['http://ex.org/B', 'http://ex.org/C'] });
+    expect(posted).toEqual([{ type: 'result', id: 17, labels: { 'http://ex.org/B': 'bee' } }]);
+  });
+
+  test('entities are described from every parsed store', async () => {
+    await send({ type: 'parse', id: 18, name: 'A', format: 'text/turtle', text: `${ttl('http://ex.org/a')}
+<http://ex.org/A> a owl:Class ; rdfs:subClassOf <http://ex.org/B> .` });
+    await send({ type: 'parse', id: 19, name: 'B', format: 'text/turtle', text: `${ttl('http://ex.org/b')}
+<http://ex.org/B> a owl:Class ; rdfs:label "bee" .` });
+
+    const posted = await send({ type: 'entity', id: 20, iri: 'http://ex.org/B' });
+    const { entity } = posted[posted.length - 1];
+    expect(entity.groups.map(g => g.predicate)).toEqual([
+      'http://www.w3.org/1999/02/22-rdf-syntax-ns#type',
+      'http://www.w3.org/2000/01/rdf-schema#label'
+    ]);
+    expect(entity.incoming).toEqual([
+      { subject: 'http://ex.org/A', predicate: 'http://www.w3.org/2000/01/rdf-schema#subClassOf', role: 'parent' }
+    ]);
+    expect(entity.labels['http://ex.org/B']).toBe('bee');
+  });
+});
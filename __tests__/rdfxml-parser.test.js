@@ -0,0 +1,138 @@
+// __tests__/rdfxml-parser.test.js
+
+import { parseXmlDocument } from '../docs/app/xml-parser.js';
+import { rdfXmlDocumentToQuads } from '../docs/app/rdfxml-parser.js';
+import { resolveIri } from '../docs/app/iri.js';
+import { NS } from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+function parse(xml, options) {
+  return rdfXmlDocumentToQuads(parseXmlDocument(xml), DataFactory, options);
+}
+
+function find(quads, s, p) {
+  return quads.filter(q =>
+    (s == null || q.subject.value === s) &&
+    (p == null || q.predicate.value === p)
+  );
+}
+
+describe('resolveIri', () => {
+  test('resolves fragments, relative paths and dot segments', () => {
+    expect(resolveIri('#A', 'http://example.org/ont.owl')).toBe('http://example.org/ont.owl#A');
+    expect(resolveIri('b/c', 'http://example.org/a/x')).toBe('http://example.org/a/b/c');
+    expect(resolveIri('../c', 'http://example.org/a/b/x')).toBe('http://example.org/a/c');
+    expect(resolveIri('/c', 'http://example.org/a/b')).toBe('http://example.org/c');
+  });
+
+  test('leaves absolute IRIs and base-less references alone', () => {
+    expect(resolveIri('urn:x', 'http://example.org/')).toBe('urn:x');
+    expect(resolveIri('#A', '')).toBe('#A');
+  });
+});
+
+describe('parseXmlDocument', () => {
+  test('expands DOCTYPE entities in attributes', () => {
+    const doc = parseXmlDocument(`<?xml version="1.0"?>
+<!DOCTYPE rdf:RDF [
+  <!ENTITY owl "http://www.w3.org/2002/07/owl#" >
+]>
+<rdf:RDF xmlns:rdf="${NS.rdf}" rdf:about="&owl;Thing"/>`);
+    expect(doc.root.attributes.find(a => a.localName === 'about').value)
+      .toBe('http://www.w3.org/2002/07/owl#Thing');
+  });
+
+  test('reports line and column for mismatched tags', () => {
+    expect.assertions(3);
+    try {
+      parseXmlDocument('<a>\n  <b></c>\n</a>');
+    } catch (err) {
+      expect(err.message).toMatch(/Expected <\/b>/);
+      expect(err.line).toBe(2);
+      expect(err.column).toBe(6);
+    }
+  });
+});
+
+describe('rdfXmlDocumentToQuads', () => {
+  const header = `<?xml version="1.0"?>
+<rdf:RDF xmlns="http://example.org/ont#"
+         xml:base="http://example.org/ont"
+         xmlns:rdf="${NS.rdf}"
+         xmlns:rdfs="${NS.rdfs}"
+         xmlns:owl="${NS.owl}"
+         xmlns:obo="${NS.obo}">`;
+
+  test('reads typed node elements, xml:lang literals and rdf:resource', () => {
+    const quads = parse(`${header}
+  <owl:Class rdf:about="#A">
+    <rdfs:label xml:lang="en">Class A</rdfs:label>
+    <rdfs:subClassOf rdf:resource="#B"/>
+    <obo:IAO_0000115 rdf:datatype="http://www.w3.org/2001/XMLSchema#string">A definition</obo:IAO_0000115>
+  </owl:Class>
+</rdf:RDF>`);
+
+    const A = 'http://example.org/ont#A';
+    expect(find(quads, A, NS.rdf + 'type')[0].object.value).toBe(NS.owl + 'Class');
+
+    const label = find(quads, A, NS.rdfs + 'label')[0].object;
+    expect(label.value).toBe('Class A');
+    expect(label.language).toBe('en');
+
+    expect(find(quads, A, NS.rdfs + 'subClassOf')[0].object.value).toBe('http://example.org/ont#B');
+
+    const def = find(quads, A, NS.obo + 'IAO_0000115')[0].object;
+    expect(def.datatype.value).toBe('http://www.w3.org/2001/XMLSchema#string');
+  });
+
+  test('turns nested node elements and parseType="Collection" into blank nodes and lists', () => {
+    const quads = parse(`${header}
+  <owl:Class rdf:about="#A">
+    <rdfs:subClassOf>
+      <owl:Restriction>
+        <owl:onProperty rdf:resource="#p"/>
+        <owl:someValuesFrom rdf:resource="#B"/>
+      </owl:Restriction>
+    </rdfs:subClassOf>
+    <owl:equivalentClass>
+      <owl:Class>
+        <owl:unionOf rdf:parseType="Collection">
+          <rdf:Description rdf:about="#B"/>
+          <rdf:Description rdf:about="#C"/>
+        </owl:unionOf>
+      </owl:Class>
+    </owl:equivalentClass>
+  </owl:Class>
+</rdf:RDF>`);
+
+    const restriction = find(quads, 'http://example.org/ont#A', NS.rdfs + 'subClassOf')[0].object;
+    expect(restriction.termType).toBe('BlankNode');
+    expect(find(quads, restriction.value, NS.owl + 'someValuesFrom')[0].object.value)
+      .toBe('http://example.org/ont#B');
+
+    const union = find(quads, 'http://example.org/ont#A', NS.owl + 'equivalentClass')[0].object;
+    const list = find(quads, union.value, NS.owl + 'unionOf')[0].object;
+    expect(find(quads, list.value, NS.rdf + 'first')[0].object.value).toBe('http://example.org/ont#B');
+  });
+
+  test('handles property attributes, rdf:nodeID and parseType="Literal"', () => {
+    const quads = parse(`${header}
+  <rdf:Description rdf:about="#A" rdfs:label="Attr label">
+    <rdfs:seeAlso rdf:nodeID="n1"/>
+    <rdfs:comment rdf:parseType="Literal"><b>bold</b></rdfs:comment>
+  </rdf:Description>
+  <rdf:Description rdf:nodeID="n1" rdfs:label="Blank"/>
+</rdf:RDF>`);
+
+    const A = 'http://example.org/ont#A';
+    expect(find(quads, A, NS.rdfs + 'label')[0].object.value).toBe('Attr label');
+
+    const blank = find(quads, A, NS.rdfs + 'seeAlso')[0].object;
+    expect(find(quads, blank.value, NS.rdfs + 'label')[0].object.value).toBe('Blank');
+
+    const comment = find(quads, A, NS.rdfs + 'comment')[0].object;
+    expect(comment.value).toBe('<b>bold</b>');
+    expect(comment.datatype.value).toBe(NS.rdf + 'XMLLiteral');
+  });
+});
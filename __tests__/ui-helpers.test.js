@@ -0,0 +1,77 @@
+// __tests__/ui-helpers.test.js
+
+import {
+  tableModelToCsv,
+  tableModelToTsv,
+  tableModelToMarkdown,
+  tableModelToLatex,
+  tableModelToHtml,
+  TABLE_EXPORTERS,
+  registerTableExporter
+} from '../docs/app/ui-helpers.js';
+
+const model = {
+  headers: ['iri', 'label', 'note'],
+  keys: ['iri', 'label', 'note'],
+  rows: [
+    { iri: 'http://ex.org/A_1', label: 'a | b', note: 'line one\nline\ttwo \\ end' },
+    { iri: 'http://ex.org/B', label: '<b>*bold*</b> & 50% of $x^2$ #1 ~{}', note: '' }
+  ]
+};
+
+describe('table exporters', () => {
+  test('TSV escapes backslashes, tabs and line breaks', () => {
+    expect(tableModelToTsv(model, model.rows).split('\n')).toEqual([
+      'iri\tlabel\tnote',
+      'http://ex.org/A_1\ta | b\tline one\\nline\\ttwo \\\\ end',
+      'http://ex.org/B\t<b>*bold*</b> & 50% of $x^2$ #1 ~{}\t'
+    ]);
+  });
+
+  test('Markdown escapes cell separators, inline markup and HTML', () => {
+    expect(tableModelToMarkdown(model, model.rows).split('\n')).toEqual([
+      '| iri | label | note |',
+      '| --- | --- | --- |',
+      '| http://ex.org/A\\_1 | a \\| b | line one<br>line\ttwo \\\\ end |',
+      '| http://ex.org/B | \\<b\\>\\*bold\\*\\</b\\> &amp; 50% of \\$x^2\\$ #1 \\~{} |   |'
+    ]);
+  });
+
+  test('LaTeX escapes special characters in a longtable with a repeated header', () => {
+    const latex = tableModelToLatex(model, model.rows, { title: 'Terms & more' });
+    expect(latex).toContain('\\begin{longtable}{' + '>{\\raggedright\\arraybackslash}p{\\dimexpr(\\linewidth-6\\tabcolsep)/3\\relax}'.repeat(3) + '}');
+    expect(latex).toContain('\\caption{Terms \\& more} \\\\');
+    expect(latex.match(/\\textbf\{iri\} & \\textbf\{label\} & \\textbf\{note\} \\\\/g)).toHaveLength(2);
+    expect(latex).toContain('http://ex.org/A\\_1 & a \\textbar{} b & line one\\newline line\ttwo \\textbackslash{} end \\\\');
+    expect(latex).toContain(
+      '\\textless{}b\\textgreater{}*bold*\\textless{}/b\\textgreater{} \\& 50\\% of \\$x\\textasciicircum{}2\\$ \\#1 \\textasciitilde{}\\{\\}'
+    );
+    expect(latex.endsWith('\\end{longtable}')).toBe(true);
+  });
+
+  test('HTML is a standalone page with the ontology card, escaped text and linked IRIs', () => {
+    const html = tableModelToHtml(model, model.rows, {
+      title: 'Ex <Ontology>',
+      metadata: { ontologyName: 'Ex <Ontology>', ontologyIri: 'http://ex.org/', imports: ['http://other.org/o'], license: null }
+    });
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Ex &lt;Ontology&gt;</title>');
+    expect(html).toContain('<tr><th scope="row">Ontology IRI:</th><td><a href="http://ex.org/">http://ex.org/</a></td></tr>');
+    expect(html).toContain('<tr><th scope="row">Imports:</th><td><a href="http://other.org/o">http://other.org/o</a></td></tr>');
+    expect(html).not.toContain('License');
+    expect(html).toContain('<td><a href="http://ex.org/A_1">http://ex.org/A_1</a></td><td>a | b</td>');
+    expect(html).toContain('&lt;b&gt;*bold*&lt;/b&gt; &amp; 50% of $x^2$ #1 ~{}');
+  });
+
+  test('the registry lists the formats and accepts new ones', () => {
+    expect(Object.keys(TABLE_EXPORTERS)).toEqual(['csv', 'tsv', 'markdown', 'html', 'latex']);
+    expect(TABLE_EXPORTERS.csv.write(model, model.rows.slice(1, 1))).toBe(tableModelToCsv(model, []));
+
+    const write = (m, rows) => rows.map(r => r.iri).join('\n');
+    registerTableExporter('iris', { label: 'IRI list', extension: 'txt', mimeType: 'text/plain', write });
+    expect(TABLE_EXPORTERS.iris.write(model, model.rows)).toBe('http://ex.org/A_1\nhttp://ex.org/B');
+    delete TABLE_EXPORTERS.iris;
+
+    expect(() => registerTableExporter('broken', { label: 'Broken' })).toThrow(/^Export error: /);
+  });
+});
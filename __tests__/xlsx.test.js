@@ -0,0 +1,96 @@
+// __tests__/xlsx.test.js
+
+import { expandArchive } from '../docs/app/archive.js';
+import { buildXlsx, toSheetNames } from '../docs/app/xlsx.js';
+
+const decoder = new TextDecoder();
+
+/**
+ * Unpack a workbook into its parts, by path.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Record<string, string>>}
+ */
+async function readParts(bytes) {
+  const parts = {};
+  (await expandArchive('book', bytes)).forEach(({ name, bytes: content }) => {
+    parts[name.slice('book/'.length)] = decoder.decode(content);
+  });
+  return parts;
+}
+
+describe('toSheetNames', () => {
+  test('removes forbidden characters, shortens and numbers duplicates', () => {
+    expect(toSheetNames(['a/b: [c]?', "'quoted'", '', 'x'.repeat(40), 'X'.repeat(40), 'Data', 'data'])).toEqual([
+      'a b   c',
+      'quoted',
+      'Sheet',
+      'x'.repeat(31),
+      'X'.repeat(27) + ' (2)',
+      'Data',
+      'data (2)'
+    ]);
+  });
+});
+
+describe('buildXlsx', () => {
+  const sheets = [
+    { name: 'Metadata', headers: ['File'], rows: [['a.ttl']] },
+    {
+      name: 'Vehicles',
+      headers: ['iri', 'label', 'note'],
+      rows: [
+        [{ text: 'http://ex.org/Car', link: 'http://ex.org/Car?a=1&b=2' }, 'motor vehicle', '=1+1'],
+        [{ text: 'http://ex.org/Bike' }, 'Fahrrad; vélo', 'a_x0041_b\u0001 <tag> & "quotes"'],
+        ['http://ex.org/Truck', '', 'x'.repeat(40000)]
+      ]
+    }
+  ];
+  let parts;
+  beforeAll(async () => {
+    parts = await readParts(await buildXlsx(sheets));
+  });
+
+  test('writes the package parts for every sheet', () => {
+    expect(Object.keys(parts).sort()).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/workbook.xml',
+      'xl/worksheets/_rels/sheet2.xml.rels',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(parts['xl/workbook.xml']).toContain('<sheet name="Vehicles" sheetId="2" r:id="rId2"/>');
+    expect(parts['xl/workbook.xml']).toContain(
+      '<definedName name="_xlnm._FilterDatabase" localSheetId="1" hidden="1">\'Vehicles\'!$A$1:$C$4</definedName>'
+    );
+    expect(parts['[Content_Types].xml']).toContain('PartName="/xl/worksheets/sheet2.xml"');
+  });
+
+  test('freezes a bold header row, filters it and fits column widths', () => {
+    const sheet = parts['xl/worksheets/sheet2.xml'];
+    expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+    expect(sheet).toContain('<autoFilter ref="A1:C4"/>');
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">iri</t></is></c>');
+    expect(sheet).toContain('<col min="1" max="1" width="21" customWidth="1"/>');
+    expect(sheet).toContain('<col min="2" max="2" width="15" customWidth="1"/>');
+    expect(sheet).toContain('<col min="3" max="3" width="60" customWidth="1"/>');
+  });
+
+  test('keeps text as text, escaped, and links cells with a link', () => {
+    const sheet = parts['xl/worksheets/sheet2.xml'];
+    expect(sheet).toContain('<c r="C2" t="inlineStr"><is><t xml:space="preserve">=1+1</t></is></c>');
+    expect(sheet).toContain('a_x005F_x0041_b &lt;tag&gt; &amp; &quot;quotes&quot;');
+    expect(sheet).toContain('<c r="B3" t="inlineStr"><is><t xml:space="preserve">Fahrrad; vélo</t></is></c>');
+    expect(sheet).not.toContain('r="B4"');
+    expect(sheet.match(/<c r="C4"[^]*?<\/c>/)[0]).toContain(`${'x'.repeat(32766)}…</t>`);
+
+    expect(sheet).toContain('<c r="A2" t="inlineStr" s="2">');
+    expect(sheet).toContain('<c r="A3" t="inlineStr">');
+    expect(sheet).toContain('<hyperlinks><hyperlink ref="A2" r:id="rId1"/></hyperlinks>');
+    expect(parts['xl/worksheets/_rels/sheet2.xml.rels']).toContain(
+      'Target="http://ex.org/Car?a=1&amp;b=2" TargetMode="External"'
+    );
+  });
+});
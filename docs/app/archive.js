@@ -0,0 +1,258 @@
+// app/archive.js
+// Unpacks gzip files and zip archives in the browser (via DecompressionStream) so that
+// bundled ontologies can go through the normal per-file pipeline, and packs zip archives
+// (via CompressionStream) for exports such as .xlsx workbooks.
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// Nested archives deeper than this are not unpacked.
+const MAX_ARCHIVE_DEPTH = 4;
+
+/**
+ * Whether the bytes start with the gzip magic number.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isGzip(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Whether the bytes start with a zip local file header (or are an empty zip).
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isZip(bytes) {
+  if (bytes.length < 4) return false;
+  const sig = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+  return sig === ZIP_LOCAL_HEADER || sig === ZIP_END_OF_DIRECTORY;
+}
+
+/**
+ * Run bytes through a DecompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {'gzip'|'deflate-raw'} format
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Run bytes through a CompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {'gzip'|'deflate-raw'} format
+ * @returns {Promise<Uint8Array>}
+ */
+async function compress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// CRC-32 (IEEE) lookup table for zip entries.
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * The CRC-32 checksum of bytes, as zip entries record it.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Decompress a gzip file.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function gunzip(bytes) {
+  return decompress(bytes, 'gzip');
+}
+
+/**
+ * Read the central directory of a zip archive.
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ name: string, method: number, compressedSize: number, size: number,
+ *   localOffset: number, encrypted: boolean, isDirectory: boolean }>}
+ */
+export function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('utf-8');
+
+  // The end-of-central-directory record sits in the last 22 + 65535 (comment) bytes.
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Zip error: end of central directory not found.');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xffffffff || count === 0xffff) {
+    throw new Error('Zip error: ZIP64 archives are not supported.');
+  }
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+      throw new Error('Zip error: corrupt central directory.');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.push({
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localOffset: view.getUint32(offset + 42, true),
+      encrypted: (flags & 1) === 1,
+      isDirectory: name.endsWith('/')
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Extract one zip entry's bytes.
+ * @param {Uint8Array} bytes the whole archive
+ * @param {ReturnType<typeof listZipEntries>[number]} entry
+ * @returns {Promise<Uint8Array>}
+ */
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const at = entry.localOffset;
+  if (view.getUint32(at, true) !== ZIP_LOCAL_HEADER) {
+    throw new Error(`Zip error: corrupt local header for ${entry.name}.`);
+  }
+  const start = at + 30 + view.getUint16(at + 26, true) + view.getUint16(at + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return decompress(data, 'deflate-raw');
+  throw new Error(`Zip error: unsupported compression method ${entry.method} for ${entry.name}.`);
+}
+
+/**
+ * Pack files into a zip archive, deflating each entry. Names are stored as UTF-8.
+ * @param {Array<{ name: string, content: string|Uint8Array }>} files strings are UTF-8 encoded
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} "Zip error: ..." when the archive would need ZIP64
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content } of files) {
+    const nameBytes = encoder.encode(name);
+    const raw = typeof content === 'string' ? encoder.encode(content) : content;
+    const data = await compress(raw, 'deflate-raw');
+    if (offset + 30 + nameBytes.length + data.length > 0xffffffff || files.length > 0xffff) {
+      throw new Error('Zip error: the archive is too large (ZIP64 is not supported).');
+    }
+
+    // Shared fields of the local and central headers: version 2.0, UTF-8 names, deflate,
+    // a fixed 1980-01-01 timestamp, checksum and sizes.
+    const fields = new DataView(new ArrayBuffer(26));
+    fields.setUint16(0, 20, true);
+    fields.setUint16(2, 0x0800, true);
+    fields.setUint16(4, 8, true);
+    fields.setUint16(6, 0, true);
+    fields.setUint16(8, 0x21, true);
+    fields.setUint32(10, crc32(raw), true);
+    fields.setUint32(14, data.length, true);
+    fields.setUint32(18, raw.length, true);
+    fields.setUint16(22, nameBytes.length, true);
+    const shared = new Uint8Array(fields.buffer);
+
+    const local = new Uint8Array(30);
+    new DataView(local.buffer).setUint32(0, ZIP_LOCAL_HEADER, true);
+    local.set(shared, 4);
+    parts.push(local, nameBytes, data);
+
+    const central = new Uint8Array(46);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, ZIP_CENTRAL_HEADER, true);
+    centralView.setUint16(4, 20, true);
+    central.set(shared, 6);
+    centralView.setUint32(42, offset, true);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  const zip = new Uint8Array(offset + directorySize + end.length);
+  let at = 0;
+  [...parts, ...centrals, end].forEach(part => {
+    zip.set(part, at);
+    at += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Expand a file into the files it contains: gzip files are decompressed (dropping the
+ * ".gz" suffix), zip archives are unpacked (entry names are prefixed with the archive
+ * name), recursively. Anything else is returned as-is.
+ * Entries that cannot be read are returned with an `error` instead of bytes.
+ * @param {string} name
+ * @param {Uint8Array} bytes
+ * @param {number} [depth]
+ * @returns {Promise<Array<{ name: string, bytes?: Uint8Array, error?: string }>>}
+ */
+export async function expandArchive(name, bytes, depth = 0) {
+  if (depth > MAX_ARCHIVE_DEPTH || (!isGzip(bytes) && !isZip(bytes))) {
+    return [{ name, bytes }];
+  }
+
+  if (isGzip(bytes)) {
+    const inner = name.replace(/\.t?gz$/i, m => (m.toLowerCase() === '.tgz' ? '.tar' : '')) || name;
+    return expandArchive(inner, await gunzip(bytes), depth + 1);
+  }
+
+  const results = [];
+  for (const entry of listZipEntries(bytes)) {
+    // Skip folders and the resource-fork copies macOS adds to archives.
+    if (entry.isDirectory || entry.name.startsWith('__MACOSX/')) continue;
+
+    const entryName = `${name}/${entry.name}`;
+    if (entry.encrypted) {
+      results.push({ name: entryName, error: 'encrypted zip entry' });
+      continue;
+    }
+    try {
+      results.push(...await expandArchive(entryName, await readZipEntry(bytes, entry), depth + 1));
+    } catch (err) {
+      results.push({ name: entryName, error: err.message });
+    }
+  }
+  return results;
+}
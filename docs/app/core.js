@@ -3,6 +3,14 @@
 
 /* eslint-disable no-console */
 
+import { parseXmlDocument } from './xml-parser.js';
+import { rdfXmlDocumentToQuads } from './rdfxml-parser.js';
+import { OWL_XML_NS, isOwlXmlRoot, owlXmlDocumentToQuads } from './owlxml-parser.js';
+import { parseJsonLdToQuads } from './jsonld-parser.js';
+import { parseOwlFunctionalToQuads } from './owl-functional-parser.js';
+import { parseManchesterToQuads } from './manchester-parser.js';
+import { parseOboToQuads } from './obo-parser.js';
+
 /**
  * Simple event logger for core functions.
  * @param {string} fnName
@@ -23,772 +31,3086 @@ export function logError(fnName, error, context) {
   console.error(`[${fnName}] ERROR: ${error.message}`, { error, context });
 }
 
+// Per-element helpers run several times per table row, so their logging is opt-in.
+let traceLogging = false;
+
 /**
- * Guess RDF format from filename extension for N3 parser.
- * @param {string} filename
- * @returns {'text/turtle'|'application/n-triples'|'application/n-quads'|'application/trig'}
+ * Turn logging of the per-element helpers on or off (off by default).
+ * @param {boolean} enabled
  */
-export function detectRdfFormatFromFilename(filename) {
-  const fnName = 'detectRdfFormatFromFilename';
-  logEvent(fnName, 'start', { filename });
+export function setTraceLogging(enabled) {
+  traceLogging = !!enabled;
+}
 
-  try {
-    const lower = (filename || '').toLowerCase();
-    if (lower.endsWith('.ttl') || lower.endsWith('.n3')) {
-      return 'text/turtle';
-    }
-    if (lower.endsWith('.nt')) {
-      return 'application/n-triples';
-    }
-    if (lower.endsWith('.nq')) {
-      return 'application/n-quads';
-    }
-    if (lower.endsWith('.trig')) {
-      return 'application/trig';
-    }
-    // Fallback: Turtle
+/**
+ * Like logEvent, but only when trace logging is on. Used by the helpers that run once or
+ * more per element, where console output would dominate the runtime on large ontologies.
+ * @param {string} fnName
+ * @param {string} message
+ * @param {object} [data]
+ */
+export function logTrace(fnName, message, data) {
+  if (traceLogging) logEvent(fnName, message, data);
+}
+
+/**
+ * Human-readable names for the formats the parsers understand.
+ */
+export const RDF_FORMAT_LABELS = {
+  'text/turtle': 'Turtle',
+  'text/n3': 'Notation3',
+  'application/n-triples': 'N-Triples',
+  'application/n-quads': 'N-Quads',
+  'application/trig': 'TriG',
+  'application/rdf+xml': 'RDF/XML',
+  'application/owl+xml': 'OWL/XML',
+  'application/ld+json': 'JSON-LD',
+  'text/owl-functional': 'OWL Functional Syntax',
+  'text/owl-manchester': 'Manchester Syntax',
+  'text/obo': 'OBO'
+};
+
+// Formats handled by the N3 parser itself.
+const N3_FORMATS = new Set([
+  'text/turtle',
+  'text/n3',
+  'application/n-triples',
+  'application/n-quads',
+  'application/trig'
+]);
+
+// For Turtle-family content, an extension naming a superset syntax wins over the sniffed one
+// (e.g. Turtle-looking content in a .trig file is parsed as TriG).
+const N3_SUPERSETS = {
+  'application/n-triples': ['text/turtle', 'application/n-quads', 'application/trig', 'text/n3'],
+  'application/n-quads': ['application/trig'],
+  'text/turtle': ['application/trig', 'text/n3']
+};
+
+// Formats the Turtle parser reads; a Turtle guess from a leading prefixed name alone does not
+// override an extension outside this family (e.g. an .omn file starting with "Class:").
+const N3_FAMILY = new Set(['text/turtle', 'application/trig', 'text/n3', 'application/n-triples', 'application/n-quads']);
+
+/**
+ * Map a filename extension to a format, or null when the extension is unknown.
+ * @param {string} filename
+ * @returns {string|null}
+ */
+function formatFromExtension(filename) {
+  const lower = (filename || '').toLowerCase();
+  if (lower.endsWith('.ttl') || lower.endsWith('.n3')) {
     return 'text/turtle';
-  } catch (err) {
-    logError(fnName, err, { filename });
-    throw err;
   }
+  if (lower.endsWith('.nt')) {
+    return 'application/n-triples';
+  }
+  if (lower.endsWith('.nq')) {
+    return 'application/n-quads';
+  }
+  if (lower.endsWith('.trig')) {
+    return 'application/trig';
+  }
+  if (lower.endsWith('.owl') || lower.endsWith('.rdf') || lower.endsWith('.xml')) {
+    return 'application/rdf+xml';
+  }
+  if (lower.endsWith('.owx')) {
+    return 'application/owl+xml';
+  }
+  if (lower.endsWith('.jsonld') || lower.endsWith('.json')) {
+    return 'application/ld+json';
+  }
+  if (lower.endsWith('.ofn')) {
+    return 'text/owl-functional';
+  }
+  if (lower.endsWith('.omn')) {
+    return 'text/owl-manchester';
+  }
+  if (lower.endsWith('.obo')) {
+    return 'text/obo';
+  }
+  return null;
 }
 
 /**
- * Check if a term from N3 is a blank node.
- * @param {import('n3').Term} term
+ * Whether the filename has an extension one of the parsers reads
+ * (used to pick RDF files out of archives and folders).
+ * @param {string} filename
  * @returns {boolean}
  */
-export function isBlankNode(term) {
-  const fnName = 'isBlankNode';
-  logEvent(fnName, 'start', { termType: term?.termType, value: term?.value });
+export function hasRdfFileExtension(filename) {
+  const fnName = 'hasRdfFileExtension';
+  logEvent(fnName, 'start', { filename });
 
   try {
-    return !!term && term.termType === 'BlankNode';
+    return formatFromExtension(filename) !== null;
   } catch (err) {
-    logError(fnName, err, { term });
+    logError(fnName, err, { filename });
     throw err;
   }
 }
 
 /**
- * Parse RDF text into an N3 Store.
- * NOTE: In browser we get N3 from window.N3; in Jest we use node 'n3' dependency.
- * @param {string} text
- * @param {string} format
- * @returns {Promise<import('n3').Store>}
+ * Guess RDF format from filename extension.
+ * @param {string} filename
+ * @returns {string} a key of RDF_FORMAT_LABELS; Turtle when the extension is unknown
  */
-export async function parseRdfTextToStore(text, format) {
-  const fnName = 'parseRdfTextToStore';
-  logEvent(fnName, 'start', { format });
+export function detectRdfFormatFromFilename(filename) {
+  const fnName = 'detectRdfFormatFromFilename';
+  logEvent(fnName, 'start', { filename });
 
   try {
-    const N3lib = typeof window !== 'undefined' && window.N3
-      ? window.N3
-      : await import('n3'); // node / Jest
-
-    const { Parser, Store } = N3lib;
-    const parser = new Parser({ format });
-    const store = new Store();
-
-    const quads = parser.parse(text);
-    store.addQuads(quads);
-
-    logEvent(fnName, 'parsed', { quadCount: quads.length });
-    return store;
+    // Fallback: Turtle
+    return formatFromExtension(filename) || 'text/turtle';
   } catch (err) {
-    logError(fnName, err, { format });
+    logError(fnName, err, { filename });
     throw err;
   }
 }
 
-// Namespace constants
-export const NS = {
-  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
-  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
-  owl: 'http://www.w3.org/2002/07/owl#',
-  dc: 'http://purl.org/dc/elements/1.1/',
-  dcterms: 'http://purl.org/dc/terms/',
-  skos: 'http://www.w3.org/2004/02/skos/core#',
-  obo: 'http://purl.obolibrary.org/obo/',
-  cco: 'http://www.ontologyrepository.com/CommonCoreOntologies/',
-  cco2: 'https://www.commoncoreontologies.org/'
-};
-
-export const COMMON_PREFIXES = {
-  [NS.rdf]: 'rdf',
-  [NS.rdfs]: 'rdfs',
-  [NS.owl]: 'owl',
-  [NS.dc]: 'dc',
-  [NS.dcterms]: 'dcterms',
-  [NS.skos]: 'skos'
-};
+/**
+ * Remove a BOM, leading whitespace and leading '#' comment lines.
+ * @param {string} head
+ * @returns {string}
+ */
+function stripLeadingComments(head) {
+  let rest = head.replace(/^\uFEFF/, '');
+  for (;;) {
+    const trimmed = rest.replace(/^\s+/, '');
+    if (!trimmed.startsWith('#')) return trimmed;
+    const nl = trimmed.indexOf('\n');
+    rest = nl === -1 ? '' : trimmed.slice(nl + 1);
+  }
+}
 
 /**
- * Pick the ontology subject (IRI) from a store.
- * Strategy: any subject with rdf:type owl:Ontology.
- * @param {import('n3').Store} store
- * @returns {string|null} ontologyIri
+ * Blank out the IRIs, string literals and comments of Turtle-like text, so keyword and
+ * bracket checks only see syntax. An unterminated literal runs to the end of the text.
+ * @param {string} head
+ * @returns {string}
  */
-export function getOntologySubjectIri(store) {
-  const fnName = 'getOntologySubjectIri';
-  logEvent(fnName, 'start');
+function maskTurtleTokens(head) {
+  return head.replace(/<[^>\s]*>|"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|#[^\n]*/g, token => {
+    if (token.startsWith('<')) return '<>';
+    if (token.startsWith('#')) return '';
+    return '""';
+  });
+}
 
-  try {
-    const all = store.getQuads(null, null, null, null);
-    const candidate = all.find(q =>
-      q.predicate.termType === 'NamedNode' &&
-      q.predicate.value === NS.rdf + 'type' &&
-      q.object.termType === 'NamedNode' &&
-      q.object.value === NS.owl + 'Ontology'
-    );
+const NT_TERM = String.raw`(?:<[^>\s]*>|_:\S+)`;
+const NT_OBJECT = String.raw`(?:<[^>\s]*>|_:\S+|"(?:[^"\\]|\\.)*"(?:@[A-Za-z0-9-]+|\^\^<[^>\s]*>)?)`;
+const NT_LINE = new RegExp(String.raw`^${NT_TERM}\s+<[^>\s]*>\s+${NT_OBJECT}\s*(${NT_TERM})?\s*\.\s*(#.*)?$`);
 
-    if (!candidate) {
-      logEvent(fnName, 'no ontology subject found');
-      return null;
-    }
+// Manchester Syntax frames and OBO header tags, which would otherwise read as Turtle prefixed names
+const MANCHESTER_FRAME = new RegExp(String.raw`^(${[
+  'Import', 'Class', 'ObjectProperty', 'DataProperty', 'AnnotationProperty',
+  'Individual', 'Datatype', 'DisjointClasses', 'EquivalentClasses', 'DisjointProperties',
+  'EquivalentProperties', 'SameIndividual', 'DifferentIndividuals'
+].join('|')}):\s`);
 
-    const iri = candidate.subject.value;
-    logEvent(fnName, 'ontology subject found', { iri });
-    return iri;
-  } catch (err) {
-    logError(fnName, err);
-    throw err;
-  }
-}
+const OBO_HEADER_TAG = new RegExp(String.raw`^(${[
+  'format-version', 'data-version', 'version', 'date', 'saved-by', 'auto-generated-by', 'import',
+  'subsetdef', 'synonymtypedef', 'idspace', 'id-mapping', 'default-relationship-id-prefix',
+  'default-namespace', 'namespace-id-rule', 'remark', 'ontology', 'owl-axioms', 'property_value',
+  'treat-xrefs-as-[\w-]+'
+].join('|')}):\s`);
 
 /**
- * Pick best literal from a list of literals, preferring 'en' then no language, then others.
- * @param {import('n3').Literal[]} literals
- * @returns {import('n3').Literal|null}
+ * Sniff the start of the text; `guessed` marks a Turtle answer resting only on a leading `word:`.
+ * @param {string} text
+ * @returns {{ format: string|null, guessed: boolean }}
  */
-export function pickBestLiteral(literals) {
-  const fnName = 'pickBestLiteral';
-  logEvent(fnName, 'start', { count: literals?.length ?? 0 });
+function sniffFormat(text) {
+  const found = format => ({ format, guessed: false });
+  const head = stripLeadingComments(String(text ?? '').slice(0, 8192));
+  if (!head) return found(null);
+
+  // XML: prolog, DOCTYPE, comment or a start tag (not an IRI such as <http://...>)
+  if (/^<(\?xml|!DOCTYPE|!--)/i.test(head) || /^<[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?[\s/>]/.test(head)) {
+    const body = head.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '');
+    // OWL/XML puts an unprefixed <Ontology> in the OWL namespace; RDF/XML roots are
+    // rdf:RDF or a typed node element such as <owl:Ontology>
+    const root = /<([A-Za-z_][\w.-]*:)?([A-Za-z_][\w.-]*)(\s[^>]*)?\/?>/.exec(body);
+    const defaultNs = /\sxmlns\s*=\s*(["'])(.*?)\1/.exec(root?.[3] ?? '')?.[2];
+    if (root && !root[1] && root[2] === 'Ontology' && defaultNs === OWL_XML_NS) return found('application/owl+xml');
+    return found('application/rdf+xml');
+  }
 
-  try {
-    if (!literals || literals.length === 0) return null;
+  // JSON: an object/array whose first member looks like JSON, not a TriG graph block
+  if (/^\{\s*("|\})/.test(head) || /^\[\s*(\{|"|\])/.test(head)) {
+    return found('application/ld+json');
+  }
 
-    const withLang = literals.filter(l => l.language);
-    const en = withLang.find(l => l.language.toLowerCase() === 'en');
-    if (en) return en;
+  if (/^(Prefix|Ontology|Import)\s*\(/.test(head)) {
+    return found('text/owl-functional');
+  }
 
-    const noLang = literals.find(l => !l.language);
-    if (noLang) return noLang;
+  if (/^(Prefix|Ontology):/.test(head) || MANCHESTER_FRAME.test(head)) {
+    return found('text/owl-manchester');
+  }
 
-    return literals[0];
-  } catch (err) {
-    logError(fnName, err);
-    throw err;
+  if (OBO_HEADER_TAG.test(head) || /^\[(Term|Typedef|Instance)\]/.test(head)) {
+    return found('text/obo');
+  }
+
+  // A graph block opens a statement: "GRAPH <g> {", "<g> {", "ex:g {" or a bare "{"
+  const code = maskTurtleTokens(head);
+  const isTrig = /(^|[.}>])\s*((GRAPH\s+)?(<>|[\w-]*:[\w.-]*|_:\S+))?\s*\{/.test(code);
+
+  if (/^(@prefix|@base|PREFIX\s|BASE\s)/i.test(head)) {
+    return found(isTrig ? 'application/trig' : 'text/turtle');
   }
+
+  const lines = head
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith('#'))
+    .slice(0, 5);
+
+  if (lines.length && lines.every(l => NT_LINE.test(l))) {
+    return found(lines.some(l => NT_LINE.exec(l)[1]) ? 'application/n-quads' : 'application/n-triples');
+  }
+
+  if (isTrig) return found('application/trig');
+  if (/^(<[^>\s]*>|_:\S+|\[|\()/.test(head)) return found('text/turtle');
+  if (/^[\w-]*:[\w-]*/.test(head)) return { format: 'text/turtle', guessed: true };
+
+  return found(null);
 }
 
 /**
- * Get all quads whose subject matches the given IRI string.
- * @param {import('n3').Store} store
- * @param {string} subjectIri
- * @returns {import('n3').Quad[]}
+ * Guess the RDF format by looking at the start of the text.
+ * Recognises XML (RDF/XML vs OWL/XML by root element), JSON-LD, OWL Functional and
+ * Manchester Syntax, OBO header tags or stanzas, Turtle/TriG directives and the line shape of N-Triples/N-Quads.
+ * @param {string} text
+ * @returns {string|null} a key of RDF_FORMAT_LABELS, or null when nothing matched
  */
-export function getQuadsForSubject(store, subjectIri) {
-  const fnName = 'getQuadsForSubject';
-  logEvent(fnName, 'start', { subjectIri });
+export function sniffRdfFormatFromContent(text) {
+  const fnName = 'sniffRdfFormatFromContent';
+  logEvent(fnName, 'start', { length: text?.length ?? 0 });
 
   try {
-    const all = store.getQuads(null, null, null, null);
-    return all.filter(q =>
-      q.subject.termType === 'NamedNode' &&
-      q.subject.value === subjectIri
-    );
+    return sniffFormat(text).format;
   } catch (err) {
-    logError(fnName, err, { subjectIri });
+    logError(fnName, err);
     throw err;
   }
 }
 
 /**
- * Helper: get single preferred literal value for subject & predicate.
- * @param {import('n3').Store} store
- * @param {string} subjectIri
- * @param {string[]} predicateIris ordered by preference
- * @returns {string|null}
+ * Choose the parser format for a file from its content, falling back to the extension.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {{ format: string, detectedBy: 'content'|'extension'|'default' }}
  */
-export function getPreferredLiteralForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getPreferredLiteralForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
+export function detectRdfFormat(filename, text) {
+  const fnName = 'detectRdfFormat';
+  logEvent(fnName, 'start', { filename });
 
   try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
-
-    for (const p of predicateIris) {
-      const literals = subjectQuads
-        .filter(q =>
-          q.predicate.termType === 'NamedNode' &&
-          q.predicate.value === p &&
-          q.object.termType === 'Literal'
-        )
-        .map(q => q.object);
-
-      const best = pickBestLiteral(literals);
-      if (best) return best.value;
+    const { format: sniffed, guessed } = sniffFormat(text);
+    const fromExtension = formatFromExtension(filename);
+
+    let result;
+    if (sniffed && fromExtension && (N3_SUPERSETS[sniffed] || []).includes(fromExtension)) {
+      result = { format: fromExtension, detectedBy: 'extension' };
+    } else if (guessed && fromExtension && !N3_FAMILY.has(fromExtension)) {
+      result = { format: fromExtension, detectedBy: 'extension' };
+    } else if (sniffed) {
+      result = { format: sniffed, detectedBy: 'content' };
+    } else if (fromExtension) {
+      result = { format: fromExtension, detectedBy: 'extension' };
+    } else {
+      result = { format: 'text/turtle', detectedBy: 'default' };
     }
 
-    return null;
+    logEvent(fnName, 'detected', result);
+    return result;
   } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
+    logError(fnName, err, { filename });
     throw err;
   }
 }
 
-
 /**
- * Helper: get preferred IRI/URI object for predicates (e.g. versionIRI, license).
- * @param {import('n3').Store} store
- * @param {string} subjectIri
- * @param {string[]} predicateIris
- * @returns {string|null}
+ * Check if a term from N3 is a blank node.
+ * @param {import('n3').Term} term
+ * @returns {boolean}
  */
-export function getPreferredIriForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getPreferredIriForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
+export function isBlankNode(term) {
+  const fnName = 'isBlankNode';
+  logTrace(fnName, 'start', { termType: term?.termType, value: term?.value });
 
   try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
-
-    for (const p of predicateIris) {
-      const iriObj = subjectQuads
-        .filter(q =>
-          q.predicate.termType === 'NamedNode' &&
-          q.predicate.value === p &&
-          q.object.termType === 'NamedNode'
-        )
-        .map(q => q.object)[0];
-
-      if (iriObj) return iriObj.value;
-    }
-
-    return null;
+    return !!term && term.termType === 'BlankNode';
   } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
+    logError(fnName, err, { term });
     throw err;
   }
 }
 
-export function getPreferredUriLikeForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getPreferredUriLikeForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
-
-  try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
+/**
+ * Load the N3 library.
+ * NOTE: In browser (page or worker) we get N3 from the global the bundle sets;
+ * in Jest we use node 'n3' dependency.
+ * @returns {Promise<typeof import('n3')>}
+ */
+async function loadN3() {
+  return globalThis.N3
+    ? globalThis.N3
+    : await import('n3'); // node / Jest
+}
 
-    for (const p of predicateIris) {
-      const match = subjectQuads.find(q => {
-        if (q.predicate.termType !== 'NamedNode' || q.predicate.value !== p) {
-          return false;
-        }
+/**
+ * Parse RDF/XML or OWL/XML text into quads.
+ * Both are served as .owl files, so the root element decides which reader runs.
+ * @param {string} text
+ * @param {import('n3').DataFactory} factory
+ * @param {{ baseIri?: string }} options
+ * @returns {import('n3').Quad[]}
+ */
+function parseXmlRdfToQuads(text, factory, options) {
+  const doc = parseXmlDocument(text);
+  return isOwlXmlRoot(doc.root)
+    ? owlXmlDocumentToQuads(doc, factory, options)
+    : rdfXmlDocumentToQuads(doc, factory, options);
+}
 
-        // Normal case: actual IRI node
-        if (q.object.termType === 'NamedNode') {
-          return true;
-        }
+// N3-family formats whose statements are single lines.
+const LINE_FORMATS = new Set(['application/n-triples', 'application/n-quads']);
 
-        // Permissive case: typed URI literal
-        if (
-          q.object.termType === 'Literal' &&
-          q.object.datatype &&
-          q.object.datatype.value === 'http://www.w3.org/2001/XMLSchema#anyURI'
-        ) {
-          return true;
-        }
+// Statements parsed together before lenient parsing falls back to one at a time.
+const LENIENT_CHUNK_SIZE = 256;
 
-        return false;
-      });
+let lenientParseCount = 0;
 
-      if (match) return match.object.value;
+/**
+ * Split Turtle/TriG/N3 text into top-level statements (directives, triples blocks and
+ * graph blocks), skipping comments and the insides of IRIs and strings.
+ * @param {string} text
+ * @returns {Array<{ text: string, line: number, directive: boolean }>}
+ */
+function splitTurtleStatements(text) {
+  const statements = [];
+  const len = text.length;
+  let i = 0;
+  let line = 1;
+  let start = -1;
+  let startLine = 1;
+  let depth = 0;
+
+  const finish = end => {
+    const body = text.slice(start, end);
+    statements.push({ text: body, line: startLine, directive: /^(@prefix|@base|PREFIX\s|BASE\s)/i.test(body) });
+    start = -1;
+    depth = 0;
+  };
+
+  while (i < len) {
+    const c = text[i];
+
+    if (c === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (start === -1) {
+      if (/\s/.test(c)) {
+        i++;
+        continue;
+      }
+      if (c === '#') {
+        while (i < len && text[i] !== '\n') i++;
+        continue;
+      }
+      start = i;
+      startLine = line;
     }
 
-    return null;
-  } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
-    throw err;
+    if (c === '#') {
+      while (i < len && text[i] !== '\n') i++;
+    } else if (c === '<') {
+      const close = text.indexOf('>', i);
+      if (close !== -1 && !/\s/.test(text.slice(i + 1, close))) {
+        i = close + 1;
+        // SPARQL-style PREFIX/BASE end with their IRI.
+        if (depth === 0 && /^(PREFIX|BASE)\s/i.test(text.slice(start, i))) finish(i);
+        continue;
+      }
+      i++;
+    } else if (c === '"' || c === "'") {
+      const long = text.startsWith(c.repeat(3), i);
+      const quote = long ? c.repeat(3) : c;
+      i += quote.length;
+      let unterminated = false;
+      while (i < len && !text.startsWith(quote, i)) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '\n') {
+          if (!long) {
+            unterminated = true;
+            break;
+          }
+          line++;
+        }
+        i++;
+      }
+      // A short string cannot span lines: the broken statement ends here, and the newline
+      // is left to be counted so the next line starts a statement of its own.
+      if (unterminated) finish(i);
+      else i += quote.length;
+    } else if (c === '[' || c === '(' || c === '{') {
+      depth++;
+      i++;
+    } else if (c === ']' || c === ')' || c === '}') {
+      depth--;
+      i++;
+      // A TriG graph block ends at its closing brace.
+      if (c === '}' && depth === 0 && !/^\s*\./.test(text.slice(i, i + 64))) finish(i);
+    } else if (c === '.' && depth === 0 && (i + 1 >= len || /[\s#]/.test(text[i + 1]))) {
+      i++;
+      finish(i);
+    } else {
+      i++;
+    }
   }
+
+  if (start !== -1) finish(len);
+  return statements;
 }
 
 /**
- * Helper: get preferred displayable value for predicates.
- * Accepts either:
- *  - NamedNode IRIs
- *  - Literal values (including xsd:anyURI or plain strings)
- * Returns the first matching value in predicate preference order.
- *
- * @param {import('n3').Store} store
- * @param {string} subjectIri
- * @param {string[]} predicateIris
- * @returns {string|null}
+ * Adapt an onPrefix option to the N3 parser's prefix callback, which gets a NamedNode.
+ * @param {((prefix: string, namespace: string) => void)|undefined} onPrefix
+ * @returns {((prefix: string, namespace: import('n3').NamedNode) => void)|undefined}
  */
-export function getPreferredDisplayValueForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getPreferredDisplayValueForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
+function n3PrefixCallback(onPrefix) {
+  return onPrefix && ((prefix, namespace) => onPrefix(prefix, namespace.value));
+}
 
+/**
+ * Parse N3-family text, dropping statements that do not parse.
+ * The whole text is tried first; on failure the statements are parsed in chunks, and
+ * chunks that fail one statement at a time (with the prefixes declared so far).
+ * @param {typeof import('n3')} N3lib
+ * @param {string} text
+ * @param {string} format
+ * @param {{ baseIri?: string, onPrefix?: (prefix: string, namespace: string) => void }} options
+ * @param {(err: Error) => void} onDropped
+ * @returns {import('n3').Quad[]}
+ */
+function parseN3Lenient(N3lib, text, format, options, onDropped) {
+  const { Parser } = N3lib;
+  const onPrefix = n3PrefixCallback(options.onPrefix);
   try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
-
-    for (const p of predicateIris) {
-      const match = subjectQuads.find(q =>
-        q.predicate.termType === 'NamedNode' &&
-        q.predicate.value === p &&
-        (q.object.termType === 'NamedNode' || q.object.termType === 'Literal')
-      );
+    return new Parser({ format, baseIRI: options.baseIri }).parse(text, null, onPrefix);
+  } catch {
+    // fall through to statement-by-statement parsing
+  }
 
-      if (match) return match.object.value;
+  // A shared prefix keeps _:labels the same across the separate parses.
+  const blankNodePrefix = `lenient${lenientParseCount++}_`;
+  const statements = LINE_FORMATS.has(format)
+    ? text.split('\n').map((t, i) => ({ text: t, line: i + 1, directive: false })).filter(s => s.text.trim())
+    : splitTurtleStatements(text);
+
+  const quads = [];
+  let directives = '';
+
+  const parseStatements = group => {
+    const header = directives;
+    const body = group.map(s => s.text).join('\n');
+    return new Parser({ format, baseIRI: options.baseIri, blankNodePrefix }).parse(`${header}${body}`, null, onPrefix);
+  };
+
+  for (let at = 0; at < statements.length; at += LENIENT_CHUNK_SIZE) {
+    const chunk = statements.slice(at, at + LENIENT_CHUNK_SIZE);
+    try {
+      quads.push(...parseStatements(chunk));
+      chunk.filter(s => s.directive).forEach(s => { directives += `${s.text}\n`; });
+      continue;
+    } catch {
+      // retry this chunk one statement at a time
     }
 
-    return null;
-  } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
-    throw err;
+    chunk.forEach(statement => {
+      try {
+        quads.push(...parseStatements([statement]));
+        if (statement.directive) directives += `${statement.text}\n`;
+      } catch (err) {
+        // Map the line inside the re-parsed snippet back to the source line.
+        const headerLines = (directives.match(/\n/g) || []).length;
+        const innerLine = err.context?.line ?? headerLines + 1;
+        err.line = statement.line + Math.max(0, innerLine - headerLines - 1);
+        err.message = err.message.replace(/ on line \d+\.$/, '') + ` on line ${err.line}.`;
+        onDropped(err);
+      }
+    });
   }
+
+  return quads;
 }
 
 /**
- * Get all literal values for any of the given predicates.
- * @param {import('n3').Store} store
- * @param {string} subjectIri
- * @param {string[]} predicateIris
- * @returns {string[]}
+ * Parsers for formats the N3 parser does not handle, keyed by format.
+ * Each takes (text, DataFactory, options) and returns an array of quads; in lenient mode
+ * options.onDropped receives the errors of statements they skip.
  */
-export function getLiteralArrayForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getLiteralArrayForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
+const NON_N3_PARSERS = {
+  'application/rdf+xml': parseXmlRdfToQuads,
+  'application/owl+xml': parseXmlRdfToQuads,
+  'application/ld+json': parseJsonLdToQuads,
+  'text/owl-functional': parseOwlFunctionalToQuads,
+  'text/owl-manchester': parseManchesterToQuads,
+  'text/obo': parseOboToQuads
+};
 
-  try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
-    const values = new Set();
+// Characters handed to the N3 lexer at a time when progress is being reported.
+const PROGRESS_CHUNK_SIZE = 1 << 16;
 
-    subjectQuads.forEach(q => {
-      if (
-        q.predicate.termType === 'NamedNode' &&
-        predicateIris.includes(q.predicate.value) &&
-        q.object.termType === 'Literal'
-      ) {
-        values.add(q.object.value);
+/**
+ * Parse Turtle-family text by feeding it to the N3 lexer in chunks, reporting progress
+ * after each one. N3 tokenizes stream input synchronously, so a minimal emitter will do.
+ * @param {typeof import('n3')} N3lib
+ * @param {string} text
+ * @param {string} format
+ * @param {{ baseIri?: string, onPrefix?: (prefix: string, namespace: string) => void }} options
+ * @param {(progress: { parsed: number, total: number, quads: number }) => void} onProgress
+ * @returns {import('n3').Quad[]}
+ */
+function parseN3WithProgress(N3lib, text, format, options, onProgress) {
+  const handlers = {};
+  const input = {
+    on(event, fn) {
+      handlers[event] = fn;
+      return input;
+    }
+  };
+
+  const quads = [];
+  let error = null;
+  new N3lib.Parser({ format, baseIRI: options.baseIri }).parse(input, (err, quad) => {
+    if (err) error = error || err;
+    else if (quad) quads.push(quad);
+  }, n3PrefixCallback(options.onPrefix));
+
+  for (let at = 0; at < text.length && !error; at += PROGRESS_CHUNK_SIZE) {
+    handlers.data(text.slice(at, at + PROGRESS_CHUNK_SIZE));
+    onProgress({ parsed: Math.min(at + PROGRESS_CHUNK_SIZE, text.length), total: text.length, quads: quads.length });
+  }
+  if (!error) handlers.end();
+  if (error) throw error;
+  return quads;
+}
+
+/**
+ * Parse RDF text into an N3 Store.
+ * Turtle-family formats go through the N3 parser; others use NON_N3_PARSERS.
+ * @param {string} text
+ * @param {string} format
+ * @param {{
+ *   baseIri?: string,
+ *   contexts?: Record<string, object|string>,
+ *   lenient?: boolean,
+ *   onDropped?: (err: Error) => void,
+ *   onProgress?: (progress: { parsed: number, total: number, quads: number }) => void,
+ *   onPrefix?: (prefix: string, namespace: string) => void
+ * }} [options]
+ *   `contexts` supplies JSON-LD remote contexts locally (keyed by URL or file name).
+ *   With `lenient`, statements that fail to parse are skipped and passed to `onDropped`
+ *   (where the format's reader can recover); otherwise the first error is thrown.
+ *   `onProgress` receives characters parsed so far and quads produced; Turtle-family
+ *   formats report as they go, the other readers once they are done.
+ *   `onPrefix` receives each prefix the document declares (@prefix, xmlns:, Prefix:,
+ *   JSON-LD context terms, OBO idspaces); a prefix may be reported more than once.
+ * @returns {Promise<import('n3').Store>}
+ */
+export async function parseRdfTextToStore(text, format, options = {}) {
+  const fnName = 'parseRdfTextToStore';
+  logEvent(fnName, 'start', { format });
+
+  try {
+    const N3lib = await loadN3();
+
+    const { Parser, Store, DataFactory } = N3lib;
+    const store = new Store();
+
+    const onDropped = options.lenient ? (options.onDropped || (() => {})) : undefined;
+
+    let quads;
+    if (NON_N3_PARSERS[format]) {
+      quads = NON_N3_PARSERS[format](text, DataFactory, { ...options, onDropped });
+    } else if (format && !N3_FORMATS.has(format)) {
+      throw new Error(`Unsupported RDF format: ${RDF_FORMAT_LABELS[format] || format}`);
+    } else if (onDropped) {
+      quads = parseN3Lenient(N3lib, text, format, options, onDropped);
+    } else if (options.onProgress) {
+      quads = parseN3WithProgress(N3lib, text, format, options, options.onProgress);
+    } else {
+      const parser = new Parser({ format, baseIRI: options.baseIri });
+      quads = parser.parse(text, null, n3PrefixCallback(options.onPrefix));
+    }
+    options.onProgress?.({ parsed: text.length, total: text.length, quads: quads.length });
+    store.addQuads(quads);
+
+    logEvent(fnName, 'parsed', { quadCount: quads.length });
+    return store;
+  } catch (err) {
+    logError(fnName, err, { format });
+    throw err;
+  }
+}
+
+/**
+ * Whether parseRdfStreamToStore can read a format (the Turtle family, which N3 parses
+ * incrementally).
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isStreamableFormat(format) {
+  return N3_FORMATS.has(format);
+}
+
+/**
+ * Parse RDF from a stream of text chunks into an N3 Store, without ever holding the
+ * whole document. Only quads accepted by `filter` are stored; the total count parsed is
+ * returned alongside the store.
+ * @param {ReadableStream<string>} stream e.g. file.stream().pipeThrough(new TextDecoderStream())
+ * @param {string} format one of the isStreamableFormat formats
+ * @param {{
+ *   baseIri?: string,
+ *   filter?: (quad: import('n3').Quad) => boolean,
+ *   onProgress?: (progress: { quads: number, kept: number }) => void,
+ *   onPrefix?: (prefix: string, namespace: string) => void
+ * }} [options]
+ *   `onProgress` is called after each chunk with the quads parsed and kept so far.
+ * @returns {Promise<{ store: import('n3').Store, quadCount: number }>}
+ */
+export async function parseRdfStreamToStore(stream, format, options = {}) {
+  const fnName = 'parseRdfStreamToStore';
+  logEvent(fnName, 'start', { format });
+
+  try {
+    if (!isStreamableFormat(format)) {
+      throw new Error(`Streaming is not supported for ${RDF_FORMAT_LABELS[format] || format}`);
+    }
+
+    const { Parser, Store } = await loadN3();
+    const store = new Store();
+    const { filter, onProgress } = options;
+
+    // N3 reads stream input through on('data'/'end'); a minimal emitter is enough.
+    const handlers = {};
+    const input = {
+      on(event, fn) {
+        handlers[event] = fn;
+        return input;
+      }
+    };
+
+    let quadCount = 0;
+    let error = null;
+    new Parser({ format, baseIRI: options.baseIri }).parse(input, (err, quad) => {
+      if (err) {
+        error = error || err;
+      } else if (quad) {
+        quadCount++;
+        if (!filter || filter(quad)) store.addQuad(quad);
+      }
+    }, n3PrefixCallback(options.onPrefix));
+
+    const reader = stream.getReader();
+    try {
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        handlers.data(chunk.value);
+        if (error) break;
+        onProgress?.({ quads: quadCount, kept: store.size });
+      }
+    } finally {
+      if (error) await reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+    if (!error) handlers.end();
+    if (error) throw error;
+
+    logEvent(fnName, 'parsed', { quadCount, kept: store.size });
+    return { store, quadCount };
+  } catch (err) {
+    logError(fnName, err, { format });
+    throw err;
+  }
+}
+
+/**
+ * Describe a parse error for display: the message plus, when the parser reported a
+ * position, the line/column and the offending source line.
+ * @param {Error} err
+ * @param {string} [text] the source that was parsed
+ * @returns {{ message: string, line: number|null, column: number|null,
+ *   snippet: string|null, snippetColumn: number|null }}
+ */
+export function describeParseError(err, text) {
+  const fnName = 'describeParseError';
+  logEvent(fnName, 'start', { message: err?.message });
+
+  try {
+    const message = String(err?.message || err || 'Unknown error');
+    const lineMatch = / on line (\d+)/.exec(message);
+    const line = err?.line ?? err?.context?.line ?? (lineMatch ? Number(lineMatch[1]) : null);
+    const column = err?.column ?? null;
+
+    let snippet = null;
+    let snippetColumn = null;
+    if (line != null && typeof text === 'string') {
+      const lines = text.split(/\r?\n/);
+      const source = lines[line - 1];
+      if (source != null) {
+        // Keep long lines readable: at most 120 characters around the column.
+        const from = column && column > 80 ? column - 60 : 0;
+        snippet = (from > 0 ? '…' : '') + source.slice(from, from + 120) + (source.length > from + 120 ? '…' : '');
+        snippetColumn = column ? column - from + (from > 0 ? 1 : 0) : null;
+      }
+    }
+
+    return { message, line, column, snippet, snippetColumn };
+  } catch (e) {
+    logError(fnName, e);
+    throw e;
+  }
+}
+
+// Namespace constants
+export const NS = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcterms: 'http://purl.org/dc/terms/',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  obo: 'http://purl.obolibrary.org/obo/',
+  cco: 'http://www.ontologyrepository.com/CommonCoreOntologies/',
+  cco2: 'https://www.commoncoreontologies.org/'
+};
+
+export const COMMON_PREFIXES = {
+  [NS.rdf]: 'rdf',
+  [NS.rdfs]: 'rdfs',
+  [NS.owl]: 'owl',
+  [NS.dc]: 'dc',
+  [NS.dcterms]: 'dcterms',
+  [NS.skos]: 'skos'
+};
+
+// Built-in prefix catalog for CURIEs, merged with each file's own declarations and the
+// user's prefixes (see mergePrefixes). OBO-style prefixes such as BFO cover one ID space.
+export const PREFIX_CATALOG = {
+  rdf: NS.rdf,
+  rdfs: NS.rdfs,
+  owl: NS.owl,
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  dc: NS.dc,
+  dcterms: NS.dcterms,
+  skos: NS.skos,
+  obo: NS.obo,
+  oboInOwl: 'http://www.geneontology.org/formats/oboInOwl#',
+  BFO: NS.obo + 'BFO_',
+  IAO: NS.obo + 'IAO_',
+  RO: NS.obo + 'RO_',
+  cco: NS.cco,
+  cco2: NS.cco2,
+  schema: 'https://schema.org/',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  prov: 'http://www.w3.org/ns/prov#',
+  dcat: 'http://www.w3.org/ns/dcat#',
+  vann: 'http://purl.org/vocab/vann/',
+  sh: 'http://www.w3.org/ns/shacl#',
+  cc: 'http://creativecommons.org/ns#'
+};
+
+/**
+ * Shorten an IRI to a CURIE with the given prefixes; the longest matching namespace wins.
+ * @param {string} iri
+ * @param {Record<string, string>} [prefixes] prefix -> namespace
+ * @returns {string} the CURIE, or the IRI when no namespace matches
+ */
+export function iriToCurie(iri, prefixes = PREFIX_CATALOG) {
+  let best = null;
+  for (const [prefix, ns] of Object.entries(prefixes)) {
+    if (ns && iri.startsWith(ns) && iri.length > ns.length && (!best || ns.length > best[1].length)) {
+      best = [prefix, ns];
+    }
+  }
+  return best ? `${best[0]}:${iri.slice(best[1].length)}` : iri;
+}
+
+/**
+ * Expand what a user typed to an IRI: `<iri>`, an IRI, or a CURIE whose prefix is one of
+ * the given prefixes.
+ * @param {string} text
+ * @param {Record<string, string>} [prefixes] prefix -> namespace
+ * @returns {string|null} null when the text is neither
+ */
+export function curieToIri(text, prefixes = PREFIX_CATALOG) {
+  const value = text.trim().replace(/^<(.*)>$/, '$1');
+  const match = /^([A-Za-z_][\w.-]*)?:(\S*)$/.exec(value);
+  if (!match) return null;
+  const [, prefix = '', local] = match;
+  if (Object.hasOwn(prefixes, prefix) && !local.startsWith('//')) return prefixes[prefix] + local;
+  return prefix && local ? value : null;
+}
+
+/**
+ * Merge the prefix catalog, the prefixes declared by loaded files and the user's own.
+ * The user's prefixes win, then the files' (the first file declaring a prefix wins),
+ * then the catalog. A prefix bound to different namespaces by different files is a
+ * conflict. The default prefix ("") belongs to its file: it is kept only when merging
+ * a single file, since nearly every file binds it to its own namespace.
+ * @param {{
+ *   files?: Array<{ name: string, prefixes: Record<string, string> }>,
+ *   user?: Record<string, string>,
+ *   catalog?: Record<string, string>
+ * }} sources
+ * @returns {{
+ *   prefixes: Record<string, string>,
+ *   conflicts: Array<{ prefix: string, bindings: Array<{ namespace: string, files: string[] }> }>
+ * }}
+ */
+export function mergePrefixes({ files = [], user = {}, catalog = PREFIX_CATALOG } = {}) {
+  const fnName = 'mergePrefixes';
+  logEvent(fnName, 'start', { fileCount: files.length });
+
+  try {
+    const declared = new Map(); // prefix -> Map(namespace -> file names)
+    files.forEach(({ name, prefixes }) => {
+      Object.entries(prefixes || {}).forEach(([prefix, ns]) => {
+        if (prefix === '' && files.length > 1) return;
+        if (!declared.has(prefix)) declared.set(prefix, new Map());
+        const bindings = declared.get(prefix);
+        if (!bindings.has(ns)) bindings.set(ns, []);
+        if (!bindings.get(ns).includes(name)) bindings.get(ns).push(name);
+      });
+    });
+
+    const fromFiles = {};
+    const conflicts = [];
+    declared.forEach((bindings, prefix) => {
+      fromFiles[prefix] = bindings.keys().next().value;
+      if (bindings.size > 1) {
+        conflicts.push({
+          prefix,
+          bindings: Array.from(bindings, ([namespace, names]) => ({ namespace, files: names }))
+        });
+      }
+    });
+
+    if (conflicts.length) logEvent(fnName, 'conflicts', { prefixes: conflicts.map(c => c.prefix) });
+    return { prefixes: { ...catalog, ...fromFiles, ...user }, conflicts };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Parse prefix declarations, one per line, as Turtle or SPARQL directives or plainly:
+ * `@prefix ex: <http://example.org/> .`, `PREFIX ex: <http://example.org/>` or
+ * `ex: http://example.org/`. Blank lines and # comments are skipped.
+ * @param {string} text
+ * @returns {Record<string, string>} prefix -> namespace
+ */
+export function parsePrefixDeclarations(text) {
+  const fnName = 'parsePrefixDeclarations';
+  logEvent(fnName, 'start');
+
+  try {
+    const prefixes = {};
+    String(text ?? '').split(/\r?\n/).forEach((line, i) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const match = /^(?:@?prefix\s+)?([A-Za-z_][\w.-]*)?:\s*<?([^\s<>]+?)>?\s*\.?$/i.exec(trimmed);
+      if (!match || !/^[A-Za-z][A-Za-z0-9+.-]*:/.test(match[2])) {
+        throw new Error(`Prefix error: line ${i + 1} is not a prefix declaration ("${trimmed}").`);
+      }
+      prefixes[match[1] || ''] = match[2];
+    });
+    return prefixes;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Write prefixes as Turtle @prefix directives, one per line (see parsePrefixDeclarations).
+ * @param {Record<string, string>} prefixes
+ * @returns {string}
+ */
+export function formatPrefixDeclarations(prefixes) {
+  return Object.entries(prefixes)
+    .map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .`)
+    .join('\n');
+}
+
+// Predicates read for each ontology metadata field, in order of preference.
+const METADATA_PREDICATES = {
+  ontologyName: [NS.rdfs + 'label', NS.dcterms + 'title', NS.dc + 'title'],
+  versionIri: [NS.owl + 'versionIRI', NS.dcterms + 'hasVersion'],
+  versionInfo: [NS.owl + 'versionInfo', NS.dcterms + 'hasVersion'],
+  description: [NS.skos + 'definition', NS.dcterms + 'description', NS.dc + 'description'],
+  license: [
+    NS.dc + 'rights',
+    NS.dc + 'accessRights',
+    NS.dcterms + 'license',
+    NS.dcterms + 'rights',
+    NS.dcterms + 'accessRights'
+  ],
+  rightsHolder: [NS.dc + 'rightsHolder', NS.dcterms + 'rightsHolder'],
+  imports: [NS.owl + 'imports']
+};
+
+// Predicates read for the label of an IRI shown in an IRI column, in order of preference.
+const LABEL_PREDICATES = [NS.rdfs + 'label', NS.skos + 'prefLabel'];
+
+// How a profile column turns a subject's values into a cell:
+//  - single: the best literal (see pickBestLiteral) of the first predicate that has one
+//  - all:    every literal of any of the predicates
+//  - iris:   every IRI object (blank nodes are skipped)
+//  - any:    every literal or IRI object
+//  - expressions: every IRI object, and blank-node class expressions in Manchester syntax
+export const COLUMN_VALUE_MODES = ['single', 'all', 'iris', 'any', 'expressions'];
+
+// Keys the table models add themselves, so profile columns cannot use them.
+const RESERVED_COLUMN_KEYS = new Set(['iri', 'sourceOntology']);
+
+/**
+ * The element table's built-in columns, as a column profile. Profiles are plain JSON:
+ * `{ name, prefixes?, columns: [{ key, header, predicates, mode, separator }] }`, with
+ * predicates in order of preference (full IRIs, or CURIEs using NS or `prefixes`).
+ */
+export const DEFAULT_COLUMN_PROFILE = {
+  name: 'Default',
+  columns: [
+    {
+      key: 'label',
+      header: 'label',
+      predicates: [NS.rdfs + 'label', NS.dcterms + 'title', NS.dc + 'title'],
+      mode: 'single',
+      separator: '; '
+    },
+    { key: 'type', header: 'type', predicates: [NS.rdf + 'type'], mode: 'iris', separator: '; ' },
+    {
+      key: 'definition',
+      header: 'definition',
+      predicates: [NS.skos + 'definition', NS.obo + 'IAO_0000115', NS.cco + 'definition'],
+      mode: 'single',
+      separator: '; '
+    },
+    {
+      key: 'preferredLabel',
+      header: 'preferred label',
+      predicates: [NS.skos + 'prefLabel', NS.obo + 'IAO_0000111'],
+      mode: 'single',
+      separator: '; '
+    },
+    {
+      key: 'alternativeLabel',
+      header: 'alternative label',
+      predicates: [NS.skos + 'altLabel', NS.obo + 'IAO_0000118', NS.cco + 'alternative_label'],
+      mode: 'all',
+      separator: '; '
+    },
+    {
+      key: 'acronym',
+      header: 'acronym',
+      predicates: [NS.cco + 'acronym', NS.obo + 'IAO_0000606', NS.cco2 + 'ont00001753'],
+      mode: 'all',
+      separator: '; '
+    },
+    {
+      key: 'subClassOf',
+      header: 'rdfs:subClassOf',
+      predicates: [NS.rdfs + 'subClassOf'],
+      mode: 'expressions',
+      separator: '; '
+    },
+    {
+      key: 'equivalentClass',
+      header: 'owl:equivalentClass',
+      predicates: [NS.owl + 'equivalentClass'],
+      mode: 'expressions',
+      separator: '; '
+    },
+    {
+      key: 'subPropertyOf',
+      header: 'rdfs:subPropertyOf',
+      predicates: [NS.rdfs + 'subPropertyOf'],
+      mode: 'iris',
+      separator: '; '
+    },
+    {
+      key: 'definitionSource',
+      header: 'definition source',
+      predicates: [
+        NS.dcterms + 'bibliographicCitation',
+        NS.dc + 'bibliographicCitation',
+        NS.obo + 'IAO_0000119',
+        NS.cco2 + 'ont00001754',
+        NS.cco + 'definition_source',
+        NS.cco2 + 'ont00001745',
+        NS.cco + 'doctrinal_source'
+      ],
+      mode: 'any',
+      separator: '; '
+    },
+    {
+      key: 'isCuratedIn',
+      header: 'is curated in',
+      predicates: [NS.cco2 + 'ont00001760', NS.rdfs + 'isDefinedBy'],
+      mode: 'all',
+      separator: '; '
+    }
+  ]
+};
+
+/**
+ * A profile with no curated columns that discovers one column per predicate used on the
+ * elements ("All properties"). Any profile can set `discover: true` to add discovered
+ * columns after its own; `separator` then sets how their values are joined.
+ */
+export const ALL_PROPERTIES_PROFILE = {
+  name: 'All properties',
+  discover: true,
+  separator: '; ',
+  columns: []
+};
+
+// Predicates behind the label, definition and curation facets (see computeFacets), from
+// the default profile so tables get the same facets whatever their columns.
+const defaultColumnPredicates = key => DEFAULT_COLUMN_PROFILE.columns.find(c => c.key === key).predicates;
+const FACET_PREDICATES = {
+  label: [...defaultColumnPredicates('label'), ...LABEL_PREDICATES],
+  definition: defaultColumnPredicates('definition'),
+  curatedIn: defaultColumnPredicates('isCuratedIn')
+};
+
+/**
+ * Check a column profile and return it normalized: CURIEs expanded, `header` defaulting
+ * to the key, `mode` to "any" and `separator` to "; ".
+ * @param {unknown} profile parsed JSON
+ * @returns {{ name: string, discover?: boolean, separator?: string,
+ *   columns: Array<{ key: string, header: string,
+ *   predicates: string[], mode: 'single'|'all'|'iris'|'any'|'expressions', separator: string }> }}
+ * @throws {Error} "Column profile error: ..." describing the first problem found
+ */
+export function normalizeColumnProfile(profile) {
+  const fnName = 'normalizeColumnProfile';
+  logEvent(fnName, 'start');
+
+  const fail = message => {
+    throw new Error(`Column profile error: ${message}.`);
+  };
+
+  try {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) fail('expected a JSON object');
+    const discover = profile.discover === true;
+    if (profile.discover != null && typeof profile.discover !== 'boolean') fail('"discover" must be true or false');
+    if (profile.separator != null && typeof profile.separator !== 'string') fail('"separator" must be a string');
+    // Columns are optional when they are all discovered.
+    const columnsOptional = discover && profile.columns == null;
+    if (!columnsOptional && (!Array.isArray(profile.columns) || (!profile.columns.length && !discover))) {
+      fail('"columns" must be a non-empty array');
+    }
+
+    const prefixes = { ...NS, ...(profile.prefixes || {}) };
+    const expand = (value, where) => {
+      if (typeof value !== 'string' || !value.trim()) fail(`${where}: predicates must be IRI strings`);
+      const m = /^([A-Za-z][\w.-]*)?:(.*)$/.exec(value);
+      if (m && !m[2].startsWith('//')) {
+        const ns = prefixes[m[1] ?? ''];
+        if (ns != null) return ns + m[2];
+        if (m[1] == null) fail(`${where}: no default prefix for "${value}"`);
+      }
+      // Anything else is taken as an absolute IRI (including schemes such as urn:).
+      return value;
+    };
+
+    const seen = new Set();
+    const columns = (profile.columns || []).map((col, i) => {
+      const where = `column ${i + 1}`;
+      if (!col || typeof col !== 'object') fail(`${where} must be an object`);
+      const { key } = col;
+      if (typeof key !== 'string' || !/^[A-Za-z_][\w-]*$/.test(key)) {
+        fail(`${where}: "key" must be a name of letters, digits, "_" or "-"`);
+      }
+      if (RESERVED_COLUMN_KEYS.has(key)) fail(`${where}: "${key}" is reserved`);
+      if (seen.has(key)) fail(`${where}: duplicate key "${key}"`);
+      seen.add(key);
+
+      if (!Array.isArray(col.predicates) || col.predicates.length === 0) {
+        fail(`${where} ("${key}"): "predicates" must be a non-empty array`);
+      }
+      const mode = col.mode ?? 'any';
+      if (!COLUMN_VALUE_MODES.includes(mode)) {
+        fail(`${where} ("${key}"): "mode" must be one of ${COLUMN_VALUE_MODES.join(', ')}`);
+      }
+      if (col.header != null && typeof col.header !== 'string') fail(`${where} ("${key}"): "header" must be a string`);
+      if (col.separator != null && typeof col.separator !== 'string') {
+        fail(`${where} ("${key}"): "separator" must be a string`);
+      }
+
+      return {
+        key,
+        header: col.header || key,
+        predicates: col.predicates.map(p => expand(p, `${where} ("${key}")`)),
+        mode,
+        separator: col.separator ?? '; '
+      };
+    });
+
+    const name = typeof profile.name === 'string' && profile.name ? profile.name : 'Custom';
+    return discover
+      ? { name, discover, separator: profile.separator ?? '; ', columns }
+      : { name, columns };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Parse and check a column profile from JSON text.
+ * @param {string} text
+ * @returns {ReturnType<typeof normalizeColumnProfile>}
+ */
+export function parseColumnProfile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Column profile error: not valid JSON (${err.message}).`);
+  }
+  return normalizeColumnProfile(json);
+}
+
+/**
+ * Serialize a column profile for download.
+ * @param {object} profile
+ * @returns {string}
+ */
+export function columnProfileToJson(profile) {
+  const { name, discover, separator, columns } = profile;
+  return JSON.stringify(discover ? { name, discover, separator, columns } : { name, columns }, null, 2);
+}
+
+// Predicates each profile needs when streaming, computed once per profile object.
+const profilePredicateSets = new WeakMap();
+
+/**
+ * Whether extractOntologyMetadata, getIriLabels or buildElementTableModel (with the given
+ * profile) can use a quad. Streaming parses keep only these quads to bound memory on very large files.
+ * @param {import('n3').Quad} q
+ * @param {object} [profile] defaults to DEFAULT_COLUMN_PROFILE
+ * @returns {boolean}
+ */
+export function isQuadUsedByTable(q, profile = DEFAULT_COLUMN_PROFILE) {
+  if (q.predicate.termType !== 'NamedNode') return false;
+
+  const expressions = profile.discover || profile.columns.some(c => c.mode === 'expressions');
+  if (q.subject.termType === 'BlankNode') {
+    // The parts of class expressions, when a column renders them.
+    return expressions && CLASS_EXPRESSION_PREDICATES.has(q.predicate.value);
+  }
+  if (profile.discover) {
+    // Discovered columns can come from any predicate, and headers from property labels.
+    return q.subject.termType === 'NamedNode';
+  }
+  let predicates = profilePredicateSets.get(profile);
+  if (!predicates) {
+    predicates = new Set([
+      NS.rdf + 'type',
+      ...Object.values(METADATA_PREDICATES).flat(),
+      ...LABEL_PREDICATES,
+      ...Object.values(HIERARCHY_KINDS).map(kind => kind.predicate),
+      ...Object.values(FACET_PREDICATES).flat(),
+      NS.owl + 'deprecated',
+      ...profile.columns.flatMap(c => c.predicates)
+    ]);
+    profilePredicateSets.set(profile, predicates);
+  }
+  return q.subject.termType === 'NamedNode' && predicates.has(q.predicate.value);
+}
+
+/**
+ * Pick the ontology subject (IRI) from a store.
+ * Strategy: any subject with rdf:type owl:Ontology.
+ * @param {import('n3').Store} store
+ * @returns {string|null} ontologyIri
+ */
+export function getOntologySubjectIri(store) {
+  const fnName = 'getOntologySubjectIri';
+  logEvent(fnName, 'start');
+
+  try {
+    // N3 stores accept IRI strings as term ids, which avoids needing a DataFactory here.
+    const [candidate] = store.getSubjects(NS.rdf + 'type', NS.owl + 'Ontology', null);
+
+    if (!candidate) {
+      logEvent(fnName, 'no ontology subject found');
+      return null;
+    }
+
+    const iri = candidate.value;
+    logEvent(fnName, 'ontology subject found', { iri });
+    return iri;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// Language ranking used when none is given: English, then untagged, then anything.
+export const DEFAULT_LANGUAGE_PREFERENCES = ['en', '*'];
+
+/**
+ * Parse a ranked language list such as "fr, en, *" (commas or spaces between entries).
+ * Each entry is a language tag, which also matches its subtags ("en" matches "en-GB"),
+ * or "*", which matches any literal, untagged ones first. Without "*", literals in
+ * other languages are never picked. An empty list gives DEFAULT_LANGUAGE_PREFERENCES.
+ * @param {string} text
+ * @returns {string[]} lower-case tags in order of preference
+ */
+export function parseLanguagePreferences(text) {
+  const fnName = 'parseLanguagePreferences';
+  logEvent(fnName, 'start', { text });
+
+  try {
+    const entries = String(text ?? '').split(/[\s,]+/).filter(Boolean).map(e => e.toLowerCase());
+    if (entries.length === 0) return [...DEFAULT_LANGUAGE_PREFERENCES];
+
+    entries.forEach(entry => {
+      if (entry !== '*' && !/^[a-z]{1,8}(-[a-z0-9]{1,8})*$/.test(entry)) {
+        throw new Error(`Language preferences error: "${entry}" is not a language tag.`);
+      }
+    });
+    return Array.from(new Set(entries));
+  } catch (err) {
+    logError(fnName, err, { text });
+    throw err;
+  }
+}
+
+function languageMatches(language, range) {
+  const tag = (language || '').toLowerCase();
+  return tag !== '' && (tag === range || tag.startsWith(range + '-'));
+}
+
+/**
+ * Pick the best literal from a list of literals by a ranked language list (see
+ * parseLanguagePreferences). By default: 'en', then no language, then others.
+ * @param {import('n3').Literal[]} literals
+ * @param {string[]} [languages]
+ * @returns {import('n3').Literal|null}
+ */
+export function pickBestLiteral(literals, languages = DEFAULT_LANGUAGE_PREFERENCES) {
+  const fnName = 'pickBestLiteral';
+  logTrace(fnName, 'start', { count: literals?.length ?? 0 });
+
+  try {
+    if (!literals || literals.length === 0) return null;
+
+    for (const range of languages) {
+      if (range === '*') return literals.find(l => !l.language) || literals[0];
+
+      const match = literals.find(l => languageMatches(l.language, range));
+      if (match) return match;
+    }
+    return null;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Get all quads whose subject matches the given IRI string.
+ * Uses the store's subject index rather than scanning every quad.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @returns {import('n3').Quad[]}
+ */
+export function getQuadsForSubject(store, subjectIri) {
+  const fnName = 'getQuadsForSubject';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    // A plain string is the term id of the named node with that IRI.
+    return store.getQuads(subjectIri, null, null, null);
+  } catch (err) {
+    logError(fnName, err, { subjectIri });
+    throw err;
+  }
+}
+
+// The helpers below work on one subject's quads, so buildElementTableModel can look a
+// subject up once and fill every column from the result.
+
+function hasPredicate(q, predicateIri) {
+  return q.predicate.termType === 'NamedNode' && q.predicate.value === predicateIri;
+}
+
+function hasAnyPredicate(q, predicateIris) {
+  return q.predicate.termType === 'NamedNode' && predicateIris.includes(q.predicate.value);
+}
+
+function preferredLiteralIn(quads, predicateIris, languages) {
+  for (const p of predicateIris) {
+    const literals = quads
+      .filter(q => hasPredicate(q, p) && q.object.termType === 'Literal')
+      .map(q => q.object);
+
+    const best = pickBestLiteral(literals, languages);
+    if (best) return best.value;
+  }
+  return null;
+}
+
+function preferredIriIn(quads, predicateIris) {
+  for (const p of predicateIris) {
+    const match = quads.find(q => hasPredicate(q, p) && q.object.termType === 'NamedNode');
+    if (match) return match.object.value;
+  }
+  return null;
+}
+
+function preferredUriLikeIn(quads, predicateIris) {
+  for (const p of predicateIris) {
+    const match = quads.find(q => {
+      if (!hasPredicate(q, p)) return false;
+
+      // Normal case: actual IRI node
+      if (q.object.termType === 'NamedNode') return true;
+
+      // Permissive case: typed URI literal
+      return q.object.termType === 'Literal' &&
+        !!q.object.datatype &&
+        q.object.datatype.value === 'http://www.w3.org/2001/XMLSchema#anyURI';
+    });
+
+    if (match) return match.object.value;
+  }
+  return null;
+}
+
+function preferredDisplayValueIn(quads, predicateIris) {
+  for (const p of predicateIris) {
+    const match = quads.find(q =>
+      hasPredicate(q, p) &&
+      (q.object.termType === 'NamedNode' || q.object.termType === 'Literal')
+    );
+    if (match) return match.object.value;
+  }
+  return null;
+}
+
+function literalArrayIn(quads, predicateIris) {
+  const values = new Set();
+  quads.forEach(q => {
+    if (hasAnyPredicate(q, predicateIris) && q.object.termType === 'Literal') {
+      values.add(q.object.value);
+    }
+  });
+  return Array.from(values);
+}
+
+function iriArrayIn(quads, predicateIris) {
+  const values = new Set();
+  quads.forEach(q => {
+    if (hasAnyPredicate(q, predicateIris) && q.object.termType === 'NamedNode' && !isBlankNode(q.object)) {
+      values.add(q.object.value);
+    }
+  });
+  return Array.from(values);
+}
+
+function anyArrayIn(quads, predicateIris) {
+  const values = new Set();
+  quads.forEach(q => {
+    if (
+      hasAnyPredicate(q, predicateIris) &&
+      (q.object.termType === 'Literal' || q.object.termType === 'NamedNode')
+    ) {
+      values.add(q.object.value);
+    }
+  });
+  return Array.from(values);
+}
+
+/**
+ * Helper: get single preferred literal value for subject & predicate.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris ordered by preference
+ * @param {string[]} [languages] ranked languages (see pickBestLiteral)
+ * @returns {string|null}
+ */
+export function getPreferredLiteralForPredicates(store, subjectIri, predicateIris, languages) {
+  const fnName = 'getPreferredLiteralForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return preferredLiteralIn(getQuadsForSubject(store, subjectIri), predicateIris, languages);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+
+/**
+ * Helper: get preferred IRI/URI object for predicates (e.g. versionIRI, license).
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris
+ * @returns {string|null}
+ */
+export function getPreferredIriForPredicates(store, subjectIri, predicateIris) {
+  const fnName = 'getPreferredIriForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return preferredIriIn(getQuadsForSubject(store, subjectIri), predicateIris);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+export function getPreferredUriLikeForPredicates(store, subjectIri, predicateIris) {
+  const fnName = 'getPreferredUriLikeForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return preferredUriLikeIn(getQuadsForSubject(store, subjectIri), predicateIris);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+/**
+ * Helper: get preferred displayable value for predicates.
+ * Accepts either:
+ *  - NamedNode IRIs
+ *  - Literal values (including xsd:anyURI or plain strings)
+ * Returns the first matching value in predicate preference order.
+ *
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris
+ * @returns {string|null}
+ */
+export function getPreferredDisplayValueForPredicates(store, subjectIri, predicateIris) {
+  const fnName = 'getPreferredDisplayValueForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return preferredDisplayValueIn(getQuadsForSubject(store, subjectIri), predicateIris);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+/**
+ * Get all literal values for any of the given predicates.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris
+ * @returns {string[]}
+ */
+export function getLiteralArrayForPredicates(store, subjectIri, predicateIris) {
+  const fnName = 'getLiteralArrayForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return literalArrayIn(getQuadsForSubject(store, subjectIri), predicateIris);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+/**
+ * Get all IRI values (NamedNodes, non-blank) for any of the given predicates.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris
+ * @returns {string[]}
+ */
+export function getIriArrayForPredicates(store, subjectIri, predicateIris) {
+  const fnName = 'getIriArrayForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return iriArrayIn(getQuadsForSubject(store, subjectIri), predicateIris);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+/**
+ * Get all values (literal or IRI) for any of the given predicates.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris
+ * @returns {string[]}
+ */
+export function getAnyArrayForPredicates(store, subjectIri, predicateIris) {
+  const fnName = 'getAnyArrayForPredicates';
+  logTrace(fnName, 'start', { subjectIri });
+
+  try {
+    return anyArrayIn(getQuadsForSubject(store, subjectIri), predicateIris);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+/**
+ * Extract ontology-level metadata according to your preference rules.
+ * @param {import('n3').Store} store
+ * @param {{ languages?: string[] }} [options]
+ *   `languages` ranks the languages of the name, version info, description, license and
+ *   rights holder (see pickBestLiteral).
+ * @returns {{
+ *   ontologyIri: string|null,
+ *   ontologyName: string|null,
+ *   versionIri: string|null,
+ *   versionInfo: string|null,
+ *   description: string|null,
+ *   license: string|null,
+ *   rightsHolder: string|null,
+ *   imports: string[]
+ * }}
+ */
+export function extractOntologyMetadata(store, options = {}) {
+  const fnName = 'extractOntologyMetadata';
+  const { languages } = options;
+  logEvent(fnName, 'start', { languages });
+
+  try {
+    const ontologyIri = getOntologySubjectIri(store);
+    if (!ontologyIri) {
+      return {
+        ontologyIri: null,
+        ontologyName: null,
+        versionIri: null,
+        versionInfo: null,
+        description: null,
+        license: null,
+        rightsHolder: null,
+        imports: []
+      };
+    }
+
+    const S = ontologyIri;
+    const P = METADATA_PREDICATES;
+    const meta = {
+      ontologyIri: S,
+      ontologyName: getPreferredLiteralForPredicates(store, S, P.ontologyName, languages),
+      versionIri: getPreferredDisplayValueForPredicates(store, S, P.versionIri),
+      versionInfo: getPreferredLiteralForPredicates(store, S, P.versionInfo, languages),
+      description: getPreferredLiteralForPredicates(store, S, P.description, languages),
+      license: getPreferredLiteralForPredicates(store, S, P.license, languages),
+      rightsHolder: getPreferredLiteralForPredicates(store, S, P.rightsHolder, languages),
+      imports: getIriArrayForPredicates(store, S, P.imports)
+    };
+    logEvent(fnName, 'metadata extracted', meta);
+    return meta;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// rdf:type values that make a subject an "ontology element".
+const ELEMENT_TYPES = [
+  NS.owl + 'Class',
+  NS.owl + 'NamedIndividual',
+  NS.owl + 'ObjectProperty',
+  NS.owl + 'DataProperty',
+  NS.owl + 'DatatypeProperty',
+  NS.owl + 'AnnotationProperty'
+];
+
+/**
+ * Decide if a subject should be included as an "ontology element".
+ * We include owl:Class, owl:NamedIndividual, owl:ObjectProperty, owl:DatatypeProperty, owl:AnnotationProperty.
+ * Skip blank nodes.
+ * @param {import('n3').Store} store
+ * @param {import('n3').Term} subject
+ * @returns {boolean}
+ */
+export function shouldIncludeElementSubject(store, subject) {
+  const fnName = 'shouldIncludeElementSubject';
+  logTrace(fnName, 'start', { subject: subject?.value });
+
+  try {
+    if (!subject || subject.termType !== 'NamedNode') return false;
+
+    return store.getObjects(subject, NS.rdf + 'type', null)
+      .some(t => t.termType === 'NamedNode' && ELEMENT_TYPES.includes(t.value));
+  } catch (err) {
+    logError(fnName, err, { subject });
+    throw err;
+  }
+}
+
+/**
+ * Shorten IRI to CURIE using PREFIX_CATALOG if possible (see iriToCurie).
+ * @param {string} iri
+ * @returns {string}
+ */
+export function iriToCurieIfCommon(iri) {
+  const fnName = 'iriToCurieIfCommon';
+  logTrace(fnName, 'start', { iri });
+
+  try {
+    return iriToCurie(iri, PREFIX_CATALOG);
+  } catch (err) {
+    logError(fnName, err, { iri });
+    throw err;
+  }
+}
+
+/**
+ * Convert a free-text name to PascalCase.
+ * Used for generating CSV/print filenames.
+ * @param {string|null} name
+ * @returns {string}
+ */
+export function toPascalCase(name) {
+  const fnName = 'toPascalCase';
+  logEvent(fnName, 'start', { name });
+
+  try {
+    if (!name) return 'Ontology';
+    const parts = String(name)
+      .replace(/[^A-Za-z0-9]+/g, ' ')
+      .trim()
+      .split(/\s+/);
+
+    if (parts.length === 0) return 'Ontology';
+    return parts
+      .map(p => p.charAt(0).toUpperCase() + p.slice(1))
+      .join('');
+  } catch (err) {
+    logError(fnName, err, { name });
+    throw err;
+  }
+}
+
+// Predicates of the blank nodes that make up OWL class expressions (and their RDF lists).
+const CLASS_EXPRESSION_PREDICATES = new Set([
+  NS.rdf + 'type',
+  NS.rdf + 'first',
+  NS.rdf + 'rest',
+  ...[
+    'onProperty', 'inverseOf', 'someValuesFrom', 'allValuesFrom', 'hasValue', 'hasSelf',
+    'cardinality', 'minCardinality', 'maxCardinality',
+    'qualifiedCardinality', 'minQualifiedCardinality', 'maxQualifiedCardinality',
+    'onClass', 'onDataRange', 'intersectionOf', 'unionOf', 'complementOf', 'oneOf'
+  ].map(local => NS.owl + local)
+]);
+
+// Predicates whose blank-node objects discovered columns render as class expressions.
+const CLASS_AXIOM_PREDICATES = new Set([NS.rdfs + 'subClassOf', NS.owl + 'equivalentClass']);
+
+// Nesting depth after which class expressions are cut short, as a guard against cycles.
+const MAX_EXPRESSION_DEPTH = 32;
+
+const CARDINALITY_KEYWORDS = [
+  ['minQualifiedCardinality', 'min'],
+  ['maxQualifiedCardinality', 'max'],
+  ['qualifiedCardinality', 'exactly'],
+  ['minCardinality', 'min'],
+  ['maxCardinality', 'max'],
+  ['cardinality', 'exactly']
+];
+
+/**
+ * Read an RDF list into its items.
+ * @param {import('n3').Store} store
+ * @param {import('n3').Term} head
+ * @returns {import('n3').Term[]}
+ */
+function listItemsIn(store, head) {
+  const items = [];
+  const seen = new Set();
+  let node = head;
+  while (node && !(node.termType === 'NamedNode' && node.value === NS.rdf + 'nil') && !seen.has(node.value)) {
+    seen.add(node.value);
+    const [first] = store.getObjects(node, NS.rdf + 'first', null);
+    if (first) items.push(first);
+    [node] = store.getObjects(node, NS.rdf + 'rest', null);
+  }
+  return items;
+}
+
+/**
+ * Write a literal the way Manchester syntax does: "text", "text"@lang or "5"^^<datatype>.
+ * @param {import('n3').Literal} literal
+ * @returns {string}
+ */
+function manchesterLiteral(literal) {
+  const text = `"${literal.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  if (literal.language) return `${text}@${literal.language}`;
+  const datatype = literal.datatype?.value;
+  if (!datatype || datatype === 'http://www.w3.org/2001/XMLSchema#string') return text;
+  return `${text}^^<${datatype}>`;
+}
+
+/**
+ * Render an OWL class expression in Manchester syntax, with named entities written as
+ * <iri> (see formatManchesterIris for labels or CURIEs). Handles restrictions (some,
+ * only, value, Self, min/max/exactly), and, or, not and {one, of}.
+ * @param {import('n3').Store} store
+ * @param {import('n3').Term} term
+ * @returns {string|null} null for blank nodes that are not class expressions
+ */
+export function renderClassExpression(store, term) {
+  const fnName = 'renderClassExpression';
+  logTrace(fnName, 'start', { term: term?.value });
+
+  // Parenthesize everything but names and enumerations when nested.
+  const nested = (node, depth) => {
+    const text = render(node, depth + 1);
+    return text && node.termType === 'BlankNode' && !text.startsWith('{') ? `(${text})` : text;
+  };
+
+  const valueOf = node => {
+    if (node.termType === 'Literal') return manchesterLiteral(node);
+    return node.termType === 'BlankNode' ? `_:${node.value}` : `<${node.value}>`;
+  };
+
+  const render = (node, depth) => {
+    if (node.termType === 'NamedNode') return `<${node.value}>`;
+    if (node.termType !== 'BlankNode' || depth > MAX_EXPRESSION_DEPTH) return null;
+
+    const one = local => store.getObjects(node, NS.owl + local, null)[0];
+
+    const property = one('onProperty');
+    if (property) {
+      const inverse = property.termType === 'BlankNode' && store.getObjects(property, NS.owl + 'inverseOf', null)[0];
+      const p = inverse ? `inverse ${valueOf(inverse)}` : valueOf(property);
+
+      const some = one('someValuesFrom');
+      if (some) return `${p} some ${nested(some, depth) ?? '?'}`;
+      const only = one('allValuesFrom');
+      if (only) return `${p} only ${nested(only, depth) ?? '?'}`;
+      const value = one('hasValue');
+      if (value) return `${p} value ${valueOf(value)}`;
+      if (one('hasSelf')) return `${p} Self`;
+
+      for (const [local, keyword] of CARDINALITY_KEYWORDS) {
+        const n = one(local);
+        if (!n) continue;
+        const filler = one('onClass') || one('onDataRange');
+        return filler ? `${p} ${keyword} ${n.value} ${nested(filler, depth) ?? '?'}` : `${p} ${keyword} ${n.value}`;
       }
-    });
+      return null;
+    }
+
+    for (const [local, keyword] of [['intersectionOf', ' and '], ['unionOf', ' or ']]) {
+      const list = one(local);
+      if (list) return listItemsIn(store, list).map(item => nested(item, depth) ?? '?').join(keyword);
+    }
+    const complement = one('complementOf');
+    if (complement) return `not ${nested(complement, depth) ?? '?'}`;
+    const members = one('oneOf');
+    if (members) return `{${listItemsIn(store, members).map(valueOf).join(', ')}}`;
 
-    return Array.from(values);
+    return null;
+  };
+
+  try {
+    return render(term, 0);
   } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
+    logError(fnName, err, { term: term?.value });
     throw err;
   }
 }
 
 /**
- * Get all IRI values (NamedNodes, non-blank) for any of the given predicates.
+ * Every IRI object, plus blank-node objects rendered as class expressions.
  * @param {import('n3').Store} store
- * @param {string} subjectIri
+ * @param {import('n3').Quad[]} quads
  * @param {string[]} predicateIris
  * @returns {string[]}
  */
-export function getIriArrayForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getIriArrayForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
+function expressionArrayIn(store, quads, predicateIris) {
+  const values = new Set();
+  quads.forEach(q => {
+    if (!hasAnyPredicate(q, predicateIris)) return;
+    if (q.object.termType === 'NamedNode') {
+      values.add(q.object.value);
+    } else if (q.object.termType === 'BlankNode') {
+      const text = renderClassExpression(store, q.object);
+      if (text) values.add(text);
+    }
+  });
+  return Array.from(values);
+}
 
-  try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
-    const values = new Set();
+/**
+ * Whether a cell value is a class expression (see renderClassExpression) rather than a
+ * plain IRI, which can never contain "<".
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isExpressionValue(value) {
+  return value.includes('<');
+}
+
+/**
+ * List the IRIs named in a rendered class expression (quoted literals are skipped).
+ * @param {string} expression
+ * @returns {string[]}
+ */
+function expressionIrisIn(expression) {
+  return Array.from(expression.matchAll(/"(?:[^"\\]|\\.)*"|<([^<>\s]+)>/g), m => m[1]).filter(Boolean);
+}
+
+/**
+ * Format the <iri> names in a Manchester-syntax expression: 'iri' keeps them, 'curie'
+ * shortens them, and 'label' uses the label (quoted when it is not a plain name),
+ * falling back to a CURIE.
+ * @param {string} expression
+ * @param {'label'|'curie'|'iri'} display
+ * @param {Record<string, string>} [labels]
+ * @param {Record<string, string>} [prefixes]
+ * @returns {string}
+ */
+export function formatManchesterIris(expression, display, labels = {}, prefixes = PREFIX_CATALOG) {
+  if (display === 'iri') return expression;
+  // Skip quoted literals so only names are rewritten.
+  return expression.replace(/"(?:[^"\\]|\\.)*"|<([^<>\s]+)>/g, (match, iri) => {
+    if (!iri) return match;
+    const label = display === 'label' ? labels[iri] : null;
+    if (label) return /^[A-Za-z_][\w-]*$/.test(label) ? label : `'${label.replace(/'/g, "\\'")}'`;
+    const curie = iriToCurie(iri, prefixes);
+    return curie === iri ? match : curie;
+  });
+}
+
+// Rows built between progress reports.
+const ROW_PROGRESS_INTERVAL = 250;
+
+/**
+ * Read one profile column's cell from a subject's quads.
+ * @param {import('n3').Store} store for walking class expressions
+ * @param {import('n3').Quad[]} quads
+ * @param {{ predicates: string[], mode: string, separator: string }} column
+ * @param {string[]} [languages] ranked languages for 'single' columns
+ * @returns {string}
+ */
+function columnValueIn(store, quads, column, languages) {
+  switch (column.mode) {
+    case 'single':
+      return preferredLiteralIn(quads, column.predicates, languages) || '';
+    case 'all':
+      return literalArrayIn(quads, column.predicates).join(column.separator);
+    case 'iris':
+      return iriArrayIn(quads, column.predicates).join(column.separator);
+    case 'expressions':
+      return expressionArrayIn(store, quads, column.predicates).join(column.separator);
+    default:
+      return anyArrayIn(quads, column.predicates).join(column.separator);
+  }
+}
+
+/**
+ * Collect a subject's tagged literals per language, for the per-language columns. Each
+ * language takes its values from the first of the predicates that has one in it.
+ * Untagged literals are left to the main column.
+ * @param {import('n3').Quad[]} quads
+ * @param {string[]} predicateIris ordered by preference
+ * @returns {Map<string, string[]>} lower-case language tag -> values
+ */
+function literalsByLanguageIn(quads, predicateIris) {
+  const byLanguage = new Map();
+  const source = new Map(); // language -> predicate its values come from
+  predicateIris.forEach(p => {
+    quads.forEach(q => {
+      if (!hasPredicate(q, p) || q.object.termType !== 'Literal' || !q.object.language) return;
+      const language = q.object.language.toLowerCase();
+      if (!source.has(language)) {
+        source.set(language, p);
+        byLanguage.set(language, []);
+      }
+      if (source.get(language) === p) byLanguage.get(language).push(q.object.value);
+    });
+  });
+  return byLanguage;
+}
+
+/**
+ * Make one column per predicate used (with an IRI or literal value) on the elements and
+ * not already read by the profile's own columns. Headers are the property's rdfs:label,
+ * or a CURIE; repeated labels get the CURIE appended. Columns are ordered by the number
+ * of elements that use them, most used first.
+ * @param {import('n3').Store} store
+ * @param {import('n3').Quad[][]} quadLists each element's quads
+ * @param {{ columns: Array<{ predicates: string[] }>, separator?: string }} profile
+ * @param {{ languages?: string[], prefixes?: Record<string, string> }} options
+ *   ranked languages for the property labels, and prefixes for the CURIEs
+ * @returns {Array<{ key: string, header: string, predicates: string[], mode: string,
+ *   separator: string }>}
+ */
+function discoverColumns(store, quadLists, profile, { languages, prefixes }) {
+  const curated = new Set(profile.columns.flatMap(c => c.predicates));
+  const counts = new Map();
 
-    subjectQuads.forEach(q => {
+  quadLists.forEach(quads => {
+    const used = new Set();
+    quads.forEach(q => {
       if (
         q.predicate.termType === 'NamedNode' &&
-        predicateIris.includes(q.predicate.value) &&
-        q.object.termType === 'NamedNode' &&
-        !isBlankNode(q.object)
+        !curated.has(q.predicate.value) &&
+        (q.object.termType === 'NamedNode' || q.object.termType === 'Literal' ||
+          (q.object.termType === 'BlankNode' && CLASS_AXIOM_PREDICATES.has(q.predicate.value)))
       ) {
-        values.add(q.object.value);
+        used.add(q.predicate.value);
+      }
+    });
+    used.forEach(p => counts.set(p, (counts.get(p) || 0) + 1));
+  });
+
+  const columns = Array.from(counts.keys()).map(p => {
+    const curie = iriToCurie(p, prefixes);
+    const label = preferredLiteralIn(store.getQuads(p, NS.rdfs + 'label', null, null), [NS.rdfs + 'label'], languages);
+    return { p, curie, label };
+  });
+
+  const labelUses = new Map();
+  columns.forEach(c => {
+    if (c.label) labelUses.set(c.label, (labelUses.get(c.label) || 0) + 1);
+  });
+
+  return columns
+    .map(({ p, curie, label }) => ({
+      key: p,
+      header: !label ? curie : labelUses.get(label) > 1 ? `${label} (${curie})` : label,
+      predicates: [p],
+      mode: CLASS_AXIOM_PREDICATES.has(p) ? 'expressions' : 'any',
+      separator: profile.separator ?? '; '
+    }))
+    .sort((a, b) => counts.get(b.key) - counts.get(a.key) || a.header.localeCompare(b.header));
+}
+
+// Element types of the class and property trees, with the parent predicate of each tree
+// and the top entity whose edges are left out (everything is under owl:Thing).
+const HIERARCHY_KINDS = {
+  classes: {
+    types: [NS.owl + 'Class', NS.rdfs + 'Class'],
+    predicate: NS.rdfs + 'subClassOf',
+    tops: [NS.owl + 'Thing']
+  },
+  properties: {
+    types: [
+      NS.owl + 'ObjectProperty',
+      NS.owl + 'DataProperty',
+      NS.owl + 'DatatypeProperty',
+      NS.owl + 'AnnotationProperty',
+      NS.rdf + 'Property'
+    ],
+    predicate: NS.rdfs + 'subPropertyOf',
+    tops: [NS.owl + 'topObjectProperty', NS.owl + 'topDataProperty']
+  }
+};
+
+/**
+ * Build one tree of a store: its typed elements plus every IRI linked by the parent
+ * predicate. Roots are the nodes without parents; nodes only reachable through a cycle
+ * are added as roots too, so every node can be reached.
+ * @param {import('n3').Store} store
+ * @param {{ types: string[], predicate: string, tops: string[] }} kind
+ * @returns {{ roots: string[], parents: Record<string, string[]>, children: Record<string, string[]> }}
+ */
+function hierarchyIn(store, kind) {
+  const parents = {};
+  const children = {};
+  const add = iri => {
+    if (parents[iri]) return;
+    parents[iri] = [];
+    children[iri] = [];
+  };
+
+  kind.types.forEach(type => {
+    store.forSubjects(subj => {
+      if (subj.termType === 'NamedNode') add(subj.value);
+    }, NS.rdf + 'type', type, null);
+  });
+  store.forEach(q => {
+    if (q.subject.termType !== 'NamedNode' || q.object.termType !== 'NamedNode') return;
+    const child = q.subject.value;
+    const parent = q.object.value;
+    if (child === parent || kind.tops.includes(parent)) return;
+    add(child);
+    add(parent);
+    if (!parents[child].includes(parent)) {
+      parents[child].push(parent);
+      children[parent].push(child);
+    }
+  }, null, kind.predicate, null, null);
+
+  const nodes = Object.keys(parents);
+  const roots = nodes.filter(iri => !parents[iri].length);
+  const reached = new Set();
+  const reach = start => {
+    const queue = [start];
+    reached.add(start);
+    while (queue.length) {
+      children[queue.shift()].forEach(child => {
+        if (!reached.has(child)) {
+          reached.add(child);
+          queue.push(child);
+        }
+      });
+    }
+  };
+  roots.forEach(reach);
+  nodes.forEach(iri => {
+    if (reached.has(iri)) return;
+    roots.push(iri);
+    reach(iri);
+  });
+
+  return { roots, parents, children };
+}
+
+/**
+ * Build the class tree (rdfs:subClassOf) and property tree (rdfs:subPropertyOf) of a
+ * store. A node with several parents is listed under each of them.
+ * @param {import('n3').Store} store
+ * @returns {{
+ *   classes: { roots: string[], parents: Record<string, string[]>, children: Record<string, string[]> },
+ *   properties: { roots: string[], parents: Record<string, string[]>, children: Record<string, string[]> }
+ * }}
+ */
+export function buildHierarchy(store) {
+  const fnName = 'buildHierarchy';
+  logEvent(fnName, 'start', { size: store.size });
+
+  try {
+    const hierarchy = {
+      classes: hierarchyIn(store, HIERARCHY_KINDS.classes),
+      properties: hierarchyIn(store, HIERARCHY_KINDS.properties)
+    };
+    logEvent(fnName, 'built', {
+      classCount: Object.keys(hierarchy.classes.parents).length,
+      propertyCount: Object.keys(hierarchy.properties.parents).length
+    });
+    return hierarchy;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * The given nodes of a tree (see buildHierarchy) together with all their ancestors, e.g.
+ * to show filter matches in context.
+ * @param {{ parents: Record<string, string[]> }} tree
+ * @param {Iterable<string>} iris
+ * @returns {Set<string>}
+ */
+export function withHierarchyAncestors(tree, iris) {
+  const kept = new Set();
+  const queue = Array.from(iris).filter(iri => tree.parents[iri]);
+  queue.forEach(iri => kept.add(iri));
+  while (queue.length) {
+    tree.parents[queue.shift()].forEach(parent => {
+      if (!kept.has(parent)) {
+        kept.add(parent);
+        queue.push(parent);
+      }
+    });
+  }
+  return kept;
+}
+
+/**
+ * Read what the facets need from an element's quads (see computeFacets).
+ * @param {import('n3').Quad[]} quads
+ * @returns {{ types: string[], curatedIn: string[], definition: boolean, label: boolean,
+ *   deprecated: boolean }}
+ */
+function facetValuesIn(quads) {
+  const has = predicates => quads.some(q => predicates.includes(q.predicate.value));
+  const objectsOf = predicates => Array.from(new Set(quads
+    .filter(q => predicates.includes(q.predicate.value) && q.object.termType !== 'BlankNode')
+    .map(q => q.object.value)));
+  return {
+    types: objectsOf([NS.rdf + 'type']),
+    curatedIn: objectsOf(FACET_PREDICATES.curatedIn),
+    definition: has(FACET_PREDICATES.definition),
+    label: has(FACET_PREDICATES.label),
+    deprecated: quads.some(q => q.predicate.value === NS.owl + 'deprecated' && ['true', '1'].includes(q.object.value))
+  };
+}
+
+/**
+ * Build the element table model for ontology elements: an "iri" column followed by the
+ * columns of a column profile (DEFAULT_COLUMN_PROFILE unless one is given):
+ *  - label, type, definition, preferred label, alternative label, acronym,
+ *    rdfs:subClassOf, owl:equivalentClass, rdfs:subPropertyOf, definition source,
+ *    is curated in (class expressions in the subClassOf and equivalentClass columns are
+ *    written in Manchester syntax)
+ *
+ * Columns with no values across all rows are removed (except "iri", and per-language
+ * columns of the languages named in `languages` when their column has values).
+ *
+ * @param {import('n3').Store} store
+ * @param {{
+ *   profile?: object,
+ *   languages?: string[],
+ *   splitLanguages?: boolean,
+ *   prefixes?: Record<string, string>,
+ *   onProgress?: (progress: { rows: number, totalRows: number }) => void
+ * }} [options]
+ *   `profile` must already be normalized (see normalizeColumnProfile); with `discover`
+ *   (e.g. ALL_PROPERTIES_PROFILE) the remaining predicates get columns of their own,
+ *   keyed by predicate IRI and headed by label or CURIE (using `prefixes`, default
+ *   PREFIX_CATALOG; see discoverColumns).
+ *   `languages` ranks the languages of 'single' columns (see parseLanguagePreferences).
+ *   `splitLanguages` adds, after each 'single' column, one column per language (keys
+ *   like "label@fr"): the languages named in `languages` first, then any other found.
+ *   `onProgress` is called every few hundred rows and once all rows are built.
+ * @returns {{
+ *   headers: string[],
+ *   keys: string[],
+ *   rows: Array<Record<string, string>>,
+ *   iriColumns: Record<string, string>,
+ *   hierarchy: object,
+ *   facets: Record<string, object>
+ * }}
+ *   `iriColumns` maps the keys of 'iris' and 'expressions' columns to their separator
+ *   (see applyIriDisplay); `hierarchy` holds the class and property trees (see
+ *   buildHierarchy); `facets` holds what computeFacets needs of each row, by IRI.
+ */
+export function buildElementTableModel(store, options = {}) {
+  const fnName = 'buildElementTableModel';
+  const profile = options.profile || DEFAULT_COLUMN_PROFILE;
+  const { languages, splitLanguages } = options;
+  logEvent(fnName, 'start', { profile: profile.name, languages, splitLanguages });
+
+  try {
+    // Find ontology elements through the type index, then keep them in store order.
+    const elementIris = new Set();
+    ELEMENT_TYPES.forEach(type => {
+      store.forSubjects(subj => {
+        if (subj.termType === 'NamedNode') elementIris.add(subj.value);
+      }, NS.rdf + 'type', type, null);
+    });
+    const elementSubjects = store.getSubjects(null, null, null)
+      .filter(subj => subj.termType === 'NamedNode' && elementIris.has(subj.value));
+
+    // Discovering columns needs every element's quads up front; keep them for the rows.
+    const quadLists = profile.discover
+      ? elementSubjects.map(subj => store.getQuads(subj, null, null, null))
+      : null;
+    const columns = quadLists
+      ? [...profile.columns, ...discoverColumns(store, quadLists, profile, options)]
+      : profile.columns;
+    const splitColumns = splitLanguages ? columns.filter(c => c.mode === 'single') : [];
+    const foundLanguages = new Set();
+
+    const rows = [];
+    const facets = {};
+
+    for (const [i, subj] of elementSubjects.entries()) {
+      if (options.onProgress && rows.length % ROW_PROGRESS_INTERVAL === 0) {
+        options.onProgress({ rows: rows.length, totalRows: elementSubjects.length });
+      }
+      // One index lookup per element; every column is read from these quads.
+      const quads = quadLists ? quadLists[i] : store.getQuads(subj, null, null, null);
+
+      const row = { iri: subj.value };
+      facets[subj.value] = facetValuesIn(quads);
+      columns.forEach(column => {
+        row[column.key] = columnValueIn(store, quads, column, languages);
+      });
+      splitColumns.forEach(column => {
+        literalsByLanguageIn(quads, column.predicates).forEach((values, language) => {
+          foundLanguages.add(language);
+          row[`${column.key}@${language}`] = values.join(column.separator);
+        });
+      });
+      rows.push(row);
+    }
+    options.onProgress?.({ rows: rows.length, totalRows: elementSubjects.length });
+
+    // Per-language columns follow their column: named languages first, then the rest.
+    const namedLanguages = splitLanguages ? (languages || []).filter(l => l !== '*') : [];
+    const columnLanguages = [
+      ...namedLanguages,
+      ...Array.from(foundLanguages).filter(l => !namedLanguages.includes(l)).sort()
+    ];
+    const namedLanguageBase = new Map(); // named language column key -> its column's key
+    const allHeaders = ['iri'];
+    const allKeys = ['iri'];
+    columns.forEach(column => {
+      allHeaders.push(column.header);
+      allKeys.push(column.key);
+      if (!splitColumns.includes(column)) return;
+      columnLanguages.forEach(language => {
+        allHeaders.push(`${column.header}@${language}`);
+        allKeys.push(`${column.key}@${language}`);
+        if (namedLanguages.includes(language)) namedLanguageBase.set(`${column.key}@${language}`, column.key);
+      });
+    });
+
+    // Remove columns that are completely empty across rows (except iri, and the named
+    // languages' columns of kept columns, whose gaps are the point of splitting)
+    const hasValues = key => rows.some(r => (r[key] ?? '').trim() !== '');
+    const keepFlags = allKeys.map(key => {
+      if (key === 'iri') return true;
+      if (namedLanguageBase.has(key)) return hasValues(namedLanguageBase.get(key));
+      return hasValues(key);
+    });
+
+    const headers = allHeaders.filter((_, i) => keepFlags[i]);
+    const keys = allKeys.filter((_, i) => keepFlags[i]);
+
+    logEvent(fnName, 'built', {
+      rowCount: rows.length,
+      columnCount: headers.length
+    });
+
+    // prune unused keys from rows
+    const prunedRows = rows.map(r => {
+      const obj = {};
+      keys.forEach(k => {
+        obj[k] = r[k] ?? '';
+      });
+      return obj;
+    });
+
+    const iriColumns = {};
+    columns.forEach(column => {
+      if ((column.mode === 'iris' || column.mode === 'expressions') && keys.includes(column.key)) {
+        iriColumns[column.key] = column.separator;
+      }
+    });
+
+    return {
+      headers,
+      keys,
+      rows: prunedRows,
+      iriColumns,
+      hierarchy: buildHierarchy(store),
+      facets
+    };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * List the IRIs in a table model's IRI columns (see `iriColumns`) and hierarchy trees,
+ * e.g. to look their labels up with getIriLabels.
+ * @param {{ rows: Array<Record<string, string>>, iriColumns?: Record<string, string>,
+ *   hierarchy?: object }} model
+ * @returns {string[]}
+ */
+export function listTableIris(model) {
+  const iris = new Set();
+  Object.entries(model.iriColumns || {}).forEach(([key, separator]) => {
+    model.rows.forEach(row => {
+      if (!row[key]) return;
+      row[key].split(separator).forEach(item => {
+        if (isExpressionValue(item)) expressionIrisIn(item).forEach(iri => iris.add(iri));
+        else iris.add(item);
+      });
+    });
+  });
+  Object.values(model.hierarchy || {}).forEach(tree => {
+    Object.keys(tree.parents).forEach(iri => iris.add(iri));
+  });
+  return Array.from(iris);
+}
+
+/**
+ * Look up a label for each IRI in the given stores (the first store with one wins).
+ * @param {import('n3').Store[]} stores
+ * @param {string[]} iris
+ * @param {string[]} [languages] ranked languages (see pickBestLiteral)
+ * @returns {Record<string, string>} IRI -> label, for IRIs that have one
+ */
+export function getIriLabels(stores, iris, languages) {
+  const fnName = 'getIriLabels';
+  logEvent(fnName, 'start', { storeCount: stores.length, iriCount: iris.length });
+
+  try {
+    const labels = {};
+    iris.forEach(iri => {
+      for (const store of stores) {
+        const label = preferredLiteralIn(getQuadsForSubject(store, iri), LABEL_PREDICATES, languages);
+        if (label) {
+          labels[iri] = label;
+          break;
+        }
       }
     });
+    logEvent(fnName, 'labels found', { labelCount: Object.keys(labels).length });
+    return labels;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// How an entity is used by the entities referring to it, by the referring predicate.
+const REFERENCE_ROLES = {
+  [NS.rdfs + 'subClassOf']: 'parent',
+  [NS.rdfs + 'subPropertyOf']: 'parent',
+  [NS.rdfs + 'domain']: 'domain',
+  [NS.rdfs + 'range']: 'range'
+};
+
+// Restriction parts that make an entity a filler of the restriction.
+const FILLER_PREDICATES = new Set(
+  ['someValuesFrom', 'allValuesFrom', 'hasValue', 'onClass', 'onDataRange'].map(local => NS.owl + local)
+);
+
+// Nesting depth of blank nodes that are not class expressions (e.g. reified values).
+const MAX_DESCRIBED_DEPTH = 3;
+
+/**
+ * Describe one object of a triple: IRIs and literals as they are, blank nodes as class
+ * expressions (see renderClassExpression) or else by their own triples.
+ * @param {import('n3').Store} store
+ * @param {import('n3').Term} term
+ * @param {number} depth
+ * @returns {{ termType: string, value: string, language?: string, datatype?: string,
+ *   groups?: object[] }} literals have a datatype unless they have a language or are strings
+ */
+function describeTerm(store, term, depth) {
+  if (term.termType === 'Literal') {
+    const datatype = term.language || term.datatype.value === PREFIX_CATALOG.xsd + 'string' ? '' : term.datatype.value;
+    return { termType: 'Literal', value: term.value, language: term.language, datatype };
+  }
+  if (term.termType !== 'BlankNode') return { termType: 'NamedNode', value: term.value };
+
+  const expression = renderClassExpression(store, term);
+  if (expression) return { termType: 'BlankNode', value: expression };
+  const groups = new Map();
+  if (depth < MAX_DESCRIBED_DEPTH) addPredicateGroups(groups, new Set(), store, store.getQuads(term, null, null, null), depth + 1);
+  return { termType: 'BlankNode', value: '', groups: predicateGroupList(groups) };
+}
+
+/**
+ * Add the objects of quads to their predicate's group, once each.
+ * @param {Map<string, object[]>} groups predicate -> values
+ * @param {Set<string>} seen keys of the values added so far
+ * @param {import('n3').Store} store
+ * @param {import('n3').Quad[]} quads
+ * @param {number} depth
+ */
+function addPredicateGroups(groups, seen, store, quads, depth) {
+  quads.forEach(q => {
+    const value = describeTerm(store, q.object, depth);
+    const key = `${q.predicate.value} ${JSON.stringify(value)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (!groups.has(q.predicate.value)) groups.set(q.predicate.value, []);
+    groups.get(q.predicate.value).push(value);
+  });
+}
+
+/**
+ * Predicate groups in display order: rdf:type, then labels, then as found.
+ * @param {Map<string, object[]>} groups
+ * @returns {Array<{ predicate: string, values: object[] }>}
+ */
+function predicateGroupList(groups) {
+  const first = [NS.rdf + 'type', ...LABEL_PREDICATES];
+  const rank = predicate => (first.includes(predicate) ? first.indexOf(predicate) : first.length);
+  return Array.from(groups, ([predicate, values]) => ({ predicate, values }))
+    .sort((a, b) => rank(a.predicate) - rank(b.predicate));
+}
+
+/**
+ * The entities referring to an IRI, directly or through the blank nodes of a class
+ * expression or list, with the role the IRI plays for them.
+ * @param {import('n3').Store} store
+ * @param {string} iri
+ * @returns {Array<{ subject: string, predicate: string, role: string }>}
+ */
+function referencesIn(store, iri) {
+  const refs = [];
+  store.getQuads(null, null, iri, null).forEach(q => {
+    if (q.subject.termType === 'NamedNode') {
+      refs.push({ subject: q.subject.value, predicate: q.predicate.value, role: REFERENCE_ROLES[q.predicate.value] || 'reference' });
+      return;
+    }
+    if (q.subject.termType !== 'BlankNode') return;
+
+    // Walk up the blank nodes to the named entities whose axioms hold them.
+    const seen = new Set([q.subject.value]);
+    const queue = [q.subject];
+    while (queue.length) {
+      store.getQuads(null, null, queue.shift(), null).forEach(up => {
+        if (up.subject.termType === 'BlankNode') {
+          if (!seen.has(up.subject.value)) {
+            seen.add(up.subject.value);
+            queue.push(up.subject);
+          }
+          return;
+        }
+        if (up.subject.termType !== 'NamedNode') return;
+        const top = REFERENCE_ROLES[up.predicate.value];
+        let role = 'expression';
+        if (top === 'domain' || top === 'range') role = top;
+        else if (FILLER_PREDICATES.has(q.predicate.value)) role = 'filler';
+        else if (q.predicate.value === NS.owl + 'onProperty') role = 'restriction';
+        refs.push({ subject: up.subject.value, predicate: up.predicate.value, role });
+      });
+    }
+  });
+  return refs;
+}
+
+/**
+ * Everything the given stores say about an entity: the objects of its triples grouped
+ * by predicate (literals with their language or datatype, class expressions in
+ * Manchester syntax), the entities referring to it with the role it plays for them
+ * ('parent', 'domain', 'range', 'filler' of a restriction, 'restriction' on it as a
+ * property, 'expression' for other class expressions, else 'reference'), and labels for
+ * the IRIs involved.
+ * @param {import('n3').Store[]} stores
+ * @param {string} iri
+ * @param {string[]} [languages] ranked languages for labels (see pickBestLiteral)
+ * @returns {{
+ *   iri: string,
+ *   groups: Array<{ predicate: string, values: Array<{ termType: string, value: string,
+ *     language?: string, datatype?: string, groups?: object[] }> }>,
+ *   incoming: Array<{ subject: string, predicate: string, role: string }>,
+ *   labels: Record<string, string>
+ * }}
+ */
+export function describeEntity(stores, iri, languages) {
+  const fnName = 'describeEntity';
+  logEvent(fnName, 'start', { iri, storeCount: stores.length });
+
+  try {
+    const groups = new Map();
+    const seen = new Set();
+    const incoming = [];
+    const seenRefs = new Set();
+    stores.forEach(store => {
+      addPredicateGroups(groups, seen, store, store.getQuads(iri, null, null, null), 0);
+      referencesIn(store, iri).forEach(ref => {
+        const key = `${ref.subject} ${ref.predicate} ${ref.role}`;
+        if (seenRefs.has(key)) return;
+        seenRefs.add(key);
+        incoming.push(ref);
+      });
+    });
+    const groupList = predicateGroupList(groups);
+
+    const iris = new Set([iri]);
+    const collect = list => list.forEach(({ predicate, values }) => {
+      iris.add(predicate);
+      values.forEach(v => {
+        if (v.termType === 'NamedNode') iris.add(v.value);
+        else if (v.termType === 'Literal') iris.add(v.datatype);
+        else if (v.groups) collect(v.groups);
+        else expressionIrisIn(v.value).forEach(i => iris.add(i));
+      });
+    });
+    collect(groupList);
+    incoming.forEach(ref => {
+      iris.add(ref.subject);
+      iris.add(ref.predicate);
+    });
 
-    return Array.from(values);
+    logEvent(fnName, 'described', { groupCount: groupList.length, incomingCount: incoming.length });
+    return { iri, groups: groupList, incoming, labels: getIriLabels(stores, Array.from(iris), languages) };
   } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
+    logError(fnName, err, { iri });
     throw err;
   }
 }
 
+// How IRIs in IRI columns are shown: "entity (BFO_0000001)", "BFO:0000001" or the IRI.
+export const IRI_DISPLAY_MODES = ['label', 'curie', 'iri'];
+
 /**
- * Get all values (literal or IRI) for any of the given predicates.
- * @param {import('n3').Store} store
- * @param {string} subjectIri
- * @param {string[]} predicateIris
- * @returns {string[]}
+ * Format an IRI for display. In 'label' mode, IRIs without a label fall back to a CURIE.
+ * @param {string} iri
+ * @param {'label'|'curie'|'iri'} display
+ * @param {Record<string, string>} [labels] from getIriLabels
+ * @param {Record<string, string>} [prefixes] for CURIEs (see mergePrefixes)
+ * @returns {string}
  */
-export function getAnyArrayForPredicates(store, subjectIri, predicateIris) {
-  const fnName = 'getAnyArrayForPredicates';
-  logEvent(fnName, 'start', { subjectIri });
+export function formatIri(iri, display, labels = {}, prefixes = PREFIX_CATALOG) {
+  if (display === 'iri') return iri;
+  if (display === 'label' && labels[iri]) {
+    const localName = iri.replace(/^.*[#/]/, '');
+    return localName ? `${labels[iri]} (${localName})` : labels[iri];
+  }
+  return iriToCurie(iri, prefixes);
+}
 
-  try {
-    const subjectQuads = getQuadsForSubject(store, subjectIri);
-    const values = new Set();
+/**
+ * Copy a table model with the cells of its IRI columns formatted by formatIri (class
+ * expressions by formatManchesterIris). Rows keep their order, so rows of the copies
+ * line up by index.
+ * @param {{ headers: string[], keys: string[], rows: Array<Record<string, string>>,
+ *   iriColumns?: Record<string, string> }} model
+ * @param {'label'|'curie'|'iri'} display
+ * @param {Record<string, string>} [labels] from getIriLabels
+ * @param {Record<string, string>} [prefixes] for CURIEs (see mergePrefixes)
+ * @returns {object} the model itself for 'iri', else a copy
+ */
+export function applyIriDisplay(model, display, labels = {}, prefixes = PREFIX_CATALOG) {
+  const fnName = 'applyIriDisplay';
+  logEvent(fnName, 'start', { display, rowCount: model.rows.length });
 
-    subjectQuads.forEach(q => {
-      if (
-        q.predicate.termType === 'NamedNode' &&
-        predicateIris.includes(q.predicate.value)
-      ) {
-        if (q.object.termType === 'Literal' || q.object.termType === 'NamedNode') {
-          values.add(q.object.value);
-        }
-      }
+  try {
+    const iriColumns = Object.entries(model.iriColumns || {});
+    if (display === 'iri' || !iriColumns.length) return model;
+
+    const rows = model.rows.map(row => {
+      const copy = { ...row };
+      iriColumns.forEach(([key, separator]) => {
+        if (!row[key]) return;
+        copy[key] = row[key]
+          .split(separator)
+          .map(item => isExpressionValue(item)
+            ? formatManchesterIris(item, display, labels, prefixes)
+            : formatIri(item, display, labels, prefixes))
+          .join(separator);
+      });
+      return copy;
     });
-
-    return Array.from(values);
+    return { ...model, rows };
   } catch (err) {
-    logError(fnName, err, { subjectIri, predicateIris });
+    logError(fnName, err, { display });
     throw err;
   }
 }
 
 /**
- * Extract ontology-level metadata according to your preference rules.
- * @param {import('n3').Store} store
- * @returns {{
- *   ontologyIri: string|null,
- *   ontologyName: string|null,
- *   versionIri: string|null,
- *   versionInfo: string|null,
- *   description: string|null,
- *   license: string|null,
- *   rightsHolder: string|null
- * }}
+ * Find the column key a query field names: a key or header, ignoring case.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {string} name
+ * @returns {string|null}
  */
-export function extractOntologyMetadata(store) {
-  const fnName = 'extractOntologyMetadata';
-  logEvent(fnName, 'start');
+function queryFieldKey(model, name) {
+  const lower = name.toLowerCase();
+  const i = model.keys.findIndex((key, j) =>
+    key && (key.toLowerCase() === lower || (model.headers[j] || '').toLowerCase() === lower));
+  return i < 0 ? null : model.keys[i];
+}
 
-  try {
-    const ontologyIri = getOntologySubjectIri(store);
-    if (!ontologyIri) {
-      return {
-        ontologyIri: null,
-        ontologyName: null,
-        versionIri: null,
-        versionInfo: null,
-        description: null,
-        license: null,
-        rightsHolder: null
-      };
+/**
+ * Split a query into tokens: parentheses, operators (AND, OR, NOT or a leading "-") and
+ * terms, each with the column key its `field:` prefix names.
+ * @param {string} text
+ * @param {{ headers: string[], keys: string[] }} model
+ * @returns {Array<{ type: 'open'|'close'|'and'|'or'|'not' } | { type: 'term', term: object }>}
+ */
+function tokenizeRowQuery(text, model) {
+  const tokens = [];
+  let i = 0;
+
+  const fail = message => {
+    throw new Error(`Query error: ${message} at position ${i + 1}.`);
+  };
+
+  // A value: "a phrase", /a regex/flags, * (any value) or a word.
+  const readValue = field => {
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end < 0) fail('unterminated quote');
+      const value = text.slice(i + 1, end);
+      i = end + 1;
+      return { field, match: 'text', value };
+    }
+    if (text[i] === '/') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '/') end += text[end] === '\\' ? 2 : 1;
+      if (end >= text.length) fail('unterminated regular expression');
+      const flags = /^[dgimsuvy]*/.exec(text.slice(end + 1))[0];
+      let regex;
+      try {
+        regex = new RegExp(text.slice(i + 1, end), flags.replace(/[gy]/g, ''));
+      } catch (err) {
+        fail(`invalid regular expression (${err.message})`);
+      }
+      i = end + 1 + flags.length;
+      return { field, match: 'regex', value: regex.source, regex };
+    }
+    const start = i;
+    while (i < text.length && !/[\s()]/.test(text[i])) i += 1;
+    const value = text.slice(start, i);
+    if (!value) fail('missing value');
+    return value === '*' ? { field, match: 'any', value } : { field, match: 'text', value };
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i += 1;
+    } else if (c === '(' || c === ')') {
+      tokens.push({ type: c === '(' ? 'open' : 'close' });
+      i += 1;
+    } else if (c === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ type: 'not' });
+      i += 1;
+    } else {
+      const word = /^[^\s()"/]+/.exec(text.slice(i))?.[0] || '';
+      if (['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word.toLowerCase() });
+        i += word.length;
+        continue;
+      }
+      const field = /^([A-Za-z_][\w@.-]*):/.exec(text.slice(i));
+      const key = field && queryFieldKey(model, field[1]);
+      if (key && i + field[0].length < text.length && !/\s/.test(text[i + field[0].length])) {
+        i += field[0].length;
+        tokens.push({ type: 'term', term: readValue(key) });
+      } else {
+        tokens.push({ type: 'term', term: readValue(null) });
+      }
     }
-
-    const S = ontologyIri;
-    const meta = {
-      ontologyIri: S,
-      ontologyName: getPreferredLiteralForPredicates(store, S, [
-        NS.rdfs + 'label',
-        NS.dcterms + 'title',
-        NS.dc + 'title'
-      ]),
-      versionIri: getPreferredDisplayValueForPredicates(store, S, [
-        NS.owl + 'versionIRI',
-        NS.dcterms + 'hasVersion'
-      ]),
-      versionInfo: getPreferredLiteralForPredicates(store, S, [
-        NS.owl + 'versionInfo',
-        NS.dcterms + 'hasVersion'
-      ]),
-      description: getPreferredLiteralForPredicates(store, S, [
-        NS.skos + 'definition',
-        NS.dcterms + 'description',
-        NS.dc + 'description'
-      ]),
-      license: getPreferredLiteralForPredicates(store, S, [
-        NS.dc + 'rights',
-        NS.dc + 'accessRights',
-        NS.dcterms + 'license',
-        NS.dcterms + 'rights',
-        NS.dcterms + 'accessRights'
-      ]),
-      rightsHolder: getPreferredLiteralForPredicates(store, S, [
-        NS.dc + 'rightsHolder',
-        NS.dcterms + 'rightsHolder'
-      ])
-    };
-    logEvent(fnName, 'metadata extracted', meta);
-    return meta;
-  } catch (err) {
-    logError(fnName, err);
-    throw err;
   }
+  return tokens;
 }
 
 /**
- * Decide if a subject should be included as an "ontology element".
- * We include owl:Class, owl:NamedIndividual, owl:ObjectProperty, owl:DatatypeProperty, owl:AnnotationProperty.
- * Skip blank nodes.
- * @param {import('n3').Store} store
- * @param {import('n3').Term} subject
- * @returns {boolean}
+ * Parse a table query. Terms match a cell that contains them (ignoring case):
+ *  - `word` or `"a phrase"` in any column, `field:word` in one column (the field is a
+ *    column key or header, e.g. `label:vehicle`, `type:owl:ObjectProperty`)
+ *  - `/regex/flags` matches a regular expression (case-sensitive unless flagged `i`)
+ *  - `field:*` matches a non-empty cell, so `-field:*` finds missing values
+ * Terms combine with NOT (or a leading `-`), AND (also implied between terms) and OR, in
+ * that order of precedence, and parentheses.
+ * @param {string} text
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {{ field?: string }} [options] `field` is the column key of terms without one
+ *   (used by per-column filters)
+ * @returns {object|null} the query tree, or null for an empty query
+ * @throws {Error} "Query error: ..." for malformed queries
  */
-export function shouldIncludeElementSubject(store, subject) {
-  const fnName = 'shouldIncludeElementSubject';
-  logEvent(fnName, 'start', { subject: subject?.value });
+export function parseRowQuery(text, model, options = {}) {
+  const fnName = 'parseRowQuery';
+  logTrace(fnName, 'start', { text });
 
   try {
-    if (!subject || subject.termType !== 'NamedNode') return false;
+    const tokens = tokenizeRowQuery(text || '', model);
+    let pos = 0;
 
-    const interestingTypes = [
-      NS.owl + 'Class',
-      NS.owl + 'NamedIndividual',
-      NS.owl + 'ObjectProperty',
-      NS.owl + 'DataProperty',
-      NS.owl + 'DatatypeProperty',
-      NS.owl + 'AnnotationProperty'
-    ];
+    const fail = message => {
+      throw new Error(`Query error: ${message}.`);
+    };
 
-    const quadsForSubject = store.getQuads(subject, null, null, null);
+    const parseOr = () => {
+      const children = [parseAnd()];
+      while (tokens[pos]?.type === 'or') {
+        pos += 1;
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    };
 
-    const types = quadsForSubject
-      .filter(q =>
-        q.predicate.termType === 'NamedNode' &&
-        q.predicate.value === NS.rdf + 'type' &&
-        q.object.termType === 'NamedNode'
-      )
-      .map(q => q.object.value);
+    const parseAnd = () => {
+      const children = [parseNot()];
+      while (pos < tokens.length && tokens[pos].type !== 'or' && tokens[pos].type !== 'close') {
+        if (tokens[pos].type === 'and') pos += 1;
+        children.push(parseNot());
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    };
 
-    const include = types.some(t => interestingTypes.includes(t));
-    return include;
+    const parseNot = () => {
+      const token = tokens[pos];
+      if (!token) fail('the query ends too early');
+      pos += 1;
+      if (token.type === 'not') return { type: 'not', child: parseNot() };
+      if (token.type === 'open') {
+        const inner = parseOr();
+        if (tokens[pos]?.type !== 'close') fail('missing ")"');
+        pos += 1;
+        return inner;
+      }
+      if (token.type !== 'term') fail(`unexpected ${token.type === 'close' ? '")"' : token.type.toUpperCase()}`);
+      const term = token.term;
+      return { type: 'term', ...term, field: term.field ?? options.field ?? null };
+    };
+
+    if (!tokens.length) return null;
+    const query = parseOr();
+    if (pos < tokens.length) fail('unmatched ")"');
+    return query;
   } catch (err) {
-    logError(fnName, err, { subject });
+    logError(fnName, err, { text });
     throw err;
   }
 }
 
 /**
- * Shorten IRI to CURIE using COMMON_PREFIXES if possible.
- * @param {string} iri
- * @returns {string}
+ * Whether a row matches a query tree from parseRowQuery.
+ * @param {Record<string, string>} row
+ * @param {object|null} query
+ * @returns {boolean}
  */
-export function iriToCurieIfCommon(iri) {
-  const fnName = 'iriToCurieIfCommon';
-  logEvent(fnName, 'start', { iri });
-
-  try {
-    for (const [ns, prefix] of Object.entries(COMMON_PREFIXES)) {
-      if (iri.startsWith(ns)) {
-        return `${prefix}:${iri.slice(ns.length)}`;
-      }
+function matchesRowQuery(row, query) {
+  if (!query) return true;
+  switch (query.type) {
+    case 'and':
+      return query.children.every(child => matchesRowQuery(row, child));
+    case 'or':
+      return query.children.some(child => matchesRowQuery(row, child));
+    case 'not':
+      return !matchesRowQuery(row, query.child);
+    default: {
+      const cells = query.field ? [row[query.field] ?? ''] : Object.values(row);
+      if (query.match === 'any') return cells.some(v => String(v) !== '');
+      if (query.match === 'regex') return cells.some(v => query.regex.test(String(v)));
+      const value = query.value.toLowerCase();
+      return cells.some(v => String(v).toLowerCase().includes(value));
     }
-    return iri;
-  } catch (err) {
-    logError(fnName, err, { iri });
-    throw err;
   }
 }
 
+// Collators by locale ('' for the browser's), comparing digit runs as numbers.
+const sortCollators = new Map();
+
+// Cells read as numbers when sorting, e.g. "42", "-1.5", "2e3".
+const NUMERIC_CELL = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
 /**
- * Convert a free-text name to PascalCase.
- * Used for generating CSV/print filenames.
- * @param {string|null} name
- * @returns {string}
+ * The natural-order collator for a locale; unknown locales fall back to the browser's.
+ * @param {string} [locale] BCP 47 tag, e.g. "sv"
+ * @returns {Intl.Collator}
  */
-export function toPascalCase(name) {
-  const fnName = 'toPascalCase';
-  logEvent(fnName, 'start', { name });
+function sortCollatorFor(locale = '') {
+  if (!sortCollators.has(locale)) {
+    let collator;
+    try {
+      collator = new Intl.Collator(locale || undefined, { numeric: true });
+    } catch (err) {
+      logError('sortCollatorFor', err, { locale });
+      collator = new Intl.Collator(undefined, { numeric: true });
+    }
+    sortCollators.set(locale, collator);
+  }
+  return sortCollators.get(locale);
+}
 
-  try {
-    if (!name) return 'Ontology';
-    const parts = String(name)
-      .replace(/[^A-Za-z0-9]+/g, ' ')
-      .trim()
-      .split(/\s+/);
+/**
+ * Compare two non-empty cells: numbers by value and before text, text in natural order
+ * (so "ont00000002" comes before "ont00000010").
+ * @param {string} a
+ * @param {string} b
+ * @param {Intl.Collator} collator
+ * @returns {number}
+ */
+function compareCells(a, b, collator) {
+  const numA = NUMERIC_CELL.test(a.trim());
+  const numB = NUMERIC_CELL.test(b.trim());
+  if (numA && numB) return Number(a) - Number(b) || collator.compare(a, b);
+  if (numA !== numB) return numA ? -1 : 1;
+  return collator.compare(a, b);
+}
 
-    if (parts.length === 0) return 'Ontology';
-    return parts
-      .map(p => p.charAt(0).toUpperCase() + p.slice(1))
-      .join('');
-  } catch (err) {
-    logError(fnName, err, { name });
-    throw err;
-  }
+/**
+ * Turn the sort argument of filterAndSortRows into sort keys of columns the model has.
+ * @param {{ keys: string[] }} model
+ * @param {Array<{ key: string, direction?: 'asc'|'desc' }>|number|null} sort
+ * @param {'asc'|'desc'} sortDirection
+ * @returns {Array<{ key: string, direction: 'asc'|'desc' }>}
+ */
+function sortKeysFor(model, sort, sortDirection) {
+  const keys = Array.isArray(sort)
+    ? sort
+    : sort == null ? [] : [{ key: model.keys[sort], direction: sortDirection }];
+  const seen = new Set();
+  return keys
+    .filter(({ key }) => model.keys.includes(key) && !seen.has(key) && seen.add(key))
+    .map(({ key, direction }) => ({ key, direction: direction === 'desc' ? 'desc' : 'asc' }));
 }
 
 /**
- * Build a fixed-column table model for ontology elements.
- *
- * Columns (headers / keys):
- *  - iri                / iri
- *  - label              / label
- *  - type               / type              (array of rdf:type IRIs, joined with "; ")
- *  - definition         / definition
- *  - preferred label    / preferredLabel
- *  - alternative label  / alternativeLabel  (array, joined)
- *  - acronym            / acronym           (array, joined)
- *  - rdfs:subClassOf    / subClassOf        (array, joined)
- *  - rdfs:subPropertyOf / subPropertyOf     (array, joined)
- *  - definition source  / definitionSource  (array, joined)
- *  - is curated in      / isCuratedIn
- *
- * Columns with no values across all rows are removed (except "iri").
+ * Filter & sort rows for the fixed-column model.
  *
- * @param {import('n3').Store} store
- * @returns {{
+ * Rows are sorted by each sort key in turn, the first having priority. Cells compare in
+ * natural order with the collation of `options.locale`, numbers by value; empty cells
+ * come last in either direction, and rows that compare equal keep their order.
+ * @param {{
  *   headers: string[],
  *   keys: string[],
  *   rows: Array<Record<string, string>>
- * }}
+ * }} model
+ * @param {string} query see parseRowQuery
+ * @param {Array<{ key: string, direction?: 'asc'|'desc' }>|number|null} sort sort keys
+ *   in priority order (keys the model lacks are skipped), or the index of one column
+ *   sorted in `sortDirection`
+ * @param {'asc'|'desc'} sortDirection
+ * @param {Record<string, string>} [columnQueries] column key -> query for that column
+ *   (terms without a field apply to the column); rows must match all queries
+ * @param {{ locale?: string }} [options] `locale` is a BCP 47 tag ('' for the browser's)
+ * @returns {Array<Record<string, string>>}
+ * @throws {Error} "Query error: ..." for malformed queries
  */
-export function buildElementTableModel(store) {
-  const fnName = 'buildElementTableModel';
-  logEvent(fnName, 'start');
+export function filterAndSortRows(model, query, sort, sortDirection = 'asc', columnQueries = {}, options = {}) {
+  const fnName = 'filterAndSortRows';
+  logEvent(fnName, 'start', { query, sort, sortDirection, columnQueries, locale: options.locale });
 
   try {
-    const allQuads = store.getQuads(null, null, null, null);
+    const queries = [
+      parseRowQuery(query, model),
+      ...Object.entries(columnQueries).map(([field, text]) => parseRowQuery(text, model, { field }))
+    ].filter(Boolean);
+
+    let filtered = model.rows;
+    if (queries.length) {
+      filtered = filtered.filter(row => queries.every(q => matchesRowQuery(row, q)));
+    }
 
-    // collect NamedNode subjects (non-blank)
-    const subjectTermMap = new Map(); // IRI -> Term
-    allQuads.forEach(q => {
-      if (!isBlankNode(q.subject) && q.subject.termType === 'NamedNode') {
-        subjectTermMap.set(q.subject.value, q.subject);
+    const sortKeys = sortKeysFor(model, sort, sortDirection);
+    if (!sortKeys.length) return filtered;
+
+    const collator = sortCollatorFor(options.locale);
+    return [...filtered].sort((a, b) => {
+      for (const { key, direction } of sortKeys) {
+        const va = String(a[key] ?? '');
+        const vb = String(b[key] ?? '');
+        if (!va || !vb) {
+          if (va || vb) return va ? -1 : 1;
+          continue;
+        }
+        const cmp = compareCells(va, vb, collator);
+        if (cmp) return direction === 'asc' ? cmp : -cmp;
       }
+      return 0;
     });
+  } catch (err) {
+    logError(fnName, err, { query, sort, sortDirection });
+    throw err;
+  }
+}
 
-    // Filter to ontology elements
-    const elementSubjects = Array.from(subjectTermMap.values())
-      .filter(subj => shouldIncludeElementSubject(store, subj));
+// The facets of a table, in display order (see computeFacets).
+export const FACETS = [
+  { key: 'type', label: 'Type' },
+  { key: 'ancestor', label: 'Top-level ancestor' },
+  { key: 'curatedIn', label: 'Is curated in' },
+  { key: 'namespace', label: 'Namespace' },
+  { key: 'definition', label: 'Has definition' },
+  { key: 'label', label: 'Has label' },
+  { key: 'deprecated', label: 'Deprecated' }
+];
+
+// Top-level ancestors per hierarchy tree and node, and facet values per row, computed once.
+const topAncestorCache = new WeakMap();
+const rowFacetCache = new WeakMap();
 
-    const rows = [];
+/**
+ * The roots of a hierarchy tree (see buildHierarchy) above a node, or the node itself
+ * when it is a root.
+ * @param {{ roots: string[], parents: Record<string, string[]> }} tree
+ * @param {string} iri
+ * @returns {string[]}
+ */
+function topAncestorsIn(tree, iri) {
+  if (!topAncestorCache.has(tree)) topAncestorCache.set(tree, { roots: new Set(tree.roots), tops: new Map() });
+  const { roots, tops } = topAncestorCache.get(tree);
+  if (!tree.parents[iri]) return [];
+  if (!tops.has(iri)) {
+    tops.set(iri, Array.from(withHierarchyAncestors(tree, [iri])).filter(node => roots.has(node)));
+  }
+  return tops.get(iri);
+}
 
-    for (const subj of elementSubjects) {
-      const iri = subj.value;
-
-      const label = getPreferredLiteralForPredicates(store, iri, [
-        NS.rdfs + 'label',
-        NS.dcterms + 'title',
-        NS.dc + 'title'
-      ]);
-
-      const typeArr = getIriArrayForPredicates(store, iri, [
-        NS.rdf + 'type'
-      ]);
-
-      const definition = getPreferredLiteralForPredicates(store, iri, [
-        NS.skos + 'definition',
-        NS.obo + 'IAO_0000115',
-        NS.cco + 'definition'
-      ]);
-
-      const preferredLabel = getPreferredLiteralForPredicates(store, iri, [
-        NS.skos + 'prefLabel',
-        NS.obo + 'IAO_0000111'
-      ]);
-
-      const alternativeLabelArr = getLiteralArrayForPredicates(store, iri, [
-        NS.skos + 'altLabel',
-        NS.obo + 'IAO_0000118',
-        NS.cco + 'alternative_label'
-      ]);
-
-      const acronymArr = getLiteralArrayForPredicates(store, iri, [
-        NS.cco + 'acronym',
-        NS.obo + 'IAO_0000606',
-        NS.cco2 + 'ont00001753'
-      ]);
-
-      const subClassOfArr = getIriArrayForPredicates(store, iri, [
-        NS.rdfs + 'subClassOf'
-      ]);
-
-      const subPropertyOfArr = getIriArrayForPredicates(store, iri, [
-        NS.rdfs + 'subPropertyOf'
-      ]);
-
-      const definitionSourceArr = getAnyArrayForPredicates(store, iri, [
-        NS.dcterms + 'bibliographicCitation',
-        NS.dc + 'bibliographicCitation',
-        NS.obo + 'IAO_0000119',
-        NS.cco2 + 'ont00001754',
-        NS.cco + 'definition_source',
-        NS.cco2 + 'ont00001745',
-        NS.cco + 'doctrinal_source'
-      ]);
-
-      const isCuratedInArr = getLiteralArrayForPredicates(store, iri, [
-        NS.cco2 + 'ont00001760',
-        NS.rdfs + 'isDefinedBy'
-      ]);
-
-      const row = {
-        iri,
-        label: label || '',
-        type: typeArr.join('; '),
-        definition: definition || '',
-        preferredLabel: preferredLabel || '',
-        alternativeLabel: alternativeLabelArr.join('; '),
-        acronym: acronymArr.join('; '),
-        subClassOf: subClassOfArr.join('; '),
-        subPropertyOf: subPropertyOfArr.join('; '),
-        definitionSource: definitionSourceArr.join('; '),
-        isCuratedIn: isCuratedInArr.join('; ')
-      };
+/**
+ * A row's values for each facet; rows without a value get '' (none).
+ * @param {{ facets?: Record<string, object>, hierarchy?: object }} model
+ * @param {Record<string, string>} row
+ * @returns {Record<string, string[]>}
+ */
+function rowFacetValues(model, row) {
+  if (rowFacetCache.has(row)) return rowFacetCache.get(row);
+
+  const facts = model.facets?.[row.iri] || { types: [], curatedIn: [] };
+  const orNone = list => (list.length ? list : ['']);
+  const yesNo = flag => [flag ? 'yes' : 'no'];
+  const ancestors = Object.values(model.hierarchy || {}).flatMap(tree => topAncestorsIn(tree, row.iri));
+  const values = {
+    type: orNone(facts.types),
+    ancestor: orNone(Array.from(new Set(ancestors))),
+    curatedIn: orNone(facts.curatedIn),
+    namespace: [row.iri.replace(/[^#/]*$/, '')],
+    definition: yesNo(facts.definition),
+    label: yesNo(facts.label),
+    deprecated: yesNo(facts.deprecated)
+  };
+  rowFacetCache.set(row, values);
+  return values;
+}
 
-      rows.push(row);
-    }
+/**
+ * Whether a row's facet values match a selection: at least one selected value in every
+ * facet with a selection, leaving out the facet `except`.
+ * @param {Record<string, string[]>} values
+ * @param {Record<string, string[]>} selection
+ * @param {string} [except]
+ * @returns {boolean}
+ */
+function matchesFacetSelection(values, selection, except) {
+  return Object.entries(selection).every(([key, selected]) =>
+    key === except || !selected.length || values[key].some(v => selected.includes(v)));
+}
 
-    // Fixed columns
-    const allHeaders = [
-      'iri',
-      'label',
-      'type',
-      'definition',
-      'preferred label',
-      'alternative label',
-      'acronym',
-      'rdfs:subClassOf',
-      'rdfs:subPropertyOf',
-      'definition source',
-      'is curated in'
-    ];
+/**
+ * Keep the rows matching a facet selection: within a facet any selected value matches,
+ * and every facet with a selection must match.
+ * @param {{ facets?: object, hierarchy?: object }} model
+ * @param {Array<Record<string, string>>} rows rows of the model
+ * @param {Record<string, string[]>} selection facet key -> selected values
+ * @returns {Array<Record<string, string>>}
+ */
+export function filterRowsByFacets(model, rows, selection) {
+  if (!Object.values(selection).some(selected => selected.length)) return rows;
+  return rows.filter(row => matchesFacetSelection(rowFacetValues(model, row), selection));
+}
 
-    const allKeys = [
-      'iri',
-      'label',
-      'type',
-      'definition',
-      'preferredLabel',
-      'alternativeLabel',
-      'acronym',
-      'subClassOf',
-      'subPropertyOf',
-      'definitionSource',
-      'isCuratedIn'
-    ];
+/**
+ * Count the values of each facet (see FACETS) over rows: the entity types, the roots of
+ * the class or property hierarchy above each entity, the is-curated-in values, the IRI
+ * namespaces, and yes/no for having a definition, a label and being deprecated. Each
+ * facet counts the rows matching the selection in the other facets, so its own values
+ * stay selectable; selected values are listed even when no row has them. Values are
+ * sorted by count; '' stands for rows without a value. Facets without any value are left
+ * out.
+ * @param {{ facets?: object, hierarchy?: object }} model from buildElementTableModel
+ * @param {Array<Record<string, string>>} rows rows of the model, e.g. those passing the filter
+ * @param {Record<string, string[]>} [selection] facet key -> selected values
+ * @returns {Array<{ key: string, label: string, values: Array<{ value: string, count: number }> }>}
+ */
+export function computeFacets(model, rows, selection = {}) {
+  const fnName = 'computeFacets';
+  logEvent(fnName, 'start', { rowCount: rows.length });
 
-    // Remove columns that are completely empty across rows (except iri)
-    const keepFlags = allKeys.map((key, idx) => {
-      if (key === 'iri') return true;
-      return rows.some(r => (r[key] ?? '').trim() !== '');
-    });
+  try {
+    const rowValues = rows.map(row => rowFacetValues(model, row));
+    return FACETS.map(facet => {
+      const counts = new Map((selection[facet.key] || []).map(value => [value, 0]));
+      rowValues.forEach(values => {
+        if (!matchesFacetSelection(values, selection, facet.key)) return;
+        values[facet.key].forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+      const values = Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+      return { ...facet, values };
+    }).filter(facet => facet.values.some(v => v.value !== ''));
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
 
-    const headers = allHeaders.filter((_, i) => keepFlags[i]);
-    const keys = allKeys.filter((_, i) => keepFlags[i]);
+/**
+ * Work out which rows of a virtually scrolled table to render: the rows in view plus
+ * `overscan` rows on either side, and the heights of the spacers standing in for the
+ * rows above and below them.
+ * @param {{ rowCount: number, rowHeight: number, scrollTop: number, viewportHeight: number,
+ *   overscan?: number }} view heights and offsets in pixels; `scrollTop` from the first row
+ * @returns {{ start: number, end: number, before: number, after: number }}
+ *   rows `start` (inclusive) to `end` (exclusive), and the spacer heights
+ */
+export function computeRowWindow({ rowCount, rowHeight, scrollTop, viewportHeight, overscan = 10 }) {
+  const height = Math.max(rowHeight, 1);
+  const first = Math.floor(Math.max(scrollTop, 0) / height);
+  const start = Math.min(Math.max(first - overscan, 0), rowCount);
+  const end = Math.max(Math.min(first + Math.ceil(viewportHeight / height) + overscan, rowCount), start);
+  return { start, end, before: start * height, after: (rowCount - end) * height };
+}
 
-    logEvent(fnName, 'built', {
-      rowCount: rows.length,
-      columnCount: headers.length
-    });
+/**
+ * Match every ontology's owl:imports to the other loaded ontologies, by ontology IRI
+ * or version IRI, and follow them to the import closure.
+ *
+ * Each result has:
+ *  - tree:       import tree nodes { iri, index, name, unresolved, cycle, children };
+ *                index is null for imports that match no loaded ontology
+ *  - closure:    indexes of all transitively imported ontologies (excluding itself)
+ *  - unresolved: import IRIs anywhere in the closure that match no loaded ontology
+ *
+ * @param {Array<{ ontologyIri: string|null, versionIri: string|null,
+ *   ontologyName?: string|null, imports?: string[] }>} ontologies
+ * @returns {Array<{ tree: object[], closure: number[], unresolved: string[] }>}
+ */
+export function resolveOntologyImports(ontologies) {
+  const fnName = 'resolveOntologyImports';
+  logEvent(fnName, 'start', { count: ontologies.length });
 
-    // prune unused keys from rows
-    const prunedRows = rows.map(r => {
-      const obj = {};
-      keys.forEach(k => {
-        obj[k] = r[k] ?? '';
+  try {
+    const byIri = new Map();
+    ontologies.forEach((o, i) => {
+      [o.ontologyIri, o.versionIri].forEach(iri => {
+        if (iri && !byIri.has(iri)) byIri.set(iri, i);
       });
-      return obj;
     });
 
-    return {
-      headers,
-      keys,
-      rows: prunedRows
-    };
+    const resolve = iri => (byIri.has(iri) ? byIri.get(iri) : null);
+
+    function buildTree(index, ancestors) {
+      return (ontologies[index].imports || []).map(iri => {
+        const target = resolve(iri);
+        const node = {
+          iri,
+          index: target,
+          name: target == null ? null : (ontologies[target].ontologyName || ontologies[target].ontologyIri),
+          unresolved: target == null,
+          cycle: target != null && ancestors.has(target),
+          children: []
+        };
+        if (target != null && !node.cycle) {
+          node.children = buildTree(target, new Set([...ancestors, target]));
+        }
+        return node;
+      });
+    }
+
+    return ontologies.map((_, index) => {
+      const closure = [];
+      const unresolved = [];
+      const seen = new Set([index]);
+      const queue = [index];
+
+      while (queue.length) {
+        const current = queue.shift();
+        (ontologies[current].imports || []).forEach(iri => {
+          const target = resolve(iri);
+          if (target == null) {
+            if (!unresolved.includes(iri)) unresolved.push(iri);
+          } else if (!seen.has(target)) {
+            seen.add(target);
+            closure.push(target);
+            queue.push(target);
+          }
+        });
+      }
+
+      return { tree: buildTree(index, new Set([index])), closure, unresolved };
+    });
   } catch (err) {
     logError(fnName, err);
     throw err;
@@ -796,48 +3118,53 @@ export function buildElementTableModel(store) {
 }
 
 /**
- * Filter & sort rows for the fixed-column model.
- * @param {{
+ * Build the element table over an ontology together with its import closure.
+ * The stores are merged, so parents and other references resolve across files, and a
+ * "source ontology" column lists which of the loaded ontologies declare each element.
+ *
+ * @param {Array<{ store: import('n3').Store, name: string }>} members
+ *   the ontology first, followed by the ontologies in its import closure
+ * @param {{ onProgress?: (progress: { rows: number, totalRows: number }) => void }} [options]
+ *   passed on to buildElementTableModel
+ * @returns {Promise<{
  *   headers: string[],
  *   keys: string[],
- *   rows: Array<Record<string, string>>
- * }} model
- * @param {string} query
- * @param {number|null} sortIndex
- * @param {'asc'|'desc'} sortDirection
- * @returns {Array<Record<string, string>>}
+ *   rows: Array<Record<string, string>>,
+ *   iriColumns: Record<string, string>,
+ *   hierarchy: object,
+ *   facets: Record<string, object>
+ * }>}
  */
-export function filterAndSortRows(model, query, sortIndex, sortDirection = 'asc') {
-  const fnName = 'filterAndSortRows';
-  logEvent(fnName, 'start', { query, sortIndex, sortDirection });
+export async function buildClosureTableModel(members, options = {}) {
+  const fnName = 'buildClosureTableModel';
+  logEvent(fnName, 'start', { memberCount: members.length });
 
   try {
-    const q = (query || '').toLowerCase();
-
-    let filtered = model.rows;
-    if (q) {
-      filtered = filtered.filter(row =>
-        Object.values(row).some(v => String(v).toLowerCase().includes(q))
-      );
-    }
-
-    if (sortIndex == null || sortIndex < 0 || sortIndex >= model.headers.length) {
-      return filtered;
-    }
-
-    const key = model.keys[sortIndex];
-    if (!key) return filtered;
-
-    const sorted = [...filtered].sort((a, b) => {
-      const va = String(a[key] ?? '');
-      const vb = String(b[key] ?? '');
-      const cmp = va.localeCompare(vb);
-      return sortDirection === 'asc' ? cmp : -cmp;
+    const { Store, DataFactory } = await loadN3();
+    const merged = new Store();
+    members.forEach(m => merged.addQuads(m.store.getQuads(null, null, null, null)));
+
+    const model = buildElementTableModel(merged, options);
+
+    const rows = model.rows.map(row => {
+      const subject = DataFactory.namedNode(row.iri);
+      const sources = members
+        .filter(m => shouldIncludeElementSubject(m.store, subject))
+        .map(m => m.name);
+      const { iri, ...rest } = row;
+      return { iri, sourceOntology: sources.join('; '), ...rest };
     });
 
-    return sorted;
+    return {
+      headers: [model.headers[0], 'source ontology', ...model.headers.slice(1)],
+      keys: [model.keys[0], 'sourceOntology', ...model.keys.slice(1)],
+      rows,
+      iriColumns: model.iriColumns,
+      hierarchy: model.hierarchy,
+      facets: model.facets
+    };
   } catch (err) {
-    logError(fnName, err, { query, sortIndex, sortDirection });
+    logError(fnName, err);
     throw err;
   }
-}
\ No newline at end of file
+}
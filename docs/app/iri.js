@@ -0,0 +1,92 @@
+// app/iri.js
+// IRI helpers shared by the non-Turtle parsers (RFC 3986 reference resolution).
+
+const SCHEME_RE = /^[A-Za-z][A-Za-z0-9+.-]*:/;
+
+/**
+ * Split an absolute IRI into its RFC 3986 components.
+ * @param {string} iri
+ * @returns {{ scheme: string, authority: string|null, path: string, query: string|null }}
+ */
+function splitIri(iri) {
+  const m = /^([A-Za-z][A-Za-z0-9+.-]*):(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?/.exec(iri);
+  if (!m) return { scheme: '', authority: null, path: iri, query: null };
+  return {
+    scheme: m[1],
+    authority: m[2] ?? null,
+    path: m[3] || '',
+    query: m[4] ?? null
+  };
+}
+
+/**
+ * Remove "." and ".." segments from a path (RFC 3986 §5.2.4).
+ * @param {string} path
+ * @returns {string}
+ */
+function removeDotSegments(path) {
+  const input = path.split('/');
+  const output = [];
+
+  input.forEach((segment, i) => {
+    if (segment === '.') {
+      if (i === input.length - 1) output.push('');
+      return;
+    }
+    if (segment === '..') {
+      if (output.length > 1) output.pop();
+      if (i === input.length - 1) output.push('');
+      return;
+    }
+    output.push(segment);
+  });
+
+  return output.join('/');
+}
+
+/**
+ * Check whether a string is an absolute IRI (has a scheme).
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isAbsoluteIri(value) {
+  return SCHEME_RE.test(value || '');
+}
+
+/**
+ * Resolve a (possibly relative) IRI reference against a base IRI.
+ * Absolute references are returned unchanged; without a base the reference is returned as-is.
+ * @param {string} ref
+ * @param {string} [base]
+ * @returns {string}
+ */
+export function resolveIri(ref, base) {
+  const value = ref ?? '';
+  if (isAbsoluteIri(value) || !base) return value;
+
+  const b = splitIri(base);
+  const prefix = b.authority != null ? `${b.scheme}://${b.authority}` : `${b.scheme}:`;
+  const baseNoFragment = base.split('#')[0];
+
+  if (value === '') return baseNoFragment;
+  if (value.startsWith('#')) return baseNoFragment + value;
+  if (value.startsWith('//')) return `${b.scheme}:${value}`;
+  if (value.startsWith('?')) return `${prefix}${b.path}${value}`;
+
+  const [pathPart, ...rest] = value.split(/(?=[?#])/);
+  const tail = rest.join('');
+
+  if (pathPart.startsWith('/')) {
+    return `${prefix}${removeDotSegments(pathPart)}${tail}`;
+  }
+
+  let merged;
+  if (b.authority != null && b.path === '') {
+    merged = `/${pathPart}`;
+  } else {
+    const slash = b.path.lastIndexOf('/');
+    merged = slash >= 0 ? b.path.slice(0, slash + 1) + pathPart : pathPart;
+  }
+
+  return `${prefix}${removeDotSegments(merged)}${tail}`;
+}
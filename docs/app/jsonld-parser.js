@@ -0,0 +1,622 @@
+// app/jsonld-parser.js
+// JSON-LD → quads: context processing, expansion and RDF serialization
+// (a practical subset of JSON-LD 1.1). Remote contexts are never fetched;
+// they must be supplied through `options.contexts`.
+
+import { isAbsoluteIri, resolveIri } from './iri.js';
+import { lineColumnAt } from './xml-parser.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const MAX_CONTEXT_DEPTH = 32;
+
+/**
+ * Is a string a JSON-LD keyword?
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isKeyword(value) {
+  return typeof value === 'string' && /^@[a-z]+$/i.test(value);
+}
+
+/**
+ * Wrap non-arrays in an array; drop undefined/null.
+ * @param {*} value
+ * @returns {Array}
+ */
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Find a locally supplied document for a remote context URL.
+ * Matches the exact URL, the URL resolved against the base, or the URL's file name
+ * (so a context loaded from "context.jsonld" satisfies ".../context.jsonld").
+ * @param {string} url
+ * @param {string} base
+ * @param {Record<string, object|string>} contexts
+ * @returns {*} the context value (the document's "@context", or the document itself)
+ */
+function lookupRemoteContext(url, base, contexts) {
+  const resolved = resolveIri(url, base);
+  const fileName = resolved.split(/[?#]/)[0].split('/').filter(Boolean).pop();
+  const candidates = [url, resolved, fileName];
+
+  for (const key of candidates) {
+    if (key && Object.prototype.hasOwnProperty.call(contexts, key)) {
+      const raw = contexts[key];
+      const doc = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      return doc && Object.prototype.hasOwnProperty.call(doc, '@context') ? doc['@context'] : doc;
+    }
+  }
+
+  throw new Error(
+    `JSON-LD remote context "${resolved}" is not available offline; load it alongside the document.`
+  );
+}
+
+/**
+ * Create the initial active context.
+ * @param {string} base
+ * @returns {object}
+ */
+function initialContext(base) {
+  return { base, vocab: null, language: null, terms: new Map() };
+}
+
+/**
+ * Copy an active context so that nested @context definitions do not leak upwards.
+ * @param {object} active
+ * @returns {object}
+ */
+function cloneContext(active) {
+  return { ...active, terms: new Map(active.terms) };
+}
+
+/**
+ * Expand a term, compact IRI or relative IRI to an absolute IRI (or keyword).
+ * @param {object} active
+ * @param {string} value
+ * @param {{ vocab?: boolean, documentRelative?: boolean }} flags
+ * @param {object} [local] context being processed, for on-demand term creation
+ * @param {Map<string, boolean>} [defined]
+ * @returns {string|null}
+ */
+function expandIri(active, value, flags, local, defined) {
+  if (value == null || isKeyword(value)) return value;
+
+  if (local && Object.prototype.hasOwnProperty.call(local, value) && !defined.get(value)) {
+    createTermDefinition(active, local, value, defined);
+  }
+
+  if (flags.vocab && active.terms.has(value)) {
+    const def = active.terms.get(value);
+    return def ? def.id : null;
+  }
+
+  const colon = value.indexOf(':');
+  if (colon > 0) {
+    const prefix = value.slice(0, colon);
+    const suffix = value.slice(colon + 1);
+    if (prefix === '_' || suffix.startsWith('//')) return value;
+
+    if (local && Object.prototype.hasOwnProperty.call(local, prefix) && !defined.get(prefix)) {
+      createTermDefinition(active, local, prefix, defined);
+    }
+    const def = active.terms.get(prefix);
+    if (def && def.id) return def.id + suffix;
+    return value;
+  }
+
+  if (flags.vocab && active.vocab != null) return active.vocab + value;
+  if (flags.documentRelative) return resolveIri(value, active.base);
+  return value;
+}
+
+/**
+ * The IRI of a term that is itself a compact IRI (`prefix:suffix`) or an absolute IRI,
+ * as in step 15 of the JSON-LD 1.1 Create Term Definition algorithm: only the prefix is
+ * defined on demand, never the term itself.
+ * @param {object} active
+ * @param {object} local
+ * @param {string} term
+ * @param {Map<string, boolean>} defined
+ * @returns {string}
+ */
+function termIriOf(active, local, term, defined) {
+  const colon = term.indexOf(':');
+  const prefix = term.slice(0, colon);
+  const suffix = term.slice(colon + 1);
+  if (prefix === '_' || suffix.startsWith('//')) return term;
+
+  if (prefix !== term && Object.prototype.hasOwnProperty.call(local, prefix) && !defined.get(prefix)) {
+    createTermDefinition(active, local, prefix, defined);
+  }
+  const def = active.terms.get(prefix);
+  return def && def.id ? def.id + suffix : term;
+}
+
+/**
+ * Define `term` in the active context from the local context entry.
+ * @param {object} active mutated
+ * @param {object} local
+ * @param {string} term
+ * @param {Map<string, boolean>} defined
+ */
+function createTermDefinition(active, local, term, defined) {
+  if (defined.has(term)) {
+    if (defined.get(term)) return;
+    throw new Error(`JSON-LD cyclic IRI mapping for term "${term}"`);
+  }
+  defined.set(term, false);
+
+  const value = local[term];
+
+  if (value === null || (typeof value === 'object' && value['@id'] === null)) {
+    active.terms.set(term, null);
+    defined.set(term, true);
+    return;
+  }
+
+  const entry = typeof value === 'string' ? { '@id': value } : value;
+  if (typeof entry !== 'object') {
+    throw new Error(`JSON-LD invalid term definition for "${term}"`);
+  }
+
+  const def = { id: null, type: null, container: [], reverse: false, context: undefined };
+
+  if (entry['@reverse'] != null) {
+    def.id = expandIri(active, entry['@reverse'], { vocab: true, documentRelative: false }, local, defined);
+    def.reverse = true;
+  } else if (entry['@id'] != null && entry['@id'] !== term) {
+    def.id = expandIri(active, entry['@id'], { vocab: true, documentRelative: false }, local, defined);
+  } else if (term.includes(':')) {
+    def.id = termIriOf(active, local, term, defined);
+  } else if (active.vocab != null) {
+    def.id = active.vocab + term;
+  } else {
+    throw new Error(`JSON-LD term "${term}" has no IRI mapping`);
+  }
+
+  if (entry['@type'] != null) {
+    const type = entry['@type'];
+    def.type = ['@id', '@vocab', '@json', '@none'].includes(type)
+      ? type
+      : expandIri(active, type, { vocab: true, documentRelative: false }, local, defined);
+  }
+
+  if (entry['@container'] != null) def.container = asArray(entry['@container']);
+  if (Object.prototype.hasOwnProperty.call(entry, '@language')) def.language = entry['@language'];
+  if (entry['@context'] !== undefined) def.context = entry['@context'];
+
+  active.terms.set(term, def);
+  defined.set(term, true);
+}
+
+/**
+ * Apply a local context (object, string URL, array or null) to an active context.
+ * @param {object} active
+ * @param {*} localContext
+ * @param {{ contexts: Record<string, object|string> }} options
+ * @param {number} [depth]
+ * @returns {object} new active context
+ */
+function processContext(active, localContext, options, depth = 0) {
+  if (depth > MAX_CONTEXT_DEPTH) throw new Error('JSON-LD context nesting is too deep');
+
+  let result = cloneContext(active);
+
+  for (const ctx of asArray(localContext === null ? [null] : localContext)) {
+    if (ctx === null) {
+      result = initialContext(active.base);
+      continue;
+    }
+
+    if (typeof ctx === 'string') {
+      const remote = lookupRemoteContext(ctx, result.base, options.contexts);
+      result = processContext(result, remote ?? {}, options, depth + 1);
+      continue;
+    }
+
+    if (typeof ctx !== 'object') throw new Error('JSON-LD invalid local context');
+
+    let local = ctx;
+    if (typeof ctx['@import'] === 'string') {
+      const imported = lookupRemoteContext(ctx['@import'], result.base, options.contexts) ?? {};
+      local = { ...imported, ...ctx };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(local, '@base')) {
+      const base = local['@base'];
+      result.base = base === null ? '' : resolveIri(base, result.base);
+    }
+    if (Object.prototype.hasOwnProperty.call(local, '@vocab')) {
+      const vocab = local['@vocab'];
+      result.vocab = vocab === null
+        ? null
+        : expandIri(result, vocab, { vocab: true, documentRelative: true });
+    }
+    if (Object.prototype.hasOwnProperty.call(local, '@language')) {
+      result.language = local['@language'];
+    }
+
+    const defined = new Map();
+    Object.keys(local).forEach(term => {
+      if (isKeyword(term)) return;
+      createTermDefinition(result, local, term, defined);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Expand a scalar into a value object (or node reference) per the term definition.
+ * @param {object} active
+ * @param {string} activeProperty
+ * @param {*} value
+ * @returns {object}
+ */
+function expandValue(active, activeProperty, value) {
+  const def = active.terms.get(activeProperty);
+
+  if (def?.type === '@id' && typeof value === 'string') {
+    return { '@id': expandIri(active, value, { documentRelative: true }) };
+  }
+  if (def?.type === '@vocab' && typeof value === 'string') {
+    return { '@id': expandIri(active, value, { vocab: true, documentRelative: true }) };
+  }
+
+  const result = { '@value': value };
+  if (def?.type && !['@id', '@vocab', '@none'].includes(def.type)) {
+    result['@type'] = def.type;
+  } else if (typeof value === 'string') {
+    const language = def && Object.prototype.hasOwnProperty.call(def, 'language')
+      ? def.language
+      : active.language;
+    if (language) result['@language'] = language;
+  }
+  return result;
+}
+
+/**
+ * Append values to an expanded object's property array.
+ * @param {object} target
+ * @param {string} key
+ * @param {*} values
+ */
+function addValues(target, key, values) {
+  if (!target[key]) target[key] = [];
+  target[key].push(...asArray(values));
+}
+
+/**
+ * JSON-LD expansion of an element.
+ * @param {object} active
+ * @param {string|null} activeProperty
+ * @param {*} element
+ * @param {object} options
+ * @returns {*} expanded element (object, array or null)
+ */
+function expandElement(active, activeProperty, element, options) {
+  if (element == null) return null;
+
+  if (Array.isArray(element)) {
+    const out = [];
+    element.forEach(item => {
+      const expanded = expandElement(active, activeProperty, item, options);
+      if (expanded != null) out.push(...asArray(expanded));
+    });
+    return out;
+  }
+
+  if (typeof element !== 'object') {
+    if (activeProperty == null || activeProperty === '@graph') return null;
+    return expandValue(active, activeProperty, element);
+  }
+
+  let ctx = active;
+  if (element['@context'] !== undefined) {
+    ctx = processContext(ctx, element['@context'], options);
+  }
+
+  const result = {};
+
+  Object.keys(element).sort().forEach(key => {
+    if (key === '@context') return;
+    const value = element[key];
+    const property = expandIri(ctx, key, { vocab: true });
+    if (property == null) return;
+    if (!isKeyword(property) && !property.includes(':')) return;
+
+    if (isKeyword(property)) {
+      switch (property) {
+        case '@id':
+          result['@id'] = expandIri(ctx, value, { documentRelative: true });
+          return;
+        case '@type':
+          result['@type'] = asArray(value).map(t =>
+            expandIri(ctx, t, { vocab: true, documentRelative: true })
+          );
+          return;
+        case '@graph':
+        case '@included':
+          addValues(result, property, expandElement(ctx, '@graph', value, options) ?? []);
+          return;
+        case '@value':
+        case '@language':
+        case '@index':
+        case '@direction':
+          result[property] = value;
+          return;
+        case '@list':
+          result['@list'] = asArray(expandElement(ctx, activeProperty, value, options));
+          return;
+        case '@set':
+          addValues(result, '@set', expandElement(ctx, activeProperty, value, options));
+          return;
+        case '@reverse': {
+          const reversed = expandElement(ctx, '@reverse', value, options) || {};
+          result['@reverse'] = result['@reverse'] || {};
+          Object.keys(reversed).forEach(p => addValues(result['@reverse'], p, reversed[p]));
+          return;
+        }
+        case '@nest':
+          asArray(value).forEach(nested => {
+            const expanded = expandElement(ctx, activeProperty, nested, options) || {};
+            Object.keys(expanded).forEach(p => addValues(result, p, expanded[p]));
+          });
+          return;
+        default:
+          return;
+      }
+    }
+
+    const def = ctx.terms.get(key);
+    const container = def?.container || [];
+    const propertyContext = def?.context !== undefined
+      ? processContext(ctx, def.context, options)
+      : ctx;
+
+    let expandedValue;
+    if (container.includes('@language') && value && typeof value === 'object' && !Array.isArray(value)) {
+      expandedValue = [];
+      Object.keys(value).sort().forEach(lang => {
+        asArray(value[lang]).forEach(v => {
+          const item = { '@value': v };
+          if (lang !== '@none') item['@language'] = lang;
+          expandedValue.push(item);
+        });
+      });
+    } else if (
+      (container.includes('@index') || container.includes('@id') || container.includes('@type')) &&
+      value && typeof value === 'object' && !Array.isArray(value)
+    ) {
+      expandedValue = [];
+      Object.keys(value).sort().forEach(mapKey => {
+        asArray(expandElement(propertyContext, key, value[mapKey], options)).forEach(item => {
+          if (mapKey === '@none') {
+            expandedValue.push(item);
+          } else if (container.includes('@id')) {
+            expandedValue.push({ '@id': expandIri(ctx, mapKey, { documentRelative: true }), ...item });
+          } else if (container.includes('@type')) {
+            const type = expandIri(ctx, mapKey, { vocab: true, documentRelative: true });
+            expandedValue.push({ ...item, '@type': [type, ...asArray(item['@type'])] });
+          } else {
+            expandedValue.push({ '@index': mapKey, ...item });
+          }
+        });
+      });
+    } else {
+      expandedValue = expandElement(propertyContext, key, value, options);
+    }
+
+    if (expandedValue == null) return;
+
+    if (container.includes('@list') && !(expandedValue && expandedValue['@list'])) {
+      expandedValue = { '@list': asArray(expandedValue) };
+    }
+
+    if (def?.reverse) {
+      result['@reverse'] = result['@reverse'] || {};
+      addValues(result['@reverse'], property, expandedValue);
+    } else {
+      addValues(result, property, expandedValue);
+    }
+  });
+
+  if (result['@set']) return result['@set'];
+
+  const keys = Object.keys(result);
+  if (keys.length === 1 && keys[0] === '@language') return null;
+  if (keys.length === 0) return null;
+
+  return result;
+}
+
+/**
+ * Canonical lexical form for a JSON number (JSON-LD toRdf rules).
+ * @param {number} n
+ * @returns {{ value: string, datatype: string }}
+ */
+function numberToLiteral(n) {
+  if (Number.isInteger(n) && Math.abs(n) < 1e21) {
+    return { value: String(n), datatype: XSD + 'integer' };
+  }
+  const [mantissa, exponent] = n.toExponential().split('e');
+  const m = mantissa.includes('.') ? mantissa.replace(/0+$/, '').replace(/\.$/, '.0') : `${mantissa}.0`;
+  return { value: `${m}E${Number(exponent)}`, datatype: XSD + 'double' };
+}
+
+/**
+ * Serialize expanded JSON-LD into quads.
+ * @param {Array<object>} expanded
+ * @param {import('n3').DataFactory} factory
+ * @returns {import('n3').Quad[]}
+ */
+function expandedToQuads(expanded, factory) {
+  const quads = [];
+  const blankNodes = new Map();
+
+  const blank = label => {
+    if (!blankNodes.has(label)) blankNodes.set(label, factory.blankNode());
+    return blankNodes.get(label);
+  };
+
+  const idToTerm = id => {
+    if (id == null) return factory.blankNode();
+    if (id.startsWith('_:')) return blank(id);
+    return isAbsoluteIri(id) ? factory.namedNode(id) : null;
+  };
+
+  const emit = (s, p, o, graph) => {
+    if (!s || !p || !o) return;
+    quads.push(graph ? factory.quad(s, p, o, graph) : factory.quad(s, p, o));
+  };
+
+  function objectToTerm(item, graph) {
+    if (item == null || typeof item !== 'object') return null;
+
+    if (Object.prototype.hasOwnProperty.call(item, '@value')) {
+      const value = item['@value'];
+      const type = asArray(item['@type'])[0];
+      if (type === '@json') {
+        return factory.literal(JSON.stringify(value), factory.namedNode(RDF + 'JSON'));
+      }
+      if (typeof value === 'boolean') {
+        return factory.literal(String(value), factory.namedNode(type || XSD + 'boolean'));
+      }
+      if (typeof value === 'number') {
+        const lit = numberToLiteral(value);
+        return factory.literal(lit.value, factory.namedNode(type || lit.datatype));
+      }
+      if (value == null) return null;
+      if (item['@language']) return factory.literal(String(value), item['@language']);
+      if (type) return factory.literal(String(value), factory.namedNode(type));
+      return factory.literal(String(value));
+    }
+
+    if (item['@list']) {
+      const items = item['@list'].map(i => objectToTerm(i, graph)).filter(Boolean);
+      if (items.length === 0) return factory.namedNode(RDF + 'nil');
+      const nodes = items.map(() => factory.blankNode());
+      items.forEach((term, i) => {
+        emit(nodes[i], factory.namedNode(RDF + 'first'), term, graph);
+        emit(nodes[i], factory.namedNode(RDF + 'rest'), i === items.length - 1 ? factory.namedNode(RDF + 'nil') : nodes[i + 1], graph);
+      });
+      return nodes[0];
+    }
+
+    return nodeToQuads(item, graph);
+  }
+
+  function nodeToQuads(node, graph) {
+    const subject = idToTerm(node['@id']);
+    if (!subject) return null;
+
+    asArray(node['@type']).forEach(type => {
+      emit(subject, factory.namedNode(RDF + 'type'), idToTerm(type), graph);
+    });
+
+    Object.keys(node).forEach(key => {
+      if (isKeyword(key)) return;
+      const predicate = key.startsWith('_:') ? null : idToTerm(key);
+      asArray(node[key]).forEach(value => {
+        emit(subject, predicate, objectToTerm(value, graph), graph);
+      });
+    });
+
+    if (node['@reverse']) {
+      Object.keys(node['@reverse']).forEach(key => {
+        const predicate = idToTerm(key);
+        asArray(node['@reverse'][key]).forEach(value => {
+          emit(nodeToQuads(value, graph), predicate, subject, graph);
+        });
+      });
+    }
+
+    if (node['@graph']) {
+      const namedGraph = subject;
+      node['@graph'].forEach(item => nodeToQuads(item, namedGraph));
+    }
+
+    asArray(node['@included']).forEach(item => nodeToQuads(item, graph));
+
+    return subject;
+  }
+
+  expanded.forEach(node => {
+    if (!node || typeof node !== 'object' || node['@value'] !== undefined) return;
+    const keys = Object.keys(node);
+    if (keys.length === 1 && keys[0] === '@graph') {
+      node['@graph'].forEach(item => nodeToQuads(item, null));
+    } else {
+      nodeToQuads(node, null);
+    }
+  });
+
+  return quads;
+}
+
+/**
+ * Report the prefixes of a document's top-level inline context: terms whose IRI ends in
+ * a gen-delim character, or that are marked "@prefix": true.
+ * @param {*} json
+ * @param {(prefix: string, namespace: string) => void} onPrefix
+ */
+function reportContextPrefixes(json, onPrefix) {
+  const contexts = asArray(json && typeof json === 'object' && !Array.isArray(json) ? json['@context'] : null);
+  contexts.forEach(context => {
+    if (!context || typeof context !== 'object' || Array.isArray(context)) return;
+    Object.entries(context).forEach(([term, def]) => {
+      if (term.startsWith('@') || term.includes(':')) return;
+      if (typeof def === 'string' && /[:/?#[\]@]$/.test(def)) onPrefix(term, def);
+      else if (def && typeof def === 'object' && def['@prefix'] === true && typeof def['@id'] === 'string') {
+        onPrefix(term, def['@id']);
+      }
+    });
+  });
+}
+
+/**
+ * Parse JSON-LD text into quads.
+ * @param {string} text
+ * @param {import('n3').DataFactory} factory
+ * @param {{ baseIri?: string, contexts?: Record<string, object|string>,
+ *   onPrefix?: (prefix: string, namespace: string) => void }} [options]
+ *   `contexts` maps remote context URLs (or their file names) to context documents.
+ *   `onPrefix` receives the prefixes of the top-level inline context.
+ * @returns {import('n3').Quad[]}
+ */
+export function parseJsonLdToQuads(text, factory, options = {}) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    const pos = /position (\d+)/.exec(err.message);
+    const wrapped = new Error(`JSON-LD syntax error: ${err.message}`);
+    if (pos) Object.assign(wrapped, lineColumnAt(text, Number(pos[1])));
+    throw wrapped;
+  }
+
+  if (options.onPrefix) reportContextPrefixes(json, options.onPrefix);
+
+  const opts = { contexts: options.contexts || {} };
+  const active = initialContext(options.baseIri || '');
+  const expanded = asArray(expandElement(active, null, json, opts));
+
+  return expandedToQuads(expanded, factory);
+}
+
+/**
+ * Is a parsed JSON document a context-only document (just an "@context" entry)?
+ * Such files are supplied as local copies of remote contexts rather than parsed as data.
+ * @param {*} json
+ * @returns {boolean}
+ */
+export function isJsonLdContextDocument(json) {
+  return !!json && typeof json === 'object' && !Array.isArray(json) &&
+    Object.keys(json).length === 1 && Object.prototype.hasOwnProperty.call(json, '@context');
+}
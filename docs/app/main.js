@@ -1,32 +1,380 @@
 // app/main.js
 import {
-  detectRdfFormatFromFilename,
-  parseRdfTextToStore,
-  extractOntologyMetadata,
-  buildElementTableModel,
+  detectRdfFormat,
+  hasRdfFileExtension,
+  isStreamableFormat,
+  resolveOntologyImports,
+  describeParseError,
+  DEFAULT_COLUMN_PROFILE,
+  ALL_PROPERTIES_PROFILE,
+  normalizeColumnProfile,
+  parseColumnProfile,
+  columnProfileToJson,
+  DEFAULT_LANGUAGE_PREFERENCES,
+  parseLanguagePreferences,
+  listTableIris,
+  IRI_DISPLAY_MODES,
+  mergePrefixes,
+  parsePrefixDeclarations,
+  formatPrefixDeclarations,
+  toPascalCase,
   logEvent,
   logError
 } from './core.js';
 
+import { isJsonLdContextDocument } from './jsonld-parser.js';
+import { expandArchive, isGzip, isZip } from './archive.js';
+import { createParseClient, isCancelled } from './parse-client.js';
+
 import {
   showLoadingOverlay,
   hideLoadingOverlay,
+  updateLoadingProgress,
   renderFileList,
   renderOntologyCard,
-  renderOntologyTable
+  renderOntologyTable,
+  renderColumnProfileName,
+  createEntityPanel,
+  tableModelToSheet,
+  ontologyMetadataToSheet,
+  downloadJson,
+  downloadXlsx
 } from './ui-helpers.js';
+import { buildXlsx } from './xlsx.js';
+
+// Parsing and table building run in a worker; one client is shared by all loads.
+let parseClient = null;
+
+function getParseClient() {
+  if (!parseClient) parseClient = createParseClient();
+  return parseClient;
+}
+
+// Files at least this large are streamed into the worker instead of read whole.
+const STREAMING_THRESHOLD_BYTES = 16 * 1024 * 1024;
+
+// The column profile every table is built with; an imported one is kept in localStorage.
+// In "all" mode the tables show every property instead (ALL_PROPERTIES_PROFILE).
+const COLUMN_PROFILE_STORAGE_KEY = 'ontology-tabulator-column-profile';
+let columnProfile = DEFAULT_COLUMN_PROFILE;
+let columnMode = 'profile';
+
+// Ranked languages for the cards and tables, and whether tables get per-language columns.
+const LANGUAGE_STORAGE_KEY = 'ontology-tabulator-languages';
+let languagePreferences = DEFAULT_LANGUAGE_PREFERENCES;
+let splitLanguageColumns = false;
+
+// Prefixes the user added; they win over the files' own and the built-in catalog.
+const USER_PREFIXES_STORAGE_KEY = 'ontology-tabulator-prefixes';
+let userPrefixes = {};
+
+function currentTableSettings() {
+  return {
+    profile: columnProfile,
+    mode: columnMode,
+    languages: languagePreferences,
+    splitLanguages: splitLanguageColumns,
+    prefixes: userPrefixes
+  };
+}
+
+/**
+ * Table options for the worker (see buildElementTableModel) from table settings.
+ * @param {{ profile: object, mode: 'profile'|'all', languages: string[], splitLanguages: boolean,
+ *   prefixes: Record<string, string> }} settings
+ * @returns {{ profile: object, languages: string[], splitLanguages: boolean,
+ *   prefixes: Record<string, string> }}
+ */
+function tableOptionsFor({ profile, mode, languages, splitLanguages, prefixes }) {
+  return { profile: mode === 'all' ? ALL_PROPERTIES_PROFILE : profile, languages, splitLanguages, prefixes };
+}
+
+// Ontologies of the last load, so their tables can be rebuilt with other settings.
+let loadedOntologies = [];
+
+// The tables on the page, by ontology, for the workbook export.
+let renderedTables = [];
+
+// How type and parent columns show IRIs, and the labels found for them in all loaded files.
+const IRI_DISPLAY_STORAGE_KEY = 'ontology-tabulator-iri-display';
+let iriDisplay = 'label';
+let iriLabels = {};
+
+// Collation of table sorting ('' for the browser's), and each table's sort by file name,
+// so rebuilt tables keep it.
+const SORT_LOCALE_STORAGE_KEY = 'ontology-tabulator-sort-locale';
+let sortLocale = '';
+const tableSorts = new Map();
+
+/**
+ * Look up labels for the IRIs in the tables' IRI columns, across all loaded files.
+ * Labels only improve the display, so a failed lookup leaves the IRIs unlabelled.
+ * @param {Array<{ tableModel: object }>} ontologies
+ * @param {object} tableOptions
+ * @returns {Promise<Record<string, string>>}
+ */
+async function loadIriLabels(ontologies, tableOptions) {
+  const iris = new Set(ontologies.flatMap(o => listTableIris(o.tableModel)));
+  if (!iris.size) return {};
+  try {
+    return await getParseClient().resolveLabels(Array.from(iris), tableOptions, updateLoadingProgress);
+  } catch (err) {
+    if (!isCancelled(err)) logError('loadIriLabels', err, { iriCount: iris.size });
+    return {};
+  }
+}
+
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the first chunk of a file (decompressing gzip) as text, for format detection.
+ * @param {File} file
+ * @param {boolean} gzip
+ * @returns {Promise<string>}
+ */
+async function readHeadText(file, gzip) {
+  let stream = file.stream();
+  if (gzip) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  try {
+    const { value } = await reader.read();
+    return value || '';
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Check whether a large file can be streamed: plain or gzipped Turtle-family content.
+ * @param {File} file
+ * @param {string} name
+ * @param {boolean} [inFolder]
+ * @returns {Promise<{ name: string, file: File, gzip: boolean, byteSize: number,
+ *   format: string, detectedBy: string }|null>} null when it has to be read whole
+ */
+async function prepareStreamedInput(file, name, inFolder) {
+  try {
+    const magic = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    if (isZip(magic)) return null;
+
+    const gzip = isGzip(magic);
+    const innerName = gzip ? name.replace(/\.gz$/i, '') : name;
+    if (inFolder && !hasRdfFileExtension(innerName)) return null;
+
+    const { format, detectedBy } = detectRdfFormat(innerName, await readHeadText(file, gzip));
+    if (!isStreamableFormat(format)) return null;
+    return { name: innerName, file, gzip, byteSize: file.size, format, detectedBy };
+  } catch (err) {
+    // Unreadable or corrupt: the whole-file path reports the problem.
+    logError('prepareStreamedInput', err, { file: name });
+    return null;
+  }
+}
+
+/**
+ * Read the inputs as text, unpacking gzip/zip archives. Files picked directly are
+ * always parsed; entries of archives and dropped folders only when they have an RDF
+ * extension, the rest are reported as skipped.
+ * With `stream`, large Turtle-family files are not read here but returned as `file`
+ * entries (with their detected format) for the worker to stream.
+ * @param {Array<{ file: File, name: string, inFolder?: boolean }>} inputs
+ * @param {{ stream?: boolean }} [options]
+ * @returns {Promise<{
+ *   documents: Array<{ name: string, byteSize: number, text?: string, file?: File,
+ *     gzip?: boolean, format?: string, detectedBy?: string }>,
+ *   skipped: object[]
+ * }>}
+ */
+async function readInputFiles(inputs, options = {}) {
+  const decoder = new TextDecoder('utf-8');
+  const documents = [];
+  const skipped = [];
+
+  for (const { file, name, inFolder } of inputs) {
+    if (options.stream && file.size >= STREAMING_THRESHOLD_BYTES) {
+      const streamed = await prepareStreamedInput(file, name, inFolder);
+      if (streamed) {
+        documents.push(streamed);
+        continue;
+      }
+    }
+
+    let expanded;
+    try {
+      expanded = await expandArchive(name, new Uint8Array(await file.arrayBuffer()));
+    } catch (err) {
+      logError('readInputFiles', err, { file: name });
+      skipped.push({ displayName: name, note: `skipped: ${err.message}`, skipped: true });
+      continue;
+    }
+    const unpacked = expanded.length !== 1 || expanded[0].name !== name;
+
+    for (const entry of expanded) {
+      if (entry.error) {
+        skipped.push({ displayName: entry.name, note: `skipped: ${entry.error}`, skipped: true });
+      } else if ((unpacked || inFolder) && !hasRdfFileExtension(entry.name)) {
+        skipped.push({ displayName: entry.name, note: 'skipped: not an RDF file', skipped: true });
+      } else {
+        documents.push({ name: entry.name, text: decoder.decode(entry.bytes), byteSize: entry.bytes.length });
+      }
+    }
+  }
+
+  return { documents, skipped };
+}
+
+/**
+ * Collect the files of a drop, walking any dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{ file: File, name: string, inFolder?: boolean }>>}
+ */
+async function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (!entries.length) {
+    return Array.from(dataTransfer.files || []).map(file => ({ file, name: file.name }));
+  }
+
+  const inputs = [];
+  const fileOf = entry => new Promise((resolve, reject) => entry.file(resolve, reject));
+  const readBatch = reader => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+  async function walk(entry, inFolder) {
+    if (entry.isFile) {
+      const name = inFolder ? entry.fullPath.replace(/^\//, '') : entry.name;
+      inputs.push({ file: await fileOf(entry), name, inFolder });
+      return;
+    }
+    // readEntries returns folder contents in batches until it yields an empty one.
+    const reader = entry.createReader();
+    for (let batch = await readBatch(reader); batch.length; batch = await readBatch(reader)) {
+      for (const child of batch) await walk(child, true);
+    }
+  }
+
+  for (const entry of entries) await walk(entry, false);
+  return inputs;
+}
+
+// The side panel showing one entity's triples and references; created by initApp.
+let entityPanel = null;
+
+/**
+ * Describe an entity from all loaded files for the entity panel.
+ * @param {string} iri
+ * @returns {Promise<object>} see describeEntity
+ */
+function loadEntity(iri) {
+  return getParseClient().describeEntity(iri, tableOptionsFor(currentTableSettings()), updateLoadingProgress);
+}
+
+/**
+ * The prefixes for CURIEs on the page: the user's, the loaded files' and the catalog's.
+ * @returns {Record<string, string>}
+ */
+function currentPrefixes() {
+  return mergePrefixes({
+    files: loadedOntologies.map(l => ({ name: l.name, prefixes: l.prefixes })),
+    user: userPrefixes
+  }).prefixes;
+}
+
+/**
+ * Render the cards and tables of the loaded ontologies, linking owl:imports between them.
+ */
+function renderLoadedOntologies() {
+  const cardsContainer = document.getElementById('ontologyCardsContainer');
+  const tablesContainer = document.getElementById('ontologyTablesContainer');
+  if (!cardsContainer || !tablesContainer) return;
+
+  cardsContainer.innerHTML = '';
+  tablesContainer.innerHTML = '';
+  renderedTables = [];
+
+  const client = getParseClient();
+  const loaded = loadedOntologies;
+  const imports = resolveOntologyImports(loaded.map(l => l.meta));
+  const { prefixes, conflicts } = mergePrefixes({
+    files: loaded.map(l => ({ name: l.name, prefixes: l.prefixes })),
+    user: userPrefixes
+  });
+
+  loaded.forEach(({ id, name, meta, tableModel, prefixes: declared }, i) => {
+    const { closure } = imports[i];
+    const members = [{ id, name }, ...closure.map(j => ({ id: loaded[j].id, name: loaded[j].name }))];
+    const tableOptions = tableOptionsFor(currentTableSettings());
+    const loadClosureModel = closure.length
+      ? onProgress => client.buildClosure(members, tableOptions, onProgress)
+      : undefined;
+
+    renderOntologyCard(cardsContainer, meta, imports[i], {
+      prefixes: declared,
+      conflicts: conflicts.filter(c => c.bindings.some(b => b.files.includes(name)))
+    });
+    const table = renderOntologyTable(tablesContainer, meta, tableModel, {
+      loadClosureModel,
+      cancelLoad: () => client.cancel(),
+      iriDisplay,
+      iriLabels,
+      prefixes,
+      onSelectEntity: iri => entityPanel?.show(iri),
+      sort: tableSorts.get(name),
+      onSortChange: sort => tableSorts.set(name, sort),
+      sortLocale
+    });
+    renderedTables.push({ name, meta, table });
+  });
+
+  const exportButton = document.getElementById('workbookExportButton');
+  if (exportButton) exportButton.disabled = !renderedTables.length;
+}
+
+/**
+ * Download every table as a sheet of one .xlsx workbook, after a sheet with the
+ * ontologies' metadata. Sheets hold the rows passing each table's filter, with IRIs shown
+ * as on the page.
+ */
+async function exportWorkbook() {
+  const fnName = 'exportWorkbook';
+  logEvent(fnName, 'start', { tableCount: renderedTables.length });
+  if (!renderedTables.length) return;
+
+  try {
+    const display = { iriDisplay, iriLabels, prefixes: currentPrefixes() };
+    const exported = renderedTables.map(({ name, meta, table }) => ({ name, meta, ...table.exportRows() }));
+    const sheets = [
+      ontologyMetadataToSheet(exported.map(({ name, meta, rows }) => ({ name, meta, rowCount: rows.length }))),
+      ...exported.map(({ name, meta, model, rows }) =>
+        tableModelToSheet(meta.ontologyName || name, model, rows, display))
+    ];
+    const timestamp = new Date().toISOString().replace(/[:]/g, '-');
+    downloadXlsx(`Ontologies_${timestamp}.xlsx`, await buildXlsx(sheets));
+  } catch (err) {
+    logError(fnName, err);
+    alert(`Could not export the workbook: ${err.message}`);
+  }
+}
 
-function handleFilesSelected(files) {
+function handleFilesSelected(inputs) {
   const fnName = 'handleFilesSelected';
-  logEvent(fnName, 'start', { fileCount: files.length });
+  logEvent(fnName, 'start', { fileCount: inputs.length });
 
-  if (!files.length) return;
+  if (!inputs.length) return;
 
   const cardsContainer = document.getElementById('ontologyCardsContainer');
   const tablesContainer = document.getElementById('ontologyTablesContainer');
   if (!cardsContainer || !tablesContainer) return;
 
-  showLoadingOverlay();
+  const client = getParseClient();
+  showLoadingOverlay({ onCancel: () => client.cancel() });
 
   const fileInfos = [];
 
@@ -34,26 +382,89 @@ function handleFilesSelected(files) {
     try {
       cardsContainer.innerHTML = '';
       tablesContainer.innerHTML = '';
+      client.clear();
+      entityPanel?.close();
+      loadedOntologies = [];
+      renderedTables = [];
+      tableSorts.clear();
 
-      for (const file of files) {
-        const text = await file.text();
-        const format = detectRdfFormatFromFilename(file.name);
-        const store = await parseRdfTextToStore(text, format);
+      // Read everything first so JSON-LD context files are available to every document.
+      const lenient = !!document.getElementById('lenientModeToggle')?.checked;
 
-        const meta = extractOntologyMetadata(store);
-        const tableModel = buildElementTableModel(store);
+      // Lenient parsing re-splits the whole text, so it never streams.
+      const { documents, skipped } = await readInputFiles(inputs, { stream: !lenient });
+      const entries = [];
+      const jsonLdContexts = {};
 
-        // record file info for file list
-        fileInfos.push({
-          displayName: meta.ontologyName || file.name,
-          quadCount: store.size
-        });
+      for (const doc of documents) {
+        if (doc.file) {
+          entries.push(doc);
+          continue;
+        }
 
-        renderOntologyCard(cardsContainer, meta);
-        renderOntologyTable(tablesContainer, meta, tableModel);
+        const { name, text, byteSize } = doc;
+        const { format, detectedBy } = detectRdfFormat(name, text);
+
+        if (format === 'application/ld+json') {
+          const json = tryParseJson(text);
+          if (isJsonLdContextDocument(json)) {
+            jsonLdContexts[name.split('/').pop()] = json;
+            fileInfos.push({ displayName: name, note: 'JSON-LD context' });
+            continue;
+          }
+        }
+
+        entries.push({ name, text, byteSize, format, detectedBy });
+      }
+
+      // Each file succeeds, fails or is cancelled on its own; failures are listed with
+      // their position.
+      const loaded = [];
+      for (const [fileIndex, { name, text, file, gzip, byteSize, format, detectedBy }] of entries.entries()) {
+        try {
+          const { id, meta, tableModel, quadCount, dropped, streamed, prefixes } = await client.parse(
+            {
+              name,
+              text,
+              file,
+              gzip,
+              byteSize,
+              format,
+              options: { contexts: jsonLdContexts, lenient, ...tableOptionsFor(currentTableSettings()) }
+            },
+            progress => updateLoadingProgress({ ...progress, fileName: name, fileIndex, fileCount: entries.length })
+          );
+          loaded.push({ id, name: meta.ontologyName || name, meta, tableModel, prefixes });
+
+          // record file info for file list
+          fileInfos.push({
+            displayName: meta.ontologyName || name,
+            quadCount,
+            format,
+            detectedBy,
+            dropped,
+            streamed
+          });
+        } catch (err) {
+          if (isCancelled(err)) {
+            fileInfos.push({ displayName: name, note: 'cancelled', skipped: true });
+            continue;
+          }
+          logError(fnName, err, { file: name });
+          fileInfos.push({
+            displayName: name,
+            format,
+            detectedBy,
+            error: err.described || describeParseError(err, text)
+          });
+        }
       }
 
-      renderFileList(fileInfos);
+      loadedOntologies = loaded;
+      iriLabels = await loadIriLabels(loaded, tableOptionsFor(currentTableSettings()));
+      renderLoadedOntologies();
+
+      renderFileList([...fileInfos, ...skipped]);
     } catch (err) {
       logError(fnName, err);
       alert('Error processing ontology files. See console for details.');
@@ -63,31 +474,254 @@ function handleFilesSelected(files) {
   })();
 }
 
+/**
+ * Switch table settings (column profile, mode, languages) and rebuild the loaded cards
+ * and tables with them. If rebuilding fails or is cancelled, the previous settings and
+ * tables stay.
+ * @param {{ profile?: object, mode?: 'profile'|'all', languages?: string[],
+ *   splitLanguages?: boolean, prefixes?: Record<string, string> }} changes
+ *   `profile` must be normalized; `languages` parsed (see parseLanguagePreferences).
+ */
+async function applyTableSettings(changes) {
+  const fnName = 'applyTableSettings';
+  const next = { ...currentTableSettings(), ...changes };
+  logEvent(fnName, 'start', { profile: next.profile.name, mode: next.mode, languages: next.languages });
+
+  const client = getParseClient();
+  const tableOptions = tableOptionsFor(next);
+  showLoadingOverlay({ onCancel: () => client.cancel() });
+  try {
+    const rebuilt = [];
+    for (const [fileIndex, ontology] of loadedOntologies.entries()) {
+      const { meta, tableModel } = await client.buildTable(ontology.id, tableOptions, progress =>
+        updateLoadingProgress({ ...progress, fileName: ontology.name, fileIndex, fileCount: loadedOntologies.length })
+      );
+      rebuilt.push({ ...ontology, meta, tableModel });
+    }
+    const labels = await loadIriLabels(rebuilt, tableOptions);
+
+    columnProfile = next.profile;
+    columnMode = next.mode;
+    languagePreferences = next.languages;
+    splitLanguageColumns = next.splitLanguages;
+    userPrefixes = next.prefixes;
+    loadedOntologies = rebuilt;
+    iriLabels = labels;
+    renderColumnProfileName(columnProfile);
+    try {
+      if (columnProfile === DEFAULT_COLUMN_PROFILE) localStorage.removeItem(COLUMN_PROFILE_STORAGE_KEY);
+      else localStorage.setItem(COLUMN_PROFILE_STORAGE_KEY, columnProfileToJson(columnProfile));
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, JSON.stringify({
+        languages: languagePreferences,
+        splitLanguages: splitLanguageColumns
+      }));
+      localStorage.setItem(USER_PREFIXES_STORAGE_KEY, JSON.stringify(userPrefixes));
+    } catch (err) {
+      logError(fnName, err, { storage: 'localStorage' });
+    }
+    if (rebuilt.length) renderLoadedOntologies();
+  } catch (err) {
+    if (!isCancelled(err)) {
+      logError(fnName, err);
+      alert('Could not rebuild the tables with these settings. See console for details.');
+    }
+  } finally {
+    hideLoadingOverlay();
+  }
+}
+
+function setupColumnProfileControls() {
+  try {
+    const stored = localStorage.getItem(COLUMN_PROFILE_STORAGE_KEY);
+    if (stored) columnProfile = normalizeColumnProfile(JSON.parse(stored));
+  } catch (err) {
+    logError('setupColumnProfileControls', err, { storage: 'localStorage' });
+  }
+  renderColumnProfileName(columnProfile);
+
+  const modeSelect = document.getElementById('columnModeSelect');
+  modeSelect?.addEventListener('change', async () => {
+    await applyTableSettings({ mode: modeSelect.value });
+    modeSelect.value = columnMode;
+  });
+
+  document.getElementById('columnProfileInput')?.addEventListener('change', async ev => {
+    const file = ev.target.files?.[0];
+    ev.target.value = ''; // allow importing the same file again
+    if (!file) return;
+    let profile;
+    try {
+      profile = parseColumnProfile(await file.text());
+    } catch (err) {
+      logError('setupColumnProfileControls', err, { file: file.name });
+      alert(err.message);
+      return;
+    }
+    await applyTableSettings({ profile, mode: 'profile' });
+    if (modeSelect) modeSelect.value = columnMode;
+  });
+
+  document.getElementById('columnProfileExportButton')?.addEventListener('click', () => {
+    downloadJson(`${toPascalCase(columnProfile.name)}_ColumnProfile.json`, columnProfileToJson(columnProfile));
+  });
+
+  document.getElementById('columnProfileResetButton')?.addEventListener('click', async () => {
+    if (columnProfile === DEFAULT_COLUMN_PROFILE && columnMode === 'profile') return;
+    await applyTableSettings({ profile: DEFAULT_COLUMN_PROFILE, mode: 'profile' });
+    if (modeSelect) modeSelect.value = columnMode;
+  });
+}
+
+function setupLanguageControls() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LANGUAGE_STORAGE_KEY) || 'null');
+    if (stored) {
+      languagePreferences = parseLanguagePreferences((stored.languages || []).join(', '));
+      splitLanguageColumns = !!stored.splitLanguages;
+    }
+  } catch (err) {
+    logError('setupLanguageControls', err, { storage: 'localStorage' });
+  }
+
+  const input = document.getElementById('languagePreferenceInput');
+  const toggle = document.getElementById('splitLanguagesToggle');
+  const showSettings = () => {
+    if (input) input.value = languagePreferences.join(', ');
+    if (toggle) toggle.checked = splitLanguageColumns;
+  };
+  showSettings();
+
+  input?.addEventListener('change', async () => {
+    let languages;
+    try {
+      languages = parseLanguagePreferences(input.value);
+    } catch (err) {
+      alert(err.message);
+      showSettings();
+      return;
+    }
+    await applyTableSettings({ languages });
+    showSettings();
+  });
+
+  toggle?.addEventListener('change', async () => {
+    await applyTableSettings({ splitLanguages: toggle.checked });
+    showSettings();
+  });
+}
+
+function setupPrefixControls() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_PREFIXES_STORAGE_KEY) || 'null');
+    if (stored) userPrefixes = parsePrefixDeclarations(formatPrefixDeclarations(stored));
+  } catch (err) {
+    logError('setupPrefixControls', err, { storage: 'localStorage' });
+  }
+
+  const input = document.getElementById('userPrefixInput');
+  const showPrefixes = () => {
+    if (input) input.value = formatPrefixDeclarations(userPrefixes);
+  };
+  showPrefixes();
+
+  document.getElementById('userPrefixApplyButton')?.addEventListener('click', async () => {
+    let prefixes;
+    try {
+      prefixes = parsePrefixDeclarations(input?.value);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    await applyTableSettings({ prefixes });
+    showPrefixes();
+  });
+}
+
+function setupIriDisplayControl() {
+  try {
+    const stored = localStorage.getItem(IRI_DISPLAY_STORAGE_KEY);
+    if (IRI_DISPLAY_MODES.includes(stored)) iriDisplay = stored;
+  } catch (err) {
+    logError('setupIriDisplayControl', err, { storage: 'localStorage' });
+  }
+
+  const select = document.getElementById('iriDisplaySelect');
+  if (!select) return;
+  select.value = iriDisplay;
+  select.addEventListener('change', () => {
+    iriDisplay = select.value;
+    try {
+      localStorage.setItem(IRI_DISPLAY_STORAGE_KEY, iriDisplay);
+    } catch (err) {
+      logError('setupIriDisplayControl', err, { storage: 'localStorage' });
+    }
+    renderLoadedOntologies();
+  });
+}
+
+function setupSortLocaleControl() {
+  try {
+    sortLocale = localStorage.getItem(SORT_LOCALE_STORAGE_KEY) || '';
+  } catch (err) {
+    logError('setupSortLocaleControl', err, { storage: 'localStorage' });
+  }
+
+  const select = document.getElementById('sortLocaleSelect');
+  if (!select) return;
+  if (!Array.from(select.options).some(option => option.value === sortLocale)) sortLocale = '';
+  select.value = sortLocale;
+  select.addEventListener('change', () => {
+    sortLocale = select.value;
+    try {
+      localStorage.setItem(SORT_LOCALE_STORAGE_KEY, sortLocale);
+    } catch (err) {
+      logError('setupSortLocaleControl', err, { storage: 'localStorage' });
+    }
+    renderLoadedOntologies();
+  });
+}
+
 function setupFileInput() {
   const input = document.getElementById('ontologyFileInput');
   if (!input) return;
 
   input.addEventListener('change', ev => {
     const files = Array.from(ev.target.files || []);
-    handleFilesSelected(files);
+    handleFilesSelected(files.map(file => ({ file, name: file.name })));
   });
 
   // Optional: allow drag & drop onto the whole body
   document.addEventListener('dragover', ev => {
     ev.preventDefault();
   });
-  document.addEventListener('drop', ev => {
+  document.addEventListener('drop', async ev => {
     ev.preventDefault();
-    const files = Array.from(ev.dataTransfer?.files || []);
-    if (files.length) {
-      handleFilesSelected(files);
+    if (!ev.dataTransfer) return;
+    try {
+      const inputs = await collectDroppedFiles(ev.dataTransfer);
+      if (inputs.length) {
+        handleFilesSelected(inputs);
+      }
+    } catch (err) {
+      logError('setupFileInput', err);
+      alert('Could not read the dropped files. See console for details.');
     }
   });
 }
 
 function initApp() {
   logEvent('initApp', 'start');
+  setupColumnProfileControls();
+  setupLanguageControls();
+  setupIriDisplayControl();
+  setupSortLocaleControl();
+  setupPrefixControls();
   setupFileInput();
+  document.getElementById('workbookExportButton')?.addEventListener('click', exportWorkbook);
+  entityPanel = createEntityPanel(document.body, {
+    loadEntity,
+    getDisplay: () => ({ iriDisplay, prefixes: currentPrefixes() })
+  });
 }
 
 document.addEventListener('DOMContentLoaded', initApp);
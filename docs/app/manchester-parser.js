@@ -0,0 +1,769 @@
+// app/manchester-parser.js
+// OWL 2 Manchester Syntax (.omn) → quads. Frames are read into the OWL
+// structural form understood by owl-axioms.js, which does the RDF mapping.
+
+import { resolveIri } from './iri.js';
+import { owlOntologyToQuads } from './owl-axioms.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+
+const STANDARD_PREFIXES = { rdf: RDF, rdfs: RDFS, xsd: XSD, owl: OWL };
+
+// Words that are section/frame keywords when followed by ':'
+const SECTION_KEYWORDS = new Set([
+  'Prefix', 'Ontology', 'Import', 'Annotations',
+  'Class', 'ObjectProperty', 'DataProperty', 'AnnotationProperty', 'Individual', 'Datatype',
+  'SubClassOf', 'EquivalentTo', 'DisjointWith', 'DisjointUnionOf', 'HasKey',
+  'Domain', 'Range', 'Characteristics', 'SubPropertyOf', 'InverseOf', 'SubPropertyChain',
+  'Types', 'Facts', 'SameAs', 'DifferentFrom',
+  'EquivalentClasses', 'DisjointClasses', 'EquivalentProperties', 'DisjointProperties',
+  'SameIndividual', 'DifferentIndividuals', 'Rule'
+]);
+
+const FRAME_KEYWORDS = new Set([
+  'Class', 'ObjectProperty', 'DataProperty', 'AnnotationProperty', 'Individual', 'Datatype',
+  'EquivalentClasses', 'DisjointClasses', 'EquivalentProperties', 'DisjointProperties',
+  'SameIndividual', 'DifferentIndividuals', 'Rule'
+]);
+
+// Words that cannot start a class expression operand.
+const OPERATOR_WORDS = new Set(['and', 'or', 'that', 'some', 'only', 'value', 'min', 'max', 'exactly', 'Self', 'o']);
+
+const OBJECT_CHARACTERISTICS = {
+  Functional: 'FunctionalObjectProperty',
+  InverseFunctional: 'InverseFunctionalObjectProperty',
+  Reflexive: 'ReflexiveObjectProperty',
+  Irreflexive: 'IrreflexiveObjectProperty',
+  Symmetric: 'SymmetricObjectProperty',
+  Asymmetric: 'AsymmetricObjectProperty',
+  Transitive: 'TransitiveObjectProperty'
+};
+
+const FACETS = {
+  length: XSD + 'length',
+  minLength: XSD + 'minLength',
+  maxLength: XSD + 'maxLength',
+  pattern: XSD + 'pattern',
+  langRange: RDF + 'langRange',
+  '<=': XSD + 'maxInclusive',
+  '<': XSD + 'maxExclusive',
+  '>=': XSD + 'minInclusive',
+  '>': XSD + 'minExclusive'
+};
+
+const BUILTIN_DATATYPES = new Set([
+  RDF + 'PlainLiteral', RDF + 'langString', RDF + 'XMLLiteral', RDFS + 'Literal', OWL + 'real', OWL + 'rational'
+]);
+
+/**
+ * Build an Error carrying the token's line/column.
+ * @param {string} message
+ * @param {{ line: number, column: number }} token
+ * @returns {Error}
+ */
+function syntaxError(message, token) {
+  const err = new Error(
+    `Manchester Syntax error: ${message} on line ${token.line}, column ${token.column}.`
+  );
+  err.line = token.line;
+  err.column = token.column;
+  return err;
+}
+
+/**
+ * Describe a token for error messages.
+ * @param {{ type: string, value: string }} token
+ * @returns {string}
+ */
+function describeToken(token) {
+  if (token.type === 'eof') return 'end of file';
+  if (token.type === 'keyword') return `"${token.value}:"`;
+  return `"${token.value}"`;
+}
+
+/**
+ * Split Manchester text into tokens with positions.
+ * Token types: punctuation ( ) { } [ ] , ^^, facet operators (op), iri, keyword, name,
+ * string, number, eof.
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const len = text.length;
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  while (i < len) {
+    const ch = text[i];
+
+    if (ch === '\n') {
+      i++;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\uFEFF') {
+      i++;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < len && text[i] !== '\n') i++;
+      continue;
+    }
+
+    const pos = { line, column: i - lineStart + 1 };
+
+    if ('(){}[],'.includes(ch)) {
+      tokens.push({ type: ch, value: ch, ...pos });
+      i++;
+      continue;
+    }
+
+    if (text.startsWith('^^', i)) {
+      tokens.push({ type: '^^', value: '^^', ...pos });
+      i += 2;
+      continue;
+    }
+
+    if (ch === '<' || ch === '>') {
+      const iri = ch === '<' ? /^<([^<>"{}|^`\\\s]*)>/.exec(text.slice(i, i + 4096)) : null;
+      if (iri) {
+        tokens.push({ type: 'iri', value: iri[1], ...pos });
+        i += iri[0].length;
+      } else {
+        const op = text[i + 1] === '=' ? `${ch}=` : ch;
+        tokens.push({ type: 'op', value: op, ...pos });
+        i += op.length;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= len) throw syntaxError('Unterminated string literal', pos);
+        const c = text[i];
+        if (c === '\\') {
+          value += text[i + 1] ?? '';
+          i += 2;
+          continue;
+        }
+        if (c === '"') {
+          i++;
+          break;
+        }
+        if (c === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+        value += c;
+        i++;
+      }
+      const lang = /^@([A-Za-z]+(?:-[A-Za-z0-9]+)*)/.exec(text.slice(i, i + 64));
+      if (lang) i += lang[0].length;
+      tokens.push({ type: 'string', value, language: lang ? lang[1] : null, ...pos });
+      continue;
+    }
+
+    const start = i;
+    while (i < len && !/[\s(){}[\],<>"^]/.test(text[i])) i++;
+    if (i === start) throw syntaxError(`Unexpected character "${ch}"`, pos);
+    const word = text.slice(start, i);
+
+    if (word.endsWith(':') && SECTION_KEYWORDS.has(word.slice(0, -1))) {
+      tokens.push({ type: 'keyword', value: word.slice(0, -1), ...pos });
+    } else if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?[fF]?$/.test(word)) {
+      tokens.push({ type: 'number', value: word, ...pos });
+    } else {
+      tokens.push({ type: 'name', value: word, ...pos });
+    }
+  }
+
+  tokens.push({ type: 'eof', value: '', line, column: i - lineStart + 1 });
+  return tokens;
+}
+
+const expr = (name, args) => ({ type: 'expr', name, args });
+
+/**
+ * Parse OWL Manchester Syntax text into quads.
+ * Object vs. data properties are told apart using the DataProperty:/Datatype: frames in
+ * the document and the built-in datatypes.
+ * @param {string} text
+ * @param {import('n3').DataFactory} factory
+ * @param {{ baseIri?: string, onDropped?: (err: Error) => void,
+ *   onPrefix?: (prefix: string, namespace: string) => void }} [options]
+ *   With `onDropped` (lenient mode), a frame with an error is reported to it and the
+ *   rest of the frame is skipped. `onPrefix` receives each Prefix: declaration.
+ * @returns {import('n3').Quad[]}
+ */
+export function parseManchesterToQuads(text, factory, options = {}) {
+  const tokens = tokenize(String(text ?? ''));
+  const prefixes = { ...STANDARD_PREFIXES };
+  let base = options.baseIri || '';
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[Math.min(pos++, tokens.length - 1)];
+  const isKeyword = (token, value) => token.type === 'keyword' && (value == null || token.value === value);
+  const isName = (token, value) => token.type === 'name' && token.value === value;
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) {
+      throw syntaxError(`Expected "${type}" but found ${describeToken(token)}`, token);
+    }
+    return token;
+  };
+
+  // ---- IRIs & literals ----
+
+  const expandName = token => {
+    if (token.type === 'iri') return resolveIri(token.value, base);
+    if (token.type !== 'name' || OPERATOR_WORDS.has(token.value)) {
+      throw syntaxError(`Expected an entity but found ${describeToken(token)}`, token);
+    }
+    const colon = token.value.indexOf(':');
+    const prefix = colon >= 0 ? token.value.slice(0, colon) : '';
+    const local = colon >= 0 ? token.value.slice(colon + 1) : token.value;
+    if (!(prefix in prefixes)) throw syntaxError(`Unknown prefix "${prefix}:"`, token);
+    return prefixes[prefix] + local;
+  };
+
+  const parseIri = () => ({ type: 'iri', value: expandName(next()) });
+
+  const startsEntity = token =>
+    token.type === 'iri' || (token.type === 'name' && !OPERATOR_WORDS.has(token.value) && !token.value.startsWith('_:'));
+
+  const startsLiteral = token => token.type === 'string' || token.type === 'number';
+
+  function parseLiteral() {
+    const token = next();
+    if (token.type === 'number') {
+      let datatype = XSD + 'integer';
+      if (/[fF]$/.test(token.value) || /[eE]/.test(token.value)) datatype = XSD + 'float';
+      else if (token.value.includes('.')) datatype = XSD + 'decimal';
+      return { type: 'literal', value: token.value.replace(/[fF]$/, ''), language: null, datatype };
+    }
+    if (token.type !== 'string') {
+      throw syntaxError(`Expected a literal but found ${describeToken(token)}`, token);
+    }
+    let datatype = null;
+    if (peek().type === '^^') {
+      next();
+      datatype = expandName(next());
+    }
+    return { type: 'literal', value: token.value, language: token.language, datatype };
+  }
+
+  function parseIndividual() {
+    const token = peek();
+    if (token.type === 'name' && token.value.startsWith('_:')) {
+      next();
+      return { type: 'anon', id: token.value.slice(2) };
+    }
+    return parseIri();
+  }
+
+  // ---- Declared property / datatype kinds (for object vs. data disambiguation) ----
+
+  const dataProperties = new Set();
+  const datatypes = new Set();
+
+  const scanDeclarations = () => {
+    for (let i = 0; i + 1 < tokens.length; i++) {
+      const t = tokens[i];
+      if (t.type !== 'keyword' || (t.value !== 'DataProperty' && t.value !== 'Datatype')) continue;
+      const nameToken = tokens[i + 1];
+      if (nameToken.type !== 'name' && nameToken.type !== 'iri') continue;
+      try {
+        (t.value === 'DataProperty' ? dataProperties : datatypes).add(expandName(nameToken));
+      } catch {
+        // Unknown prefixes are reported when the frame itself is parsed.
+      }
+    }
+  };
+
+  const isDatatypeIri = iri =>
+    iri.startsWith(XSD) || BUILTIN_DATATYPES.has(iri) || datatypes.has(iri);
+
+  // ---- Data ranges ----
+
+  function parseDataRange() {
+    const items = [parseDataConjunction()];
+    while (isName(peek(), 'or')) {
+      next();
+      items.push(parseDataConjunction());
+    }
+    return items.length === 1 ? items[0] : expr('DataUnionOf', items);
+  }
+
+  function parseDataConjunction() {
+    const items = [parseDataPrimary()];
+    while (isName(peek(), 'and')) {
+      next();
+      items.push(parseDataPrimary());
+    }
+    return items.length === 1 ? items[0] : expr('DataIntersectionOf', items);
+  }
+
+  function parseDataPrimary() {
+    if (isName(peek(), 'not')) {
+      next();
+      return expr('DataComplementOf', [parseDataPrimary()]);
+    }
+    if (peek().type === '{') {
+      next();
+      const literals = [parseLiteral()];
+      while (peek().type === ',') {
+        next();
+        literals.push(parseLiteral());
+      }
+      expect('}');
+      return expr('DataOneOf', literals);
+    }
+    if (peek().type === '(') {
+      next();
+      const range = parseDataRange();
+      expect(')');
+      return range;
+    }
+
+    const datatype = parseIri();
+    if (peek().type !== '[') return datatype;
+
+    next();
+    const args = [datatype];
+    do {
+      const facetToken = next();
+      const facet = FACETS[facetToken.value];
+      if (!facet) throw syntaxError(`Unknown facet ${describeToken(facetToken)}`, facetToken);
+      args.push({ type: 'iri', value: facet }, parseLiteral());
+    } while (peek().type === ',' && next());
+    expect(']');
+    return expr('DatatypeRestriction', args);
+  }
+
+  // ---- Class expressions ----
+
+  function parseObjectPropertyExpression() {
+    if (isName(peek(), 'inverse')) {
+      next();
+      if (peek().type === '(') {
+        next();
+        const inner = parseObjectPropertyExpression();
+        expect(')');
+        return expr('ObjectInverseOf', [inner]);
+      }
+      return expr('ObjectInverseOf', [parseIri()]);
+    }
+    return parseIri();
+  }
+
+  // Does the upcoming filler look like a data range rather than a class expression?
+  function looksLikeDataRange() {
+    const token = peek();
+    if (token.type === '{') return startsLiteral(peek(1));
+    if (isName(token, 'not') || token.type === '(') return false;
+    if (!startsEntity(token)) return false;
+    if (peek(1).type === '[') return true;
+    try {
+      return isDatatypeIri(expandName(token));
+    } catch {
+      return false;
+    }
+  }
+
+  function parseRestriction(property) {
+    const keyword = next();
+    const isData = property.type === 'iri' && dataProperties.has(property.value);
+
+    switch (keyword.value) {
+      case 'some':
+      case 'only': {
+        const data = isData || looksLikeDataRange();
+        const filler = data ? parseDataPrimary() : parsePrimary();
+        const kind = keyword.value === 'some' ? 'SomeValuesFrom' : 'AllValuesFrom';
+        return expr((data ? 'Data' : 'Object') + kind, [property, filler]);
+      }
+      case 'value':
+        if (startsLiteral(peek())) return expr('DataHasValue', [property, parseLiteral()]);
+        return expr('ObjectHasValue', [property, parseIndividual()]);
+      case 'Self':
+        return expr('ObjectHasSelf', [property]);
+      case 'min':
+      case 'max':
+      case 'exactly': {
+        const n = next();
+        if (n.type !== 'number' || !/^\d+$/.test(n.value)) {
+          throw syntaxError(`Expected a cardinality but found ${describeToken(n)}`, n);
+        }
+        const kind = { min: 'MinCardinality', max: 'MaxCardinality', exactly: 'ExactCardinality' }[keyword.value];
+        const args = [{ type: 'number', value: Number(n.value) }, property];
+        const t = peek();
+        const hasFiller = startsEntity(t) || t.type === '(' || t.type === '{' || isName(t, 'not');
+        const data = isData || (hasFiller && looksLikeDataRange());
+        if (hasFiller) args.push(data ? parseDataPrimary() : parsePrimary());
+        return expr((data ? 'Data' : 'Object') + kind, args);
+      }
+      default:
+        throw syntaxError(`Expected a restriction but found ${describeToken(keyword)}`, keyword);
+    }
+  }
+
+  function isRestrictionKeyword(token) {
+    return token.type === 'name' && ['some', 'only', 'value', 'Self', 'min', 'max', 'exactly'].includes(token.value);
+  }
+
+  function parseDescription() {
+    const items = [parseConjunction()];
+    while (isName(peek(), 'or')) {
+      next();
+      items.push(parseConjunction());
+    }
+    return items.length === 1 ? items[0] : expr('ObjectUnionOf', items);
+  }
+
+  function parseConjunction() {
+    const items = [parsePrimary()];
+    while (isName(peek(), 'and') || isName(peek(), 'that')) {
+      next();
+      items.push(parsePrimary());
+    }
+    return items.length === 1 ? items[0] : expr('ObjectIntersectionOf', items);
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (isName(token, 'not')) {
+      next();
+      return expr('ObjectComplementOf', [parsePrimary()]);
+    }
+    if (token.type === '(') {
+      next();
+      const inner = parseDescription();
+      expect(')');
+      return inner;
+    }
+    if (token.type === '{') {
+      next();
+      const individuals = [parseIndividual()];
+      while (peek().type === ',') {
+        next();
+        individuals.push(parseIndividual());
+      }
+      expect('}');
+      return expr('ObjectOneOf', individuals);
+    }
+    if (isName(token, 'inverse')) {
+      return parseRestriction(parseObjectPropertyExpression());
+    }
+
+    const entity = parseIri();
+    return isRestrictionKeyword(peek()) ? parseRestriction(entity) : entity;
+  }
+
+  // ---- Annotations and lists ----
+
+  function parseAnnotationTarget() {
+    const token = peek();
+    if (startsLiteral(token)) return parseLiteral();
+    return parseIndividual();
+  }
+
+  // 'Annotations:' annotatedList(annotation)
+  function parseAnnotationSection() {
+    return parseAnnotatedList(() => {
+      const property = parseIri();
+      const value = parseAnnotationTarget();
+      return { property, value };
+    }).map(({ annotations, item }) => expr('Annotation', [...annotations, item.property, item.value]));
+  }
+
+  function parseOptionalAnnotations() {
+    if (!isKeyword(peek(), 'Annotations')) return [];
+    next();
+    return parseAnnotationSection();
+  }
+
+  function parseAnnotatedList(parseItem) {
+    const items = [];
+    do {
+      const annotations = parseOptionalAnnotations();
+      items.push({ annotations, item: parseItem() });
+    } while (peek().type === ',' && next());
+    return items;
+  }
+
+  function parseList(parseItem) {
+    const items = [parseItem()];
+    while (peek().type === ',') {
+      next();
+      items.push(parseItem());
+    }
+    return items;
+  }
+
+  // ---- Frames ----
+
+  const ontology = { iri: null, versionIri: null, imports: [], annotations: [], axioms: [] };
+
+  const axiom = (name, args, token) => {
+    ontology.axioms.push({ type: 'expr', name, args, line: token.line, column: token.column });
+  };
+
+  const declare = (kind, iri, token) => {
+    axiom('Declaration', [expr(kind, [iri])], token);
+  };
+
+  const annotationAssertions = (subject, token) => {
+    parseAnnotationSection().forEach(a => {
+      const nested = a.args.slice(0, -2);
+      const [property, value] = a.args.slice(-2);
+      axiom('AnnotationAssertion', [...nested, property, subject, value], token);
+    });
+  };
+
+  // Parse `Section: annotatedList(item)` into one axiom per item.
+  const eachAnnotated = (token, parseItem, build) => {
+    parseAnnotatedList(parseItem).forEach(({ annotations, item }) => {
+      const [name, args] = build(item);
+      axiom(name, [...annotations, ...args], token);
+    });
+  };
+
+  function parseSections(frameToken, handlers) {
+    while (isKeyword(peek()) && !FRAME_KEYWORDS.has(peek().value) &&
+      !['Prefix', 'Ontology', 'Import'].includes(peek().value)) {
+      const section = next();
+      const handler = handlers[section.value];
+      if (!handler) {
+        throw syntaxError(`Unexpected section ${describeToken(section)} in ${frameToken.value} frame`, section);
+      }
+      handler(section);
+    }
+  }
+
+  function parseClassFrame(frameToken) {
+    const cls = parseIri();
+    declare('Class', cls, frameToken);
+    parseSections(frameToken, {
+      Annotations: t => annotationAssertions(cls, t),
+      SubClassOf: t => eachAnnotated(t, parseDescription, d => ['SubClassOf', [cls, d]]),
+      EquivalentTo: t => eachAnnotated(t, parseDescription, d => ['EquivalentClasses', [cls, d]]),
+      DisjointWith: t => eachAnnotated(t, parseDescription, d => ['DisjointClasses', [cls, d]]),
+      DisjointUnionOf: t => {
+        const annotations = parseOptionalAnnotations();
+        axiom('DisjointUnion', [...annotations, cls, ...parseList(parseDescription)], t);
+      },
+      HasKey: t => {
+        const annotations = parseOptionalAnnotations();
+        const objectProperties = [];
+        const dataProperties2 = [];
+        while (startsEntity(peek()) || isName(peek(), 'inverse')) {
+          const p = parseObjectPropertyExpression();
+          (p.type === 'iri' && dataProperties.has(p.value) ? dataProperties2 : objectProperties).push(p);
+          if (peek().type === ',') next();
+        }
+        axiom('HasKey', [...annotations, cls, expr('', objectProperties), expr('', dataProperties2)], t);
+      }
+    });
+  }
+
+  function parseObjectPropertyFrame(frameToken) {
+    const p = parseIri();
+    declare('ObjectProperty', p, frameToken);
+    parseSections(frameToken, {
+      Annotations: t => annotationAssertions(p, t),
+      Domain: t => eachAnnotated(t, parseDescription, d => ['ObjectPropertyDomain', [p, d]]),
+      Range: t => eachAnnotated(t, parseDescription, d => ['ObjectPropertyRange', [p, d]]),
+      Characteristics: t => eachAnnotated(t, () => next(), c => {
+        const name = OBJECT_CHARACTERISTICS[c.value];
+        if (!name) throw syntaxError(`Unknown characteristic ${describeToken(c)}`, c);
+        return [name, [p]];
+      }),
+      SubPropertyOf: t => eachAnnotated(t, parseObjectPropertyExpression, q => ['SubObjectPropertyOf', [p, q]]),
+      EquivalentTo: t => eachAnnotated(t, parseObjectPropertyExpression, q => ['EquivalentObjectProperties', [p, q]]),
+      DisjointWith: t => eachAnnotated(t, parseObjectPropertyExpression, q => ['DisjointObjectProperties', [p, q]]),
+      InverseOf: t => eachAnnotated(t, parseObjectPropertyExpression, q => ['InverseObjectProperties', [p, q]]),
+      SubPropertyChain: t => {
+        const annotations = parseOptionalAnnotations();
+        const chain = [parseObjectPropertyExpression()];
+        while (isName(peek(), 'o')) {
+          next();
+          chain.push(parseObjectPropertyExpression());
+        }
+        axiom('SubObjectPropertyOf', [...annotations, expr('ObjectPropertyChain', chain), p], t);
+      }
+    });
+  }
+
+  function parseDataPropertyFrame(frameToken) {
+    const p = parseIri();
+    dataProperties.add(p.value);
+    declare('DataProperty', p, frameToken);
+    parseSections(frameToken, {
+      Annotations: t => annotationAssertions(p, t),
+      Domain: t => eachAnnotated(t, parseDescription, d => ['DataPropertyDomain', [p, d]]),
+      Range: t => eachAnnotated(t, parseDataRange, r => ['DataPropertyRange', [p, r]]),
+      Characteristics: t => eachAnnotated(t, () => next(), c => {
+        if (c.value !== 'Functional') throw syntaxError(`Unknown characteristic ${describeToken(c)}`, c);
+        return ['FunctionalDataProperty', [p]];
+      }),
+      SubPropertyOf: t => eachAnnotated(t, parseIri, q => ['SubDataPropertyOf', [p, q]]),
+      EquivalentTo: t => eachAnnotated(t, parseIri, q => ['EquivalentDataProperties', [p, q]]),
+      DisjointWith: t => eachAnnotated(t, parseIri, q => ['DisjointDataProperties', [p, q]])
+    });
+  }
+
+  function parseAnnotationPropertyFrame(frameToken) {
+    const p = parseIri();
+    declare('AnnotationProperty', p, frameToken);
+    parseSections(frameToken, {
+      Annotations: t => annotationAssertions(p, t),
+      Domain: t => eachAnnotated(t, parseIri, d => ['AnnotationPropertyDomain', [p, d]]),
+      Range: t => eachAnnotated(t, parseIri, r => ['AnnotationPropertyRange', [p, r]]),
+      SubPropertyOf: t => eachAnnotated(t, parseIri, q => ['SubAnnotationPropertyOf', [p, q]])
+    });
+  }
+
+  function parseIndividualFrame(frameToken) {
+    const individual = parseIndividual();
+    if (individual.type === 'iri') declare('NamedIndividual', individual, frameToken);
+    parseSections(frameToken, {
+      Annotations: t => annotationAssertions(individual, t),
+      Types: t => eachAnnotated(t, parseDescription, d => ['ClassAssertion', [d, individual]]),
+      Facts: t => eachAnnotated(t, () => {
+        const negative = isName(peek(), 'not') && !!next();
+        const property = parseObjectPropertyExpression();
+        const isData = startsLiteral(peek()) || (property.type === 'iri' && dataProperties.has(property.value));
+        const object = isData ? parseLiteral() : parseIndividual();
+        return { negative, property, object, isData };
+      }, f => [
+        `${f.negative ? 'Negative' : ''}${f.isData ? 'Data' : 'Object'}PropertyAssertion`,
+        [f.property, individual, f.object]
+      ]),
+      SameAs: t => eachAnnotated(t, parseIndividual, o => ['SameIndividual', [individual, o]]),
+      DifferentFrom: t => eachAnnotated(t, parseIndividual, o => ['DifferentIndividuals', [individual, o]])
+    });
+  }
+
+  function parseDatatypeFrame(frameToken) {
+    const datatype = parseIri();
+    datatypes.add(datatype.value);
+    declare('Datatype', datatype, frameToken);
+    parseSections(frameToken, {
+      Annotations: t => annotationAssertions(datatype, t),
+      EquivalentTo: t => {
+        const annotations = parseOptionalAnnotations();
+        axiom('DatatypeDefinition', [...annotations, datatype, parseDataRange()], t);
+      }
+    });
+  }
+
+  function parseMiscFrame(frameToken) {
+    const annotations = parseOptionalAnnotations();
+    switch (frameToken.value) {
+      case 'EquivalentClasses':
+      case 'DisjointClasses':
+        axiom(frameToken.value, [...annotations, ...parseList(parseDescription)], frameToken);
+        return;
+      case 'EquivalentProperties':
+      case 'DisjointProperties': {
+        const properties = parseList(parseObjectPropertyExpression);
+        const isData = properties.every(p => p.type === 'iri' && dataProperties.has(p.value));
+        const kind = frameToken.value === 'EquivalentProperties' ? 'Equivalent' : 'Disjoint';
+        axiom(`${kind}${isData ? 'Data' : 'Object'}Properties`, [...annotations, ...properties], frameToken);
+        return;
+      }
+      case 'SameIndividual':
+      case 'DifferentIndividuals':
+        axiom(frameToken.value, [...annotations, ...parseList(parseIndividual)], frameToken);
+        return;
+      default:
+    }
+  }
+
+  // SWRL rules have no table-relevant RDF form; skip to the next frame.
+  function skipRule() {
+    while (peek().type !== 'eof' && !(isKeyword(peek()) && FRAME_KEYWORDS.has(peek().value))) next();
+  }
+
+  const FRAME_PARSERS = {
+    Class: parseClassFrame,
+    ObjectProperty: parseObjectPropertyFrame,
+    DataProperty: parseDataPropertyFrame,
+    AnnotationProperty: parseAnnotationPropertyFrame,
+    Individual: parseIndividualFrame,
+    Datatype: parseDatatypeFrame,
+    EquivalentClasses: parseMiscFrame,
+    DisjointClasses: parseMiscFrame,
+    EquivalentProperties: parseMiscFrame,
+    DisjointProperties: parseMiscFrame,
+    SameIndividual: parseMiscFrame,
+    DifferentIndividuals: parseMiscFrame,
+    Rule: skipRule
+  };
+
+  // ---- Document ----
+
+  while (isKeyword(peek(), 'Prefix')) {
+    next();
+    const name = next();
+    if (name.type !== 'name' || !name.value.endsWith(':')) {
+      throw syntaxError(`Expected a prefix name but found ${describeToken(name)}`, name);
+    }
+    prefixes[name.value.slice(0, -1)] = expect('iri').value;
+    options.onPrefix?.(name.value.slice(0, -1), prefixes[name.value.slice(0, -1)]);
+  }
+
+  scanDeclarations();
+
+  if (!isKeyword(peek(), 'Ontology')) {
+    throw syntaxError(`Expected "Ontology:" but found ${describeToken(peek())}`, peek());
+  }
+  next();
+
+  if (startsEntity(peek())) {
+    ontology.iri = expandName(next());
+    base = base || ontology.iri;
+    if (startsEntity(peek())) ontology.versionIri = expandName(next());
+  }
+
+  for (;;) {
+    const token = peek();
+    if (isKeyword(token, 'Import')) {
+      next();
+      ontology.imports.push(expandName(next()));
+    } else if (isKeyword(token, 'Annotations')) {
+      next();
+      ontology.annotations.push(...parseAnnotationSection());
+    } else {
+      break;
+    }
+  }
+
+  while (peek().type !== 'eof') {
+    const frameStart = pos;
+    const token = next();
+    try {
+      const parseFrame = token.type === 'keyword' ? FRAME_PARSERS[token.value] : null;
+      if (!parseFrame) throw syntaxError(`Expected a frame but found ${describeToken(token)}`, token);
+      parseFrame(token);
+    } catch (err) {
+      if (!options.onDropped) throw err;
+      // Lenient mode: drop the rest of the frame and resume at the next one.
+      options.onDropped(err);
+      pos = frameStart + 1;
+      while (peek().type !== 'eof' && !(isKeyword(peek()) && FRAME_KEYWORDS.has(peek().value))) next();
+    }
+  }
+
+  return owlOntologyToQuads(ontology, factory, { onDropped: options.onDropped });
+}
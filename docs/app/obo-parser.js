@@ -0,0 +1,522 @@
+// app/obo-parser.js
+// OBO 1.4 flat files (.obo) → quads, using the OBO-in-OWL mapping. Stanzas are read
+// into the OWL structural form understood by owl-axioms.js, which does the RDF mapping.
+
+import { owlOntologyToQuads } from './owl-axioms.js';
+
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const OBO = 'http://purl.obolibrary.org/obo/';
+const OIO = 'http://www.geneontology.org/formats/oboInOwl#';
+
+const IAO_DEFINITION = OBO + 'IAO_0000115';
+const IAO_DEFINITION_SOURCE = OBO + 'IAO_0000119';
+const IAO_REPLACED_BY = OBO + 'IAO_0100001';
+
+const SYNONYM_SCOPES = {
+  EXACT: OIO + 'hasExactSynonym',
+  NARROW: OIO + 'hasNarrowSynonym',
+  BROAD: OIO + 'hasBroadSynonym',
+  RELATED: OIO + 'hasRelatedSynonym'
+};
+
+// OBO 1.2 synonym tags, still found in older files.
+const LEGACY_SYNONYM_TAGS = {
+  exact_synonym: 'EXACT',
+  narrow_synonym: 'NARROW',
+  broad_synonym: 'BROAD',
+  related_synonym: 'RELATED'
+};
+
+// Header tags written as plain literal annotations on the ontology.
+const HEADER_ANNOTATIONS = {
+  'format-version': OIO + 'hasOBOFormatVersion',
+  'data-version': OWL + 'versionInfo',
+  'default-namespace': OIO + 'hasDefaultNamespace',
+  date: OIO + 'date',
+  'saved-by': OIO + 'savedBy',
+  'auto-generated-by': OIO + 'auto-generated-by',
+  remark: RDFS + 'comment'
+};
+
+// Stanza tags written as plain literal annotations on the entity.
+const LITERAL_ANNOTATIONS = {
+  name: RDFS + 'label',
+  comment: RDFS + 'comment',
+  namespace: OIO + 'hasOBONamespace',
+  alt_id: OIO + 'hasAlternativeId',
+  xref: OIO + 'hasDbXref',
+  consider: OIO + 'consider',
+  created_by: OIO + 'created_by',
+  creation_date: OIO + 'creation_date'
+};
+
+const TYPEDEF_CHARACTERISTICS = {
+  is_transitive: 'TransitiveObjectProperty',
+  is_symmetric: 'SymmetricObjectProperty',
+  is_asymmetric: 'AsymmetricObjectProperty',
+  is_reflexive: 'ReflexiveObjectProperty',
+  is_functional: 'FunctionalObjectProperty',
+  is_inverse_functional: 'InverseFunctionalObjectProperty'
+};
+
+const ESCAPES = { n: '\n', t: '\t', W: ' ' };
+
+/**
+ * Build an Error carrying the clause's line/column.
+ * @param {string} message
+ * @param {{ line: number, column: number }} at
+ * @returns {Error}
+ */
+function syntaxError(message, at) {
+  const err = new Error(`OBO error: ${message} on line ${at.line}, column ${at.column}.`);
+  err.line = at.line;
+  err.column = at.column;
+  return err;
+}
+
+/**
+ * Remove a trailing "! comment" and "{modifiers}" from a tag value, honouring quotes
+ * and backslash escapes.
+ * @param {string} value
+ * @returns {string}
+ */
+function stripTrailers(value) {
+  let inQuote = false;
+  let end = value.length;
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '"') {
+      inQuote = !inQuote;
+    } else if (c === '!' && !inQuote) {
+      end = i;
+      break;
+    }
+  }
+  let out = value.slice(0, end).trim();
+  const modifier = /\s*\{[^{}]*\}$/.exec(out);
+  if (modifier) out = out.slice(0, modifier.index).trim();
+  return out;
+}
+
+/**
+ * Read an OBO file into header clauses and stanzas.
+ * @param {string} text
+ * @param {(err: Error) => void} [onDropped] lenient mode: report malformed lines instead of throwing
+ * @returns {{
+ *   header: Array<{ tag: string, value: string, line: number, column: number }>,
+ *   stanzas: Array<{ type: string, line: number, column: number, clauses: object[] }>
+ * }}
+ */
+function readOboDocument(text, onDropped) {
+  const header = [];
+  const stanzas = [];
+  let clauses = header;
+
+  const lines = String(text ?? '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    let raw = lines[i];
+    // A trailing backslash continues the clause on the next line.
+    while (/(^|[^\\])(\\\\)*\\$/.test(raw) && i + 1 < lines.length) {
+      raw = raw.slice(0, -1) + lines[++i];
+    }
+
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith('!')) continue;
+
+    const stanza = /^\[([^\]]+)\]/.exec(trimmed);
+    if (stanza) {
+      const entry = { type: stanza[1].trim(), line: lineNo, column: raw.indexOf('[') + 1, clauses: [] };
+      stanzas.push(entry);
+      clauses = entry.clauses;
+      continue;
+    }
+
+    const colon = raw.indexOf(':');
+    if (colon <= 0 || /\s/.test(raw.slice(0, colon).trim())) {
+      const err = syntaxError('Expected a "tag: value" line', { line: lineNo, column: raw.search(/\S/) + 1 });
+      if (!onDropped) throw err;
+      onDropped(err);
+      continue;
+    }
+    const valueStart = colon + 1 + (raw.slice(colon + 1).length - raw.slice(colon + 1).trimStart().length);
+    clauses.push({
+      tag: raw.slice(0, colon).trim(),
+      value: stripTrailers(raw.slice(colon + 1)),
+      line: lineNo,
+      column: valueStart + 1
+    });
+  }
+
+  return { header, stanzas };
+}
+
+/**
+ * Read a quoted OBO string at the start of `value`.
+ * @param {string} value
+ * @param {{ line: number, column: number }} clause
+ * @returns {{ text: string, rest: string }}
+ */
+function readQuoted(value, clause) {
+  if (!value.startsWith('"')) throw syntaxError('Expected a quoted string', clause);
+  let text = '';
+  for (let i = 1; i < value.length; i++) {
+    const c = value[i];
+    if (c === '\\') {
+      const e = value[++i] ?? '';
+      text += ESCAPES[e] ?? e;
+    } else if (c === '"') {
+      return { text, rest: value.slice(i + 1).trim() };
+    } else {
+      text += c;
+    }
+  }
+  throw syntaxError('Unterminated quoted string', clause);
+}
+
+/**
+ * Read a "[xref, xref "description", ...]" list; returns the xref IDs.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function readXrefList(value) {
+  const open = value.indexOf('[');
+  const close = value.lastIndexOf(']');
+  if (open === -1 || close < open) return [];
+
+  const ids = [];
+  let current = '';
+  let inQuote = false;
+  const body = value.slice(open + 1, close);
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '\\') {
+      current += body.slice(i, i + 2);
+      i++;
+    } else if (c === '"') {
+      inQuote = !inQuote;
+      current += c;
+    } else if (c === ',' && !inQuote) {
+      ids.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  ids.push(current);
+
+  return ids
+    .map(x => x.trim().split(/\s+/)[0].replace(/\\(.)/g, '$1'))
+    .filter(Boolean);
+}
+
+const literal = (value, datatype = null) => ({ type: 'literal', value, language: null, datatype });
+const iriNode = value => ({ type: 'iri', value });
+const expr = (name, args) => ({ type: 'expr', name, args });
+
+/**
+ * Parse an OBO 1.4 document into quads following the OBO-in-OWL mapping.
+ *
+ * Definitions become obo:IAO_0000115 with their xrefs as oboInOwl:hasDbXref axiom
+ * annotations; the xrefs are also asserted as obo:IAO_0000119 (definition source)
+ * so the table shows them. Unprefixed Typedef IDs with a prefixed xref take the
+ * xref's IRI, as in the OBO 1.4 spec.
+ * With `onDropped` (lenient mode), malformed lines, clauses and id-less stanzas are
+ * reported to it and skipped. `onPrefix` receives each idspace declaration.
+ * @param {string} text
+ * @param {import('n3').DataFactory} factory
+ * @param {{ onDropped?: (err: Error) => void,
+ *   onPrefix?: (prefix: string, namespace: string) => void }} [options]
+ * @returns {import('n3').Quad[]}
+ */
+export function parseOboToQuads(text, factory, options = {}) {
+  const { header, stanzas } = readOboDocument(text, options.onDropped);
+
+  // Wrap a callback so that, in lenient mode, its errors are reported and skipped.
+  const lenient = fn => item => {
+    try {
+      fn(item);
+    } catch (err) {
+      if (!options.onDropped) throw err;
+      options.onDropped(err);
+    }
+  };
+
+  const ontologyId = header.find(c => c.tag === 'ontology')?.value || '';
+  const idspaces = {};
+  header
+    .filter(c => c.tag === 'idspace')
+    .forEach(c => {
+      const [prefix, base] = c.value.split(/\s+/);
+      if (prefix && base) {
+        idspaces[prefix] = base;
+        options.onPrefix?.(prefix, base);
+      }
+    });
+
+  const isUrl = id => /^[A-Za-z][A-Za-z0-9+.-]*:\/\//.test(id) || /^urn:/i.test(id);
+
+  const prefixedIri = id => {
+    if (isUrl(id)) return id;
+    const colon = id.indexOf(':');
+    if (colon <= 0) return null;
+    const prefix = id.slice(0, colon);
+    const local = id.slice(colon + 1);
+    if (idspaces[prefix]) return idspaces[prefix] + local;
+    if (prefix === 'xsd') return XSD + local;
+    return `${OBO}${prefix}_${local}`;
+  };
+
+  // Typedef shorthands: "id: part_of" + "xref: BFO:0000050" → obo:BFO_0000050
+  const shorthands = new Map();
+  stanzas
+    .filter(s => s.type === 'Typedef')
+    .forEach(s => {
+      const id = s.clauses.find(c => c.tag === 'id')?.value;
+      if (!id || id.includes(':')) return;
+      const xref = s.clauses.find(c => c.tag === 'xref' && prefixedIri(c.value.split(/\s+/)[0]));
+      if (xref) shorthands.set(id, prefixedIri(xref.value.split(/\s+/)[0]));
+    });
+
+  const toIri = id => shorthands.get(id) || prefixedIri(id) || `${OBO}${ontologyId}#${id}`;
+  const ref = id => iriNode(toIri(id));
+
+  let ontologyIri = null;
+  if (ontologyId) {
+    ontologyIri = isUrl(ontologyId) ? ontologyId : `${OBO}${ontologyId}.owl`;
+  }
+
+  const ontology = { iri: ontologyIri, versionIri: null, imports: [], annotations: [], axioms: [] };
+
+  const axiom = (name, args, clause) => {
+    ontology.axioms.push({ type: 'expr', name, args, line: clause.line, column: clause.column });
+  };
+
+  const annotate = (subject, property, value, clause, annotations = []) => {
+    axiom('AnnotationAssertion', [...annotations, iriNode(property), subject, value], clause);
+  };
+
+  const xrefAnnotations = ids => ids.map(x => expr('Annotation', [iriNode(OIO + 'hasDbXref'), literal(x)]));
+
+  // ---- Header ----
+
+  header.forEach(lenient(clause => {
+    const { tag, value } = clause;
+    if (HEADER_ANNOTATIONS[tag]) {
+      ontology.annotations.push(expr('Annotation', [iriNode(HEADER_ANNOTATIONS[tag]), literal(value)]));
+    }
+    switch (tag) {
+      case 'data-version':
+        if (ontologyId && !isUrl(ontologyId)) {
+          ontology.versionIri = `${OBO}${ontologyId}/${value}/${ontologyId}.owl`;
+        }
+        break;
+      case 'import':
+        ontology.imports.push(isUrl(value) ? value : `${OBO}${value.replace(/\.(obo|owl)$/, '')}.owl`);
+        break;
+      case 'subsetdef':
+      case 'synonymtypedef': {
+        const [id] = value.split(/\s+/);
+        const subject = ref(id);
+        const description = value.includes('"') ? readQuoted(value.slice(value.indexOf('"')), clause).text : '';
+        const parent = tag === 'subsetdef' ? OIO + 'SubsetProperty' : OIO + 'SynonymTypeProperty';
+        axiom('Declaration', [expr('AnnotationProperty', [subject])], clause);
+        axiom('SubAnnotationPropertyOf', [subject, iriNode(parent)], clause);
+        if (description) {
+          annotate(subject, tag === 'subsetdef' ? RDFS + 'comment' : RDFS + 'label', literal(description), clause);
+        }
+        break;
+      }
+      case 'property_value': {
+        const [property, value2] = readPropertyValue(clause);
+        ontology.annotations.push(expr('Annotation', [iriNode(property), value2]));
+        break;
+      }
+      default:
+    }
+  }));
+
+  // "property_value: REL VALUE [DATATYPE]" → [property IRI, value node]
+  function readPropertyValue(clause) {
+    const match = /^(\S+)\s+(.*)$/.exec(clause.value);
+    if (!match) throw syntaxError('Expected "property_value: relation value"', clause);
+    const property = toIri(match[1]);
+    const rest = match[2].trim();
+    if (rest.startsWith('"')) {
+      const { text: value, rest: after } = readQuoted(rest, clause);
+      const datatype = after ? toIri(after.split(/\s+/)[0]) : null;
+      return [property, literal(value, datatype)];
+    }
+    const [value, datatype] = rest.split(/\s+/);
+    if (datatype) return [property, literal(value, toIri(datatype))];
+    return [property, ref(value)];
+  }
+
+  // ---- Stanzas ----
+
+  stanzas.forEach(lenient(stanza => {
+    const kind = { Term: 'Class', Typedef: 'ObjectProperty', Instance: 'NamedIndividual' }[stanza.type];
+    if (!kind) return; // unknown stanza types are skipped
+
+    const idClause = stanza.clauses.find(c => c.tag === 'id');
+    if (!idClause) throw syntaxError(`[${stanza.type}] stanza has no id`, stanza);
+
+    const id = idClause.value;
+    const subject = ref(id);
+    const isMetadataTag = stanza.clauses.some(c => c.tag === 'is_metadata_tag' && c.value === 'true');
+    const entityKind = isMetadataTag ? 'AnnotationProperty' : kind;
+
+    axiom('Declaration', [expr(entityKind, [subject])], idClause);
+    annotate(subject, OIO + 'id', literal(id), idClause);
+    if (shorthands.has(id)) annotate(subject, OIO + 'shorthand', literal(id), idClause);
+
+    const intersection = [];
+    const union = [];
+
+    stanza.clauses.forEach(lenient(clause => {
+      const { tag, value } = clause;
+
+      if (LITERAL_ANNOTATIONS[tag]) {
+        annotate(subject, LITERAL_ANNOTATIONS[tag], literal(tag === 'xref' ? value.split(/\s+/)[0] : value), clause);
+        return;
+      }
+
+      if (LEGACY_SYNONYM_TAGS[tag] || tag === 'synonym') {
+        const { text: synonym, rest } = readQuoted(value, clause);
+        const words = rest.slice(0, rest.includes('[') ? rest.indexOf('[') : undefined).trim().split(/\s+/).filter(Boolean);
+        const scope = LEGACY_SYNONYM_TAGS[tag] || words.shift() || 'RELATED';
+        const property = SYNONYM_SCOPES[scope];
+        if (!property) throw syntaxError(`Unknown synonym scope "${scope}"`, clause);
+        const annotations = xrefAnnotations(readXrefList(rest));
+        if (words[0]) annotations.unshift(expr('Annotation', [iriNode(OIO + 'hasSynonymType'), ref(words[0])]));
+        annotate(subject, property, literal(synonym), clause, annotations);
+        return;
+      }
+
+      switch (tag) {
+        case 'def': {
+          const { text: definition, rest } = readQuoted(value, clause);
+          const xrefs = readXrefList(rest);
+          annotate(subject, IAO_DEFINITION, literal(definition), clause, xrefAnnotations(xrefs));
+          xrefs.forEach(x => annotate(subject, IAO_DEFINITION_SOURCE, literal(x), clause));
+          break;
+        }
+        case 'is_obsolete':
+          if (value === 'true') annotate(subject, OWL + 'deprecated', literal('true', XSD + 'boolean'), clause);
+          break;
+        case 'replaced_by':
+          annotate(subject, IAO_REPLACED_BY, ref(value), clause);
+          break;
+        case 'subset':
+          annotate(subject, OIO + 'inSubset', ref(value), clause);
+          break;
+        case 'property_value': {
+          const [property, object] = readPropertyValue(clause);
+          annotate(subject, property, object, clause);
+          break;
+        }
+        case 'is_a':
+          if (kind === 'Class') axiom('SubClassOf', [subject, ref(value)], clause);
+          else if (isMetadataTag) axiom('SubAnnotationPropertyOf', [subject, ref(value)], clause);
+          else if (kind === 'ObjectProperty') axiom('SubObjectPropertyOf', [subject, ref(value)], clause);
+          break;
+        case 'equivalent_to':
+          if (kind === 'Class') axiom('EquivalentClasses', [subject, ref(value)], clause);
+          else if (kind === 'ObjectProperty') axiom('EquivalentObjectProperties', [subject, ref(value)], clause);
+          break;
+        case 'disjoint_from':
+          if (kind === 'Class') axiom('DisjointClasses', [subject, ref(value)], clause);
+          else if (kind === 'ObjectProperty') axiom('DisjointObjectProperties', [subject, ref(value)], clause);
+          break;
+        default:
+          if (kind === 'Class') readTermClause(subject, clause, intersection, union);
+          else if (kind === 'ObjectProperty' && !isMetadataTag) readTypedefClause(subject, clause);
+          else if (kind === 'NamedIndividual') readInstanceClause(subject, clause);
+      }
+    }));
+
+    if (intersection.length) {
+      const args = intersection.map(([relation, target]) =>
+        relation ? expr('ObjectSomeValuesFrom', [ref(relation), ref(target)]) : ref(target));
+      axiom('EquivalentClasses', [subject, args.length === 1 ? args[0] : expr('ObjectIntersectionOf', args)], idClause);
+    }
+    if (union.length) {
+      axiom('EquivalentClasses', [subject, expr('ObjectUnionOf', union.map(ref))], idClause);
+    }
+  }));
+
+  // "relation target" pair, or a single target
+  function splitPair(clause) {
+    const parts = clause.value.split(/\s+/).filter(Boolean);
+    if (parts.length > 2 || !parts.length) throw syntaxError(`Unexpected ${clause.tag} value "${clause.value}"`, clause);
+    return parts.length === 2 ? parts : [null, parts[0]];
+  }
+
+  function readTermClause(subject, clause, intersection, union) {
+    switch (clause.tag) {
+      case 'relationship': {
+        const [relation, target] = splitPair(clause);
+        if (!relation) throw syntaxError('Expected "relationship: relation target"', clause);
+        axiom('SubClassOf', [subject, expr('ObjectSomeValuesFrom', [ref(relation), ref(target)])], clause);
+        break;
+      }
+      case 'intersection_of':
+        intersection.push(splitPair(clause));
+        break;
+      case 'union_of':
+        union.push(clause.value.split(/\s+/)[0]);
+        break;
+      default:
+    }
+  }
+
+  function readTypedefClause(subject, clause) {
+    const { tag, value } = clause;
+    if (TYPEDEF_CHARACTERISTICS[tag]) {
+      if (value === 'true') axiom(TYPEDEF_CHARACTERISTICS[tag], [subject], clause);
+      return;
+    }
+    switch (tag) {
+      case 'domain':
+        axiom('ObjectPropertyDomain', [subject, ref(value)], clause);
+        break;
+      case 'range':
+        axiom('ObjectPropertyRange', [subject, ref(value)], clause);
+        break;
+      case 'inverse_of':
+        axiom('InverseObjectProperties', [subject, ref(value)], clause);
+        break;
+      case 'transitive_over':
+        axiom('SubObjectPropertyOf', [expr('ObjectPropertyChain', [subject, ref(value)]), subject], clause);
+        break;
+      case 'holds_over_chain':
+      case 'equivalent_to_chain': {
+        const chain = value.split(/\s+/).filter(Boolean).map(ref);
+        axiom('SubObjectPropertyOf', [expr('ObjectPropertyChain', chain), subject], clause);
+        break;
+      }
+      default:
+    }
+  }
+
+  function readInstanceClause(subject, clause) {
+    switch (clause.tag) {
+      case 'instance_of':
+        axiom('ClassAssertion', [ref(clause.value), subject], clause);
+        break;
+      case 'relationship': {
+        const [relation, target] = splitPair(clause);
+        if (!relation) throw syntaxError('Expected "relationship: relation target"', clause);
+        axiom('ObjectPropertyAssertion', [ref(relation), subject, ref(target)], clause);
+        break;
+      }
+      default:
+    }
+  }
+
+  return owlOntologyToQuads(ontology, factory, { onDropped: options.onDropped });
+}
@@ -0,0 +1,450 @@
+// app/owl-axioms.js
+// Maps OWL 2 structural-syntax trees (as produced by the OWL/XML, Functional and
+// Manchester readers) to RDF triples, following the OWL 2 "Mapping to RDF Graphs"
+// specification.
+//
+// Tree nodes:
+//   { type: 'iri', value }                         full IRI
+//   { type: 'literal', value, language, datatype } datatype is a full IRI or null
+//   { type: 'anon', id }                           anonymous individual
+//   { type: 'number', value }                      cardinality
+//   { type: 'expr', name, args }                   any OWL construct, e.g. SubClassOf
+//
+// An ontology is { iri, versionIri, imports: string[], annotations: expr[], axioms: expr[] }.
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/** Entity kinds and the rdf:type their declarations produce. */
+export const OWL_ENTITY_TYPES = {
+  Class: OWL + 'Class',
+  Datatype: RDFS + 'Datatype',
+  ObjectProperty: OWL + 'ObjectProperty',
+  DataProperty: OWL + 'DatatypeProperty',
+  AnnotationProperty: OWL + 'AnnotationProperty',
+  NamedIndividual: OWL + 'NamedIndividual'
+};
+
+const CHARACTERISTICS = {
+  FunctionalObjectProperty: OWL + 'FunctionalProperty',
+  FunctionalDataProperty: OWL + 'FunctionalProperty',
+  InverseFunctionalObjectProperty: OWL + 'InverseFunctionalProperty',
+  ReflexiveObjectProperty: OWL + 'ReflexiveProperty',
+  IrreflexiveObjectProperty: OWL + 'IrreflexiveProperty',
+  SymmetricObjectProperty: OWL + 'SymmetricProperty',
+  AsymmetricObjectProperty: OWL + 'AsymmetricProperty',
+  TransitiveObjectProperty: OWL + 'TransitiveProperty'
+};
+
+const BOOLEAN_CLASS_OPERATORS = {
+  ObjectIntersectionOf: [OWL + 'Class', OWL + 'intersectionOf'],
+  ObjectUnionOf: [OWL + 'Class', OWL + 'unionOf'],
+  ObjectOneOf: [OWL + 'Class', OWL + 'oneOf'],
+  DataIntersectionOf: [RDFS + 'Datatype', OWL + 'intersectionOf'],
+  DataUnionOf: [RDFS + 'Datatype', OWL + 'unionOf'],
+  DataOneOf: [RDFS + 'Datatype', OWL + 'oneOf']
+};
+
+const SIMPLE_RESTRICTIONS = {
+  ObjectSomeValuesFrom: OWL + 'someValuesFrom',
+  DataSomeValuesFrom: OWL + 'someValuesFrom',
+  ObjectAllValuesFrom: OWL + 'allValuesFrom',
+  DataAllValuesFrom: OWL + 'allValuesFrom',
+  ObjectHasValue: OWL + 'hasValue',
+  DataHasValue: OWL + 'hasValue'
+};
+
+// [unqualified predicate, qualified predicate, filler predicate]
+const CARDINALITY_RESTRICTIONS = {
+  ObjectMinCardinality: ['minCardinality', 'minQualifiedCardinality', 'onClass'],
+  ObjectMaxCardinality: ['maxCardinality', 'maxQualifiedCardinality', 'onClass'],
+  ObjectExactCardinality: ['cardinality', 'qualifiedCardinality', 'onClass'],
+  DataMinCardinality: ['minCardinality', 'minQualifiedCardinality', 'onDataRange'],
+  DataMaxCardinality: ['maxCardinality', 'maxQualifiedCardinality', 'onDataRange'],
+  DataExactCardinality: ['cardinality', 'qualifiedCardinality', 'onDataRange']
+};
+
+// Axioms that map to one triple per consecutive pair of arguments.
+const PAIRWISE_AXIOMS = {
+  EquivalentClasses: OWL + 'equivalentClass',
+  EquivalentObjectProperties: OWL + 'equivalentProperty',
+  EquivalentDataProperties: OWL + 'equivalentProperty',
+  SameIndividual: OWL + 'sameAs'
+};
+
+// Axioms whose two-argument form is a single triple and whose n-ary form uses an owl:AllX node.
+const DISJOINTNESS_AXIOMS = {
+  DisjointClasses: [OWL + 'disjointWith', OWL + 'AllDisjointClasses', OWL + 'members'],
+  DisjointObjectProperties: [OWL + 'propertyDisjointWith', OWL + 'AllDisjointProperties', OWL + 'members'],
+  DisjointDataProperties: [OWL + 'propertyDisjointWith', OWL + 'AllDisjointProperties', OWL + 'members'],
+  DifferentIndividuals: [OWL + 'differentFrom', OWL + 'AllDifferent', OWL + 'members']
+};
+
+const BINARY_AXIOMS = {
+  SubClassOf: RDFS + 'subClassOf',
+  SubObjectPropertyOf: RDFS + 'subPropertyOf',
+  SubDataPropertyOf: RDFS + 'subPropertyOf',
+  SubAnnotationPropertyOf: RDFS + 'subPropertyOf',
+  InverseObjectProperties: OWL + 'inverseOf',
+  ObjectPropertyDomain: RDFS + 'domain',
+  DataPropertyDomain: RDFS + 'domain',
+  AnnotationPropertyDomain: RDFS + 'domain',
+  ObjectPropertyRange: RDFS + 'range',
+  DataPropertyRange: RDFS + 'range',
+  AnnotationPropertyRange: RDFS + 'range',
+  DatatypeDefinition: OWL + 'equivalentClass'
+};
+
+/**
+ * Is this node an `Annotation(...)` construct?
+ * @param {object} node
+ * @returns {boolean}
+ */
+function isAnnotation(node) {
+  return node?.type === 'expr' && node.name === 'Annotation';
+}
+
+/**
+ * Create the per-ontology translation context.
+ * @param {import('n3').DataFactory} factory
+ * @returns {object}
+ */
+function createContext(factory) {
+  return {
+    factory,
+    quads: [],
+    anonymous: new Map(),
+    emit(s, p, o) {
+      const triple = factory.quad(s, p, o);
+      this.quads.push(triple);
+      return triple;
+    },
+    iri(value) {
+      return factory.namedNode(value);
+    }
+  };
+}
+
+/**
+ * Build an rdf:List from terms and return its head.
+ * @param {object} ctx
+ * @param {import('n3').Term[]} items
+ * @returns {import('n3').Term}
+ */
+function rdfList(ctx, items) {
+  if (items.length === 0) return ctx.iri(RDF + 'nil');
+  const head = ctx.factory.blankNode();
+  let current = head;
+  items.forEach((item, idx) => {
+    ctx.emit(current, ctx.iri(RDF + 'first'), item);
+    const next = idx === items.length - 1 ? ctx.iri(RDF + 'nil') : ctx.factory.blankNode();
+    ctx.emit(current, ctx.iri(RDF + 'rest'), next);
+    current = next;
+  });
+  return head;
+}
+
+/**
+ * Translate any tree node to an RDF term, emitting triples for anonymous expressions.
+ * @param {object} ctx
+ * @param {object} node
+ * @returns {import('n3').Term}
+ */
+function toTerm(ctx, node) {
+  const { factory } = ctx;
+
+  switch (node?.type) {
+    case 'iri':
+      return factory.namedNode(node.value);
+    case 'anon': {
+      if (!ctx.anonymous.has(node.id)) ctx.anonymous.set(node.id, factory.blankNode());
+      return ctx.anonymous.get(node.id);
+    }
+    case 'literal':
+      if (node.language) return factory.literal(node.value, node.language);
+      if (node.datatype) return factory.literal(node.value, factory.namedNode(node.datatype));
+      return factory.literal(node.value);
+    case 'number':
+      return factory.literal(String(node.value), factory.namedNode(XSD + 'nonNegativeInteger'));
+    case 'expr':
+      if (OWL_ENTITY_TYPES[node.name] && node.args.length === 1) {
+        return toTerm(ctx, node.args[0]);
+      }
+      return translateExpression(ctx, node);
+    default:
+      throw new Error(`Unexpected OWL syntax node: ${JSON.stringify(node)}`);
+  }
+}
+
+/**
+ * Translate an anonymous class expression, data range or property expression.
+ * @param {object} ctx
+ * @param {{ name: string, args: object[] }} node
+ * @returns {import('n3').Term}
+ */
+function translateExpression(ctx, node) {
+  const { name, args } = node;
+  const x = ctx.factory.blankNode();
+  const type = ctx.iri(RDF + 'type');
+
+  if (BOOLEAN_CLASS_OPERATORS[name]) {
+    const [cls, pred] = BOOLEAN_CLASS_OPERATORS[name];
+    ctx.emit(x, type, ctx.iri(cls));
+    ctx.emit(x, ctx.iri(pred), rdfList(ctx, args.map(a => toTerm(ctx, a))));
+    return x;
+  }
+
+  if (name === 'ObjectComplementOf') {
+    ctx.emit(x, type, ctx.iri(OWL + 'Class'));
+    ctx.emit(x, ctx.iri(OWL + 'complementOf'), toTerm(ctx, args[0]));
+    return x;
+  }
+
+  if (name === 'DataComplementOf') {
+    ctx.emit(x, type, ctx.iri(RDFS + 'Datatype'));
+    ctx.emit(x, ctx.iri(OWL + 'datatypeComplementOf'), toTerm(ctx, args[0]));
+    return x;
+  }
+
+  if (SIMPLE_RESTRICTIONS[name]) {
+    ctx.emit(x, type, ctx.iri(OWL + 'Restriction'));
+    ctx.emit(x, ctx.iri(OWL + 'onProperty'), toTerm(ctx, args[0]));
+    ctx.emit(x, ctx.iri(SIMPLE_RESTRICTIONS[name]), toTerm(ctx, args[args.length - 1]));
+    return x;
+  }
+
+  if (name === 'ObjectHasSelf') {
+    ctx.emit(x, type, ctx.iri(OWL + 'Restriction'));
+    ctx.emit(x, ctx.iri(OWL + 'onProperty'), toTerm(ctx, args[0]));
+    ctx.emit(x, ctx.iri(OWL + 'hasSelf'), ctx.factory.literal('true', ctx.iri(XSD + 'boolean')));
+    return x;
+  }
+
+  if (CARDINALITY_RESTRICTIONS[name]) {
+    const [plain, qualified, filler] = CARDINALITY_RESTRICTIONS[name];
+    const [n, property, range] = args;
+    ctx.emit(x, type, ctx.iri(OWL + 'Restriction'));
+    ctx.emit(x, ctx.iri(OWL + 'onProperty'), toTerm(ctx, property));
+    ctx.emit(x, ctx.iri(OWL + (range ? qualified : plain)), toTerm(ctx, n));
+    if (range) ctx.emit(x, ctx.iri(OWL + filler), toTerm(ctx, range));
+    return x;
+  }
+
+  if (name === 'ObjectInverseOf') {
+    ctx.emit(x, ctx.iri(OWL + 'inverseOf'), toTerm(ctx, args[0]));
+    return x;
+  }
+
+  if (name === 'DatatypeRestriction') {
+    const [datatype, ...facets] = args;
+    const restrictions = [];
+    for (let i = 0; i + 1 < facets.length; i += 2) {
+      const r = ctx.factory.blankNode();
+      ctx.emit(r, toTerm(ctx, facets[i]), toTerm(ctx, facets[i + 1]));
+      restrictions.push(r);
+    }
+    ctx.emit(x, type, ctx.iri(RDFS + 'Datatype'));
+    ctx.emit(x, ctx.iri(OWL + 'onDatatype'), toTerm(ctx, datatype));
+    ctx.emit(x, ctx.iri(OWL + 'withRestrictions'), rdfList(ctx, restrictions));
+    return x;
+  }
+
+  throw new Error(`Unsupported OWL expression: ${name}`);
+}
+
+/**
+ * Emit annotation triples `subject AP value` for Annotation(...) nodes.
+ * @param {object} ctx
+ * @param {import('n3').Term} subject
+ * @param {object[]} annotations
+ */
+function emitAnnotations(ctx, subject, annotations) {
+  annotations.forEach(a => {
+    const parts = a.args.filter(arg => !isAnnotation(arg));
+    const [property, value] = parts;
+    ctx.emit(subject, toTerm(ctx, property), toTerm(ctx, value));
+  });
+}
+
+/**
+ * Reify the main triple of an annotated axiom as an owl:Axiom node.
+ * @param {object} ctx
+ * @param {import('n3').Quad|null} main
+ * @param {object[]} annotations
+ */
+function annotateAxiom(ctx, main, annotations) {
+  if (!main || annotations.length === 0) return;
+  const x = ctx.factory.blankNode();
+  ctx.emit(x, ctx.iri(RDF + 'type'), ctx.iri(OWL + 'Axiom'));
+  ctx.emit(x, ctx.iri(OWL + 'annotatedSource'), main.subject);
+  ctx.emit(x, ctx.iri(OWL + 'annotatedProperty'), main.predicate);
+  ctx.emit(x, ctx.iri(OWL + 'annotatedTarget'), main.object);
+  emitAnnotations(ctx, x, annotations);
+}
+
+/**
+ * Translate one axiom. Returns the "main" triple when the axiom maps to one,
+ * so that axiom annotations can be attached to it.
+ * @param {object} ctx
+ * @param {string} name
+ * @param {object[]} args axiom arguments without leading annotations
+ * @returns {import('n3').Quad|null}
+ */
+function translateAxiomBody(ctx, name, args) {
+  const type = ctx.iri(RDF + 'type');
+  const t = a => toTerm(ctx, a);
+
+  if (name === 'Declaration') {
+    const entity = args[0];
+    const entityType = OWL_ENTITY_TYPES[entity?.name];
+    if (!entityType) throw new Error(`Unsupported declaration: ${entity?.name}`);
+    return ctx.emit(t(entity.args[0]), type, ctx.iri(entityType));
+  }
+
+  if (name === 'AnnotationAssertion') {
+    const [property, subject, value] = args;
+    return ctx.emit(t(subject), t(property), t(value));
+  }
+
+  if (name === 'SubObjectPropertyOf' && args[0]?.type === 'expr' && args[0].name === 'ObjectPropertyChain') {
+    const chain = rdfList(ctx, args[0].args.map(t));
+    return ctx.emit(t(args[1]), ctx.iri(OWL + 'propertyChainAxiom'), chain);
+  }
+
+  if (BINARY_AXIOMS[name]) {
+    return ctx.emit(t(args[0]), ctx.iri(BINARY_AXIOMS[name]), t(args[1]));
+  }
+
+  if (PAIRWISE_AXIOMS[name]) {
+    const terms = args.map(t);
+    let first = null;
+    for (let i = 0; i + 1 < terms.length; i++) {
+      const q = ctx.emit(terms[i], ctx.iri(PAIRWISE_AXIOMS[name]), terms[i + 1]);
+      first = first || q;
+    }
+    return terms.length === 2 ? first : null;
+  }
+
+  if (DISJOINTNESS_AXIOMS[name]) {
+    const [pairPredicate, allType, membersPredicate] = DISJOINTNESS_AXIOMS[name];
+    const terms = args.map(t);
+    if (terms.length === 2) {
+      return ctx.emit(terms[0], ctx.iri(pairPredicate), terms[1]);
+    }
+    const x = ctx.factory.blankNode();
+    ctx.emit(x, type, ctx.iri(allType));
+    ctx.emit(x, ctx.iri(membersPredicate), rdfList(ctx, terms));
+    return null;
+  }
+
+  if (name === 'DisjointUnion') {
+    const [cls, ...parts] = args;
+    return ctx.emit(t(cls), ctx.iri(OWL + 'disjointUnionOf'), rdfList(ctx, parts.map(t)));
+  }
+
+  if (CHARACTERISTICS[name]) {
+    return ctx.emit(t(args[0]), type, ctx.iri(CHARACTERISTICS[name]));
+  }
+
+  if (name === 'ClassAssertion') {
+    return ctx.emit(t(args[1]), type, t(args[0]));
+  }
+
+  if (name === 'ObjectPropertyAssertion' || name === 'DataPropertyAssertion') {
+    const [property, subject, object] = args;
+    if (property.type === 'expr' && property.name === 'ObjectInverseOf') {
+      return ctx.emit(t(object), t(property.args[0]), t(subject));
+    }
+    return ctx.emit(t(subject), t(property), t(object));
+  }
+
+  if (name === 'NegativeObjectPropertyAssertion' || name === 'NegativeDataPropertyAssertion') {
+    const [property, subject, object] = args;
+    const x = ctx.factory.blankNode();
+    const target = name === 'NegativeObjectPropertyAssertion' ? 'targetIndividual' : 'targetValue';
+    ctx.emit(x, type, ctx.iri(OWL + 'NegativePropertyAssertion'));
+    ctx.emit(x, ctx.iri(OWL + 'sourceIndividual'), t(subject));
+    ctx.emit(x, ctx.iri(OWL + 'assertionProperty'), t(property));
+    ctx.emit(x, ctx.iri(OWL + target), t(object));
+    return null;
+  }
+
+  if (name === 'HasKey') {
+    const [cls, ...rest] = args;
+    const properties = rest.flatMap(r => (r.type === 'expr' && r.name === '' ? r.args : [r]));
+    return ctx.emit(t(cls), ctx.iri(OWL + 'hasKey'), rdfList(ctx, properties.map(t)));
+  }
+
+  // Rules and other constructs without a table-relevant RDF form are skipped.
+  if (name === 'DLSafeRule' || name === 'DGAxiom') return null;
+
+  throw new Error(`Unsupported OWL axiom: ${name}`);
+}
+
+/**
+ * Translate a single axiom node (including axiom annotations).
+ * @param {object} ctx
+ * @param {{ name: string, args: object[] }} axiom
+ */
+function translateAxiom(ctx, axiom) {
+  const annotations = axiom.args.filter(isAnnotation);
+  const args = axiom.args.filter(a => !isAnnotation(a));
+  const main = translateAxiomBody(ctx, axiom.name, args);
+  annotateAxiom(ctx, main, annotations);
+}
+
+/**
+ * Translate an OWL 2 structural ontology into quads.
+ * @param {{
+ *   iri: string|null,
+ *   versionIri: string|null,
+ *   imports: string[],
+ *   annotations: object[],
+ *   axioms: object[]
+ * }} ontology
+ * @param {import('n3').DataFactory} factory
+ * @param {{
+ *   locate?: (axiom: object) => { line: number, column: number },
+ *   onDropped?: (err: Error) => void
+ * }} [options]
+ *   `locate` maps an axiom to its source position for error messages; axioms that
+ *   already carry `line`/`column` are used as-is. With `onDropped` (lenient mode),
+ *   axioms that cannot be mapped are reported to it and skipped instead of throwing.
+ * @returns {import('n3').Quad[]}
+ */
+export function owlOntologyToQuads(ontology, factory, options = {}) {
+  const ctx = createContext(factory);
+  const subject = ontology.iri ? ctx.iri(ontology.iri) : factory.blankNode();
+
+  ctx.emit(subject, ctx.iri(RDF + 'type'), ctx.iri(OWL + 'Ontology'));
+  if (ontology.versionIri) {
+    ctx.emit(subject, ctx.iri(OWL + 'versionIRI'), ctx.iri(ontology.versionIri));
+  }
+  (ontology.imports || []).forEach(imp => {
+    ctx.emit(subject, ctx.iri(OWL + 'imports'), ctx.iri(imp));
+  });
+  emitAnnotations(ctx, subject, ontology.annotations || []);
+
+  (ontology.axioms || []).forEach(axiom => {
+    const emitted = ctx.quads.length;
+    try {
+      translateAxiom(ctx, axiom);
+    } catch (err) {
+      if (err.line == null) {
+        const pos = axiom.line != null ? axiom : options.locate?.(axiom);
+        if (pos) {
+          err.line = pos.line;
+          err.column = pos.column ?? 1;
+          err.message = `${err.message} on line ${err.line}, column ${err.column}.`;
+        }
+      }
+      if (!options.onDropped) throw err;
+      ctx.quads.length = emitted;
+      options.onDropped(err);
+    }
+  });
+
+  return ctx.quads;
+}
@@ -0,0 +1,300 @@
+// app/owl-functional-parser.js
+// OWL 2 Functional-Style Syntax (.ofn) → quads. The document is read into the
+// OWL structural form understood by owl-axioms.js, which does the RDF mapping.
+
+import { resolveIri } from './iri.js';
+import { owlOntologyToQuads } from './owl-axioms.js';
+
+const STANDARD_PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  owl: 'http://www.w3.org/2002/07/owl#'
+};
+
+/**
+ * Build an Error carrying the token's line/column.
+ * @param {string} message
+ * @param {{ line: number, column: number }} token
+ * @returns {Error}
+ */
+function syntaxError(message, token) {
+  const err = new Error(
+    `OWL Functional Syntax error: ${message} on line ${token.line}, column ${token.column}.`
+  );
+  err.line = token.line;
+  err.column = token.column;
+  return err;
+}
+
+/**
+ * Describe a token for error messages.
+ * @param {{ type: string, value: string }} token
+ * @returns {string}
+ */
+function describeToken(token) {
+  return token.type === 'eof' ? 'end of file' : `"${token.value}"`;
+}
+
+/**
+ * Split functional-syntax text into tokens with positions.
+ * Token types: '(' ')' '=' '^^' iri pname word number string anon eof.
+ * @param {string} text
+ * @returns {Array<{ type: string, value: string, language?: string, line: number, column: number }>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const len = text.length;
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const position = () => ({ line, column: i - lineStart + 1 });
+
+  while (i < len) {
+    const ch = text[i];
+
+    if (ch === '\n') {
+      i++;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\uFEFF') {
+      i++;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < len && text[i] !== '\n') i++;
+      continue;
+    }
+
+    const pos = position();
+
+    if (ch === '(' || ch === ')' || ch === '=') {
+      tokens.push({ type: ch, value: ch, ...pos });
+      i++;
+      continue;
+    }
+
+    if (text.startsWith('^^', i)) {
+      tokens.push({ type: '^^', value: '^^', ...pos });
+      i += 2;
+      continue;
+    }
+
+    if (ch === '<') {
+      const end = text.indexOf('>', i);
+      if (end === -1) throw syntaxError('Unterminated IRI', pos);
+      tokens.push({ type: 'iri', value: text.slice(i + 1, end), ...pos });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= len) throw syntaxError('Unterminated string literal', pos);
+        const c = text[i];
+        if (c === '\\') {
+          value += text[i + 1] ?? '';
+          i += 2;
+          continue;
+        }
+        if (c === '"') {
+          i++;
+          break;
+        }
+        if (c === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+        value += c;
+        i++;
+      }
+      const lang = /^@([A-Za-z]+(?:-[A-Za-z0-9]+)*)/.exec(text.slice(i, i + 64));
+      if (lang) i += lang[0].length;
+      tokens.push({ type: 'string', value, language: lang ? lang[1] : null, ...pos });
+      continue;
+    }
+
+    const start = i;
+    while (i < len && !/[\s()<>"=^#]/.test(text[i])) i++;
+    if (i === start) throw syntaxError(`Unexpected character "${ch}"`, pos);
+    const word = text.slice(start, i);
+
+    let type = 'word';
+    if (word.startsWith('_:')) type = 'anon';
+    else if (/^\d+$/.test(word)) type = 'number';
+    else if (word.includes(':')) type = 'pname';
+    tokens.push({ type, value: word, ...pos });
+  }
+
+  tokens.push({ type: 'eof', value: '', line, column: i - lineStart + 1 });
+  return tokens;
+}
+
+/**
+ * Parse OWL Functional-Style Syntax text into quads.
+ * With `onDropped` (lenient mode), malformed or unsupported axioms are reported to it
+ * and skipped; errors outside the axiom list still throw. `onPrefix` receives each
+ * Prefix() declaration.
+ * @param {string} text
+ * @param {import('n3').DataFactory} factory
+ * @param {{ baseIri?: string, onDropped?: (err: Error) => void,
+ *   onPrefix?: (prefix: string, namespace: string) => void }} [options]
+ * @returns {import('n3').Quad[]}
+ */
+export function parseOwlFunctionalToQuads(text, factory, options = {}) {
+  const tokens = tokenize(String(text ?? ''));
+  const prefixes = { ...STANDARD_PREFIXES };
+  let base = options.baseIri || '';
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) {
+      throw syntaxError(`Expected "${type}" but found ${describeToken(token)}`, token);
+    }
+    return token;
+  };
+  const expectWord = word => {
+    const token = next();
+    if (token.type !== 'word' || token.value !== word) {
+      throw syntaxError(`Expected ${word}( but found ${describeToken(token)}`, token);
+    }
+    return token;
+  };
+
+  const toIri = token => {
+    if (token.type === 'iri') return resolveIri(token.value, base);
+    if (token.type === 'pname') {
+      const colon = token.value.indexOf(':');
+      const prefix = token.value.slice(0, colon);
+      if (!(prefix in prefixes)) throw syntaxError(`Unknown prefix "${prefix}:"`, token);
+      return prefixes[prefix] + token.value.slice(colon + 1);
+    }
+    throw syntaxError(`Expected an IRI but found ${describeToken(token)}`, token);
+  };
+
+  function parseArgs() {
+    const args = [];
+    while (peek().type !== ')') {
+      if (peek().type === 'eof') throw syntaxError('Expected ")" but found end of file', peek());
+      args.push(parseArg());
+    }
+    expect(')');
+    return args;
+  }
+
+  function parseArg() {
+    const token = next();
+    switch (token.type) {
+      case 'word':
+        if (peek().type !== '(') {
+          throw syntaxError(`Expected "(" after ${token.value}`, peek());
+        }
+        next();
+        return { type: 'expr', name: token.value, args: parseArgs(), line: token.line, column: token.column };
+      case '(':
+        return { type: 'expr', name: '', args: parseArgs(), line: token.line, column: token.column };
+      case 'iri':
+      case 'pname':
+        return { type: 'iri', value: toIri(token) };
+      case 'anon':
+        return { type: 'anon', id: token.value.slice(2) };
+      case 'number':
+        return { type: 'number', value: Number(token.value) };
+      case 'string': {
+        let datatype = null;
+        if (peek().type === '^^') {
+          next();
+          datatype = toIri(next());
+        }
+        return { type: 'literal', value: token.value, language: token.language, datatype };
+      }
+      default:
+        throw syntaxError(`Unexpected ${describeToken(token)}`, token);
+    }
+  }
+
+  // Prefix( name:=<iri> )*
+  while (peek().type === 'word' && peek().value === 'Prefix') {
+    next();
+    expect('(');
+    const name = next();
+    if (name.type !== 'pname' || !name.value.endsWith(':')) {
+      throw syntaxError(`Expected a prefix name but found ${describeToken(name)}`, name);
+    }
+    expect('=');
+    prefixes[name.value.slice(0, -1)] = expect('iri').value;
+    options.onPrefix?.(name.value.slice(0, -1), prefixes[name.value.slice(0, -1)]);
+    expect(')');
+  }
+
+  expectWord('Ontology');
+  expect('(');
+
+  const ontology = { iri: null, versionIri: null, imports: [], annotations: [], axioms: [] };
+
+  if (peek().type === 'iri' || peek().type === 'pname') {
+    ontology.iri = toIri(next());
+    base = base || ontology.iri;
+    if (peek().type === 'iri' || peek().type === 'pname') {
+      ontology.versionIri = toIri(next());
+    }
+  }
+
+  // Skip the (possibly malformed) item starting at token index `start`.
+  function skipItem(start) {
+    let i = start;
+    if (tokens[i].type === 'word' && tokens[i + 1]?.type === '(') i++;
+    if (tokens[i].type !== '(') return i + 1;
+    let depth = 0;
+    do {
+      if (tokens[i].type === '(') depth++;
+      else if (tokens[i].type === ')') depth--;
+      i++;
+    } while (depth > 0 && tokens[i].type !== 'eof');
+    return i;
+  }
+
+  const items = [];
+  while (peek().type !== ')') {
+    if (peek().type === 'eof') throw syntaxError('Expected ")" but found end of file', peek());
+    const start = pos;
+    try {
+      items.push(parseArg());
+    } catch (err) {
+      if (!options.onDropped) throw err;
+      options.onDropped(err);
+      pos = skipItem(start);
+    }
+  }
+  expect(')');
+
+  items.forEach(item => {
+    if (item.type !== 'expr') {
+      const err = syntaxError('Expected an axiom', peek());
+      if (!options.onDropped) throw err;
+      options.onDropped(err);
+      return;
+    }
+    if (item.name === 'Import') {
+      ontology.imports.push(item.args[0]?.value);
+    } else if (item.name === 'Annotation') {
+      ontology.annotations.push(item);
+    } else {
+      ontology.axioms.push(item);
+    }
+  });
+
+  if (peek().type !== 'eof') {
+    throw syntaxError(`Unexpected ${describeToken(peek())} after the ontology`, peek());
+  }
+
+  return owlOntologyToQuads(ontology, factory, { onDropped: options.onDropped });
+}
@@ -0,0 +1,167 @@
+// app/owlxml-parser.js
+// OWL/XML → quads. The XML tree is converted to the OWL structural form
+// understood by owl-axioms.js, which does the RDF mapping.
+
+import { XML_NS, getAttribute, getChildElements, getTextContent, lineColumnAt } from './xml-parser.js';
+import { resolveIri } from './iri.js';
+import { owlOntologyToQuads } from './owl-axioms.js';
+
+export const OWL_XML_NS = 'http://www.w3.org/2002/07/owl#';
+
+const STANDARD_PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  owl: 'http://www.w3.org/2002/07/owl#'
+};
+
+const ENTITY_ELEMENTS = new Set([
+  'Class',
+  'Datatype',
+  'ObjectProperty',
+  'DataProperty',
+  'AnnotationProperty',
+  'NamedIndividual'
+]);
+
+/**
+ * Is the XML root element an OWL/XML <Ontology>?
+ * @param {object} root
+ * @returns {boolean}
+ */
+export function isOwlXmlRoot(root) {
+  return !!root && root.namespaceUri === OWL_XML_NS && root.localName === 'Ontology';
+}
+
+/**
+ * Build an Error for an element with its source position.
+ * @param {string} message
+ * @param {object} element
+ * @param {string} text
+ * @returns {Error}
+ */
+function owlXmlError(message, element, text) {
+  const { line, column } = lineColumnAt(text, element.offset);
+  const err = new Error(`OWL/XML error: ${message} on line ${line}, column ${column}.`);
+  err.line = line;
+  err.column = column;
+  return err;
+}
+
+/**
+ * Translate a parsed XML document (see parseXmlDocument) holding OWL/XML into quads.
+ * `onPrefix` receives each <Prefix> declaration.
+ * @param {{ root: object, text: string }} doc
+ * @param {import('n3').DataFactory} factory
+ * @param {{ baseIri?: string, onPrefix?: (prefix: string, namespace: string) => void }} [options]
+ * @returns {import('n3').Quad[]}
+ */
+export function owlXmlDocumentToQuads(doc, factory, options = {}) {
+  const { root, text } = doc;
+  if (!isOwlXmlRoot(root)) {
+    throw owlXmlError('Root element is not owl:Ontology', root, text);
+  }
+
+  const ontologyIri = getAttribute(root, null, 'ontologyIRI');
+  const xmlBase = getAttribute(root, XML_NS, 'base');
+  const base = xmlBase != null
+    ? resolveIri(xmlBase, options.baseIri || '')
+    : (ontologyIri || options.baseIri || '');
+
+  const prefixes = { ...STANDARD_PREFIXES };
+  const owlChildren = getChildElements(root).filter(el => el.namespaceUri === OWL_XML_NS);
+
+  owlChildren
+    .filter(el => el.localName === 'Prefix')
+    .forEach(el => {
+      const name = getAttribute(el, null, 'name') ?? '';
+      prefixes[name] = getAttribute(el, null, 'IRI') ?? '';
+      options.onPrefix?.(name, prefixes[name]);
+    });
+
+  const expand = (abbreviated, element) => {
+    const colon = abbreviated.indexOf(':');
+    const prefix = colon >= 0 ? abbreviated.slice(0, colon) : '';
+    if (!(prefix in prefixes)) {
+      throw owlXmlError(`Unknown prefix "${prefix}:"`, element, text);
+    }
+    return prefixes[prefix] + abbreviated.slice(colon + 1);
+  };
+
+  const iriFromAttributes = element => {
+    const full = getAttribute(element, null, 'IRI');
+    if (full != null) return { type: 'iri', value: resolveIri(full, base) };
+    const abbreviated = getAttribute(element, null, 'abbreviatedIRI');
+    if (abbreviated != null) return { type: 'iri', value: expand(abbreviated, element) };
+    throw owlXmlError(`<${element.localName}> has no IRI`, element, text);
+  };
+
+  function convert(element) {
+    const name = element.localName;
+
+    if (ENTITY_ELEMENTS.has(name)) {
+      return [{ type: 'expr', name, args: [iriFromAttributes(element)] }];
+    }
+
+    switch (name) {
+      case 'IRI':
+        return [{ type: 'iri', value: resolveIri(getTextContent(element).trim(), base) }];
+      case 'AbbreviatedIRI':
+        return [{ type: 'iri', value: expand(getTextContent(element).trim(), element) }];
+      case 'AnonymousIndividual':
+        return [{ type: 'anon', id: getAttribute(element, null, 'nodeID') }];
+      case 'Literal': {
+        const language = getAttribute(element, XML_NS, 'lang');
+        const datatype = getAttribute(element, null, 'datatypeIRI');
+        return [{
+          type: 'literal',
+          value: getTextContent(element),
+          language: language || null,
+          datatype: datatype ? resolveIri(datatype, base) : null
+        }];
+      }
+      case 'FacetRestriction':
+        return [
+          { type: 'iri', value: resolveIri(getAttribute(element, null, 'facet') ?? '', base) },
+          ...getChildElements(element).flatMap(convert)
+        ];
+      default: {
+        const args = [];
+        const cardinality = getAttribute(element, null, 'cardinality');
+        if (cardinality != null) args.push({ type: 'number', value: Number(cardinality) });
+        getChildElements(element).forEach(child => args.push(...convert(child)));
+        return [{ type: 'expr', name, args, offset: element.offset }];
+      }
+    }
+  }
+
+  const ontology = {
+    iri: ontologyIri ? resolveIri(ontologyIri, options.baseIri || '') : null,
+    versionIri: null,
+    imports: [],
+    annotations: [],
+    axioms: []
+  };
+
+  const versionIri = getAttribute(root, null, 'versionIRI');
+  if (versionIri) ontology.versionIri = resolveIri(versionIri, base);
+
+  owlChildren.forEach(el => {
+    switch (el.localName) {
+      case 'Prefix':
+        return;
+      case 'Import':
+        ontology.imports.push(resolveIri(getTextContent(el).trim(), base));
+        return;
+      case 'Annotation':
+        ontology.annotations.push(...convert(el));
+        return;
+      default:
+        ontology.axioms.push(...convert(el));
+    }
+  });
+
+  return owlOntologyToQuads(ontology, factory, {
+    locate: axiom => lineColumnAt(text, axiom.offset ?? 0)
+  });
+}
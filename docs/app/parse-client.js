@@ -0,0 +1,200 @@
+// app/parse-client.js
+// Page-side client for parse-worker.js: sends jobs, relays progress, and cancels the
+// running job by restarting the worker. Falls back to running the same handler on the
+// main thread when module workers are unavailable (cancel then only drops the result).
+
+import { logError } from './core.js';
+
+/**
+ * Error used to reject jobs that were cancelled.
+ * @returns {Error}
+ */
+function cancelledError() {
+  const err = new Error('Cancelled.');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Whether an error came from a cancelled job.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isCancelled(err) {
+  return err instanceof Error && err.name === 'AbortError';
+}
+
+/**
+ * Create a parse client. Table options are those of buildElementTableModel:
+ * `{ profile, languages, splitLanguages, prefixes }`, where `prefixes` are the user's
+ * (the worker merges in each file's declarations and the catalog).
+ * @param {URL|string} [workerUrl]
+ * @returns {{
+ *   parse: (job: { name: string, text?: string, file?: Blob, gzip?: boolean,
+ *     format: string, byteSize?: number,
+ *     options?: { lenient?: boolean, contexts?: Record<string, object|string>,
+ *       profile?: object, languages?: string[], splitLanguages?: boolean,
+ *       prefixes?: Record<string, string> } },
+ *     onProgress?: (progress: object) => void) => Promise<{ id: number, meta: object,
+ *     tableModel: object, quadCount: number, dropped: object[], streamed: boolean,
+ *     prefixes: Record<string, string> }>,
+ *   buildTable: (id: number, tableOptions: object,
+ *     onProgress?: (progress: object) => void) => Promise<{ meta: object, tableModel: object }>,
+ *   buildClosure: (members: Array<{ id: number, name: string }>, tableOptions: object,
+ *     onProgress?: (progress: object) => void) => Promise<object>,
+ *   resolveLabels: (iris: string[], tableOptions: object,
+ *     onProgress?: (progress: object) => void) => Promise<Record<string, string>>,
+ *   describeEntity: (iri: string, tableOptions: object,
+ *     onProgress?: (progress: object) => void) => Promise<object>,
+ *   cancel: () => void,
+ *   clear: () => void
+ * }}
+ *   Failed jobs reject with an Error whose `described` holds describeParseError output;
+ *   cancelled jobs reject with an error for which isCancelled is true.
+ */
+export function createParseClient(workerUrl = new URL('./parse-worker.js', import.meta.url)) {
+  let worker = null;
+  let inline = null; // handleParseMessage, when running without a worker
+  let nextId = 1;
+
+  const pending = new Map(); // request id -> { resolve, reject, onProgress }
+  const sources = new Map(); // store id -> parse job, replayed after a restart
+  const loaded = new Set(); // store ids parsed by the current worker
+
+  function onMessage(message) {
+    const entry = pending.get(message.id);
+    if (!entry) return; // cancelled meanwhile
+    if (message.type === 'progress') {
+      entry.onProgress?.(message);
+      return;
+    }
+    pending.delete(message.id);
+    if (message.type === 'result') {
+      entry.resolve(message);
+    } else {
+      const err = new Error(message.error?.message || 'Worker error');
+      err.described = message.error;
+      entry.reject(err);
+    }
+  }
+
+  function failAll(err) {
+    pending.forEach(entry => entry.reject(err));
+    pending.clear();
+  }
+
+  async function start() {
+    try {
+      worker = new Worker(workerUrl, { type: 'module' });
+    } catch (err) {
+      logError('createParseClient', err, { fallback: 'main thread' });
+      inline = (await import('./parse-worker.js')).handleParseMessage;
+      return;
+    }
+    worker.onmessage = ev => onMessage(ev.data);
+    worker.onerror = ev => {
+      const err = new Error(ev.message || 'Worker failed');
+      logError('createParseClient', err);
+      stop();
+      failAll(err);
+    };
+  }
+
+  function stop() {
+    worker?.terminate();
+    worker = null;
+    loaded.clear();
+  }
+
+  async function request(message, onProgress) {
+    if (!worker && !inline) await start();
+    return new Promise((resolve, reject) => {
+      pending.set(message.id, { resolve, reject, onProgress });
+      if (worker) worker.postMessage(message);
+      else inline(message, onMessage);
+    });
+  }
+
+  async function parse(job, onProgress) {
+    const id = nextId++;
+    sources.set(id, job);
+    try {
+      const result = await request({ type: 'parse', id, ...job }, onProgress);
+      loaded.add(id);
+      return { ...result, id };
+    } catch (err) {
+      sources.delete(id);
+      throw err;
+    }
+  }
+
+  // Make sure the worker holds usable stores for these ids. Stores are lost when a cancel
+  // restarts the worker, and streamed stores only hold the quads of the profile they were
+  // parsed with; either way the file is parsed again.
+  async function ensureLoaded(ids, profile, onProgress) {
+    for (const id of ids) {
+      const job = sources.get(id);
+      if (!job) throw new Error(`Unknown ontology id: ${id}`);
+      const stale = job.file && job.options?.profile !== profile;
+      if ((loaded.has(id) || inline) && !stale) continue;
+
+      const reload = stale ? { ...job, options: { ...job.options, profile } } : job;
+      await request({ type: 'parse', ...reload, id, storeOnly: true }, onProgress);
+      sources.set(id, reload);
+      loaded.add(id);
+    }
+  }
+
+  async function buildTable(id, tableOptions, onProgress) {
+    await ensureLoaded([id], tableOptions.profile, onProgress);
+    const { meta, tableModel } = await request(
+      { type: 'table', id: nextId++, storeId: id, ...tableOptions },
+      onProgress
+    );
+    return { meta, tableModel };
+  }
+
+  async function buildClosure(members, tableOptions, onProgress) {
+    await ensureLoaded(members.map(m => m.id), tableOptions.profile, onProgress);
+    const { tableModel } = await request(
+      { type: 'closure', id: nextId++, members, ...tableOptions },
+      onProgress
+    );
+    return tableModel;
+  }
+
+  // Labels come from every parsed store, not only the one whose table shows the IRIs.
+  async function resolveLabels(iris, tableOptions, onProgress) {
+    await ensureLoaded(Array.from(sources.keys()), tableOptions.profile, onProgress);
+    const { labels } = await request(
+      { type: 'labels', id: nextId++, iris, languages: tableOptions.languages },
+      onProgress
+    );
+    return labels;
+  }
+
+  // Like labels, an entity is described from every parsed store.
+  async function describeEntity(iri, tableOptions, onProgress) {
+    await ensureLoaded(Array.from(sources.keys()), tableOptions.profile, onProgress);
+    const { entity } = await request(
+      { type: 'entity', id: nextId++, iri, languages: tableOptions.languages },
+      onProgress
+    );
+    return entity;
+  }
+
+  function cancel() {
+    if (!pending.size) return;
+    if (worker) stop();
+    failAll(cancelledError());
+  }
+
+  function clear() {
+    sources.clear();
+    loaded.clear();
+    if (worker) worker.postMessage({ type: 'clear' });
+    else inline?.({ type: 'clear' }, onMessage);
+  }
+
+  return { parse, buildTable, buildClosure, resolveLabels, describeEntity, cancel, clear };
+}
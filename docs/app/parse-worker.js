@@ -0,0 +1,248 @@
+// app/parse-worker.js
+// Parses files, extracts metadata and builds table models off the main thread.
+// Runs as a module worker started by parse-client.js; the parsed stores stay here so
+// the closure view can be built later without copying quads back and forth.
+
+import {
+  parseRdfTextToStore,
+  parseRdfStreamToStore,
+  isQuadUsedByTable,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  buildClosureTableModel,
+  getIriLabels,
+  describeEntity,
+  mergePrefixes,
+  describeParseError,
+  logError
+} from './core.js';
+
+// Parsed stores by job id, kept for closure requests until the next 'clear'.
+const stores = new Map();
+
+// Minimum time between progress messages, so large files do not flood the page.
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Pick the table options (see buildElementTableModel) out of a request. The request's
+ * `prefixes` are the user's; the files' own declarations and the catalog are merged in.
+ * @param {{ profile?: object, languages?: string[], splitLanguages?: boolean,
+ *   prefixes?: Record<string, string> }} options
+ * @param {Array<{ name: string, prefixes: Record<string, string> }>} files
+ * @returns {{ profile?: object, languages?: string[], splitLanguages?: boolean,
+ *   prefixes: Record<string, string> }}
+ */
+function tableOptionsOf({ profile, languages, splitLanguages, prefixes } = {}, files) {
+  return { profile, languages, splitLanguages, prefixes: mergePrefixes({ files, user: prefixes }).prefixes };
+}
+
+/**
+ * Create a progress reporter that merges partial updates and posts them at most every
+ * PROGRESS_INTERVAL_MS (stage changes are always posted).
+ * @param {number} id
+ * @param {(message: object) => void} post
+ * @returns {(update: object) => void}
+ */
+function createProgressReporter(id, post) {
+  const state = { stage: null };
+  let lastPosted = 0;
+
+  return update => {
+    const stageChanged = update.stage && update.stage !== state.stage;
+    Object.assign(state, update);
+    const now = Date.now();
+    if (stageChanged || now - lastPosted >= PROGRESS_INTERVAL_MS) {
+      lastPosted = now;
+      post({ type: 'progress', id, ...state });
+    }
+  };
+}
+
+/**
+ * Read a file as a stream of text, counting the (possibly compressed) bytes read.
+ * @param {Blob} file
+ * @param {boolean} gzip
+ * @param {(bytes: number) => void} onBytes
+ * @returns {ReadableStream<string>}
+ */
+function readFileAsTextStream(file, gzip, onBytes) {
+  let bytes = 0;
+  let stream = file.stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      onBytes(bytes);
+      controller.enqueue(chunk);
+    }
+  }));
+  if (gzip) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  return stream.pipeThrough(new TextDecoderStream());
+}
+
+/**
+ * Parse one file and keep its store. Unless `storeOnly` is set (used to reload a store
+ * after the worker was restarted), also extract metadata and build the table model.
+ * Files sent as `text` are parsed whole; files sent as a `file` Blob are streamed, and
+ * only the quads the table (with `options.profile`) and metadata use are kept. The
+ * prefixes the file declares are kept with the store and sent with the result.
+ * @param {{ id: number, name: string, text?: string, file?: Blob, gzip?: boolean,
+ *   format: string, byteSize?: number,
+ *   options?: { lenient?: boolean, contexts?: Record<string, object|string>, profile?: object,
+ *     languages?: string[], splitLanguages?: boolean, prefixes?: Record<string, string> },
+ *   storeOnly?: boolean }} message
+ * @param {(message: object) => void} post
+ */
+async function runParse(message, post) {
+  const { id, name, text, file, format, storeOnly } = message;
+  const { profile } = message.options || {};
+  const prefixes = {};
+  const onPrefix = (prefix, namespace) => { prefixes[prefix] = namespace; };
+  const totalBytes = message.byteSize ?? file?.size ?? text.length;
+  const report = createProgressReporter(id, post);
+  const dropped = [];
+
+  report({ stage: 'parse', bytes: 0, totalBytes, quads: 0, rows: 0, totalRows: 0 });
+  let store;
+  let quadCount;
+  if (file) {
+    ({ store, quadCount } = await parseRdfStreamToStore(
+      readFileAsTextStream(file, !!message.gzip, bytes => report({ bytes })),
+      format,
+      {
+        ...message.options,
+        filter: q => isQuadUsedByTable(q, profile),
+        onPrefix,
+        onProgress: ({ quads }) => report({ quads })
+      }
+    ));
+  } else {
+    store = await parseRdfTextToStore(text, format, {
+      ...message.options,
+      onDropped: err => dropped.push(describeParseError(err)),
+      onPrefix,
+      onProgress: ({ parsed, total, quads }) => {
+        report({ bytes: total ? Math.round((parsed / total) * totalBytes) : totalBytes, quads });
+      }
+    });
+    quadCount = store.size;
+  }
+  stores.set(id, { store, name, prefixes });
+
+  if (storeOnly) {
+    post({ type: 'result', id, quadCount });
+    return;
+  }
+
+  const tableOptions = tableOptionsOf(message.options, [{ name, prefixes }]);
+
+  report({ stage: 'metadata' });
+  const meta = extractOntologyMetadata(store, { languages: tableOptions.languages });
+
+  report({ stage: 'table' });
+  const tableModel = buildElementTableModel(store, { ...tableOptions, onProgress: report });
+
+  post({ type: 'result', id, meta, tableModel, quadCount, dropped, streamed: !!file, prefixes });
+}
+
+/**
+ * Rebuild the metadata and table model of a store parsed earlier, e.g. for another column
+ * profile or language ranking.
+ * @param {{ id: number, storeId: number, profile?: object, languages?: string[],
+ *   splitLanguages?: boolean, prefixes?: Record<string, string> }} message
+ * @param {(message: object) => void} post
+ */
+function runTable(message, post) {
+  const entry = stores.get(message.storeId);
+  if (!entry) throw new Error(`No parsed ontology for id ${message.storeId}.`);
+
+  const report = createProgressReporter(message.id, post);
+  const tableOptions = tableOptionsOf(message, [entry]);
+  report({ stage: 'table', rows: 0, totalRows: 0 });
+  const meta = extractOntologyMetadata(entry.store, { languages: tableOptions.languages });
+  const tableModel = buildElementTableModel(entry.store, { ...tableOptions, onProgress: report });
+  post({ type: 'result', id: message.id, meta, tableModel });
+}
+
+/**
+ * Build the closure table for stores parsed earlier.
+ * @param {{ id: number, members: Array<{ id: number, name: string }>, profile?: object,
+ *   languages?: string[], splitLanguages?: boolean, prefixes?: Record<string, string> }} message
+ * @param {(message: object) => void} post
+ */
+async function runClosure(message, post) {
+  const report = createProgressReporter(message.id, post);
+  const members = message.members.map(m => {
+    const entry = stores.get(m.id);
+    if (!entry) throw new Error(`No parsed ontology for ${m.name}.`);
+    return { store: entry.store, name: m.name, prefixes: entry.prefixes };
+  });
+
+  report({ stage: 'table', rows: 0, totalRows: 0 });
+  const tableModel = await buildClosureTableModel(members, { ...tableOptionsOf(message, members), onProgress: report });
+  post({ type: 'result', id: message.id, tableModel });
+}
+
+/**
+ * Look up labels for IRIs in every store parsed so far, so IRI columns can show the
+ * labels of classes defined in other loaded files.
+ * @param {{ id: number, iris: string[], languages?: string[] }} message
+ * @param {(message: object) => void} post
+ */
+function runLabels(message, post) {
+  const all = Array.from(stores.values(), entry => entry.store);
+  const labels = getIriLabels(all, message.iris, message.languages);
+  post({ type: 'result', id: message.id, labels });
+}
+
+/**
+ * Describe an entity from every store parsed so far (see describeEntity).
+ * @param {{ id: number, iri: string, languages?: string[] }} message
+ * @param {(message: object) => void} post
+ */
+function runEntity(message, post) {
+  const all = Array.from(stores.values(), entry => entry.store);
+  const entity = describeEntity(all, message.iri, message.languages);
+  post({ type: 'result', id: message.id, entity });
+}
+
+/**
+ * Handle one request from the page. Every 'parse', 'table', 'closure', 'labels' and
+ * 'entity' request is answered with zero or more 'progress' messages followed by a
+ * 'result' or an 'error' with the same id.
+ * @param {{ type: 'parse'|'table'|'closure'|'labels'|'entity'|'clear', id?: number }} message
+ * @param {(message: object) => void} post
+ * @returns {Promise<void>}
+ */
+export async function handleParseMessage(message, post) {
+  try {
+    if (message.type === 'parse') {
+      await runParse(message, post);
+    } else if (message.type === 'table') {
+      runTable(message, post);
+    } else if (message.type === 'closure') {
+      await runClosure(message, post);
+    } else if (message.type === 'labels') {
+      runLabels(message, post);
+    } else if (message.type === 'entity') {
+      runEntity(message, post);
+    } else if (message.type === 'clear') {
+      stores.clear();
+    } else {
+      throw new Error(`Unknown request: ${message.type}`);
+    }
+  } catch (err) {
+    logError('handleParseMessage', err, { type: message.type, name: message.name });
+    post({ type: 'error', id: message.id, error: describeParseError(err, message.text) });
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  // The N3 bundle is a UMD script that sets self.N3, which core.js picks up.
+  const ready = import('./n3.min.js').catch(err => logError('parse-worker', err));
+  let queue = Promise.resolve();
+
+  self.onmessage = ev => {
+    queue = queue
+      .then(() => ready)
+      .then(() => handleParseMessage(ev.data, message => self.postMessage(message)));
+  };
+}
@@ -0,0 +1,244 @@
+// app/rdfxml-parser.js
+// RDF/XML → quads, following the RDF 1.1 XML Syntax grammar.
+
+import { XML_NS, XMLNS_NS, getAttribute, getChildElements, getTextContent, lineColumnAt } from './xml-parser.js';
+import { resolveIri } from './iri.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// rdf:* attributes that are syntax, never property attributes.
+const SYNTAX_ATTRIBUTES = new Set(['about', 'ID', 'nodeID', 'resource', 'datatype', 'parseType', 'bagID', 'aboutEach', 'aboutEachPrefix']);
+
+/**
+ * Build an Error for an element with its source position.
+ * @param {string} message
+ * @param {object} element
+ * @param {string} text
+ * @returns {Error}
+ */
+function rdfXmlError(message, element, text) {
+  const { line, column } = lineColumnAt(text, element.offset);
+  const err = new Error(`RDF/XML error: ${message} on line ${line}, column ${column}.`);
+  err.line = line;
+  err.column = column;
+  return err;
+}
+
+/**
+ * Full IRI for an element or attribute name.
+ * @param {{ namespaceUri: string|null, localName: string }} node
+ * @returns {string|null}
+ */
+function qualifiedIri(node) {
+  return node.namespaceUri ? node.namespaceUri + node.localName : null;
+}
+
+/**
+ * Is this attribute an XML/namespace attribute (xml:*, xmlns*)?
+ * @param {object} attr
+ * @returns {boolean}
+ */
+function isXmlAttribute(attr) {
+  return attr.namespaceUri === XML_NS ||
+    attr.namespaceUri === XMLNS_NS ||
+    attr.name === 'xmlns' ||
+    attr.prefix.toLowerCase().startsWith('xml');
+}
+
+/**
+ * Property attributes of an element (namespaced, non-syntax, non-XML attributes).
+ * @param {object} element
+ * @returns {object[]}
+ */
+function getPropertyAttributes(element) {
+  return element.attributes.filter(a => {
+    if (isXmlAttribute(a)) return false;
+    if (!a.namespaceUri) return false;
+    if (a.namespaceUri === RDF && SYNTAX_ATTRIBUTES.has(a.localName)) return false;
+    return true;
+  });
+}
+
+/**
+ * Derive the xml:base / xml:lang scope for an element from its parent scope.
+ * @param {object} element
+ * @param {{ base: string, lang: string }} parent
+ * @returns {{ base: string, lang: string }}
+ */
+function childScope(element, parent) {
+  const base = getAttribute(element, XML_NS, 'base');
+  const lang = getAttribute(element, XML_NS, 'lang');
+  return {
+    base: base != null ? resolveIri(base, parent.base).split('#')[0] : parent.base,
+    lang: lang != null ? lang : parent.lang
+  };
+}
+
+/**
+ * Translate a parsed XML document (see parseXmlDocument) holding RDF/XML into quads.
+ * `onPrefix` receives the xmlns:prefix declarations of the root element.
+ * @param {{ root: object, text: string }} doc
+ * @param {import('n3').DataFactory} factory
+ * @param {{ baseIri?: string, onPrefix?: (prefix: string, namespace: string) => void }} [options]
+ * @returns {import('n3').Quad[]}
+ */
+export function rdfXmlDocumentToQuads(doc, factory, options = {}) {
+  const { text } = doc;
+  const quads = [];
+
+  doc.root.attributes
+    .filter(a => a.namespaceUri === XMLNS_NS && a.prefix === 'xmlns')
+    .forEach(a => options.onPrefix?.(a.localName, a.value));
+  const nodeIds = new Map();
+  const rdf = local => factory.namedNode(RDF + local);
+
+  const emit = (s, p, o) => {
+    quads.push(factory.quad(s, p, o));
+  };
+
+  const literal = (value, lang, datatype) => {
+    if (datatype) return factory.literal(value, factory.namedNode(datatype));
+    if (lang) return factory.literal(value, lang);
+    return factory.literal(value);
+  };
+
+  const blankForNodeId = id => {
+    if (!nodeIds.has(id)) nodeIds.set(id, factory.blankNode());
+    return nodeIds.get(id);
+  };
+
+  const requireIri = (node, element) => {
+    const iri = qualifiedIri(node);
+    if (!iri) throw rdfXmlError(`"${node.name}" is not in a namespace`, element, text);
+    return iri;
+  };
+
+  function nodeElement(element, parentScope) {
+    const scope = childScope(element, parentScope);
+    const about = getAttribute(element, RDF, 'about');
+    const id = getAttribute(element, RDF, 'ID');
+    const nodeId = getAttribute(element, RDF, 'nodeID');
+
+    let subject;
+    if (about != null) subject = factory.namedNode(resolveIri(about, scope.base));
+    else if (id != null) subject = factory.namedNode(resolveIri(`#${id}`, scope.base));
+    else if (nodeId != null) subject = blankForNodeId(nodeId);
+    else subject = factory.blankNode();
+
+    const elementIri = requireIri(element, element);
+    if (elementIri !== RDF + 'Description') {
+      emit(subject, rdf('type'), factory.namedNode(elementIri));
+    }
+
+    getPropertyAttributes(element).forEach(attr => {
+      const predicate = requireIri(attr, element);
+      if (predicate === RDF + 'type') {
+        emit(subject, rdf('type'), factory.namedNode(resolveIri(attr.value, scope.base)));
+      } else {
+        emit(subject, factory.namedNode(predicate), literal(attr.value, scope.lang));
+      }
+    });
+
+    const counter = { li: 1 };
+    getChildElements(element).forEach(child => propertyElement(child, subject, scope, counter));
+    return subject;
+  }
+
+  function propertyElement(element, subject, parentScope, counter) {
+    const scope = childScope(element, parentScope);
+    let predicateIri = requireIri(element, element);
+    if (predicateIri === RDF + 'li') predicateIri = RDF + '_' + counter.li++;
+    const predicate = factory.namedNode(predicateIri);
+
+    const reifyId = getAttribute(element, RDF, 'ID');
+    const emitStatement = object => {
+      emit(subject, predicate, object);
+      if (reifyId == null) return;
+      const statement = factory.namedNode(resolveIri(`#${reifyId}`, scope.base));
+      emit(statement, rdf('type'), rdf('Statement'));
+      emit(statement, rdf('subject'), subject);
+      emit(statement, rdf('predicate'), predicate);
+      emit(statement, rdf('object'), object);
+    };
+
+    const parseType = getAttribute(element, RDF, 'parseType');
+    const children = getChildElements(element);
+
+    if (parseType === 'Resource') {
+      const object = factory.blankNode();
+      emitStatement(object);
+      const nested = { li: 1 };
+      children.forEach(child => propertyElement(child, object, scope, nested));
+      return;
+    }
+
+    if (parseType === 'Collection') {
+      const items = children.map(child => nodeElement(child, scope));
+      if (items.length === 0) {
+        emitStatement(rdf('nil'));
+        return;
+      }
+      const nodes = items.map(() => factory.blankNode());
+      emitStatement(nodes[0]);
+      items.forEach((item, i) => {
+        emit(nodes[i], rdf('first'), item);
+        emit(nodes[i], rdf('rest'), i === items.length - 1 ? rdf('nil') : nodes[i + 1]);
+      });
+      return;
+    }
+
+    if (parseType != null) {
+      // "Literal" and any unknown parse type: keep the raw XML content.
+      const xml = text.slice(element.innerStart, element.innerEnd);
+      emitStatement(literal(xml, null, RDF + 'XMLLiteral'));
+      return;
+    }
+
+    if (children.length > 1) {
+      throw rdfXmlError(`Property element <${element.name}> has more than one node element`, element, text);
+    }
+
+    if (children.length === 1) {
+      emitStatement(nodeElement(children[0], scope));
+      return;
+    }
+
+    const resource = getAttribute(element, RDF, 'resource');
+    const nodeId = getAttribute(element, RDF, 'nodeID');
+    const datatype = getAttribute(element, RDF, 'datatype');
+    const propertyAttributes = getPropertyAttributes(element);
+    const content = getTextContent(element);
+
+    if (resource != null || nodeId != null || (propertyAttributes.length > 0 && datatype == null)) {
+      let object;
+      if (resource != null) object = factory.namedNode(resolveIri(resource, scope.base));
+      else if (nodeId != null) object = blankForNodeId(nodeId);
+      else object = factory.blankNode();
+
+      emitStatement(object);
+      propertyAttributes.forEach(attr => {
+        const p = requireIri(attr, element);
+        if (p === RDF + 'type') {
+          emit(object, rdf('type'), factory.namedNode(resolveIri(attr.value, scope.base)));
+        } else {
+          emit(object, factory.namedNode(p), literal(attr.value, scope.lang));
+        }
+      });
+      return;
+    }
+
+    const datatypeIri = datatype != null ? resolveIri(datatype, scope.base) : null;
+    emitStatement(literal(content, datatypeIri ? null : scope.lang, datatypeIri));
+  }
+
+  const rootScope = childScope(doc.root, { base: options.baseIri || '', lang: '' });
+  const rootIri = qualifiedIri(doc.root);
+
+  if (rootIri === RDF + 'RDF') {
+    getChildElements(doc.root).forEach(child => nodeElement(child, rootScope));
+  } else {
+    nodeElement(doc.root, { base: options.baseIri || '', lang: '' });
+  }
+
+  return quads;
+}
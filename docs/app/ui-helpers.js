@@ -1,14 +1,144 @@
 // app/ui-helpers.js
-import { filterAndSortRows, toPascalCase } from './core.js';
-
-export function showLoadingOverlay() {
+import {
+  filterAndSortRows,
+  parseRowQuery,
+  computeFacets,
+  filterRowsByFacets,
+  FACETS,
+  computeRowWindow,
+  applyIriDisplay,
+  formatIri,
+  formatManchesterIris,
+  curieToIri,
+  withHierarchyAncestors,
+  toPascalCase,
+  logError,
+  RDF_FORMAT_LABELS
+} from './core.js';
+
+/**
+ * Show the loading overlay. Progress details stay hidden until updateLoadingProgress is
+ * called; the cancel button is shown only when `onCancel` is given.
+ * @param {{ onCancel?: () => void }} [options]
+ */
+export function showLoadingOverlay(options = {}) {
   const el = document.getElementById('loadingOverlay');
-  if (el) el.classList.remove('ontology-tabulator-loading-hidden');
+  if (!el) return;
+
+  const text = document.getElementById('loadingProgressText');
+  const bar = document.getElementById('loadingProgressBar');
+  const cancelBtn = document.getElementById('loadingCancelButton');
+  if (text) {
+    text.textContent = '';
+    text.hidden = true;
+  }
+  if (bar) bar.hidden = true;
+  if (cancelBtn) {
+    cancelBtn.hidden = !options.onCancel;
+    cancelBtn.onclick = options.onCancel || null;
+  }
+
+  el.classList.remove('ontology-tabulator-loading-hidden');
 }
 
 export function hideLoadingOverlay() {
   const el = document.getElementById('loadingOverlay');
   if (el) el.classList.add('ontology-tabulator-loading-hidden');
+  const cancelBtn = document.getElementById('loadingCancelButton');
+  if (cancelBtn) cancelBtn.onclick = null;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const STAGE_LABELS = {
+  parse: 'Parsing',
+  metadata: 'Reading metadata',
+  table: 'Building table'
+};
+
+/**
+ * Show job progress (as posted by parse-worker.js) in the loading overlay.
+ * @param {{ fileName?: string, fileIndex?: number, fileCount?: number,
+ *   stage: 'parse'|'metadata'|'table', bytes?: number, totalBytes?: number,
+ *   quads?: number, rows?: number, totalRows?: number }} progress
+ */
+export function updateLoadingProgress(progress) {
+  const text = document.getElementById('loadingProgressText');
+  const bar = document.getElementById('loadingProgressBar');
+
+  const counts = [];
+  if (progress.stage === 'parse' && progress.totalBytes) {
+    counts.push(`${formatBytes(progress.bytes || 0)} of ${formatBytes(progress.totalBytes)}`);
+  }
+  if (progress.quads) counts.push(`${progress.quads.toLocaleString()} triples`);
+  if (progress.stage === 'table' && progress.totalRows) {
+    counts.push(`${(progress.rows || 0).toLocaleString()} of ${progress.totalRows.toLocaleString()} rows`);
+  }
+
+  if (text) {
+    const file = progress.fileName
+      ? `${progress.fileName}${progress.fileCount > 1 ? ` (${progress.fileIndex + 1} of ${progress.fileCount})` : ''}\n`
+      : '';
+    const stage = STAGE_LABELS[progress.stage] || 'Working';
+    text.textContent = `${file}${stage}…${counts.length ? ` ${counts.join(', ')}` : ''}`;
+    text.hidden = false;
+  }
+
+  if (bar) {
+    const [done, total] = progress.stage === 'parse'
+      ? [progress.bytes, progress.totalBytes]
+      : progress.stage === 'table' ? [progress.rows, progress.totalRows] : [0, 0];
+    if (total) {
+      bar.max = total;
+      bar.value = done || 0;
+    } else {
+      bar.removeAttribute('value'); // indeterminate
+    }
+    bar.hidden = false;
+  }
+}
+
+function describeFormat(info) {
+  if (!info.format) return '';
+  const label = RDF_FORMAT_LABELS[info.format] || info.format;
+  return info.detectedBy === 'content'
+    ? `, ${label} detected from content`
+    : `, ${label}`;
+}
+
+function describeDropped(info) {
+  if (!info.dropped?.length) return '';
+  const n = info.dropped.length;
+  return `, ${n} statement${n === 1 ? '' : 's'} dropped`;
+}
+
+/**
+ * Render a parse error (from describeParseError) below a file-list entry.
+ * @param {HTMLElement} li
+ * @param {{ message: string, line: number|null, column: number|null,
+ *   snippet: string|null, snippetColumn: number|null }} error
+ */
+function renderFileError(li, error) {
+  const message = document.createElement('div');
+  message.className = 'ontology-tabulator-filelist-error-message';
+  const position = error.line != null
+    ? ` (line ${error.line}${error.column != null ? `, column ${error.column}` : ''})`
+    : '';
+  message.textContent = `${error.message}${error.message.includes(' on line ') ? '' : position}`;
+  li.appendChild(message);
+
+  if (error.snippet != null) {
+    const pre = document.createElement('pre');
+    pre.className = 'ontology-tabulator-filelist-error-snippet';
+    pre.textContent = error.snippetColumn
+      ? `${error.snippet}\n${' '.repeat(error.snippetColumn - 1)}^`
+      : error.snippet;
+    li.appendChild(pre);
+  }
 }
 
 export function renderFileList(fileInfos) {
@@ -19,11 +149,35 @@ export function renderFileList(fileInfos) {
   fileInfos.forEach(info => {
     const li = document.createElement('li');
     li.className = 'ontology-tabulator-filelist-item';
-    li.textContent = `${info.displayName} (${info.quadCount} triples)`;
+    if (info.skipped) li.classList.add('ontology-tabulator-filelist-item-skipped');
+
+    if (info.error) {
+      li.classList.add('ontology-tabulator-filelist-item-error');
+      li.textContent = `${info.displayName} (failed to parse${describeFormat(info)})`;
+      renderFileError(li, info.error);
+    } else {
+      li.textContent = info.note
+        ? `${info.displayName} (${info.note})`
+        : `${info.displayName} (${info.quadCount} triples${describeFormat(info)}${info.streamed ? ', streamed' : ''}${describeDropped(info)})`;
+      if (info.dropped?.length) {
+        li.title = info.dropped.slice(0, 20).map(d => d.message).join('\n');
+      }
+    }
     ul.appendChild(li);
   });
 }
 
+/**
+ * Show which column profile the tables use.
+ * @param {{ name: string, columns: object[] }} profile
+ */
+export function renderColumnProfileName(profile) {
+  const el = document.getElementById('columnProfileName');
+  if (!el) return;
+  el.textContent = `Columns: ${profile.name}`;
+  el.title = profile.columns.map(c => `${c.header} (${c.mode})`).join('\n');
+}
+
 export function printTableOnly(titleText, tableElement) {
   if (!tableElement) return;
 
@@ -185,7 +339,193 @@ export function createLinkIfUri(value) {
   }
 }
 
-export function renderOntologyCard(container, metadata) {
+/**
+ * Render an import tree (from resolveOntologyImports) as nested lists.
+ * @param {object[]} nodes
+ * @returns {HTMLUListElement}
+ */
+function renderImportTree(nodes) {
+  const ul = document.createElement('ul');
+  ul.className = 'ontology-tabulator-import-tree';
+
+  nodes.forEach(node => {
+    const li = document.createElement('li');
+    li.className = 'ontology-tabulator-import-tree-item';
+
+    const name = document.createElement('span');
+    name.textContent = node.name || node.iri;
+    name.title = node.iri;
+    li.appendChild(name);
+
+    if (node.unresolved || node.cycle) {
+      const flag = document.createElement('span');
+      flag.className = node.unresolved
+        ? 'ontology-tabulator-import-flag ontology-tabulator-import-flag-unresolved'
+        : 'ontology-tabulator-import-flag';
+      flag.textContent = node.unresolved ? ' (not loaded)' : ' (cycle)';
+      li.appendChild(flag);
+    }
+
+    if (node.children.length) {
+      li.appendChild(renderImportTree(node.children));
+    }
+    ul.appendChild(li);
+  });
+
+  return ul;
+}
+
+/**
+ * Render one tree of a hierarchy (see buildHierarchy) as nested lists whose children are
+ * built when first expanded. With `kept` (see withHierarchyAncestors) only those nodes
+ * are shown, expanded down to the last kept one.
+ * @param {{ roots: string[], parents: Record<string, string[]>, children: Record<string, string[]> }} tree
+ * @param {{ format: (iri: string) => string, onSelect: (iri: string) => void, kept?: Set<string> }} options
+ * @returns {HTMLUListElement}
+ */
+function renderHierarchyTree(tree, { format, onSelect, kept }) {
+  const shownOf = iris => iris.filter(iri => !kept || kept.has(iri));
+
+  function renderList(iris, path) {
+    const ul = document.createElement('ul');
+    ul.className = 'ontology-tabulator-hierarchy-list';
+    shownOf(iris)
+      .filter(iri => !path.has(iri)) // cycles
+      .map(iri => [iri, format(iri)])
+      .sort((a, b) => a[1].localeCompare(b[1]))
+      .forEach(([iri, text]) => ul.appendChild(renderNode(iri, text, path)));
+    return ul;
+  }
+
+  function renderNode(iri, text, path) {
+    const li = document.createElement('li');
+    li.className = 'ontology-tabulator-hierarchy-node';
+
+    const allChildren = tree.children[iri];
+    const children = shownOf(allChildren);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'ontology-tabulator-hierarchy-toggle';
+    toggle.textContent = children.length ? '▸' : '·';
+    toggle.disabled = !children.length;
+    li.appendChild(toggle);
+
+    const name = document.createElement('button');
+    name.type = 'button';
+    name.className = 'ontology-tabulator-hierarchy-name';
+    name.textContent = text;
+    name.title = iri;
+    name.addEventListener('click', () => onSelect(iri));
+    li.appendChild(name);
+
+    if (allChildren.length) {
+      const count = document.createElement('span');
+      count.className = 'ontology-tabulator-hierarchy-count';
+      count.textContent = ` (${allChildren.length})`;
+      li.appendChild(count);
+    }
+
+    const parents = tree.parents[iri];
+    if (parents.length > 1) {
+      const flag = document.createElement('span');
+      flag.className = 'ontology-tabulator-import-flag';
+      flag.textContent = ` ${parents.length} parents`;
+      flag.title = parents.map(format).join('\n');
+      li.appendChild(flag);
+    }
+
+    let list = null;
+    const setOpen = open => {
+      if (open && !list) {
+        list = renderList(children, new Set(path).add(iri));
+        li.appendChild(list);
+      }
+      if (list) list.hidden = !open;
+      toggle.textContent = open ? '▾' : '▸';
+      toggle.setAttribute('aria-expanded', String(open));
+    };
+    if (children.length) {
+      toggle.addEventListener('click', () => setOpen(!list || list.hidden));
+      if (kept) setOpen(true);
+    }
+
+    return li;
+  }
+
+  return renderList(tree.roots, new Set());
+}
+
+/**
+ * Render the prefixes a file declares as a collapsible list, flagging prefixes that other
+ * loaded files bind to another namespace.
+ * @param {Record<string, string>} prefixes
+ * @param {Array<{ prefix: string, bindings: Array<{ namespace: string, files: string[] }> }>} conflicts
+ * @returns {HTMLDetailsElement}
+ */
+function renderPrefixPanel(prefixes, conflicts) {
+  const details = document.createElement('details');
+  details.className = 'ontology-tabulator-prefix-panel';
+
+  const entries = Object.entries(prefixes);
+  const summary = document.createElement('summary');
+  summary.textContent = `${entries.length} declared`;
+  if (conflicts.length) {
+    const flag = document.createElement('span');
+    flag.className = 'ontology-tabulator-import-flag ontology-tabulator-import-flag-unresolved';
+    flag.textContent = ` (${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'})`;
+    summary.appendChild(flag);
+  }
+  details.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'ontology-tabulator-prefix-table';
+  entries.forEach(([prefix, namespace]) => {
+    const tr = document.createElement('tr');
+
+    const tdPrefix = document.createElement('td');
+    tdPrefix.textContent = `${prefix}:`;
+
+    const tdNamespace = document.createElement('td');
+    tdNamespace.textContent = namespace;
+
+    const conflict = conflicts.find(c => c.prefix === prefix);
+    if (conflict) {
+      tr.className = 'ontology-tabulator-prefix-conflict';
+      tr.title = conflict.bindings
+        .map(b => `${prefix}: ${b.namespace} in ${b.files.join(', ')}`)
+        .join('\n');
+    }
+
+    tr.appendChild(tdPrefix);
+    tr.appendChild(tdNamespace);
+    table.appendChild(tr);
+  });
+  details.appendChild(table);
+
+  return details;
+}
+
+// Fields of an ontology card, in order: label and metadata key (see extractOntologyMetadata).
+const ONTOLOGY_CARD_FIELDS = [
+  ['Ontology Name', 'ontologyName'],
+  ['Ontology IRI', 'ontologyIri'],
+  ['Version IRI', 'versionIri'],
+  ['Version Info', 'versionInfo'],
+  ['Description', 'description'],
+  ['License', 'license'],
+  ['Copyright', 'rightsHolder']
+];
+
+/**
+ * Render the metadata card for one ontology.
+ * @param {HTMLElement} container
+ * @param {object} metadata from extractOntologyMetadata
+ * @param {object} [importInfo] from resolveOntologyImports
+ * @param {{ prefixes: Record<string, string>, conflicts: object[] }} [prefixInfo]
+ *   the prefixes the file declares, and the conflicts (see mergePrefixes) involving it
+ */
+export function renderOntologyCard(container, metadata, importInfo, prefixInfo) {
   const card = document.createElement('article');
   card.className = 'ontology-tabulator-card';
 
@@ -197,15 +537,8 @@ export function renderOntologyCard(container, metadata) {
   const table = document.createElement('table');
   table.className = 'ontology-tabulator-card-table';
 
-  const fields = [
-    ['Ontology Name', metadata.ontologyName],
-    ['Ontology IRI', createLinkIfUri(metadata.ontologyIri)],
-    ['Version IRI', createLinkIfUri(metadata.versionIri)],
-    ['Version Info', metadata.versionInfo],
-    ['Description', metadata.description],
-    ['License', metadata.license],
-    ['Copyright', metadata.rightsHolder]
-  ];
+  const fields = ONTOLOGY_CARD_FIELDS.map(([label, key]) =>
+    [label, key.endsWith('Iri') ? createLinkIfUri(metadata[key]) : metadata[key]]);
 
   fields.forEach(([label, value]) => {
     if (!value) return;
@@ -224,11 +557,125 @@ export function renderOntologyCard(container, metadata) {
     table.appendChild(tr);
   });
 
+  if (importInfo?.tree.length) {
+    const tr = document.createElement('tr');
+
+    const tdKey = document.createElement('td');
+    tdKey.className = 'ontology-tabulator-card-table-cell-key';
+    tdKey.textContent = 'Imports:';
+
+    const tdVal = document.createElement('td');
+    tdVal.className = 'ontology-tabulator-card-table-cell-value';
+    tdVal.appendChild(renderImportTree(importInfo.tree));
+
+    if (importInfo.unresolved.length) {
+      const warning = document.createElement('div');
+      warning.className = 'ontology-tabulator-import-flag ontology-tabulator-import-flag-unresolved';
+      warning.textContent = `${importInfo.unresolved.length} unresolved import(s)`;
+      tdVal.appendChild(warning);
+    }
+
+    tr.appendChild(tdKey);
+    tr.appendChild(tdVal);
+    table.appendChild(tr);
+  }
+
+  if (prefixInfo && Object.keys(prefixInfo.prefixes || {}).length) {
+    const tr = document.createElement('tr');
+
+    const tdKey = document.createElement('td');
+    tdKey.className = 'ontology-tabulator-card-table-cell-key';
+    tdKey.textContent = 'Prefixes:';
+
+    const tdVal = document.createElement('td');
+    tdVal.className = 'ontology-tabulator-card-table-cell-value';
+    tdVal.appendChild(renderPrefixPanel(prefixInfo.prefixes, prefixInfo.conflicts || []));
+
+    tr.appendChild(tdKey);
+    tr.appendChild(tdVal);
+    table.appendChild(tr);
+  }
+
   card.appendChild(table);
   container.appendChild(card);
 }
 
-export function renderOntologyTable(container, ontologyMeta, tableModel) {
+// Delay between the last keystroke in a table filter and filtering.
+const FILTER_DEBOUNCE_MS = 200;
+
+// Facet values listed before "Show all".
+const FACET_VALUE_LIMIT = 12;
+
+// Tooltip of the table filter (see parseRowQuery).
+const FILTER_HELP = 'e.g. label:vehicle -definition:* "a phrase" /regex/i (A OR B) AND NOT C';
+
+// Row height assumed until rendered rows can be measured.
+const ESTIMATED_ROW_HEIGHT_PX = 28;
+
+/**
+ * Wrap a function so it only runs once calls have stopped for `ms` milliseconds.
+ * `flush` runs a pending call now; `cancel` drops it.
+ * @param {() => void} fn
+ * @param {number} ms
+ * @returns {(() => void) & { flush: () => void, cancel: () => void }}
+ */
+function debounce(fn, ms) {
+  let timer = null;
+  const debounced = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      fn();
+    }, ms);
+  };
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  debounced.flush = () => {
+    if (!timer) return;
+    debounced.cancel();
+    fn();
+  };
+  return debounced;
+}
+
+/**
+ * Render the element table for one ontology.
+ * @param {HTMLElement} container
+ * @param {object} ontologyMeta
+ * @param {{ headers: string[], keys: string[], rows: object[], iriColumns?: object,
+ *   hierarchy?: object }} tableModel
+ * @param {{
+ *   loadClosureModel?: (onProgress: (progress: object) => void) => Promise<object>,
+ *   cancelLoad?: () => void,
+ *   iriDisplay?: 'label'|'curie'|'iri',
+ *   iriLabels?: Record<string, string>,
+ *   prefixes?: Record<string, string>,
+ *   onSelectEntity?: (iri: string) => void,
+ *   sort?: Array<{ key: string, direction: 'asc'|'desc' }>,
+ *   onSortChange?: (sort: Array<{ key: string, direction: 'asc'|'desc' }>) => void,
+ *   sortLocale?: string
+ * }} [options]
+ *   `loadClosureModel` enables the "with imports" view; it is built on first use and
+ *   can be interrupted with `cancelLoad`.
+ *   `iriDisplay` (default 'iri') sets how IRI columns are shown, using `iriLabels` and
+ *   `prefixes` (see applyIriDisplay); exports pick their own form.
+ *   "Export" offers every format of TABLE_EXPORTERS.
+ *   The "Hierarchy" button shows the model's class and property trees beside the table;
+ *   clicking a node scrolls to its row.
+ *   `onSelectEntity` is called with the IRI of a clicked row, e.g. to open its details.
+ *   `sort` is the initial sort (default: the first column, ascending). Clicking a header
+ *   sorts by that column, shift-clicking adds it to the sort (or flips its direction);
+ *   `onSortChange` gets each new sort, e.g. to keep it. `sortLocale` is the collation
+ *   (see filterAndSortRows).
+ *   Only the rows in view are rendered, so tables of any size scroll and filter quickly;
+ *   print and exports use every row that passes the filter.
+ * @returns {{ exportRows: () => { model: object, rows: object[] } }} `exportRows` gives the
+ *   model shown (this ontology or its closure) and its rows passing the filter, in order,
+ *   e.g. for a workbook export
+ */
+export function renderOntologyTable(container, ontologyMeta, tableModel, options = {}) {
   const wrapper = document.createElement('section');
   wrapper.className = 'ontology-tabulator-table-wrapper';
 
@@ -247,110 +694,789 @@ export function renderOntologyTable(container, ontologyMeta, tableModel) {
   filterInput.type = 'search';
   filterInput.placeholder = 'Filter...';
   filterInput.className = 'ontology-tabulator-table-filter-input';
-
-  const exportBtn = document.createElement('button');
-  exportBtn.className = 'ontology-tabulator-button';
-  exportBtn.textContent = 'Export CSV';
+  filterInput.title = FILTER_HELP;
+
+  const iriDisplay = options.iriDisplay || 'iri';
+  const iriLabels = options.iriLabels || {};
+  const prefixes = options.prefixes;
+
+  // "Export" opens a menu of the formats in TABLE_EXPORTERS.
+  const exportMenu = document.createElement('details');
+  exportMenu.className = 'ontology-tabulator-export-menu';
+  const exportSummary = document.createElement('summary');
+  exportSummary.className = 'ontology-tabulator-button';
+  exportSummary.textContent = 'Export';
+  exportMenu.appendChild(exportSummary);
+  const exportList = document.createElement('div');
+  exportList.className = 'ontology-tabulator-export-menu-list';
+  Object.entries(TABLE_EXPORTERS).forEach(([id, exporter]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ontology-tabulator-button';
+    button.dataset.format = id;
+    button.textContent = exporter.label;
+    exportList.appendChild(button);
+  });
+  exportMenu.appendChild(exportList);
+
+  let exportIriSelect = null;
+  if (Object.keys(tableModel.iriColumns || {}).length) {
+    exportIriSelect = document.createElement('select');
+    exportIriSelect.className = 'ontology-tabulator-table-filter-input';
+    exportIriSelect.title = 'How exports write IRIs in type and parent columns';
+    [['label', 'Export: labels'], ['curie', 'Export: CURIEs'], ['iri', 'Export: full IRIs']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      exportIriSelect.appendChild(option);
+    });
+    exportIriSelect.value = iriDisplay;
+  }
 
   const printBtn = document.createElement('button');
   printBtn.className = 'ontology-tabulator-button';
   printBtn.textContent = 'Print';
 
+  let viewSelect = null;
+  if (options.loadClosureModel) {
+    viewSelect = document.createElement('select');
+    viewSelect.className = 'ontology-tabulator-table-filter-input';
+    viewSelect.title = 'Table view';
+    [['ontology', 'This ontology'], ['closure', 'With imports (closure)']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      viewSelect.appendChild(option);
+    });
+    actions.appendChild(viewSelect);
+  }
+
+  const hierarchyBtn = document.createElement('button');
+  hierarchyBtn.className = 'ontology-tabulator-button';
+  hierarchyBtn.textContent = 'Hierarchy';
+  hierarchyBtn.setAttribute('aria-pressed', 'false');
+
   actions.appendChild(filterInput);
-  actions.appendChild(exportBtn);
+  const facetsBtn = document.createElement('button');
+  facetsBtn.className = 'ontology-tabulator-button';
+  facetsBtn.textContent = 'Facets';
+  facetsBtn.setAttribute('aria-pressed', 'false');
+
+  actions.appendChild(facetsBtn);
+  actions.appendChild(hierarchyBtn);
+  if (exportIriSelect) actions.appendChild(exportIriSelect);
+  actions.appendChild(exportMenu);
   actions.appendChild(printBtn);
   headerRow.appendChild(actions);
 
   wrapper.appendChild(headerRow);
 
+  const layout = document.createElement('div');
+  layout.className = 'ontology-tabulator-table-layout';
+
+  const facetPane = document.createElement('aside');
+  facetPane.className = 'ontology-tabulator-facets';
+  facetPane.hidden = true;
+  layout.appendChild(facetPane);
+
+  const hierarchyPane = document.createElement('aside');
+  hierarchyPane.className = 'ontology-tabulator-hierarchy';
+  hierarchyPane.hidden = true;
+
+  const hierarchyFilter = document.createElement('input');
+  hierarchyFilter.type = 'search';
+  hierarchyFilter.placeholder = 'Filter tree...';
+  hierarchyFilter.className = 'ontology-tabulator-table-filter-input';
+  hierarchyPane.appendChild(hierarchyFilter);
+
+  const hierarchyBody = document.createElement('div');
+  hierarchyPane.appendChild(hierarchyBody);
+  layout.appendChild(hierarchyPane);
+
   const table = document.createElement('table');
   table.className = 'ontology-tabulator-table';
 
   const thead = document.createElement('thead');
-  const headRow = document.createElement('tr');
-
-  tableModel.headers.forEach((h, idx) => {
-    const th = document.createElement('th');
-    th.className = 'ontology-tabulator-table-header-cell ontology-tabulator-table-header-cell-sortable';
-    th.textContent = h;
-    th.dataset.sortIndex = String(idx);
-    th.dataset.colKey = tableModel.keys[idx];   // NEW
-    headRow.appendChild(th);
-  });
-
-  thead.appendChild(headRow);
   table.appendChild(thead);
 
+  // the model currently shown (this ontology, or its import closure), and a copy with
+  // its IRI columns formatted for display; rows of both line up by index
+  let model = tableModel;
+  let closureModel = null;
+  let shown = null;
+  let shownIndex = null;
+
+  function updateShown() {
+    shown = applyIriDisplay(model, iriDisplay, iriLabels, prefixes);
+    shownIndex = new Map(shown.rows.map((row, i) => [row, i]));
+  }
+  updateShown();
+
+  let columnQueries = {}; // column key -> that column's filter
+
+  function renderHead() {
+    const headRow = document.createElement('tr');
+    model.headers.forEach((h, idx) => {
+      const th = document.createElement('th');
+      th.className = 'ontology-tabulator-table-header-cell ontology-tabulator-table-header-cell-sortable';
+      th.textContent = h;
+      th.title = 'Click to sort, shift-click to sort by several columns';
+      th.dataset.sortIndex = String(idx);
+      th.dataset.colKey = model.keys[idx];   // NEW
+      const indicator = document.createElement('span');
+      indicator.className = 'ontology-tabulator-sort-indicator';
+      th.appendChild(indicator);
+      headRow.appendChild(th);
+    });
+
+    // One filter per column; filters of columns the model no longer has are dropped.
+    const filterRow = document.createElement('tr');
+    filterRow.className = 'ontology-tabulator-table-filter-row';
+    const previous = columnQueries;
+    columnQueries = {};
+    model.keys.forEach(key => {
+      const th = document.createElement('th');
+      th.className = 'ontology-tabulator-table-column-filter-cell';
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.className = 'ontology-tabulator-table-column-filter';
+      input.dataset.colKey = key;
+      input.placeholder = 'Filter...';
+      input.value = previous[key] || '';
+      if (input.value) columnQueries[key] = input.value;
+      th.appendChild(input);
+      filterRow.appendChild(th);
+    });
+
+    thead.innerHTML = '';
+    thead.appendChild(headRow);
+    thead.appendChild(filterRow);
+    renderSortIndicators();
+  }
+
+  // Arrows on sorted columns, numbered by priority when several are sorted.
+  function renderSortIndicators() {
+    thead.querySelectorAll('th[data-sort-index]').forEach(th => {
+      const position = sortKeys.findIndex(k => k.key === th.dataset.colKey);
+      const sorted = sortKeys[position];
+      th.classList.toggle('ontology-tabulator-table-header-cell-sorted', !!sorted);
+      if (sorted) th.setAttribute('aria-sort', sorted.direction === 'asc' ? 'ascending' : 'descending');
+      else th.removeAttribute('aria-sort');
+      const indicator = th.querySelector('.ontology-tabulator-sort-indicator');
+      indicator.textContent = !sorted
+        ? ''
+        : ` ${sorted.direction === 'asc' ? '▲' : '▼'}${sortKeys.length > 1 ? position + 1 : ''}`;
+    });
+  }
+
+  // sort keys in priority order (see filterAndSortRows)
+  let sortKeys = options.sort?.length
+    ? options.sort.map(({ key, direction }) => ({ key, direction }))
+    : [{ key: tableModel.keys[0], direction: 'asc' }];
+
+  renderHead();
+
   const tbody = document.createElement('tbody');
   table.appendChild(tbody);
 
-  wrapper.appendChild(table);
+  // The table scrolls inside this box, below its sticky header.
+  const scrollBox = document.createElement('div');
+  scrollBox.className = 'ontology-tabulator-table-scroll';
+  scrollBox.appendChild(table);
+
+  layout.appendChild(scrollBox);
+  wrapper.appendChild(layout);
   container.appendChild(wrapper);
 
   // state
-  let sortIndex = 0;
-  let sortDirection = 'asc';
   let currentQuery = '';
+  let filteredRows = []; // every row passing the filter, in order; print and export use these
+  let rowHeight = ESTIMATED_ROW_HEIGHT_PX;
+  let highlightedIri = null;
+  let queryRows = []; // rows passing the text filters, before the facets
+  let facetSelection = {}; // facet key -> selected values
+  const expandedFacets = new Set(); // facets listing all their values
+
+  function renderRow(rowModel) {
+    const rawRow = model.rows[shownIndex.get(rowModel)];
+    const tr = document.createElement('tr');
+    tr.dataset.iri = rawRow.iri;
+    if (rawRow.iri === highlightedIri) tr.className = 'ontology-tabulator-table-row-highlight';
+    model.headers.forEach((h, i) => {
+      const td = document.createElement('td');
+      td.className = 'ontology-tabulator-table-data-cell';
+
+      const key = model.keys[i];
+      td.dataset.colKey = key;                    // NEW
+
+      const value = key ? rowModel[key] : '';
+      td.textContent = value || '';
+      if (value && rawRow[key] !== value) td.title = rawRow[key];
+      tr.appendChild(td);
+    });
+    return tr;
+  }
 
+  function spacerRow(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'ontology-tabulator-table-spacer';
+    const td = document.createElement('td');
+    td.colSpan = model.headers.length;
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  // Render the rows in view, between spacers as tall as the rows left out.
+  function renderWindow() {
+    const { start, end, before, after } = computeRowWindow({
+      rowCount: filteredRows.length,
+      rowHeight,
+      scrollTop: scrollBox.scrollTop - thead.offsetHeight,
+      viewportHeight: scrollBox.clientHeight
+    });
+    const rendered = filteredRows.slice(start, end).map(renderRow);
+    tbody.replaceChildren(
+      ...(before ? [spacerRow(before)] : []),
+      ...rendered,
+      ...(after ? [spacerRow(after)] : [])
+    );
+
+    // Cells wrap, so spacers use the average height of the rows rendered last.
+    const measured = rendered.reduce((sum, tr) => sum + tr.offsetHeight, 0) / (rendered.length || 1);
+    if (measured > 0) rowHeight = measured;
+  }
+
+  // A malformed filter marks its input and keeps the rows of the last valid filters.
   function rerenderBody() {
-    const rows = filterAndSortRows(tableModel, currentQuery, sortIndex, sortDirection);
-    tbody.innerHTML = '';
-    rows.forEach(rowModel => {
-      const tr = document.createElement('tr');
-      tableModel.headers.forEach((h, i) => {
-        const td = document.createElement('td');
-        td.className = 'ontology-tabulator-table-data-cell';
-
-        const key = tableModel.keys[i];
-        td.dataset.colKey = key;                    // NEW
-
-        const value = key ? rowModel[key] : '';
-        td.textContent = value || '';
-        tr.appendChild(td);
+    const inputs = [filterInput, ...thead.querySelectorAll('.ontology-tabulator-table-column-filter')];
+    const invalid = inputs.filter(input => {
+      const text = input === filterInput ? currentQuery : columnQueries[input.dataset.colKey];
+      let message = '';
+      try {
+        parseRowQuery(text, shown, input === filterInput ? {} : { field: input.dataset.colKey });
+      } catch (err) {
+        message = err.message;
+      }
+      input.setCustomValidity(message);
+      input.title = message || (input === filterInput ? FILTER_HELP : '');
+      return message;
+    });
+    if (!invalid.length) {
+      queryRows = filterAndSortRows(shown, currentQuery, sortKeys, 'asc', columnQueries, {
+        locale: options.sortLocale
+      });
+      filteredRows = filterRowsByFacets(shown, queryRows, facetSelection);
+    }
+    renderWindow();
+    if (!facetPane.hidden) renderFacets();
+  }
+
+  // Facet counts follow the text filters; checking values narrows the rows further.
+  function renderFacets() {
+    const format = value => (/^[a-z][\w+.-]*:\/\//i.test(value) ? formatIri(value, iriDisplay, iriLabels, prefixes) : value);
+    facetPane.innerHTML = '';
+
+    if (Object.keys(facetSelection).length) {
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'ontology-tabulator-button';
+      clearBtn.textContent = 'Clear facets';
+      clearBtn.addEventListener('click', () => {
+        facetSelection = {};
+        rerenderBody();
       });
-      tbody.appendChild(tr);
+      facetPane.appendChild(clearBtn);
+    }
+
+    computeFacets(shown, queryRows, facetSelection).forEach(facet => {
+      const section = document.createElement('details');
+      section.className = 'ontology-tabulator-facet';
+      section.open = true;
+      const summary = document.createElement('summary');
+      summary.textContent = facet.label;
+      section.appendChild(summary);
+
+      const ul = document.createElement('ul');
+      ul.className = 'ontology-tabulator-facet-values';
+      const values = expandedFacets.has(facet.key) ? facet.values : facet.values.slice(0, FACET_VALUE_LIMIT);
+      values.forEach(({ value, count }) => {
+        const li = document.createElement('li');
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !!facetSelection[facet.key]?.includes(value);
+        checkbox.addEventListener('change', () => {
+          const selected = (facetSelection[facet.key] || []).filter(v => v !== value);
+          if (checkbox.checked) selected.push(value);
+          if (selected.length) facetSelection[facet.key] = selected;
+          else delete facetSelection[facet.key];
+          rerenderBody();
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${value === '' ? '(none)' : format(value)}`));
+        label.title = value;
+
+        const countSpan = document.createElement('span');
+        countSpan.className = 'ontology-tabulator-hierarchy-count';
+        countSpan.textContent = ` ${count}`;
+        label.appendChild(countSpan);
+
+        li.appendChild(label);
+        ul.appendChild(li);
+      });
+      section.appendChild(ul);
+
+      if (values.length < facet.values.length) {
+        const moreBtn = document.createElement('button');
+        moreBtn.type = 'button';
+        moreBtn.className = 'ontology-tabulator-hierarchy-name';
+        moreBtn.textContent = `Show all ${facet.values.length}`;
+        moreBtn.addEventListener('click', () => {
+          expandedFacets.add(facet.key);
+          renderFacets();
+        });
+        section.appendChild(moreBtn);
+      }
+      facetPane.appendChild(section);
     });
   }
 
   rerenderBody();
 
+  // Highlight an element's row and scroll to it, clearing the filter if it hides the row.
+  function revealRow(iri) {
+    const findIndex = () => filteredRows.findIndex(row => model.rows[shownIndex.get(row)].iri === iri);
+    let index = findIndex();
+    const filtered = currentQuery || filterInput.value || Object.keys(columnQueries).length ||
+      Object.keys(facetSelection).length;
+    if (index < 0 && filtered) {
+      applyFilter.cancel();
+      filterInput.value = '';
+      currentQuery = '';
+      thead.querySelectorAll('.ontology-tabulator-table-column-filter').forEach(input => {
+        input.value = '';
+      });
+      columnQueries = {};
+      facetSelection = {};
+      rerenderBody();
+      index = findIndex();
+    }
+    if (index < 0) return;
+    highlightedIri = iri;
+    scrollBox.scrollTop = thead.offsetHeight + index * rowHeight - scrollBox.clientHeight / 2;
+    renderWindow();
+    Array.from(tbody.rows).find(tr => tr.dataset.iri === iri)?.scrollIntoView({ block: 'center' });
+  }
+
+  function highlightRow(tr) {
+    tbody.querySelector('.ontology-tabulator-table-row-highlight')
+      ?.classList.remove('ontology-tabulator-table-row-highlight');
+    tr.classList.add('ontology-tabulator-table-row-highlight');
+    highlightedIri = tr.dataset.iri;
+  }
+
+  // The printed table holds every filtered row, not only those rendered.
+  function fullTable() {
+    const copy = table.cloneNode(false);
+    copy.appendChild(thead.cloneNode(true));
+    copy.querySelector('.ontology-tabulator-table-filter-row').remove();
+    const body = document.createElement('tbody');
+    filteredRows.forEach(row => body.appendChild(renderRow(row)));
+    copy.appendChild(body);
+    return copy;
+  }
+
+  const applyFilter = debounce(() => {
+    currentQuery = filterInput.value;
+    columnQueries = {};
+    thead.querySelectorAll('.ontology-tabulator-table-column-filter').forEach(input => {
+      if (input.value.trim()) columnQueries[input.dataset.colKey] = input.value;
+    });
+    scrollBox.scrollTop = 0;
+    rerenderBody();
+  }, FILTER_DEBOUNCE_MS);
+
+  // Tree filter matches are shown with their ancestors.
+  function renderHierarchy() {
+    const format = iri => formatIri(iri, iriDisplay, iriLabels, prefixes);
+    const query = hierarchyFilter.value.trim().toLowerCase();
+    hierarchyBody.innerHTML = '';
+
+    [['classes', 'Classes'], ['properties', 'Properties']].forEach(([kind, heading]) => {
+      const tree = model.hierarchy?.[kind];
+      const nodes = tree ? Object.keys(tree.parents) : [];
+      if (!nodes.length) return;
+
+      const kept = query
+        ? withHierarchyAncestors(tree, nodes.filter(iri =>
+          iri.toLowerCase().includes(query) || format(iri).toLowerCase().includes(query)))
+        : null;
+
+      const section = document.createElement('details');
+      section.className = 'ontology-tabulator-hierarchy-section';
+      section.open = true;
+      const summary = document.createElement('summary');
+      summary.textContent = `${heading}: ${tree.roots.length} roots, ${nodes.length} in all`;
+      section.appendChild(summary);
+      section.appendChild(renderHierarchyTree(tree, { format, onSelect: revealRow, kept }));
+      hierarchyBody.appendChild(section);
+    });
+
+    if (!hierarchyBody.childElementCount) {
+      hierarchyBody.textContent = 'No class or property hierarchy.';
+    }
+  }
+
   // events
+  facetsBtn.addEventListener('click', () => {
+    facetPane.hidden = !facetPane.hidden;
+    facetsBtn.setAttribute('aria-pressed', String(!facetPane.hidden));
+    if (!facetPane.hidden) renderFacets();
+  });
+
+  hierarchyBtn.addEventListener('click', () => {
+    hierarchyPane.hidden = !hierarchyPane.hidden;
+    hierarchyBtn.setAttribute('aria-pressed', String(!hierarchyPane.hidden));
+    if (!hierarchyPane.hidden) renderHierarchy();
+  });
+
+  hierarchyFilter.addEventListener('input', renderHierarchy);
+
+  tbody.addEventListener('click', ev => {
+    const tr = ev.target instanceof Element ? ev.target.closest('tr') : null;
+    if (!tr?.dataset.iri || !options.onSelectEntity) return;
+    highlightRow(tr);
+    options.onSelectEntity(tr.dataset.iri);
+  });
+
+  let scrollFrame = 0;
+  scrollBox.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      renderWindow();
+    });
+  });
+
+  // The box and the rows change size with the window and the hierarchy pane.
+  new ResizeObserver(() => renderWindow()).observe(scrollBox);
+
   thead.addEventListener('click', ev => {
-    const target = ev.target;
-    if (!(target instanceof HTMLElement)) return;
-    const idx = target.dataset.sortIndex;
-    if (idx == null) return;
-
-    const i = Number(idx);
-    if (i === sortIndex) {
-      sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+    const th = ev.target instanceof Element ? ev.target.closest('th[data-sort-index]') : null;
+    if (!th) return;
+
+    const key = th.dataset.colKey;
+    const current = sortKeys.find(k => k.key === key);
+    const flipped = current && { key, direction: current.direction === 'asc' ? 'desc' : 'asc' };
+    if (ev.shiftKey) {
+      sortKeys = current ? sortKeys.map(k => (k === current ? flipped : k)) : [...sortKeys, { key, direction: 'asc' }];
     } else {
-      sortIndex = i;
-      sortDirection = 'asc';
+      sortKeys = [current && sortKeys.length === 1 ? flipped : { key, direction: 'asc' }];
     }
+    renderSortIndicators();
     rerenderBody();
+    options.onSortChange?.(sortKeys.map(k => ({ ...k })));
   });
 
-  filterInput.addEventListener('input', ev => {
-    currentQuery = ev.target.value;
+  viewSelect?.addEventListener('change', async () => {
+    try {
+      if (viewSelect.value === 'closure' && !closureModel) {
+        showLoadingOverlay({ onCancel: options.cancelLoad });
+        closureModel = await options.loadClosureModel(updateLoadingProgress);
+      }
+      model = viewSelect.value === 'closure' ? closureModel : tableModel;
+    } catch (err) {
+      logError('renderOntologyTable', err, { view: 'closure' });
+      viewSelect.value = 'ontology';
+      model = tableModel;
+    } finally {
+      hideLoadingOverlay();
+    }
+    updateShown();
+    scrollBox.scrollTop = 0;
+    renderHead();
     rerenderBody();
+    if (!hierarchyPane.hidden) renderHierarchy();
   });
 
-  exportBtn.addEventListener('click', () => {
-    const rows = filterAndSortRows(tableModel, currentQuery, sortIndex, sortDirection);
-    const csv = tableModelToCsv(tableModel, rows);
-    const baseName = toPascalCase(ontologyMeta.ontologyName || ontologyMeta.ontologyIri);
+  filterInput.addEventListener('input', applyFilter);
+  thead.addEventListener('input', ev => {
+    if (ev.target instanceof HTMLElement && ev.target.dataset.colKey) applyFilter();
+  });
+
+  exportList.addEventListener('click', ev => {
+    const button = ev.target instanceof Element ? ev.target.closest('button[data-format]') : null;
+    if (!button) return;
+    exportMenu.open = false;
+    const exporter = TABLE_EXPORTERS[button.dataset.format];
+
+    applyFilter.flush();
+    const exportModel = exportIriSelect ? applyIriDisplay(model, exportIriSelect.value, iriLabels, prefixes) : model;
+    const rows = filteredRows.map(row => exportModel.rows[shownIndex.get(row)]);
+    const title = ontologyMeta.ontologyName || ontologyMeta.ontologyIri || 'Ontology Elements';
+    const suffix = model === closureModel ? '_Closure' : '';
+    const baseName = toPascalCase(ontologyMeta.ontologyName || ontologyMeta.ontologyIri) + suffix;
     const timestamp = new Date().toISOString().replace(/[:]/g, '-');
-    const filename = `${baseName}_${timestamp}.csv`;
-    downloadCsv(filename, csv);
+    try {
+      const text = exporter.write(exportModel, rows, {
+        title: suffix ? `${title} (with imports)` : title,
+        metadata: ontologyMeta
+      });
+      downloadText(`${baseName}_${timestamp}.${exporter.extension}`, text, exporter.mimeType);
+    } catch (err) {
+      logError('renderOntologyTable', err, { format: button.dataset.format });
+      alert(`Could not export the table: ${err.message}`);
+    }
   });
 
   printBtn.addEventListener('click', () => {
-    printTableOnly(
-      ontologyMeta.ontologyName || ontologyMeta.ontologyIri || 'Ontology Elements',
-      table
-    );
+    applyFilter.flush();
+    const filters = [
+      currentQuery.trim(),
+      ...Object.entries(columnQueries).map(([key, text]) => `${key} ${text.trim()}`),
+      ...Object.entries(facetSelection).map(([key, values]) =>
+        `${FACETS.find(f => f.key === key).label}: ${values.map(v => v || '(none)').join(' or ')}`)
+    ].filter(Boolean);
+    const title = ontologyMeta.ontologyName || ontologyMeta.ontologyIri || 'Ontology Elements';
+    printTableOnly(filters.length ? `${title} (filter: ${filters.join('; ')})` : title, fullTable());
+  });
+
+  return {
+    exportRows() {
+      applyFilter.flush();
+      return { model, rows: filteredRows.map(row => model.rows[shownIndex.get(row)]) };
+    }
+  };
+}
+
+// Headings of an entity's incoming references, by role (see describeEntity).
+const REFERENCE_HEADINGS = {
+  parent: 'Children',
+  domain: 'Domain of',
+  range: 'Range of',
+  filler: 'Restriction filler in',
+  restriction: 'Restricted in',
+  expression: 'In class expressions of',
+  reference: 'Referenced by'
+};
+
+/**
+ * Create the entity panel: a side panel with everything the loaded files say about one
+ * entity (see describeEntity). IRIs in it open their own entity (ctrl-click opens the IRI
+ * itself), "Back" returns to the previous entity, and the search box opens an IRI or CURIE.
+ * @param {HTMLElement} container
+ * @param {{
+ *   loadEntity: (iri: string) => Promise<object>,
+ *   getDisplay: () => { iriDisplay: 'label'|'curie'|'iri', prefixes: Record<string, string> }
+ * }} options
+ * @returns {{ show: (iri: string) => Promise<void>, close: () => void }}
+ */
+export function createEntityPanel(container, { loadEntity, getDisplay }) {
+  const panel = document.createElement('aside');
+  panel.className = 'ontology-tabulator-entity-panel';
+  panel.setAttribute('aria-label', 'Entity details');
+  panel.hidden = true;
+
+  const header = document.createElement('div');
+  header.className = 'ontology-tabulator-entity-panel-header';
+
+  const backBtn = document.createElement('button');
+  backBtn.className = 'ontology-tabulator-button';
+  backBtn.textContent = 'Back';
+
+  const search = document.createElement('form');
+  search.className = 'ontology-tabulator-entity-search';
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Go to IRI or CURIE...';
+  searchInput.className = 'ontology-tabulator-table-filter-input';
+  const goBtn = document.createElement('button');
+  goBtn.type = 'submit';
+  goBtn.className = 'ontology-tabulator-button';
+  goBtn.textContent = 'Go';
+  search.appendChild(searchInput);
+  search.appendChild(goBtn);
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'ontology-tabulator-button';
+  closeBtn.textContent = '×';
+  closeBtn.title = 'Close';
+
+  header.appendChild(backBtn);
+  header.appendChild(search);
+  header.appendChild(closeBtn);
+  panel.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'ontology-tabulator-entity-body';
+  panel.appendChild(body);
+  container.appendChild(panel);
+
+  const history = [];
+  let current = null;
+  let requestCount = 0;
+
+  async function show(iri, remember = true) {
+    if (remember && current && current !== iri) history.push(current);
+    current = iri;
+    backBtn.disabled = !history.length;
+    panel.hidden = false;
+    body.textContent = 'Loading...';
+
+    // Only the last of several quick requests is shown.
+    const request = ++requestCount;
+    try {
+      const entity = await loadEntity(iri);
+      if (request === requestCount) renderEntity(entity);
+    } catch (err) {
+      if (request !== requestCount) return;
+      logError('createEntityPanel', err, { iri });
+      body.textContent = `Could not load ${iri}.`;
+    }
+  }
+
+  function close() {
+    panel.hidden = true;
+    history.length = 0;
+    current = null;
+  }
+
+  function renderEntity(entity) {
+    const { iriDisplay, prefixes } = getDisplay();
+    const format = iri => formatIri(iri, iriDisplay, entity.labels, prefixes);
+
+    const link = iri => {
+      const a = document.createElement('a');
+      a.className = 'ontology-tabulator-entity-link';
+      a.href = iri;
+      a.textContent = format(iri);
+      a.title = iri;
+      a.addEventListener('click', ev => {
+        if (ev.ctrlKey || ev.metaKey || ev.shiftKey) return;
+        ev.preventDefault();
+        show(iri);
+      });
+      return a;
+    };
+
+    const renderValue = value => {
+      const span = document.createElement('span');
+      if (value.termType === 'NamedNode') {
+        span.appendChild(link(value.value));
+      } else if (value.termType === 'Literal') {
+        span.textContent = value.value;
+        const tag = value.language ? `@${value.language}` : value.datatype ? `^^${format(value.datatype)}` : '';
+        if (tag) {
+          const flag = document.createElement('span');
+          flag.className = 'ontology-tabulator-import-flag';
+          flag.textContent = ` ${tag}`;
+          span.appendChild(flag);
+        }
+      } else if (value.groups) {
+        span.appendChild(renderGroups(value.groups));
+      } else {
+        span.className = 'ontology-tabulator-entity-expression';
+        span.textContent = formatManchesterIris(value.value, iriDisplay, entity.labels, prefixes);
+      }
+      return span;
+    };
+
+    const renderGroups = groups => {
+      const dl = document.createElement('dl');
+      dl.className = 'ontology-tabulator-entity-groups';
+      groups.forEach(({ predicate, values }) => {
+        const dt = document.createElement('dt');
+        dt.appendChild(link(predicate));
+        dl.appendChild(dt);
+        values.forEach(value => {
+          const dd = document.createElement('dd');
+          dd.appendChild(renderValue(value));
+          dl.appendChild(dd);
+        });
+      });
+      return dl;
+    };
+
+    body.innerHTML = '';
+
+    const title = document.createElement('h3');
+    title.className = 'ontology-tabulator-entity-title';
+    title.textContent = entity.labels[entity.iri] || format(entity.iri);
+    body.appendChild(title);
+
+    const iriLine = document.createElement('div');
+    iriLine.className = 'ontology-tabulator-entity-iri';
+    if (/^https?:\/\//i.test(entity.iri)) {
+      const external = document.createElement('a');
+      external.href = entity.iri;
+      external.target = '_blank';
+      external.rel = 'noopener noreferrer';
+      external.textContent = entity.iri;
+      iriLine.appendChild(external);
+    } else {
+      iriLine.textContent = entity.iri;
+    }
+    body.appendChild(iriLine);
+
+    if (!entity.groups.length && !entity.incoming.length) {
+      const none = document.createElement('p');
+      none.textContent = 'The loaded files say nothing about this IRI.';
+      body.appendChild(none);
+      return;
+    }
+
+    if (entity.groups.length) {
+      const heading = document.createElement('h4');
+      heading.textContent = 'Statements';
+      body.appendChild(heading);
+      body.appendChild(renderGroups(entity.groups));
+    }
+
+    Object.entries(REFERENCE_HEADINGS).forEach(([role, text]) => {
+      const refs = entity.incoming.filter(ref => ref.role === role);
+      if (!refs.length) return;
+      const heading = document.createElement('h4');
+      heading.textContent = `${text} (${refs.length})`;
+      body.appendChild(heading);
+
+      const ul = document.createElement('ul');
+      ul.className = 'ontology-tabulator-entity-references';
+      refs.forEach(ref => {
+        const li = document.createElement('li');
+        li.appendChild(link(ref.subject));
+        if (role !== 'parent') {
+          const via = document.createElement('span');
+          via.className = 'ontology-tabulator-import-flag';
+          via.textContent = ` via ${format(ref.predicate)}`;
+          li.appendChild(via);
+        }
+        ul.appendChild(li);
+      });
+      body.appendChild(ul);
+    });
+  }
+
+  backBtn.addEventListener('click', () => {
+    if (history.length) show(history.pop(), false);
+  });
+  closeBtn.addEventListener('click', close);
+  panel.addEventListener('keydown', ev => {
+    if (ev.key === 'Escape') close();
+  });
+
+  searchInput.addEventListener('input', () => searchInput.setCustomValidity(''));
+  search.addEventListener('submit', ev => {
+    ev.preventDefault();
+    const iri = curieToIri(searchInput.value, getDisplay().prefixes);
+    if (!iri) {
+      searchInput.setCustomValidity('Enter an IRI or a CURIE with a known prefix.');
+      searchInput.reportValidity();
+      return;
+    }
+    show(iri);
   });
+
+  return { show, close };
 }
 
 export function tableModelToCsv(model, rows) {
@@ -369,8 +1495,253 @@ export function tableModelToCsv(model, rows) {
   return lines.join('\n');
 }
 
+// Cells holding exactly one web IRI, which the Excel and HTML exports link.
+const LINKABLE_IRI = /^https?:\/\/[^\s<>"]+$/i;
+
+/**
+ * Write table rows as tab-separated values, one line per row after the header line.
+ * Backslashes, tabs and line breaks in cells are written as \\, \t, \n and \r.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @returns {string}
+ */
+export function tableModelToTsv(model, rows) {
+  const escape = value => String(value).replace(/[\\\t\n\r]/g, c => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[c]);
+  return [model.headers, ...rows.map(row => model.keys.map(key => row[key] ?? ''))]
+    .map(cells => cells.map(escape).join('\t'))
+    .join('\n');
+}
+
+/**
+ * Write table rows as a GitHub Markdown table. Characters Markdown, HTML or GitHub's math
+ * would read (including the "|" between cells) are backslash-escaped or written as
+ * entities, and line breaks become <br>.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @returns {string}
+ */
+export function tableModelToMarkdown(model, rows) {
+  const escape = value => String(value)
+    .replace(/[\\`*_[\]|~<>$]/g, c => `\\${c}`)
+    .replace(/&/g, '&amp;')
+    .replace(/\r?\n|\r/g, '<br>');
+  const line = cells => `| ${cells.map(cell => escape(cell) || ' ').join(' | ')} |`;
+  return [
+    line(model.headers),
+    `|${model.headers.map(() => ' --- ').join('|')}|`,
+    ...rows.map(row => line(model.keys.map(key => row[key] ?? '')))
+  ].join('\n');
+}
+
+// LaTeX for characters that are special in text.
+const LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  '_': '\\_',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}',
+  '<': '\\textless{}',
+  '>': '\\textgreater{}',
+  '|': '\\textbar{}'
+};
+
+/**
+ * Write table rows as a LaTeX longtable (needs the longtable and array packages) of
+ * equal-width, ragged-right columns, with the header repeated on every page.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ title?: string }} [context] `title` becomes the caption
+ * @returns {string}
+ */
+export function tableModelToLatex(model, rows, context = {}) {
+  const escape = value => String(value)
+    .replace(/[\\{}$&#%_^~<>|]/g, c => LATEX_ESCAPES[c])
+    .replace(/\r?\n|\r/g, '\\newline ');
+  const line = cells => `${cells.join(' & ')} \\\\`;
+  const n = Math.max(model.headers.length, 1);
+  const column = `>{\\raggedright\\arraybackslash}p{\\dimexpr(\\linewidth-${2 * n}\\tabcolsep)/${n}\\relax}`;
+  const head = ['\\hline', line(model.headers.map(h => `\\textbf{${escape(h)}}`)), '\\hline'];
+  return [
+    '% Requires \\usepackage{longtable} and \\usepackage{array}',
+    `\\begin{longtable}{${model.headers.map(() => column).join('')}}`,
+    ...(context.title ? [`\\caption{${escape(context.title)}} \\\\`] : []),
+    ...head,
+    '\\endfirsthead',
+    ...head,
+    '\\endhead',
+    '\\hline',
+    '\\endfoot',
+    ...rows.map(row => line(model.keys.map(key => escape(row[key] ?? '')))),
+    '\\end{longtable}'
+  ].join('\n');
+}
+
+/**
+ * Escape text for HTML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Write table rows as a standalone HTML page: the ontology card (see renderOntologyCard)
+ * followed by the table. Text is HTML-escaped; cells holding one web IRI link to it.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ title?: string, metadata?: object }} [context] `metadata` from
+ *   extractOntologyMetadata
+ * @returns {string}
+ */
+export function tableModelToHtml(model, rows, context = {}) {
+  const title = escapeHtml(context.title || 'Ontology Elements');
+  const cell = value => {
+    const text = escapeHtml(value ?? '');
+    return LINKABLE_IRI.test(value ?? '') ? `<a href="${text}">${text}</a>` : text;
+  };
+  const meta = context.metadata || {};
+  const cardRows = [
+    ...ONTOLOGY_CARD_FIELDS.filter(([, key]) => meta[key]).map(([label, key]) => [label, cell(meta[key])]),
+    ...(meta.imports?.length ? [['Imports', meta.imports.map(cell).join('<br>')]] : [])
+  ];
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    `<title>${title}</title>`,
+    '<style>',
+    'body { font-family: Arial, sans-serif; font-size: 10pt; margin: 1rem; }',
+    'table { border-collapse: collapse; margin-bottom: 1rem; }',
+    'th, td { border: 1px solid #999; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; overflow-wrap: anywhere; }',
+    'thead th { background: #f2f2f2; }',
+    '.ontology-card th { border: none; background: none; }',
+    '.ontology-card td { border: none; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${title}</h1>`,
+    ...(cardRows.length
+      ? ['<table class="ontology-card">',
+        ...cardRows.map(([label, value]) => `<tr><th scope="row">${escapeHtml(label)}:</th><td>${value}</td></tr>`),
+        '</table>']
+      : []),
+    '<table>',
+    `<thead><tr>${model.headers.map(h => `<th scope="col">${escapeHtml(h)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows.map(row => `<tr>${model.keys.map(key => `<td>${cell(row[key])}</td>`).join('')}</tr>`),
+    '</tbody>',
+    '</table>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Table export formats by id, in menu order. Each writer takes the model, the rows to
+ * export (with IRI columns already formatted) and `{ title, metadata }`, and returns the
+ * file's text. Add formats with registerTableExporter.
+ * @type {Record<string, { label: string, extension: string, mimeType: string,
+ *   write: (model: object, rows: object[], context: { title: string, metadata: object }) => string }>}
+ */
+export const TABLE_EXPORTERS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;', write: tableModelToCsv },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8;', write: tableModelToTsv },
+  markdown: { label: 'Markdown (GitHub)', extension: 'md', mimeType: 'text/markdown;charset=utf-8;', write: tableModelToMarkdown },
+  html: { label: 'HTML page', extension: 'html', mimeType: 'text/html;charset=utf-8;', write: tableModelToHtml },
+  latex: { label: 'LaTeX longtable', extension: 'tex', mimeType: 'application/x-tex;charset=utf-8;', write: tableModelToLatex }
+};
+
+/**
+ * Add (or replace) a table export format; tables rendered afterwards offer it.
+ * @param {string} id
+ * @param {{ label: string, extension: string, mimeType: string,
+ *   write: (model: object, rows: object[], context: object) => string }} exporter
+ * @throws {Error} when the exporter lacks a label, extension, MIME type or writer
+ */
+export function registerTableExporter(id, exporter) {
+  const { label, extension, mimeType, write } = exporter || {};
+  if (!id || !label || !extension || !mimeType || typeof write !== 'function') {
+    throw new Error(`Export error: exporter "${id}" needs a label, extension, mimeType and write function.`);
+  }
+  TABLE_EXPORTERS[id] = { label, extension, mimeType, write };
+}
+
+/**
+ * Turn table rows into a worksheet for buildXlsx: IRI columns are written as `display`
+ * sets (see applyIriDisplay), and cells whose value is one web IRI link to it, also when
+ * they show its label or CURIE.
+ * @param {string} name sheet name
+ * @param {{ headers: string[], keys: string[], iriColumns?: Record<string, string> }} model
+ * @param {Array<Record<string, string>>} rows rows of the model, in export order
+ * @param {{ iriDisplay?: 'label'|'curie'|'iri', iriLabels?: Record<string, string>,
+ *   prefixes?: Record<string, string> }} [display]
+ * @returns {{ name: string, headers: string[], rows: Array<Array<string|{ text: string, link: string }>> }}
+ */
+export function tableModelToSheet(name, model, rows, display = {}) {
+  const shown = applyIriDisplay({ ...model, rows }, display.iriDisplay || 'iri', display.iriLabels, display.prefixes);
+  return {
+    name,
+    headers: model.headers,
+    rows: rows.map((row, i) => model.keys.map(key => {
+      const raw = String(row[key] ?? '');
+      const text = String(shown.rows[i][key] ?? '');
+      return LINKABLE_IRI.test(raw) ? { text, link: raw } : text;
+    }))
+  };
+}
+
+/**
+ * A worksheet listing the metadata of each ontology (see extractOntologyMetadata).
+ * @param {Array<{ name: string, meta: object, rowCount: number }>} ontologies
+ *   `name` is the file, `rowCount` the number of rows exported for it
+ * @returns {{ name: string, headers: string[], rows: Array<Array<string|{ text: string, link: string }>> }}
+ */
+export function ontologyMetadataToSheet(ontologies) {
+  const cell = value => (LINKABLE_IRI.test(value || '') ? { text: value, link: value } : value || '');
+  return {
+    name: 'Metadata',
+    headers: ['File', 'Ontology Name', 'Ontology IRI', 'Version IRI', 'Version Info', 'Description',
+      'License', 'Copyright', 'Imports', 'Rows'],
+    rows: ontologies.map(({ name, meta, rowCount }) => [
+      name,
+      meta.ontologyName || '',
+      cell(meta.ontologyIri),
+      cell(meta.versionIri),
+      meta.versionInfo || '',
+      meta.description || '',
+      cell(meta.license),
+      meta.rightsHolder || '',
+      (meta.imports || []).join('; '),
+      String(rowCount)
+    ])
+  };
+}
+
 export function downloadCsv(filename, csvContent) {
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  downloadBlob(filename, new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }));
+}
+
+export function downloadText(filename, text, mimeType) {
+  downloadBlob(filename, new Blob([text], { type: mimeType }));
+}
+
+export function downloadJson(filename, jsonText) {
+  downloadBlob(filename, new Blob([jsonText], { type: 'application/json;charset=utf-8;' }));
+}
+
+export function downloadXlsx(filename, bytes) {
+  downloadBlob(filename, new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+}
+
+function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -0,0 +1,227 @@
+// app/xlsx.js
+// Writes .xlsx workbooks (SpreadsheetML parts in a zip) in the browser. Every cell is an
+// inline string, so Excel keeps the text as it is: no formulas from a leading "=", no
+// numbers or dates from IDs, no re-decoded UTF-8.
+
+import { createZip } from './archive.js';
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const HYPERLINK_REL = `${REL_NS}/hyperlink`;
+
+// Limits of Excel: characters in a cell and in a link, links per sheet, rows per sheet,
+// characters in a sheet name.
+const MAX_CELL_LENGTH = 32767;
+const MAX_LINK_LENGTH = 2079;
+const MAX_LINKS_PER_SHEET = 65530;
+const MAX_ROWS = 1048576;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Column widths in characters, fitted to the longest cell within these bounds.
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+// Cell styles (indexes into cellXfs of STYLES_XML): plain, bold header, hyperlink.
+const STYLE_HEADER = 1;
+const STYLE_LINK = 2;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${MAIN_NS}">
+<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Escape text for XML content and attributes, dropping characters XML 1.0 does not
+ * allow.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The column letters of a 0-based column index: A … Z, AA …
+ * @param {number} index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Turn names into valid, distinct sheet names: without []:*?/\, not starting or ending
+ * with an apostrophe, at most 31 characters, and unique ignoring case.
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function toSheetNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const base = String(name || '').replace(/[[\]:*?/\\]/g, ' ').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+    let candidate = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * An inline-string cell, truncated to what Excel accepts. Runs like "_x0041_" are
+ * escaped, since Excel would decode them.
+ * @param {string} ref e.g. "B2"
+ * @param {string} text
+ * @param {number} [style]
+ * @returns {string}
+ */
+function cellXml(ref, text, style = 0) {
+  const value = text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH - 1)}…` : text;
+  const styleAttr = style ? ` s="${style}"` : '';
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value.replace(/_(x[0-9a-fA-F]{4}_)/g, '_x005F_$1'))}</t></is></c>`;
+}
+
+/**
+ * The worksheet part of a sheet, and the relationships of its hyperlinks.
+ * @param {{ headers: string[], rows: Array<Array<string|{ text: string, link?: string }>> }} sheet
+ * @returns {{ xml: string, rels: string|null, range: string }}
+ */
+function worksheetXml(sheet) {
+  const widths = sheet.headers.map(h => String(h).length);
+  const links = [];
+  const lines = [];
+
+  lines.push(`<row r="1">${sheet.headers.map((h, c) => cellXml(`${columnName(c)}1`, String(h), STYLE_HEADER)).join('')}</row>`);
+  sheet.rows.forEach((row, r) => {
+    const cells = sheet.headers.map((_, c) => {
+      const cell = row[c] ?? '';
+      const text = String(typeof cell === 'object' ? cell.text ?? '' : cell);
+      if (!text) return '';
+      const ref = `${columnName(c)}${r + 2}`;
+      widths[c] = Math.max(widths[c], text.length);
+      const link = typeof cell === 'object' ? cell.link : null;
+      if (link && link.length <= MAX_LINK_LENGTH && links.length < MAX_LINKS_PER_SHEET) {
+        links.push({ ref, link });
+        return cellXml(ref, text, STYLE_LINK);
+      }
+      return cellXml(ref, text);
+    });
+    lines.push(`<row r="${r + 2}">${cells.join('')}</row>`);
+  });
+
+  const lastColumn = columnName(Math.max(sheet.headers.length, 1) - 1);
+  const range = `A1:${lastColumn}${sheet.rows.length + 1}`;
+  const cols = widths.map((w, c) => {
+    const width = Math.min(Math.max(w + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+    return `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`;
+  });
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`,
+    `<dimension ref="${range}"/>`,
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/></sheetView></sheetViews>',
+    cols.length ? `<cols>${cols.join('')}</cols>` : '',
+    `<sheetData>${lines.join('')}</sheetData>`,
+    sheet.headers.length ? `<autoFilter ref="${range}"/>` : '',
+    links.length
+      ? `<hyperlinks>${links.map(({ ref }, i) => `<hyperlink ref="${ref}" r:id="rId${i + 1}"/>`).join('')}</hyperlinks>`
+      : '',
+    '</worksheet>'
+  ].join('');
+
+  const rels = links.length
+    ? '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      links.map(({ link }, i) =>
+        `<Relationship Id="rId${i + 1}" Type="${HYPERLINK_REL}" Target="${escapeXml(link)}" TargetMode="External"/>`).join('') +
+      '</Relationships>'
+    : null;
+
+  return { xml, rels, range };
+}
+
+/**
+ * Write an .xlsx workbook. Each sheet gets a bold header row that stays in view, an
+ * auto-filter over its cells and column widths fitted to its text; cells with a `link`
+ * are hyperlinks. Cells are text only. Sheet names are made valid (see toSheetNames).
+ * @param {Array<{ name: string, headers: string[],
+ *   rows: Array<Array<string|{ text: string, link?: string }>> }>} sheets
+ * @returns {Promise<Uint8Array>} the workbook file
+ * @throws {Error} "Excel error: ..." for sheets beyond Excel's row limit
+ */
+export async function buildXlsx(sheets) {
+  const tooLong = sheets.find(sheet => sheet.rows.length + 1 > MAX_ROWS);
+  if (tooLong) {
+    throw new Error(`Excel error: "${tooLong.name}" has ${tooLong.rows.length} rows; a sheet holds at most ${MAX_ROWS - 1}.`);
+  }
+
+  const names = toSheetNames(sheets.map(sheet => sheet.name));
+  const files = [];
+  const filterNames = [];
+
+  sheets.forEach((sheet, i) => {
+    const { xml, rels, range } = worksheetXml(sheet);
+    files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, content: xml });
+    if (rels) files.push({ name: `xl/worksheets/_rels/sheet${i + 1}.xml.rels`, content: rels });
+    if (sheet.headers.length) {
+      const absolute = range.replace(/([A-Z]+)(\d+)/g, '$$$1$$$2');
+      filterNames.push(`<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${escapeXml(names[i].replace(/'/g, "''"))}'!${absolute}</definedName>`);
+    }
+  });
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+    names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+    '</sheets>' +
+    (filterNames.length ? `<definedNames>${filterNames.join('')}</definedNames>` : '') +
+    '</workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    names.map((_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${names.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    names.map((_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...files
+  ]);
+}
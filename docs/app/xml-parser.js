@@ -0,0 +1,344 @@
+// app/xml-parser.js
+// Minimal non-validating XML reader used by the RDF/XML and OWL/XML parsers.
+// It does not rely on DOMParser, so it behaves the same in the browser and in Jest.
+
+export const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+export const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  apos: '\'',
+  quot: '"'
+};
+
+/**
+ * Compute 1-based line/column for an offset in a text.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+export function lineColumnAt(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  const end = Math.min(offset, text.length);
+  for (let i = 0; i < end; i++) {
+    if (text.charCodeAt(i) === 10) {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: end - lineStart + 1 };
+}
+
+/**
+ * Build an Error carrying line/column information.
+ * @param {string} message
+ * @param {string} text
+ * @param {number} offset
+ * @returns {Error}
+ */
+function xmlError(message, text, offset) {
+  const { line, column } = lineColumnAt(text, offset);
+  const err = new Error(`XML parse error: ${message} on line ${line}, column ${column}.`);
+  err.line = line;
+  err.column = column;
+  return err;
+}
+
+/**
+ * Replace character and entity references in text or attribute values.
+ * @param {string} raw
+ * @param {Record<string, string>} entities
+ * @param {string} text full document (for error positions)
+ * @param {number} offset
+ * @returns {string}
+ */
+function decodeEntities(raw, entities, text, offset) {
+  if (raw.indexOf('&') === -1) return raw;
+
+  return raw.replace(/&(#x[0-9A-Fa-f]+|#[0-9]+|[A-Za-z_][\w.-]*);?/g, (match, ref, idx) => {
+    if (!match.endsWith(';')) {
+      throw xmlError(`Unterminated entity reference "${match}"`, text, offset + idx);
+    }
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (Object.prototype.hasOwnProperty.call(entities, ref)) {
+      return entities[ref];
+    }
+    throw xmlError(`Undefined entity "&${ref};"`, text, offset + idx);
+  });
+}
+
+/**
+ * Read <!ENTITY name "value"> declarations from a DOCTYPE internal subset.
+ * Parameter entities are ignored.
+ * @param {string} subset
+ * @param {Record<string, string>} entities mutated
+ * @param {string} text
+ * @param {number} offset
+ */
+function readEntityDeclarations(subset, entities, text, offset) {
+  const re = /<!ENTITY\s+(%\s+)?([^\s]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+  let m;
+  while ((m = re.exec(subset)) !== null) {
+    if (m[1]) continue;
+    const value = m[3] ?? m[4] ?? '';
+    entities[m[2]] = decodeEntities(value, entities, text, offset + m.index);
+  }
+}
+
+/**
+ * Resolve a qualified name against the in-scope namespace declarations.
+ * @param {string} qname
+ * @param {Record<string, string>} scope
+ * @param {boolean} isAttribute unprefixed attributes have no namespace
+ * @returns {{ prefix: string, localName: string, namespaceUri: string|null }|null}
+ */
+function resolveQName(qname, scope, isAttribute) {
+  const colon = qname.indexOf(':');
+  const prefix = colon >= 0 ? qname.slice(0, colon) : '';
+  const localName = colon >= 0 ? qname.slice(colon + 1) : qname;
+
+  if (!prefix) {
+    return {
+      prefix,
+      localName,
+      namespaceUri: isAttribute ? null : (scope[''] || null)
+    };
+  }
+  if (prefix === 'xml') return { prefix, localName, namespaceUri: XML_NS };
+  if (prefix === 'xmlns') return { prefix, localName, namespaceUri: XMLNS_NS };
+  if (!(prefix in scope)) return null;
+  return { prefix, localName, namespaceUri: scope[prefix] };
+}
+
+/**
+ * Parse an XML document into a lightweight element tree.
+ *
+ * Elements look like:
+ *   { type: 'element', name, prefix, localName, namespaceUri,
+ *     attributes: [{ name, prefix, localName, namespaceUri, value }],
+ *     children: [...], offset, innerStart, innerEnd }
+ * Text (including CDATA) nodes look like { type: 'text', value }.
+ *
+ * `innerStart`/`innerEnd` are offsets of the element content in the source, which
+ * lets callers recover the raw markup (e.g. for rdf:parseType="Literal").
+ *
+ * @param {string} text
+ * @returns {{ root: object, text: string }}
+ */
+export function parseXmlDocument(text) {
+  const source = String(text ?? '');
+  const entities = { ...PREDEFINED_ENTITIES };
+  const stack = [];
+  const len = source.length;
+  let root = null;
+  let i = source.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const appendText = (value, offset) => {
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      if (value.trim()) throw xmlError('Text content outside the root element', source, offset);
+      return;
+    }
+    const last = parent.children[parent.children.length - 1];
+    if (last && last.type === 'text') {
+      last.value += value;
+    } else {
+      parent.children.push({ type: 'text', value });
+    }
+  };
+
+  const expectIndex = (needle, from, what) => {
+    const idx = source.indexOf(needle, from);
+    if (idx === -1) throw xmlError(`Unterminated ${what}`, source, from);
+    return idx;
+  };
+
+  while (i < len) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      appendText(decodeEntities(source.slice(i), entities, source, i), i);
+      break;
+    }
+    if (lt > i) {
+      appendText(decodeEntities(source.slice(i, lt), entities, source, i), i);
+    }
+    i = lt;
+
+    if (source.startsWith('<?', i)) {
+      i = expectIndex('?>', i + 2, 'processing instruction') + 2;
+      continue;
+    }
+
+    if (source.startsWith('<!--', i)) {
+      i = expectIndex('-->', i + 4, 'comment') + 3;
+      continue;
+    }
+
+    if (source.startsWith('<![CDATA[', i)) {
+      const end = expectIndex(']]>', i + 9, 'CDATA section');
+      appendText(source.slice(i + 9, end), i);
+      i = end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<!DOCTYPE', i)) {
+      const bracket = source.indexOf('[', i);
+      const close = source.indexOf('>', i);
+      if (close === -1) throw xmlError('Unterminated DOCTYPE', source, i);
+      if (bracket !== -1 && bracket < close) {
+        const subsetEnd = expectIndex(']', bracket, 'DOCTYPE internal subset');
+        readEntityDeclarations(source.slice(bracket + 1, subsetEnd), entities, source, bracket + 1);
+        i = expectIndex('>', subsetEnd, 'DOCTYPE') + 1;
+      } else {
+        i = close + 1;
+      }
+      continue;
+    }
+
+    if (source.startsWith('</', i)) {
+      const end = expectIndex('>', i, 'end tag');
+      const name = source.slice(i + 2, end).trim();
+      const open = stack.pop();
+      if (!open) throw xmlError(`Unexpected end tag </${name}>`, source, i);
+      if (open.name !== name) {
+        throw xmlError(`Expected </${open.name}> but found </${name}>`, source, i);
+      }
+      open.innerEnd = i;
+      i = end + 1;
+      continue;
+    }
+
+    // Start tag
+    const tagStart = i;
+    i++;
+    const nameMatch = /^[^\s/>]+/.exec(source.slice(i, i + 256));
+    if (!nameMatch) throw xmlError('Invalid element name', source, i);
+    const name = nameMatch[0];
+    i += name.length;
+
+    const rawAttributes = [];
+    let selfClosing = false;
+
+    for (;;) {
+      while (i < len && /\s/.test(source[i])) i++;
+      if (i >= len) throw xmlError(`Unterminated start tag <${name}>`, source, tagStart);
+      if (source[i] === '>') {
+        i++;
+        break;
+      }
+      if (source.startsWith('/>', i)) {
+        i += 2;
+        selfClosing = true;
+        break;
+      }
+
+      const attrStart = i;
+      while (i < len && !/[\s=/>]/.test(source[i])) i++;
+      const attrName = source.slice(attrStart, i);
+      while (i < len && /\s/.test(source[i])) i++;
+      if (!attrName || source[i] !== '=') {
+        throw xmlError(`Malformed attribute in <${name}>`, source, attrStart);
+      }
+      i++;
+      while (i < len && /\s/.test(source[i])) i++;
+      const quote = source[i];
+      if (quote !== '"' && quote !== '\'') {
+        throw xmlError(`Attribute value for "${attrName}" must be quoted`, source, i);
+      }
+      const valueEnd = expectIndex(quote, i + 1, 'attribute value');
+      const rawValue = source.slice(i + 1, valueEnd).replace(/[\t\n\r]/g, ' ');
+      const value = decodeEntities(rawValue, entities, source, i + 1);
+      rawAttributes.push({ name: attrName, value, offset: attrStart });
+      i = valueEnd + 1;
+    }
+
+    const parent = stack[stack.length - 1];
+    const scope = Object.create(parent ? parent.scope : null);
+    rawAttributes.forEach(a => {
+      if (a.name === 'xmlns') scope[''] = a.value;
+      else if (a.name.startsWith('xmlns:')) scope[a.name.slice(6)] = a.value;
+    });
+
+    const qname = resolveQName(name, scope, false);
+    if (!qname) throw xmlError(`Undeclared namespace prefix in <${name}>`, source, tagStart);
+
+    const attributes = rawAttributes.map(a => {
+      const resolved = resolveQName(a.name, scope, true);
+      if (!resolved) throw xmlError(`Undeclared namespace prefix in attribute "${a.name}"`, source, a.offset);
+      return { name: a.name, ...resolved, value: a.value };
+    });
+
+    const element = {
+      type: 'element',
+      name,
+      ...qname,
+      attributes,
+      children: [],
+      scope,
+      offset: tagStart,
+      innerStart: i,
+      innerEnd: i
+    };
+
+    if (parent) {
+      parent.children.push(element);
+    } else if (root) {
+      throw xmlError('Document has more than one root element', source, tagStart);
+    } else {
+      root = element;
+    }
+
+    if (!selfClosing) stack.push(element);
+  }
+
+  if (stack.length) {
+    const open = stack[stack.length - 1];
+    throw xmlError(`Unclosed element <${open.name}>`, source, open.offset);
+  }
+  if (!root) throw xmlError('No root element found', source, 0);
+
+  return { root, text: source };
+}
+
+/**
+ * Child elements of an element (text nodes skipped).
+ * @param {object} element
+ * @returns {object[]}
+ */
+export function getChildElements(element) {
+  return element.children.filter(c => c.type === 'element');
+}
+
+/**
+ * Concatenated text content of an element's direct text children.
+ * @param {object} element
+ * @returns {string}
+ */
+export function getTextContent(element) {
+  return element.children
+    .filter(c => c.type === 'text')
+    .map(c => c.value)
+    .join('');
+}
+
+/**
+ * Look up an attribute value by namespace and local name.
+ * @param {object} element
+ * @param {string|null} namespaceUri
+ * @param {string} localName
+ * @returns {string|null}
+ */
+export function getAttribute(element, namespaceUri, localName) {
+  const attr = element.attributes.find(a =>
+    a.localName === localName && (a.namespaceUri ?? null) === (namespaceUri ?? null)
+  );
+  return attr ? attr.value : null;
+}